@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+import yaml from 'js-yaml';
+import { YamlHandler } from '../js/core/yaml-handler.js';
+import { ValidateCommand } from '../cli/validate-command.js';
+import { FmtCommand } from '../cli/fmt-command.js';
+import { SimulateCommand } from '../cli/simulate-command.js';
+import { DiffCommand } from '../cli/diff-command.js';
+
+const yamlHandler = new YamlHandler(yaml);
+
+const commands = {
+  validate: () => new ValidateCommand(yamlHandler),
+  fmt: () => new FmtCommand(yamlHandler),
+  simulate: () => new SimulateCommand(yamlHandler),
+  diff: () => new DiffCommand(yamlHandler)
+};
+
+const usage = [
+  'Usage: pdt-config <command> [options]',
+  '',
+  'Commands:',
+  '  validate   Validate PDT config files',
+  '  fmt        Rewrite PDT config files in the canonical layout',
+  '  simulate   Run an orders file through a PDT config',
+  '  diff       Compare two PDT config files entry by entry',
+  '',
+  'Run `pdt-config <command> --help` for the options of a command.',
+  ''
+].join('\n');
+
+async function main(argv) {
+  const [commandName, ...args] = argv;
+
+  if (!commandName || commandName === '--help' || commandName === 'help') {
+    process.stdout.write(usage);
+    return commandName ? 0 : 2;
+  }
+
+  if (!commands[commandName]) {
+    process.stderr.write(`Unknown command '${commandName}'\n\n${usage}`);
+    return 2;
+  }
+
+  return commands[commandName]().run(args, { stdout: process.stdout, stderr: process.stderr });
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  error => {
+    process.stderr.write(`${error.stack || error.message}\n`);
+    process.exitCode = 2;
+  }
+);
@@ -0,0 +1,63 @@
+/**
+ * Minimal argument parser for the pdt-config commands.
+ * Supports `--name value`, `--name=value` and boolean flags; everything else is positional.
+ */
+
+/**
+ * Parse command-line arguments against an option spec
+ * @param {Array} argv Arguments after the command name
+ * @param {Object} spec Option name → { type: 'string'|'boolean', choices?, default? }
+ * @returns {Object} { options, positional }
+ * @throws {Error} On unknown options, missing values or values outside the choices
+ */
+export function parseArguments(argv, spec) {
+  const options = {};
+  const positional = [];
+
+  Object.entries(spec).forEach(([name, definition]) => {
+    if (definition.default !== undefined) {
+      options[name] = definition.default;
+    }
+  });
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positional.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    const definition = spec[name];
+
+    if (!definition) {
+      throw new Error(`Unknown option --${name}`);
+    }
+
+    if (definition.type === 'boolean') {
+      options[name] = value === undefined ? true : value !== 'false';
+      continue;
+    }
+
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined) {
+        throw new Error(`Option --${name} needs a value`);
+      }
+    }
+
+    if (definition.choices && !definition.choices.includes(value)) {
+      throw new Error(`Option --${name} must be one of: ${definition.choices.join(', ')}`);
+    }
+
+    options[name] = value;
+  }
+
+  return { options, positional };
+}
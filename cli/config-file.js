@@ -0,0 +1,161 @@
+import { readFile } from 'node:fs/promises';
+import { getDefaultSectionRegistry } from '../js/core/section-registry.js';
+
+/**
+ * ConfigFile reads a PDT YAML or JSON file and remembers the line on which
+ * each mapping and sequence of the document starts.
+ * JSON is parsed as YAML, so both kinds of file get line numbers.
+ * Entry titles, which the builder exports as comments, are read back from the text.
+ */
+export class ConfigFile {
+  constructor(path, text) {
+    this.path = path;
+    this.text = text;
+    this.textLines = text.split(/\r?\n/);
+
+    // Parsed document, or null if it could not be parsed
+    this.data = null;
+    this.parseError = null;
+
+    // Object or array of the document → 1-based line where it starts
+    this.lines = new WeakMap();
+
+    // Section keys, and the header comments that are never titles
+    this.sectionRegistry = getDefaultSectionRegistry();
+  }
+
+  /**
+   * Read and parse a file
+   * @param {string} path File path
+   * @param {YamlHandler} yamlHandler Handler with a YAML backend
+   * @returns {Promise<ConfigFile>}
+   * @throws {Error} If the file cannot be read
+   */
+  static async load(path, yamlHandler) {
+    const file = new ConfigFile(path, await readFile(path, 'utf8'));
+    file.parse(yamlHandler);
+    return file;
+  }
+
+  parse(yamlHandler) {
+    const openLines = [];
+
+    try {
+      this.data = yamlHandler.parseYaml(this.text, {
+        listener: (event, state) => {
+          if (event === 'open') {
+            // Remember where the node starts, the result is only known when it closes
+            openLines.push(state.line);
+            return;
+          }
+
+          const line = openLines.pop();
+          if (state.result !== null && typeof state.result === 'object' && !this.lines.has(state.result)) {
+            this.lines.set(state.result, line + 1);
+          }
+        }
+      });
+    } catch (e) {
+      this.parseError = {
+        message: e.reason || e.message,
+        line: e.mark ? e.mark.line + 1 : null
+      };
+    }
+  }
+
+  /**
+   * Get the text of the comment on the line directly above a line
+   * @param {number} line 1-based line number
+   * @returns {string|null} Comment text without the leading '#', or null if that line is no comment
+   */
+  getCommentAbove(line) {
+    if (!line || line < 2) return null;
+
+    const match = this.textLines[line - 2].match(/^\s*#\s?(.*)$/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Get the line where an object of the parsed document starts
+   * @returns {number|null}
+   */
+  getLine(node) {
+    if (node === null || typeof node !== 'object') return null;
+    return this.lines.get(node) || null;
+  }
+
+  /**
+   * Get the line of a key of the top-level mapping, such as `country_code`
+   * @returns {number|null}
+   */
+  getKeyLine(key) {
+    const index = this.textLines.findIndex(line => line.startsWith(`${key}:`));
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Get the line of the value at a path such as `pdt[2].ranges[4].conditions`.
+   * Only objects and arrays have a line, so scalars and missing keys give the line of their closest parent.
+   * @returns {number|null}
+   */
+  getPathLine(path) {
+    const keys = path.match(/[^.[\]]+/g) || [];
+    let node = this.data;
+    let line = this.getLine(node);
+
+    for (const key of keys) {
+      if (node === null || typeof node !== 'object' || node[key] === undefined) break;
+      node = node[key];
+      line = this.getLine(node) || line;
+    }
+
+    return line;
+  }
+
+  /**
+   * Get a copy of the parsed document with each entry's `_title` set from the comment above it.
+   * The first entry of a section, and every entry of a section written grouped (ranges),
+   * falls back to the comment above the section, since those entries share a section.
+   * @returns {Object}
+   */
+  getDataWithTitles() {
+    const data = JSON.parse(JSON.stringify(this.data));
+    if (!Array.isArray(this.data?.pdt)) return data;
+
+    this.data.pdt.forEach((section, sectionIndex) => {
+      if (!section || typeof section !== 'object') return;
+
+      const sectionTitle = this.getTitleAbove(this.getLine(section));
+
+      this.sectionRegistry.getAll().forEach(definition => {
+        const key = definition.key;
+        if (!Array.isArray(section[key])) return;
+
+        // Entries written as one section under a shared comment all take that comment
+        const grouped = definition.yamlComment.style === 'grouped';
+
+        section[key].forEach((entry, entryIndex) => {
+          const target = data.pdt[sectionIndex][key][entryIndex];
+          if (!target || typeof target !== 'object' || target._title) return;
+
+          const fallback = entryIndex === 0 || grouped ? sectionTitle : null;
+          const title = this.getTitleAbove(this.getLine(entry)) || fallback;
+          if (title) {
+            target._title = title;
+          }
+        });
+      });
+    });
+
+    return data;
+  }
+
+  /**
+   * Get the comment above a line unless it is the header the builder writes above a kind of section
+   */
+  getTitleAbove(line) {
+    const comment = this.getCommentAbove(line);
+    const isHeader = this.sectionRegistry.getAll().some(definition => definition.yamlComment.header === comment);
+    return comment && !isHeader ? comment : null;
+  }
+}
@@ -0,0 +1,153 @@
+import { ConfigDiff } from '../js/core/config-diff.js';
+import { parseArguments } from './arguments.js';
+import { ConfigFile } from './config-file.js';
+
+// Markers for each entry status in the text output
+const STATUS_MARKERS = {
+  added: '+',
+  removed: '-',
+  changed: '~'
+};
+
+/**
+ * DiffCommand compares two PDT config files entry by entry with ConfigDiff.
+ * Exits with 1 if the configs differ, like diff(1), and 2 on errors.
+ */
+export class DiffCommand {
+  constructor(yamlHandler) {
+    this.yamlHandler = yamlHandler;
+    this.configDiff = new ConfigDiff();
+
+    this.optionSpec = {
+      format: { type: 'string', choices: ['text', 'json'], default: 'text' },
+      help: { type: 'boolean' }
+    };
+  }
+
+  getUsage() {
+    return [
+      'Usage: pdt-config diff [options] <old> <new>',
+      '',
+      'Compare two PDT config files entry by entry. Reordered entries are not reported.',
+      '',
+      'Options:',
+      '  --format <text|json>  Output format (default: text)',
+      '  --help                Show this help',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Run the command
+   * @param {Array} argv Arguments after `diff`
+   * @param {Object} io { stdout, stderr } writable streams
+   * @returns {Promise<number>} Exit code
+   */
+  async run(argv, io) {
+    let args;
+    try {
+      args = parseArguments(argv, this.optionSpec);
+    } catch (e) {
+      io.stderr.write(`${e.message}\n\n${this.getUsage()}`);
+      return 2;
+    }
+
+    if (args.options.help) {
+      io.stdout.write(this.getUsage());
+      return 0;
+    }
+
+    if (args.positional.length !== 2) {
+      io.stderr.write(`Two files are needed\n\n${this.getUsage()}`);
+      return 2;
+    }
+
+    const configs = [];
+    for (const path of args.positional) {
+      try {
+        configs.push(await this.loadConfig(path));
+      } catch (e) {
+        io.stderr.write(`${e.message}\n`);
+        return 2;
+      }
+    }
+
+    const result = this.configDiff.diff(configs[0], configs[1]);
+
+    if (args.options.format === 'json') {
+      io.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    } else {
+      io.stdout.write(this.formatText(result));
+    }
+
+    return this.configDiff.hasChanges(result) ? 1 : 0;
+  }
+
+  /**
+   * Read and parse a config file
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  async loadConfig(path) {
+    const file = await ConfigFile.load(path, this.yamlHandler);
+
+    if (file.parseError) {
+      const location = file.parseError.line ? `:${file.parseError.line}` : '';
+      throw new Error(`${path}${location}: ${file.parseError.message}`);
+    }
+
+    return file.data;
+  }
+
+  formatText(result) {
+    const lines = [];
+
+    if (result.metadata.length > 0) {
+      lines.push('metadata');
+      result.metadata.forEach(change => {
+        lines.push(`  ~ ${change.field}: ${this.formatValue(change.from)} → ${this.formatValue(change.to)}`);
+      });
+    }
+
+    let section = null;
+    result.entries.forEach(entry => {
+      if (entry.section !== section) {
+        section = entry.section;
+        lines.push(section);
+      }
+
+      lines.push(`  ${STATUS_MARKERS[entry.status]} ${entry.label} (${this.formatPosition(entry)})`);
+
+      // Added and removed entries are listed in full, changed ones by their changed fields
+      entry.changes.forEach(change => {
+        if (entry.status === 'added') {
+          lines.push(`      ${change.field}: ${this.formatValue(change.to)}`);
+        } else if (entry.status === 'removed') {
+          lines.push(`      ${change.field}: ${this.formatValue(change.from)}`);
+        } else {
+          lines.push(`      ${change.field}: ${this.formatValue(change.from)} → ${this.formatValue(change.to)}`);
+        }
+      });
+    });
+
+    const { added, removed, changed } = result.summary;
+    if (lines.length > 0) lines.push('');
+    lines.push(`${added} added, ${removed} removed, ${changed} changed` +
+      (result.metadata.length > 0 ? `, ${result.metadata.length} metadata field${result.metadata.length === 1 ? '' : 's'} changed` : ''));
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Describe where the entry is in each file, counting entries of its section from 1
+   */
+  formatPosition(entry) {
+    if (entry.status === 'added') return `entry ${entry.indexB + 1} in new`;
+    if (entry.status === 'removed') return `entry ${entry.indexA + 1} in old`;
+    if (entry.indexA === entry.indexB) return `entry ${entry.indexB + 1}`;
+    return `entry ${entry.indexA + 1} → ${entry.indexB + 1}`;
+  }
+
+  formatValue(value) {
+    return value === null || value === '' ? '(none)' : value;
+  }
+}
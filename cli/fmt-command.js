@@ -0,0 +1,107 @@
+import { writeFile } from 'node:fs/promises';
+import { ConfigImporter } from '../js/core/config-importer.js';
+import { parseArguments } from './arguments.js';
+import { ConfigFile } from './config-file.js';
+
+/**
+ * FmtCommand rewrites PDT config files in the layout the builder exports.
+ * With --check nothing is written; the command exits with 1 if any file is not formatted.
+ */
+export class FmtCommand {
+  constructor(yamlHandler) {
+    this.yamlHandler = yamlHandler;
+    this.configImporter = new ConfigImporter();
+
+    this.optionSpec = {
+      check: { type: 'boolean', default: false },
+      help: { type: 'boolean' }
+    };
+  }
+
+  getUsage() {
+    return [
+      'Usage: pdt-config fmt [options] <file...>',
+      '',
+      'Rewrite PDT config files in the canonical layout, keeping titles from comments.',
+      '',
+      'Options:',
+      '  --check   Only report files that are not formatted; exit with 1 if there are any',
+      '  --help    Show this help',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Run the command
+   * @param {Array} argv Arguments after `fmt`
+   * @param {Object} io { stdout, stderr } writable streams
+   * @returns {Promise<number>} Exit code
+   */
+  async run(argv, io) {
+    let args;
+    try {
+      args = parseArguments(argv, this.optionSpec);
+    } catch (e) {
+      io.stderr.write(`${e.message}\n\n${this.getUsage()}`);
+      return 2;
+    }
+
+    if (args.options.help) {
+      io.stdout.write(this.getUsage());
+      return 0;
+    }
+
+    if (args.positional.length === 0) {
+      io.stderr.write(`No files given\n\n${this.getUsage()}`);
+      return 2;
+    }
+
+    let failed = false;
+    let unformatted = 0;
+
+    for (const path of args.positional) {
+      let formatted;
+      let file;
+      try {
+        file = await ConfigFile.load(path, this.yamlHandler);
+        formatted = this.formatFile(file);
+      } catch (e) {
+        io.stderr.write(`${path}: ${e.message}\n`);
+        failed = true;
+        continue;
+      }
+
+      if (formatted === file.text) continue;
+
+      unformatted++;
+      if (args.options.check) {
+        io.stdout.write(`${path}: not formatted\n`);
+      } else {
+        await writeFile(path, formatted, 'utf8');
+        io.stdout.write(`${path}: formatted\n`);
+      }
+    }
+
+    if (failed) return 2;
+    return args.options.check && unformatted > 0 ? 1 : 0;
+  }
+
+  /**
+   * Get the canonical text of a file: the builder's export of the imported file
+   * @throws {Error} If the file cannot be parsed or imported
+   */
+  formatFile(file) {
+    if (file.parseError) {
+      const location = file.parseError.line ? `line ${file.parseError.line}: ` : '';
+      throw new Error(`${location}${file.parseError.message}`);
+    }
+
+    const { valid, errors } = this.configImporter.validateImportedConfig(file.data);
+    if (!valid) {
+      throw new Error(`cannot be formatted: ${errors.filter(error => !this.configImporter.isImportWarning(error)).join('; ')}`);
+    }
+
+    const config = this.configImporter.normalizeConfig(file.getDataWithTitles());
+    return this.yamlHandler.generateYaml(config) + '\n';
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * IssueReporter formats validation results of one or more files as
+ * plain text, JSON or a JUnit XML report.
+ * Each file result is { file, valid, issues: [{ severity, category, message, line }], checks },
+ * checks listing the categories that were checked; without it every category counts as checked.
+ */
+export class IssueReporter {
+  constructor() {
+    // Checks reported as JUnit test cases, in the order the validator runs them
+    this.categories = [
+      'parse',
+      'import',
+      'duplicateGroups',
+      'overlappingRules',
+      'boundaryIssues',
+      'coverageGaps',
+      'crossGroupOverlaps',
+      'shadowedRules',
+      'requiredFields'
+    ];
+  }
+
+  /**
+   * Format the results
+   * @param {Array} results One result per file
+   * @param {string} format 'text', 'json' or 'junit'
+   * @returns {string}
+   */
+  format(results, format) {
+    switch (format) {
+      case 'json':
+        return this.formatJson(results);
+      case 'junit':
+        return this.formatJunit(results);
+      default:
+        return this.formatText(results);
+    }
+  }
+
+  countIssues(results, severity) {
+    return results.reduce((count, result) =>
+      count + result.issues.filter(issue => issue.severity === severity).length, 0);
+  }
+
+  /**
+   * One line per issue in the `file:line: severity: message [category]` form editors understand
+   */
+  formatText(results) {
+    const lines = [];
+
+    results.forEach(result => {
+      result.issues.forEach(issue => {
+        const location = issue.line ? `${result.file}:${issue.line}` : result.file;
+        lines.push(`${location}: ${issue.severity}: ${issue.message} [${issue.category}]`);
+      });
+    });
+
+    const errors = this.countIssues(results, 'error');
+    const warnings = this.countIssues(results, 'warning');
+    const fileText = results.length === 1 ? '1 file' : `${results.length} files`;
+
+    if (lines.length > 0) lines.push('');
+    lines.push(`${fileText} checked: ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+
+    return lines.join('\n') + '\n';
+  }
+
+  formatJson(results) {
+    return JSON.stringify({
+      errorCount: this.countIssues(results, 'error'),
+      warningCount: this.countIssues(results, 'warning'),
+      files: results
+    }, null, 2) + '\n';
+  }
+
+  /**
+   * One test suite per file and one test case per check.
+   * Errors fail the test case; warnings go to its system-out.
+   * Checks that did not run, e.g. after a parse error, are skipped.
+   */
+  formatJunit(results) {
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    const totalFailures = results.reduce((count, result) => count + this.countFailures(result), 0);
+    const totalSkipped = results.reduce((count, result) => count + this.getSkipped(result).length, 0);
+
+    lines.push(`<testsuites name="pdt-config validate" tests="${results.length * this.categories.length}" failures="${totalFailures}" skipped="${totalSkipped}">`);
+
+    results.forEach(result => {
+      const skipped = this.getSkipped(result);
+      lines.push(`  <testsuite name="${this.escapeXml(result.file)}" tests="${this.categories.length}" failures="${this.countFailures(result)}" skipped="${skipped.length}">`);
+
+      this.categories.forEach(category => {
+        const errors = this.getIssues(result, category, 'error');
+        const warnings = this.getIssues(result, category, 'warning');
+        const testCase = `    <testcase classname="${this.escapeXml(result.file)}" name="${category}"`;
+
+        if (skipped.includes(category)) {
+          lines.push(`${testCase}>`);
+          lines.push('      <skipped message="Not checked because an earlier check failed"/>');
+          lines.push('    </testcase>');
+          return;
+        }
+
+        if (errors.length === 0 && warnings.length === 0) {
+          lines.push(`${testCase}/>`);
+          return;
+        }
+
+        lines.push(`${testCase}>`);
+        if (errors.length > 0) {
+          const summary = errors.length === 1 ? errors[0].message : `${errors.length} issues`;
+          lines.push(`      <failure message="${this.escapeXml(summary)}">${this.escapeXml(this.describeIssues(result.file, errors))}</failure>`);
+        }
+        if (warnings.length > 0) {
+          lines.push(`      <system-out>${this.escapeXml(this.describeIssues(result.file, warnings))}</system-out>`);
+        }
+        lines.push('    </testcase>');
+      });
+
+      lines.push('  </testsuite>');
+    });
+
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+  }
+
+  countFailures(result) {
+    return this.categories.filter(category => this.getIssues(result, category, 'error').length > 0).length;
+  }
+
+  /**
+   * Get the categories that were not checked for a file
+   */
+  getSkipped(result) {
+    return result.checks ? this.categories.filter(category => !result.checks.includes(category)) : [];
+  }
+
+  getIssues(result, category, severity) {
+    return result.issues.filter(issue => issue.category === category && issue.severity === severity);
+  }
+
+  describeIssues(file, issues) {
+    return issues
+      .map(issue => `${issue.line ? `${file}:${issue.line}` : file}: ${issue.message}`)
+      .join('\n');
+  }
+
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
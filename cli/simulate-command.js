@@ -0,0 +1,168 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { ConfigImporter } from '../js/core/config-importer.js';
+import { EvaluationEngine } from '../js/core/evaluation-engine.js';
+import { BatchSimulator } from '../js/core/batch-simulator.js';
+import { CsvHandler } from '../js/core/csv-handler.js';
+import { parseArguments } from './arguments.js';
+import { ConfigFile } from './config-file.js';
+
+// File extensions read as one JSON order per line
+const JSONL_EXTENSIONS = ['.jsonl', '.ndjson'];
+
+/**
+ * SimulateCommand runs an orders file through a config with the BatchSimulator
+ * and writes one result row per order: bounds, capping, rounding, display format
+ * and the index of the matched ranges entry.
+ * The config is upgraded to the current format version like on import, but its
+ * sections are not merged, so entry indices follow the file order.
+ */
+export class SimulateCommand {
+  constructor(yamlHandler) {
+    this.yamlHandler = yamlHandler;
+    this.configImporter = new ConfigImporter();
+    this.csvHandler = new CsvHandler();
+    this.batchSimulator = new BatchSimulator(new EvaluationEngine());
+
+    this.optionSpec = {
+      config: { type: 'string' },
+      output: { type: 'string' },
+      format: { type: 'string', choices: ['csv', 'jsonl'] },
+      help: { type: 'boolean' }
+    };
+  }
+
+  getUsage() {
+    return [
+      'Usage: pdt-config simulate --config <file> [options] <orders>',
+      '',
+      'Run an orders CSV or JSONL file through a PDT config and write one result row per order.',
+      'Orders need a pdt column; mean_delay, delivery_option, delivery_mode, marketplace,',
+      'vertical_type and actual_delivery_minutes are used when present.',
+      '',
+      'Options:',
+      '  --config <file>       PDT config (YAML or JSON)',
+      '  --output <file>       Write the results to a file instead of stdout',
+      '  --format <csv|jsonl>  Output format (default: the format of the orders file)',
+      '  --help                Show this help',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Run the command
+   * @param {Array} argv Arguments after `simulate`
+   * @param {Object} io { stdout, stderr } writable streams
+   * @returns {Promise<number>} Exit code
+   */
+  async run(argv, io) {
+    let args;
+    try {
+      args = parseArguments(argv, this.optionSpec);
+    } catch (e) {
+      io.stderr.write(`${e.message}\n\n${this.getUsage()}`);
+      return 2;
+    }
+
+    if (args.options.help) {
+      io.stdout.write(this.getUsage());
+      return 0;
+    }
+
+    if (!args.options.config || args.positional.length !== 1) {
+      io.stderr.write(`A config and one orders file are needed\n\n${this.getUsage()}`);
+      return 2;
+    }
+
+    const ordersPath = args.positional[0];
+    const format = args.options.format || (this.isJsonl(ordersPath) ? 'jsonl' : 'csv');
+
+    let config;
+    let orders;
+    try {
+      config = await this.loadConfig(args.options.config);
+      orders = await this.loadOrders(ordersPath);
+    } catch (e) {
+      io.stderr.write(`${e.message}\n`);
+      return 2;
+    }
+
+    const { rows } = this.batchSimulator.simulate(config, orders);
+    const output = this.formatRows(rows, format);
+
+    if (args.options.output) {
+      try {
+        await writeFile(args.options.output, output, 'utf8');
+      } catch (e) {
+        io.stderr.write(`Cannot write ${args.options.output}: ${e.message}\n`);
+        return 2;
+      }
+    } else {
+      io.stdout.write(output);
+    }
+
+    return 0;
+  }
+
+  /**
+   * Read a config file, with entry titles taken from its comments, and upgrade it to the current format version
+   * @throws {Error} If the file cannot be read, parsed, imported or migrated
+   */
+  async loadConfig(path) {
+    const file = await ConfigFile.load(path, this.yamlHandler);
+
+    if (file.parseError) {
+      const location = file.parseError.line ? `:${file.parseError.line}` : '';
+      throw new Error(`${path}${location}: ${file.parseError.message}`);
+    }
+
+    const { valid, errors } = this.configImporter.validateImportedConfig(file.data);
+    if (!valid) {
+      throw new Error(`${path}: ${errors.filter(error => !this.configImporter.isImportWarning(error)).join('; ')}`);
+    }
+
+    return this.configImporter.migrateConfig(file.getDataWithTitles()).config;
+  }
+
+  /**
+   * Read orders from a CSV file, or a JSONL file with one order object per line
+   * @throws {Error} If the file cannot be read or has no pdt column
+   */
+  async loadOrders(path) {
+    const text = await readFile(path, 'utf8');
+    let orders;
+
+    if (this.isJsonl(path)) {
+      orders = text.split(/\r?\n/)
+        .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+        .filter(({ line }) => line !== '')
+        .map(({ line, number }) => {
+          try {
+            return JSON.parse(line);
+          } catch (e) {
+            throw new Error(`${path}:${number}: ${e.message}`);
+          }
+        });
+    } else {
+      const { headers, rows } = this.csvHandler.parse(text);
+      if (!headers.includes('pdt')) {
+        throw new Error(`${path}: the orders file must have a "pdt" column`);
+      }
+      orders = rows;
+    }
+
+    return orders;
+  }
+
+  isJsonl(path) {
+    return JSONL_EXTENSIONS.includes(extname(path).toLowerCase());
+  }
+
+  formatRows(rows, format) {
+    if (format === 'jsonl') {
+      return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+    }
+
+    return this.csvHandler.generate(this.batchSimulator.resultColumns, rows);
+  }
+}
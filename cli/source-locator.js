@@ -0,0 +1,135 @@
+import { ConfigManager } from '../js/core/config-manager.js';
+import { MemoryStorage } from '../js/core/storage.js';
+
+// Section keys of the YAML format → group types
+const SECTION_TYPES = {
+  display_format: 'display-format',
+  ranges: 'ranges',
+  capping: 'capping',
+  rounding: 'rounding'
+};
+
+/**
+ * SourceLocator finds the YAML lines behind the groups and rules of a loaded config.
+ * Groups are rebuilt from merged and sorted entries, so each source entry is
+ * converted on its own and matched to the rules by their content.
+ */
+export class SourceLocator {
+  /**
+   * @param {ConfigFile} file Parsed config file
+   * @param {ConfigImporter} configImporter Importer used to normalize the config
+   */
+  constructor(file, configImporter) {
+    this.file = file;
+    this.configImporter = configImporter;
+
+    // Rule key → lines of the source entries with that content, in file order
+    this.linesByKey = new Map();
+
+    // Group ID → line of each rule (or of the group's entry for groups without rules)
+    this.ruleLines = {};
+
+    this.probe = new ConfigManager({ storage: new MemoryStorage() });
+    this.indexSourceEntries();
+  }
+
+  indexSourceEntries() {
+    const pdt = this.file.data && this.file.data.pdt;
+    if (!Array.isArray(pdt)) return;
+
+    pdt.forEach(section => {
+      if (!section || typeof section !== 'object') return;
+
+      Object.keys(SECTION_TYPES).forEach(sectionKey => {
+        if (!Array.isArray(section[sectionKey])) return;
+
+        section[sectionKey].forEach(entry => {
+          const line = this.file.getLine(entry);
+
+          this.getEntryKeys(sectionKey, entry).forEach(key => {
+            if (!this.linesByKey.has(key)) {
+              this.linesByKey.set(key, []);
+            }
+            this.linesByKey.get(key).push(line);
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Convert one source entry the same way the whole config is converted
+   */
+  getEntryKeys(sectionKey, entry) {
+    try {
+      const config = this.configImporter.normalizeConfig({ pdt: [{ [sectionKey]: [entry] }] });
+      this.probe.config = config;
+      this.probe.rebuildGroupsMapping();
+
+      return Object.values(this.probe.groups).flatMap(group => this.getGroupKeys(group));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  getGroupKeys(group) {
+    const params = JSON.stringify(group.commonParams);
+
+    if (group.rules.length === 0) {
+      return [`${group.type}|${params}`];
+    }
+
+    return group.rules.map(rule => `${group.type}|${params}|${JSON.stringify(rule)}`);
+  }
+
+  /**
+   * Assign source lines to the rules of all groups.
+   * Entries with identical content are handed out in file order.
+   * @param {Object} groups Groups of the loaded ConfigManager
+   */
+  locateGroups(groups) {
+    const remaining = new Map([...this.linesByKey].map(([key, lines]) => [key, [...lines]]));
+    this.ruleLines = {};
+
+    Object.values(groups).forEach(group => {
+      this.ruleLines[group.id] = this.getGroupKeys(group).map(key => {
+        const lines = remaining.get(key);
+        return lines && lines.length > 0 ? lines.shift() : null;
+      });
+    });
+  }
+
+  /**
+   * Get the line of a rule, or of the group's first located rule
+   * @returns {number|null}
+   */
+  getLine(groupId, ruleIndex = null) {
+    const lines = this.ruleLines[groupId];
+    if (!lines) return null;
+
+    if (ruleIndex !== null && ruleIndex !== undefined && lines[ruleIndex]) {
+      return lines[ruleIndex];
+    }
+
+    const located = lines.filter(line => line !== null);
+    return located.length > 0 ? Math.min(...located) : null;
+  }
+
+  /**
+   * Get the line for a validation issue from the group and rule it points at
+   */
+  getIssueLine(issue) {
+    const groupId = issue.groupId || issue.group2 || issue.group1;
+
+    let ruleIndex = null;
+    if (issue.ruleIndex !== undefined) {
+      ruleIndex = issue.ruleIndex;
+    } else if (issue.rule2Index !== undefined) {
+      ruleIndex = issue.rule2Index;
+    } else if (Array.isArray(issue.ruleIndices) && issue.ruleIndices.length > 1) {
+      ruleIndex = issue.ruleIndices[1];
+    }
+
+    return this.getLine(groupId, ruleIndex);
+  }
+}
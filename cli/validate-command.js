@@ -0,0 +1,263 @@
+import { readFile } from 'node:fs/promises';
+import { ConfigManager } from '../js/core/config-manager.js';
+import { ConfigImporter } from '../js/core/config-importer.js';
+import { ValidationManager } from '../js/core/validation-manager.js';
+import { MemoryStorage } from '../js/core/storage.js';
+import { getDefaultEnumCatalog } from '../js/core/enum-catalog.js';
+import { parseArguments } from './arguments.js';
+import { ConfigFile } from './config-file.js';
+import { SourceLocator } from './source-locator.js';
+import { IssueReporter } from './issue-reporter.js';
+
+// Validation categories that are reported but do not make a config invalid
+const WARNING_CATEGORIES = ['coverageGaps', 'crossGroupOverlaps'];
+
+// Coverage domain options and the axis of the ValidationManager domain they set
+const COVERAGE_OPTIONS = { 'coverage-pdt': 'pdt', 'coverage-mean-delay': 'meanDelay' };
+
+/**
+ * ValidateCommand checks PDT config files with the import checks and the
+ * same rules the builder's ValidationManager applies.
+ * Exits with 1 if any file has errors, 2 on usage errors.
+ */
+export class ValidateCommand {
+  constructor(yamlHandler) {
+    this.yamlHandler = yamlHandler;
+    this.configImporter = new ConfigImporter();
+    this.reporter = new IssueReporter();
+
+    this.optionSpec = {
+      format: { type: 'string', choices: ['text', 'json', 'junit'], default: 'text' },
+      precedence: { type: 'string', choices: ['first-match', 'most-specific'], default: 'first-match' },
+      catalog: { type: 'string' },
+      'coverage-pdt': { type: 'string' },
+      'coverage-mean-delay': { type: 'string' },
+      help: { type: 'boolean' }
+    };
+  }
+
+  getUsage() {
+    return [
+      'Usage: pdt-config validate [options] <file...>',
+      '',
+      'Validate PDT config files (YAML or JSON).',
+      '',
+      'Options:',
+      '  --format <text|json|junit>              Output format (default: text)',
+      '  --precedence <first-match|most-specific> How competing entries are resolved (default: first-match)',
+      '  --catalog <file>                        Enum catalog (YAML or JSON) to check values against',
+      '  --coverage-pdt <min,max>                PDT range every ranges group should cover (default: 0,120)',
+      '  --coverage-mean-delay <min,max>         Mean-delay range every ranges group should cover (default: 0,60)',
+      '  --help                                  Show this help',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Run the command
+   * @param {Array} argv Arguments after `validate`
+   * @param {Object} io { stdout, stderr } writable streams
+   * @returns {Promise<number>} Exit code
+   */
+  async run(argv, io) {
+    let args;
+    try {
+      args = parseArguments(argv, this.optionSpec);
+    } catch (e) {
+      io.stderr.write(`${e.message}\n\n${this.getUsage()}`);
+      return 2;
+    }
+
+    if (args.options.help) {
+      io.stdout.write(this.getUsage());
+      return 0;
+    }
+
+    if (args.positional.length === 0) {
+      io.stderr.write(`No files given\n\n${this.getUsage()}`);
+      return 2;
+    }
+
+    try {
+      args.options.coverageDomain = this.parseCoverageDomain(args.options);
+    } catch (e) {
+      io.stderr.write(`${e.message}\n\n${this.getUsage()}`);
+      return 2;
+    }
+
+    if (args.options.catalog) {
+      try {
+        await this.loadCatalog(args.options.catalog);
+      } catch (e) {
+        io.stderr.write(`Cannot load catalog ${args.options.catalog}: ${e.message}\n`);
+        return 2;
+      }
+    }
+
+    const results = [];
+    for (const path of args.positional) {
+      results.push(await this.validateFile(path, args.options));
+    }
+
+    io.stdout.write(this.reporter.format(results, args.options.format));
+
+    return results.every(result => result.valid) ? 0 : 1;
+  }
+
+  /**
+   * Read the coverage domain options, e.g. `--coverage-pdt 0,90`
+   * @returns {Object} { pdt?: { min, max }, meanDelay?: { min, max } } for the options given
+   * @throws {Error} If a value is not two ascending numbers
+   */
+  parseCoverageDomain(options) {
+    const domain = {};
+
+    Object.entries(COVERAGE_OPTIONS).forEach(([name, axis]) => {
+      if (options[name] === undefined) return;
+
+      const bounds = options[name].split(',').map(bound => bound.trim());
+      const [min, max] = bounds.map(Number);
+      if (bounds.length !== 2 || bounds.includes('') || isNaN(min) || isNaN(max) || min >= max) {
+        throw new Error(`Option --${name} must be two ascending numbers, e.g. 0,120`);
+      }
+
+      domain[axis] = { min, max };
+    });
+
+    return domain;
+  }
+
+  /**
+   * Check values against a catalog file instead of the built-in catalog
+   */
+  async loadCatalog(path) {
+    const text = await readFile(path, 'utf8');
+    const data = path.endsWith('.json') ? JSON.parse(text) : this.yamlHandler.parseYaml(text);
+    getDefaultEnumCatalog().setCatalog(data);
+  }
+
+  /**
+   * Validate one file
+   * @returns {Promise<Object>} { file, valid, issues, checks }, checks being the categories that were checked
+   */
+  async validateFile(path, options) {
+    let file;
+    try {
+      file = await ConfigFile.load(path, this.yamlHandler);
+    } catch (e) {
+      return this.createResult(path, [this.createIssue('parse', `Cannot read file: ${e.message}`)], ['parse']);
+    }
+
+    if (file.parseError) {
+      return this.createResult(path, [
+        this.createIssue('parse', file.parseError.message, file.parseError.line)
+      ], ['parse']);
+    }
+
+    const issues = this.checkImport(file);
+    const checks = ['parse', 'import'];
+
+    // The rules can only be checked if there are PDT sections to build groups from
+    if (Array.isArray(file.data?.pdt)) {
+      const rules = this.checkRules(file, options);
+      issues.push(...rules.issues);
+      checks.push(...rules.checks);
+    }
+
+    return this.createResult(path, issues, checks);
+  }
+
+  /**
+   * Structural checks the builder runs before importing a file
+   */
+  checkImport(file) {
+    const { errors } = this.configImporter.validateImportedConfig(file.data);
+    const rootLine = this.getRootLine(file);
+
+    return errors.map(error => this.createIssue(
+      'import',
+      error,
+      this.getImportErrorLine(file, error, rootLine),
+      this.configImporter.isImportWarning(error) ? 'warning' : 'error'
+    ));
+  }
+
+  /**
+   * Schema errors start with the path of the invalid value, metadata warnings with their key;
+   * other import errors are about the root or `pdt`
+   */
+  getImportErrorLine(file, error, rootLine) {
+    if (error.startsWith('Missing')) return rootLine;
+
+    const metadataKey = error.match(/^(variant|platform|country_code)\s/);
+    if (metadataKey) return file.getKeyLine(metadataKey[1]) || rootLine;
+
+    const path = error.match(/^(pdt\[[^\s]*)\s/);
+    if (path) return file.getPathLine(path[1]) || rootLine;
+
+    return this.getPdtLine(file, rootLine);
+  }
+
+  getRootLine(file) {
+    return file.getLine(file.data) || 1;
+  }
+
+  getPdtLine(file, fallback) {
+    return file.getLine(file.data?.pdt) || fallback;
+  }
+
+  /**
+   * Build the groups like the builder does and run the ValidationManager on them
+   * @returns {Object} { issues, checks }, checks being the validation categories that ran
+   */
+  checkRules(file, options) {
+    let configManager;
+    try {
+      configManager = new ConfigManager({ storage: new MemoryStorage() });
+      configManager.loadConfig(this.configImporter.normalizeConfig(file.getDataWithTitles()));
+    } catch (e) {
+      return {
+        issues: [this.createIssue('import', `Cannot build groups: ${e.message}`, this.getPdtLine(file, 1))],
+        checks: []
+      };
+    }
+
+    const validationManager = new ValidationManager(configManager);
+    validationManager.setPrecedence(options.precedence);
+    validationManager.setCoverageDomain(options.coverageDomain || {});
+    const { issues } = validationManager.validateConfiguration();
+
+    const locator = new SourceLocator(file, this.configImporter);
+    locator.locateGroups(configManager.groups);
+
+    const result = [];
+    Object.entries(issues).forEach(([category, categoryIssues]) => {
+      const severity = WARNING_CATEGORIES.includes(category) ? 'warning' : 'error';
+
+      categoryIssues.forEach(issue => {
+        result.push({
+          ...this.createIssue(category, issue.message, locator.getIssueLine(issue), severity),
+          groupId: issue.groupId || issue.group1
+        });
+      });
+    });
+
+    return {
+      issues: result.sort((a, b) => (a.line || 0) - (b.line || 0)),
+      checks: Object.keys(issues)
+    };
+  }
+
+  createIssue(category, message, line = null, severity = 'error') {
+    return { severity, category, message, line };
+  }
+
+  createResult(path, issues, checks) {
+    return {
+      file: path,
+      valid: !issues.some(issue => issue.severity === 'error'),
+      issues,
+      checks
+    };
+  }
+}
@@ -1,33 +1,79 @@
 // Import necessary modules
-import { ConfigManager } from './config-manager.js';
-import { YamlHandler } from './yaml-handler.js';
+import { ConfigManager } from './core/config-manager.js';
+import { YamlHandler } from './core/yaml-handler.js';
 import { GridManager } from './grid-manager.js';
 import { TemplateManager } from './template-manager.js';
-import { ValidationManager } from './validation-manager.js';
+import { ValidationManager } from './core/validation-manager.js';
 import { ExportImportManager } from './export-import.js';
+import { EvaluationEngine } from './core/evaluation-engine.js';
+import { PipelineTraceManager } from './pipeline-trace.js';
+import { SimulationManager } from './simulation-manager.js';
+import { HeatmapManager } from './heatmap-manager.js';
+import { QuickFixManager } from './quick-fix-manager.js';
+import { HistoryManager } from './core/history-manager.js';
+import { CompareManager } from './compare-manager.js';
+import { MergeManager } from './merge-manager.js';
+import { CatalogManager } from './catalog-manager.js';
+import { getDefaultEnumCatalog } from './core/enum-catalog.js';
+import { MetadataValidator } from './core/metadata-validator.js';
+import { WorkspaceManager } from './core/workspace-manager.js';
+import { WorkspacePanel } from './workspace-panel.js';
+import { ExperimentManager } from './core/experiment-manager.js';
+import { ExperimentDialog } from './experiment-dialog.js';
 
 // Main App class
 class PDTConfigBuilder {
   constructor() {
-    this.configManager = new ConfigManager();
+    this.enumCatalog = getDefaultEnumCatalog();
+    this.metadataValidator = new MetadataValidator(this.enumCatalog);
+    this.workspaceManager = new WorkspaceManager();
+    this.experimentManager = new ExperimentManager(this.workspaceManager);
+    this.configManager = new ConfigManager({
+      storageKeys: this.workspaceManager.getStorageKeys(this.workspaceManager.getActiveId())
+    });
+    this.historyManager = new HistoryManager(this.configManager);
+    this.configManager.setHistoryManager(this.historyManager);
     this.yamlHandler = new YamlHandler();
     this.gridManager = new GridManager(this.configManager);
     this.templateManager = new TemplateManager();
     this.validationManager = new ValidationManager(this.configManager);
     this.exportImportManager = new ExportImportManager(this);
+    this.evaluationEngine = new EvaluationEngine();
+    this.pipelineTraceManager = new PipelineTraceManager(this);
+    this.simulationManager = new SimulationManager(this);
+    this.heatmapManager = new HeatmapManager(this.configManager);
+    this.quickFixManager = new QuickFixManager(this);
+    this.compareManager = new CompareManager(this);
+    this.mergeManager = new MergeManager(this);
+    this.catalogManager = new CatalogManager(this);
+    this.workspacePanel = new WorkspacePanel(this);
+    this.experimentDialog = new ExperimentDialog(this);
 
     this.currentSection = 'display-format';
     this.activeGroupId = null;
 
+    // Whether the user was told that saving failed; reset by the next successful save
+    this.saveErrorShown = false;
+
     this.initializeApp();
   }
 
   validateConfiguration() {
     const validationResult = this.validationManager.validateConfiguration();
     this.showValidationIssues(validationResult);
+    this.renderMetadataIssues();
     return validationResult.valid;
   }
 
+  /**
+   * Resolve the current configuration for an order context
+   * @param {Object} orderContext Order fields (pdt, mean_delay, segment fields)
+   * @returns {Object} Evaluation result from the EvaluationEngine
+   */
+  evaluateOrder(orderContext) {
+    return this.evaluationEngine.evaluate(this.configManager.getConfig(), orderContext);
+  }
+
   showValidationIssues(validationResult) {
     // Clear previous validation markers
     document.querySelectorAll('.validation-error').forEach(el => {
@@ -51,6 +97,20 @@ class PDTConfigBuilder {
       this.markGroupWithError(issue.groupId, issue.message);
     });
 
+    // Show boundary issues on both neighbouring rules
+    validationResult.issues.boundaryIssues.forEach(issue => {
+      this.markRulesWithError(issue.groupId, issue.rule1Index, issue.rule2Index, issue.message);
+    });
+
+    // Show shadowed rules; capping entries are whole groups
+    validationResult.issues.shadowedRules.forEach(issue => {
+      if (issue.ruleIndex === null) {
+        this.markGroupWithError(issue.groupId, issue.message);
+      } else {
+        this.markRulesWithError(issue.groupId, issue.ruleIndex, null, issue.message);
+      }
+    });
+
 
     // Update validation panel
     const issueCount = document.getElementById('issueCount');
@@ -58,7 +118,12 @@ class PDTConfigBuilder {
 
     const totalIssues =
       validationResult.issues.duplicateGroups.length +
-      validationResult.issues.overlappingRules.length;
+      validationResult.issues.overlappingRules.length +
+      validationResult.issues.boundaryIssues.length +
+      validationResult.issues.coverageGaps.length +
+      validationResult.issues.shadowedRules.length +
+      validationResult.issues.crossGroupOverlaps.length +
+      validationResult.issues.requiredFields.length;
 
     issueCount.textContent = totalIssues;
 
@@ -73,88 +138,188 @@ class PDTConfigBuilder {
 
       // Add duplicate group issues
       if (validationResult.issues.duplicateGroups.length > 0) {
-        const section = document.createElement('div');
-        section.className = 'issue-section';
-        section.innerHTML = '<h4>Duplicate Groups</h4>';
-
-        const list = document.createElement('ul');
-        validationResult.issues.duplicateGroups.forEach(issue => {
-          const item = document.createElement('li');
-          item.textContent = issue.message;
-          item.setAttribute('data-group1', issue.group1);
-          item.setAttribute('data-group2', issue.group2);
-
-          // Add click handler to scroll to groups
-          item.addEventListener('click', () => {
-            const group = document.querySelector(`[data-group-id="${issue.group1}"]`);
-            if (group) {
-              group.scrollIntoView({ behavior: 'smooth' });
-            }
-          });
-
-          list.appendChild(item);
-        });
-
-        section.appendChild(list);
-        validationContent.appendChild(section);
+        validationContent.appendChild(
+          this.createIssueSection('Duplicate Groups', 'duplicateGroups', validationResult.issues.duplicateGroups, issue => issue.group1)
+        );
       }
 
       // Add overlapping rules issues
       if (validationResult.issues.overlappingRules.length > 0) {
-        const section = document.createElement('div');
-        section.className = 'issue-section';
-        section.innerHTML = '<h4>Overlapping Rules</h4>';
-
-        const list = document.createElement('ul');
-        validationResult.issues.overlappingRules.forEach(issue => {
-          const item = document.createElement('li');
-          item.textContent = issue.message;
-          item.setAttribute('data-group', issue.groupId);
-
-          // Add click handler to scroll to group
-          item.addEventListener('click', () => {
-            const group = document.querySelector(`[data-group-id="${issue.groupId}"]`);
-            if (group) {
-              group.scrollIntoView({ behavior: 'smooth' });
-            }
-          });
-
-          list.appendChild(item);
-        });
+        validationContent.appendChild(
+          this.createIssueSection('Overlapping Rules', 'overlappingRules', validationResult.issues.overlappingRules, issue => issue.groupId)
+        );
+      }
 
-        section.appendChild(list);
-        validationContent.appendChild(section);
+      // Add boundary issues with their suggested bounds
+      if (validationResult.issues.boundaryIssues.length > 0) {
+        validationContent.appendChild(
+          this.createIssueSection('Boundary Issues', 'boundaryIssues', validationResult.issues.boundaryIssues, issue => issue.groupId)
+        );
+      }
+
+      // Add coverage gap issues
+      if (validationResult.issues.coverageGaps.length > 0) {
+        validationContent.appendChild(
+          this.createIssueSection('Coverage Gaps', 'coverageGaps', validationResult.issues.coverageGaps, issue => issue.groupId)
+        );
+      }
+
+      // Add cross-group issues
+      if (validationResult.issues.shadowedRules.length > 0) {
+        validationContent.appendChild(
+          this.createIssueSection('Shadowed Rules', 'shadowedRules', validationResult.issues.shadowedRules, issue => issue.groupId)
+        );
+      }
+
+      if (validationResult.issues.crossGroupOverlaps.length > 0) {
+        validationContent.appendChild(
+          this.createIssueSection('Cross-Group Overlaps', 'crossGroupOverlaps', validationResult.issues.crossGroupOverlaps, issue => issue.group1)
+        );
       }
 
       // Add required fields issues
       if (validationResult.issues.requiredFields.length > 0) {
-        const section = document.createElement('div');
-        section.className = 'issue-section';
-        section.innerHTML = '<h4>Configuration Issues</h4>';
-
-        const list = document.createElement('ul');
-        validationResult.issues.requiredFields.forEach(issue => {
-          const item = document.createElement('li');
-          item.textContent = issue.message;
-          item.setAttribute('data-group', issue.groupId);
-
-          // Add click handler to scroll to group
-          item.addEventListener('click', () => {
-            const group = document.querySelector(`[data-group-id="${issue.groupId}"]`);
-            if (group) {
-              group.scrollIntoView({ behavior: 'smooth' });
-            }
-          });
-
-          list.appendChild(item);
-        });
+        validationContent.appendChild(
+          this.createIssueSection('Configuration Issues', 'requiredFields', validationResult.issues.requiredFields, issue => issue.groupId)
+        );
+      }
+    }
+  }
+
+  /**
+   * Create a validation panel section whose items scroll to their group.
+   * Issues with a quick-fix get a Fix button that opens its preview.
+   * @param {string} title Section heading
+   * @param {string} category Issue category in the validation result
+   * @param {Array} issues Issues with a message
+   * @param {Function} getGroupId Returns the group to scroll to for an issue
+   */
+  createIssueSection(title, category, issues, getGroupId) {
+    const section = document.createElement('div');
+    section.className = 'issue-section';
+    section.innerHTML = `<h4>${title}</h4>`;
+
+    const list = document.createElement('ul');
+    issues.forEach(issue => {
+      const item = document.createElement('li');
+      item.setAttribute('data-group', getGroupId(issue));
+
+      const text = document.createElement('span');
+      text.textContent = issue.message;
+      item.appendChild(text);
+
+      // Add click handler to scroll to group
+      text.addEventListener('click', () => {
+        const group = document.querySelector(`[data-group-id="${getGroupId(issue)}"]`);
+        if (group) {
+          group.scrollIntoView({ behavior: 'smooth' });
+        }
+      });
 
-        section.appendChild(list);
-        validationContent.appendChild(section);
+      const fix = this.quickFixManager.getFix(category, issue);
+      if (fix) {
+        const fixButton = document.createElement('button');
+        fixButton.className = 'btn small fix-issue';
+        fixButton.textContent = 'Fix';
+        fixButton.title = fix.label;
+        fixButton.addEventListener('click', () => {
+          this.quickFixManager.showPreview(fix);
+        });
+        item.appendChild(fixButton);
       }
+
+      list.appendChild(item);
+    });
+
+    section.appendChild(list);
+    return section;
+  }
+
+  /**
+   * Apply a quick-fix as one undoable change
+   * @param {Object} fix Fix from the QuickFixManager
+   */
+  applyQuickFix(fix) {
+    this.configManager.applyChange(fix.label, configManager => fix.apply(configManager));
+    this.refreshAfterChange();
+  }
+
+  /**
+   * Tell the user that changes are not kept in the browser; shown once until a save succeeds again
+   */
+  showSaveError(error) {
+    if (this.saveErrorShown) return;
+    this.saveErrorShown = true;
+
+    alert(`Changes could not be saved in the browser storage (${error.message}). ` +
+      'Export the configuration or delete unused configurations from the workspace to keep your work.');
+  }
+
+  /**
+   * Undo the latest change
+   */
+  undo() {
+    if (this.historyManager.undo() !== null) {
+      this.refreshAfterChange();
     }
   }
 
+  /**
+   * Redo the latest undone change
+   */
+  redo() {
+    if (this.historyManager.redo() !== null) {
+      this.refreshAfterChange();
+    }
+  }
+
+  /**
+   * Re-render everything that depends on the config state
+   */
+  refreshAfterChange() {
+    this.exportImportManager.updateMetadataFields(this.configManager.getConfig());
+    this.renderGroups();
+    this.updateYamlPreview();
+    this.validateConfiguration();
+  }
+
+  /**
+   * Open another config of the workspace with its own undo history
+   */
+  openWorkspaceConfig(id) {
+    const storageKeys = this.workspaceManager.setActive(id);
+    this.configManager.useStorageKeys(storageKeys);
+    this.historyManager.reload();
+
+    this.workspacePanel.render();
+    this.refreshAfterChange();
+  }
+
+  /**
+   * Update the undo/redo buttons and the history dropdown
+   */
+  updateHistoryControls() {
+    const undoButton = document.getElementById('undoBtn');
+    const redoButton = document.getElementById('redoBtn');
+    const undoEntries = this.historyManager.undoStack;
+    const redoEntries = this.historyManager.redoStack;
+
+    undoButton.disabled = !this.historyManager.canUndo();
+    undoButton.title = undoEntries.length > 0 ? `Undo: ${undoEntries[undoEntries.length - 1].label}` : 'Nothing to undo';
+    redoButton.disabled = !this.historyManager.canRedo();
+    redoButton.title = redoEntries.length > 0 ? `Redo: ${redoEntries[redoEntries.length - 1].label}` : 'Nothing to redo';
+
+    const selector = document.getElementById('historySelector');
+    selector.innerHTML = `<option value="">History (${undoEntries.length})</option>`;
+    this.historyManager.getEntries().forEach(entry => {
+      const option = document.createElement('option');
+      option.value = entry.index;
+      option.textContent = `${new Date(entry.timestamp).toLocaleTimeString()} – ${entry.label}`;
+      selector.appendChild(option);
+    });
+    selector.disabled = undoEntries.length === 0;
+  }
+
   markGroupWithError(groupId, message) {
     const groupElement = document.querySelector(`[data-group-id="${groupId}"]`);
     if (groupElement) {
@@ -234,6 +399,18 @@ class PDTConfigBuilder {
   initializeApp() {
     // Initialize app state
     this.configManager.initializeConfig();
+    this.exportImportManager.updateMetadataFields(this.configManager.getConfig());
+    this.renderMetadataIssues();
+
+    // Every save of the open config is noted in the workspace list
+    this.configManager.onSave = () => {
+      this.saveErrorShown = false;
+      this.workspaceManager.touch(this.workspaceManager.getActiveId(), this.configManager.getConfig());
+      this.workspacePanel.render();
+    };
+    this.configManager.onSaveError = error => this.showSaveError(error);
+    this.historyManager.onSaveError = error => this.showSaveError(error);
+    this.workspacePanel.render();
 
     // Set up event listeners
     this.setupEventListeners();
@@ -248,8 +425,102 @@ class PDTConfigBuilder {
     this.updateYamlPreview();
   }
 
+  /**
+   * Fill the section navigation with the registered sections
+   */
+  renderSectionList() {
+    const list = document.querySelector('.section-list');
+    list.innerHTML = '';
+
+    this.configManager.sectionRegistry.getAll().forEach(definition => {
+      const item = document.createElement('li');
+      item.className = 'section-item';
+      item.classList.toggle('active', definition.id === this.currentSection);
+      item.dataset.section = definition.id;
+
+      const icon = document.createElement('span');
+      icon.className = 'section-icon';
+      icon.textContent = definition.icon || '';
+      item.appendChild(icon);
+
+      const name = document.createElement('span');
+      name.className = 'section-name';
+      name.textContent = definition.label;
+      item.appendChild(name);
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Fill the platform select with the catalogued platforms and the country select
+   * with the countries of the selected platform. Values the catalog does not list
+   * are kept as an extra option, so imported configs show what they hold.
+   */
+  renderMetadataOptions(config = this.configManager.getConfig()) {
+    const fillSelect = (select, options, value) => {
+      select.innerHTML = '';
+
+      const values = options.map(option => option.value);
+      if (!values.includes(value)) {
+        options = [{ value, label: value ? `${value} (not in catalog)` : 'Select…' }, ...options];
+      }
+
+      options.forEach(option => {
+        const optionElement = document.createElement('option');
+        optionElement.value = option.value;
+        optionElement.textContent = option.label;
+        optionElement.title = option.description || '';
+        select.appendChild(optionElement);
+      });
+
+      select.value = value;
+    };
+
+    fillSelect(document.getElementById('platform'), this.enumCatalog.getOptions('platforms'), config.platform || '');
+    fillSelect(
+      document.getElementById('countryCode'),
+      this.enumCatalog.getCountryOptions(config.platform),
+      config.countryCode || ''
+    );
+  }
+
+  /**
+   * Show variant, platform and country code problems under the metadata fields
+   */
+  renderMetadataIssues() {
+    const list = document.getElementById('metadataIssues');
+    list.innerHTML = '';
+
+    this.metadataValidator.validate(this.configManager.getConfig()).forEach(issue => {
+      const item = document.createElement('li');
+      item.textContent = issue.message;
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Change the platform; a country the new platform does not operate in is
+   * replaced by the platform's first country in the same history step
+   */
+  changePlatform(platform) {
+    const countries = this.enumCatalog.getCountries(platform);
+    const countryCode = this.configManager.getConfig().countryCode;
+
+    if (countries.length > 0 && !countries.includes(countryCode)) {
+      this.configManager.updateMetadataValues({ platform, countryCode: countries[0] });
+    } else {
+      this.configManager.updateMetadata('platform', platform);
+    }
+
+    this.renderMetadataOptions();
+    this.renderMetadataIssues();
+    this.updateYamlPreview();
+  }
+
   setupEventListeners() {
     // Section navigation
+    this.renderSectionList();
     document.querySelectorAll('.section-item').forEach(item => {
       item.addEventListener('click', () => this.changeSection(item.dataset.section));
     });
@@ -262,19 +533,49 @@ class PDTConfigBuilder {
 
     document.getElementById('variant').addEventListener('change', (e) => {
       this.configManager.updateMetadata('variant', e.target.value);
+      this.renderMetadataIssues();
       this.updateYamlPreview();
     });
 
     document.getElementById('platform').addEventListener('change', (e) => {
-      this.configManager.updateMetadata('platform', e.target.value);
-      this.updateYamlPreview();
+      this.changePlatform(e.target.value);
     });
 
     document.getElementById('countryCode').addEventListener('change', (e) => {
       this.configManager.updateMetadata('countryCode', e.target.value);
+      this.renderMetadataOptions();
+      this.renderMetadataIssues();
       this.updateYamlPreview();
     });
 
+    // Undo / redo
+    document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+    document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+
+    document.getElementById('historySelector').addEventListener('change', (e) => {
+      if (e.target.value !== '') {
+        this.historyManager.undoTo(parseInt(e.target.value));
+        this.refreshAfterChange();
+      }
+    });
+
+    this.historyManager.onChange = () => this.updateHistoryControls();
+    this.updateHistoryControls();
+
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+
+      // Leave text fields to their own undo
+      if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+      e.preventDefault();
+      if (e.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    });
+
     // Add group button
     document.getElementById('addGroupBtn').addEventListener('click', () => {
       this.addNewGroup();
@@ -306,6 +607,30 @@ class PDTConfigBuilder {
       this.exportImportManager.exportYaml();
     });
 
+    document.getElementById('schemaBtn').addEventListener('click', () => {
+      this.exportImportManager.exportSchema();
+    });
+
+    document.getElementById('compareBtn').addEventListener('click', () => {
+      this.compareManager.showCompareDialog();
+    });
+
+    document.getElementById('mergeBtn').addEventListener('click', () => {
+      this.mergeManager.showMergeDialog();
+    });
+
+    document.getElementById('catalogBtn').addEventListener('click', () => {
+      this.catalogManager.showCatalogDialog();
+    });
+
+    document.getElementById('experimentBtn').addEventListener('click', () => {
+      this.experimentDialog.showExperimentDialog();
+    });
+
+    document.getElementById('simulateBtn').addEventListener('click', () => {
+      this.simulationManager.showSimulationDialog();
+    });
+
     // Reset button
     document.getElementById('resetBtn').addEventListener('click', () => {
       this.resetConfiguration();
@@ -314,18 +639,38 @@ class PDTConfigBuilder {
     document.getElementById('toggleValidationPanel').addEventListener('click', () => {
       document.getElementById('validationPanel').classList.toggle('expanded');
     });
+
+    // Precedence for the cross-group analysis
+    document.getElementById('precedenceSelector').addEventListener('change', (e) => {
+      this.validationManager.setPrecedence(e.target.value);
+      this.validateConfiguration();
+    });
+
+    // Coverage domain for the gap check
+    ['coveragePdtMin', 'coveragePdtMax', 'coverageMeanDelayMin', 'coverageMeanDelayMax'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => {
+        this.validationManager.setCoverageDomain({
+          pdt: {
+            min: document.getElementById('coveragePdtMin').value,
+            max: document.getElementById('coveragePdtMax').value
+          },
+          meanDelay: {
+            min: document.getElementById('coverageMeanDelayMin').value,
+            max: document.getElementById('coverageMeanDelayMax').value
+          }
+        });
+        this.validateConfiguration();
+      });
+    });
   }
 
   resetConfiguration() {
-    if (confirm('Are you sure you want to reset the configuration? This will clear all your current settings.')) {
+    if (confirm('Are you sure you want to reset the configuration? This will clear all your current settings. You can bring them back with Undo.')) {
       // Clear the current configuration
       this.configManager.resetConfig();
 
-      // Re-render UI with empty state
-      this.renderUI();
-
-      // Update YAML preview
-      this.updateYamlPreview();
+      // Re-render UI with empty state and default metadata
+      this.refreshAfterChange();
     }
   }
 
@@ -349,14 +694,7 @@ class PDTConfigBuilder {
   }
 
   sectionIdToDisplayName(sectionId) {
-    const nameMap = {
-      'display-format': 'Display Format',
-      'ranges': 'Ranges',
-      'capping': 'Capping',
-      'rounding': 'Rounding'
-    };
-
-    return nameMap[sectionId] || sectionId;
+    return this.configManager.sectionRegistry.get(sectionId)?.label || sectionId;
   }
 
   renderUI() {
@@ -422,9 +760,49 @@ class PDTConfigBuilder {
     // Render rules table
     this.renderRulesTable(groupElement, group);
 
+    // Fields kept from the imported file that the group cannot edit
+    this.renderPassthroughFields(groupElement, group);
+
+    // Restore the heatmap if it was open before re-rendering
+    if (group.type === 'ranges' && this.heatmapManager.visibleGroups.has(group.id)) {
+      this.heatmapManager.renderHeatmap(groupElement, group.id);
+    }
+
     return groupElement;
   }
 
+  renderPassthroughFields(groupElement, group) {
+    const passthroughFields = this.configManager.passthroughFields;
+    const fields = passthroughFields.flatten(group.passthrough, '').map(field => ({ ...field, rule: null }));
+
+    group.rules.forEach((rule, index) => {
+      passthroughFields.flatten(rule.passthrough, '').forEach(field => {
+        fields.push({ ...field, rule: index + 1 });
+      });
+    });
+
+    if (fields.length === 0) return;
+
+    const container = document.createElement('div');
+    container.className = 'passthrough-fields';
+
+    const heading = document.createElement('h4');
+    heading.textContent = 'Kept From Import';
+    heading.title = 'Fields the builder does not edit; they are exported unchanged';
+    container.appendChild(heading);
+
+    const list = document.createElement('ul');
+    fields.forEach(field => {
+      const item = document.createElement('li');
+      const prefix = field.rule !== null ? `Rule ${field.rule}: ` : '';
+      item.textContent = `${prefix}${field.path}: ${passthroughFields.formatValue(field.value)}`;
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+
+    groupElement.querySelector('.group-content').appendChild(container);
+  }
+
   makeGroupTitleEditable(titleElement, groupId) {
     const currentTitle = titleElement.textContent;
     const inputElement = document.createElement('input');
@@ -498,6 +876,22 @@ class PDTConfigBuilder {
       this.deleteGroup(group.id);
     });
 
+    // Heatmap of the PDT × mean-delay plane, only for ranges groups
+    if (group.type === 'ranges') {
+      const heatmapButton = document.createElement('button');
+      heatmapButton.className = 'btn small heatmap-group';
+      heatmapButton.textContent = 'Heatmap';
+      heatmapButton.classList.toggle('active', this.heatmapManager.visibleGroups.has(group.id));
+      heatmapButton.addEventListener('click', () => {
+        const visible = this.heatmapManager.toggleHeatmap(groupElement, group.id);
+        heatmapButton.classList.toggle('active', visible);
+      });
+      groupElement.querySelector('.group-actions').insertBefore(
+        heatmapButton,
+        groupElement.querySelector('.clone-group')
+      );
+    }
+
     // Add rule button
     groupElement.querySelector('.add-rule').addEventListener('click', () => {
       this.addRule(group.id);
@@ -527,6 +921,11 @@ class PDTConfigBuilder {
     label.htmlFor = `${group.id}-${param.name}`;
     paramElement.appendChild(label);
 
+    if (param.type === 'chips') {
+      paramElement.appendChild(this.createChipsElement(param, group));
+      return paramElement;
+    }
+
     let inputElement;
 
     if (param.type === 'select') {
@@ -537,6 +936,7 @@ class PDTConfigBuilder {
         const optionElement = document.createElement('option');
         optionElement.value = option.value;
         optionElement.textContent = option.label;
+        optionElement.title = option.description || '';
         inputElement.appendChild(optionElement);
       });
     } else if (param.type === 'checkbox') {
@@ -592,177 +992,76 @@ class PDTConfigBuilder {
     return paramElement;
   }
 
-  getCommonParamsForSection(sectionId) {
-    // Define common parameters for each section type
-    switch (sectionId) {
-      case 'display-format':
-        return [
-          {
-            name: 'deliveryMode',
-            label: 'Delivery Mode',
-            type: 'select',
-            options: [
-              { value: '', label: 'Any' },
-              { value: 'DELIVERY', label: 'Delivery' },
-              { value: 'PICKUP', label: 'Pickup' }
-            ]
-            // Removed default
-          },
-          {
-            name: 'marketplace',
-            label: 'Marketplace',
-            type: 'select',
-            options: [
-              { value: '', label: 'Any' },
-              { value: 'true', label: 'True' },
-              { value: 'false', label: 'False' }
-            ]
-            // Removed default
-          },
-          {
-            name: 'pdtLessThanOrEqualTo',
-            label: 'PDT ≤',
-            type: 'number'
-          },
-          {
-            name: 'verticalType',
-            label: 'Vertical Type',
-            type: 'select',
-            options: [
-              { value: '', label: 'Any' },
-              { value: 'restaurants', label: 'Restaurants' },
-              { value: 'darkstores', label: 'Darkstores' }
-            ]
-          }
-        ];
-      case 'ranges':
-        return [
-          {
-            name: 'deliveryOption',
-            label: 'Delivery Option',
-            type: 'select',
-            options: [
-              { value: '', label: 'Any' },
-              { value: 'STANDARD', label: 'Standard' },
-              { value: 'PRIORITY', label: 'Priority' },
-              { value: 'SAVER', label: 'Saver' }
-            ]
-            // Removed default
-          },
-          {
-            name: 'deliveryMode',
-            label: 'Delivery Mode',
-            type: 'select',
-            options: [
-              { value: '', label: 'Any' },
-              { value: 'DELIVERY', label: 'Delivery' },
-              { value: 'PICKUP', label: 'Pickup' }
-            ]
-            // Removed default
-          },
-          {
-            name: 'marketplace',
-            label: 'Marketplace',
-            type: 'select',
-            options: [
-              { value: '', label: 'Any' },
-              { value: 'true', label: 'True' },
-              { value: 'false', label: 'False' }
-            ]
-            // Removed default
-          },
-          {
-            name: 'verticalType',
-            label: 'Vertical Type',
-            type: 'select',
-            options: [
-              { value: '', label: 'Any' },
-              { value: 'restaurants', label: 'Restaurants' },
-              { value: 'darkstores', label: 'Darkstores' }
-            ]
-          }
-        ];
-      case 'capping':
-        return [
-          {
-            name: 'deliveryOption',
-            label: 'Delivery Option',
-            type: 'select',
-            options: [
-              { value: '', label: 'Any' },
-              { value: 'STANDARD', label: 'Standard' },
-              { value: 'PRIORITY', label: 'Priority' },
-              { value: 'SAVER', label: 'Saver' }
-            ]
-            // Removed default
-          },
-          {
-            name: 'deliveryMode',
-            label: 'Delivery Mode',
-            type: 'select',
-            options: [
-              { value: '', label: 'Any' },
-              { value: 'DELIVERY', label: 'Delivery' },
-              { value: 'PICKUP', label: 'Pickup' }
-            ]
-            // Removed default
-          },
-          {
-            name: 'marketplace',
-            label: 'Marketplace',
-            type: 'select',
-            options: [
-              { value: '', label: 'Any' },
-              { value: 'true', label: 'True' },
-              { value: 'false', label: 'False' }
-            ]
-            // Removed default
-          },
-          {
-            name: 'pdtGreaterThan',
-            label: 'PDT >',
-            type: 'number'
-          },
-          {
-            name: 'pdtLessThanOrEqualTo',
-            label: 'PDT ≤',
-            type: 'number'
-          },
-          {
-            name: 'meanDelayGreaterThan',
-            label: 'Mean Delay >',
-            type: 'number'
-          },
-          {
-            name: 'meanDelayLessThanOrEqualTo',
-            label: 'Mean Delay ≤',
-            type: 'number'
-          },
-          {
-            name: 'verticalType',
-            label: 'Vertical Type',
-            type: 'select',
-            options: [
-              { value: '', label: 'Any' },
-              { value: 'restaurants', label: 'Restaurants' },
-              { value: 'darkstores', label: 'Darkstores' }
-            ]
-          }
-        ];
-      case 'rounding':
-        return [
-          {
-            name: 'strategy',
-            label: 'Rounding Strategy',
-            type: 'select',
-            options: [
-              { value: 'FLOOR_5', label: 'Floor to 5 minutes' },
-            ]
-          }
-        ];
-      default:
-        return [];
+  /**
+   * Chips for a list parameter such as the vertical types; an empty list matches any value.
+   * Values are picked from the suggestions or typed in.
+   */
+  createChipsElement(param, group) {
+    const values = Array.isArray(group.commonParams[param.name]) ? [...group.commonParams[param.name]] : [];
+    const container = document.createElement('div');
+    container.className = 'chips-input';
+
+    const update = (newValues) => {
+      this.updateGroupCommonParam(group.id, param.name, newValues);
+      this.renderCommonParams(container.closest('.rule-group'), this.configManager.getGroup(group.id));
+    };
+
+    if (values.length === 0) {
+      const empty = document.createElement('span');
+      empty.className = 'chips-empty';
+      empty.textContent = param.emptyLabel || 'Any';
+      container.appendChild(empty);
     }
+
+    values.forEach(value => {
+      const option = param.options.find(item => item.value === value);
+
+      const chip = document.createElement('span');
+      chip.className = 'chip';
+      chip.textContent = option ? option.label : value;
+
+      const removeButton = document.createElement('button');
+      removeButton.className = 'chip-remove';
+      removeButton.textContent = '×';
+      removeButton.title = `Remove ${chip.textContent}`;
+      removeButton.addEventListener('click', () => {
+        update(values.filter(item => item !== value));
+      });
+
+      chip.appendChild(removeButton);
+      container.appendChild(chip);
+    });
+
+    const datalist = document.createElement('datalist');
+    datalist.id = `${group.id}-${param.name}-options`;
+    param.options
+      .filter(option => !values.includes(option.value))
+      .forEach(option => {
+        const optionElement = document.createElement('option');
+        optionElement.value = option.value;
+        optionElement.textContent = option.description ? `${option.label}: ${option.description}` : option.label;
+        datalist.appendChild(optionElement);
+      });
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `${group.id}-${param.name}`;
+    input.placeholder = 'Add…';
+    input.setAttribute('list', datalist.id);
+    input.addEventListener('change', (e) => {
+      const value = e.target.value.trim();
+      if (value && !values.includes(value)) {
+        update([...values, value]);
+      }
+    });
+
+    container.appendChild(input);
+    container.appendChild(datalist);
+    return container;
+  }
+
+  getCommonParamsForSection(sectionId) {
+    return this.configManager.sectionRegistry.get(sectionId)?.commonParams || [];
   }
 
   renderRulesTable(groupElement, group) {
@@ -830,29 +1129,24 @@ class PDTConfigBuilder {
     const group = this.configManager.getGroup(groupId);
     if (!group) return false;
 
-    // For display-format, only allow one rule per group
-    if (group.type === 'display-format') {
-      // If the group already has a rule, don't allow adding another
-      if (group.rules && group.rules.length > 0) {
-        alert("Display Format groups can only have one format rule. Please create a new group for additional formats.");
-        return false;
-      }
-
-      // Add a default display format rule
-      this.configManager.addRule(groupId, 'DISPLAY_FORMAT_MINUTE_RANGE');
-    } else {
-      // For other section types, just add a rule normally
-      this.configManager.addRule(groupId);
+    // Some sections limit the rules of a group, e.g. one format per display format group
+    const definition = this.configManager.sectionRegistry.get(group.type);
+    if (definition?.maxRules !== undefined && group.rules.length >= definition.maxRules) {
+      const ruleText = definition.maxRules === 1 ? 'one rule' : `${definition.maxRules} rules`;
+      alert(`${definition.groupLabel} groups can only have ${ruleText}. Please create a new group instead.`);
+      return false;
     }
 
+    this.configManager.addRule(groupId);
+
     // Re-render just this group
     const groupElement = document.querySelector(`[data-group-id="${groupId}"]`);
     if (groupElement) {
       const group = this.configManager.getGroup(groupId);
       this.renderRulesTable(groupElement, group);
 
-      // If this is a ranges group, re-apply the color coding
-      if (group.type === 'ranges') {
+      // Re-apply the color coding of sections with PDT / mean-delay bands
+      if (definition?.colorCodedRows) {
         const tableContainer = groupElement.querySelector('.rules-table');
         if (tableContainer && this.gridManager) {
           this.gridManager.applyColorCodingToRangesTable(tableContainer);
@@ -871,11 +1165,7 @@ class PDTConfigBuilder {
 
   // Helper method to get format options
   getFormatOptions() {
-    return [
-      { value: 'DISPLAY_FORMAT_MINUTE_VALUE', label: 'Minute Value' },
-      { value: 'DISPLAY_FORMAT_MINUTE_RANGE', label: 'Minute Range' },
-      { value: 'DISPLAY_FORMAT_ETA_RANGE', label: 'ETA Range' }
-    ];
+    return this.enumCatalog.getOptions('displayFormats');
   }
 
 
@@ -904,11 +1194,13 @@ class PDTConfigBuilder {
     const template = this.templateManager.getTemplate(templateId);
 
     if (template) {
-      // Apply template to create new groups
-      template.groups.forEach(templateGroup => {
-        // Override the template's type with the current section type
-        const groupToAdd = {...templateGroup, type: this.currentSection};
-        const groupId = this.configManager.addGroup(this.currentSection, groupToAdd);
+      // Apply template to create new groups, as one history step
+      this.configManager.recordChange(`Applied template ${template.name}`, () => {
+        template.groups.forEach(templateGroup => {
+          // Override the template's type with the current section type
+          const groupToAdd = {...templateGroup, type: this.currentSection};
+          const groupId = this.configManager.addGroup(this.currentSection, groupToAdd);
+        });
       });
 
       // Re-render
@@ -920,6 +1212,10 @@ class PDTConfigBuilder {
   updateYamlPreview() {
     const yaml = this.yamlHandler.generateYaml(this.configManager.getConfig());
     document.getElementById('yamlPreview').textContent = yaml;
+
+    // Keep the pipeline trace and open heatmaps in sync with the config
+    this.pipelineTraceManager.refresh();
+    this.heatmapManager.refreshVisible();
   }
 
   copyYamlToClipboard() {
@@ -0,0 +1,184 @@
+/**
+ * CatalogManager lets the user edit, import and download the enum catalog:
+ * the delivery options, verticals, platforms, formats and strategies the builder offers.
+ * The catalog is edited as YAML; saving it re-renders the groups with the new options.
+ */
+export class CatalogManager {
+  constructor(app) {
+    this.app = app;
+    this.enumCatalog = app.enumCatalog;
+
+    // File input for importing a catalog (hidden)
+    this.fileInput = document.createElement('input');
+    this.fileInput.type = 'file';
+    this.fileInput.accept = '.yml,.yaml,.json';
+    this.fileInput.style.display = 'none';
+    document.body.appendChild(this.fileInput);
+
+    this.fileInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.handleCatalogFile(e.target.files[0]);
+      }
+    });
+
+    this.createCatalogModal();
+  }
+
+  /**
+   * Create catalog modal element
+   */
+  createCatalogModal() {
+    const modal = document.createElement('div');
+    modal.id = 'catalogModal';
+    modal.className = 'modal';
+
+    modal.innerHTML = `
+      <div class="modal-content large-modal">
+        <div class="modal-header">
+          <h2>Enum Catalog</h2>
+          <span class="close-modal" id="closeCatalogModal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <p class="diff-description">
+            Values offered in the editor and checked on import. Each value may have a label and a description;
+            platforms also list the countries they operate in.
+            Values outside the strict enumerations are imported with a warning.
+          </p>
+          <ul id="catalogSummary" class="catalog-summary"></ul>
+          <textarea id="catalogEditor" class="catalog-editor" spellcheck="false"></textarea>
+          <pre id="catalogErrors" class="catalog-errors"></pre>
+        </div>
+        <div class="modal-footer">
+          <button id="importCatalogBtn" class="btn">Import File…</button>
+          <button id="downloadCatalogBtn" class="btn">Download</button>
+          <button id="resetCatalogBtn" class="btn">Reset to Defaults</button>
+          <button id="cancelCatalogBtn" class="btn">Cancel</button>
+          <button id="saveCatalogBtn" class="btn primary">Save</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    // Add event listeners
+    document.getElementById('closeCatalogModal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+
+    document.getElementById('cancelCatalogBtn').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+
+    document.getElementById('importCatalogBtn').addEventListener('click', () => {
+      this.fileInput.value = '';
+      this.fileInput.click();
+    });
+
+    document.getElementById('downloadCatalogBtn').addEventListener('click', () => {
+      this.downloadCatalog();
+    });
+
+    document.getElementById('resetCatalogBtn').addEventListener('click', () => {
+      if (confirm('Replace the catalog with the values the builder ships with?')) {
+        this.enumCatalog.resetCatalog();
+        this.applyCatalog();
+      }
+    });
+
+    document.getElementById('saveCatalogBtn').addEventListener('click', () => {
+      this.saveCatalog(document.getElementById('catalogEditor').value);
+    });
+  }
+
+  /**
+   * Open the catalog editor with the current catalog
+   */
+  showCatalogDialog() {
+    this.renderCatalog();
+    document.getElementById('catalogModal').style.display = 'flex';
+  }
+
+  /**
+   * Show the current catalog in the summary and the editor
+   */
+  renderCatalog() {
+    const summary = document.getElementById('catalogSummary');
+    summary.innerHTML = '';
+
+    this.enumCatalog.getEnumerations().forEach(enumeration => {
+      const values = this.enumCatalog.getValues(enumeration.name);
+
+      const item = document.createElement('li');
+      item.textContent = `${enumeration.label}${enumeration.strict ? ' (strict)' : ''}: ${values.join(', ') || 'none'}`;
+      summary.appendChild(item);
+    });
+
+    document.getElementById('catalogEditor').value = this.app.yamlHandler.yaml.dump(this.enumCatalog.getCatalog());
+    document.getElementById('catalogErrors').textContent = '';
+  }
+
+  /**
+   * Parse catalog text and make it the catalog
+   * @returns {boolean} Whether the catalog was saved; errors are shown in the editor
+   */
+  saveCatalog(text, fileName = '') {
+    try {
+      const data = fileName.endsWith('.json') ? JSON.parse(text) : this.app.yamlHandler.parseYaml(text);
+      this.enumCatalog.setCatalog(data);
+    } catch (error) {
+      console.error('Error saving catalog:', error);
+      document.getElementById('catalogErrors').textContent = error.message;
+      return false;
+    }
+
+    this.applyCatalog();
+    return true;
+  }
+
+  /**
+   * Show the catalog in the editor and the groups; the YAML is checked again
+   * since catalogued values decide which entries are valid
+   */
+  applyCatalog() {
+    this.renderCatalog();
+    this.app.renderMetadataOptions();
+    this.app.pipelineTraceManager.renderOptions();
+    this.app.renderGroups();
+    this.app.validateConfiguration();
+  }
+
+  /**
+   * Read a catalog file into the editor and save it
+   */
+  handleCatalogFile(file) {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      if (this.saveCatalog(e.target.result, file.name)) {
+        alert(`Catalog imported from ${file.name}`);
+      }
+    };
+
+    reader.readAsText(file);
+  }
+
+  /**
+   * Download the catalog as YAML
+   */
+  downloadCatalog() {
+    const yaml = this.app.yamlHandler.yaml.dump(this.enumCatalog.getCatalog());
+
+    const blob = new Blob([yaml], { type: 'text/yaml;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const downloadLink = document.createElement('a');
+    downloadLink.href = url;
+    downloadLink.download = 'pdt-enum-catalog.yml';
+
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+
+    document.body.removeChild(downloadLink);
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+  }
+}
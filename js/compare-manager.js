@@ -0,0 +1,215 @@
+import { ConfigDiff } from './core/config-diff.js';
+
+/**
+ * CompareManager shows the semantic differences between the current config
+ * and a config file, entry by entry rather than line by line.
+ * The rendering is shared with the import dialog, which lists what the import changes.
+ */
+export class CompareManager {
+  constructor(app) {
+    this.app = app;
+    this.configDiff = new ConfigDiff();
+
+    // Labels for each entry status
+    this.statusLabels = {
+      added: 'Added',
+      removed: 'Removed',
+      changed: 'Changed'
+    };
+
+    // Display names of the YAML sections
+    this.sectionLabels = {};
+    app.configManager.sectionRegistry.getAll().forEach(definition => {
+      this.sectionLabels[definition.key] = definition.label;
+    });
+
+    // File input for the compared file (hidden)
+    this.fileInput = document.createElement('input');
+    this.fileInput.type = 'file';
+    this.fileInput.accept = '.yml,.yaml,.json';
+    this.fileInput.style.display = 'none';
+    document.body.appendChild(this.fileInput);
+
+    this.fileInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.handleCompareFile(e.target.files[0]);
+      }
+    });
+
+    this.createCompareModal();
+  }
+
+  /**
+   * Create compare modal element
+   */
+  createCompareModal() {
+    const modal = document.createElement('div');
+    modal.id = 'compareModal';
+    modal.className = 'modal';
+
+    modal.innerHTML = `
+      <div class="modal-content large-modal">
+        <div class="modal-header">
+          <h2>Compare with File</h2>
+          <span class="close-modal" id="closeCompareModal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <p id="compareDescription" class="diff-description"></p>
+          <div id="compareResult" class="config-diff">
+            <!-- Semantic differences -->
+          </div>
+        </div>
+        <div class="modal-footer">
+          <button id="closeCompareBtn" class="btn">Close</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    // Add event listeners
+    document.getElementById('closeCompareModal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+
+    document.getElementById('closeCompareBtn').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+  }
+
+  /**
+   * Open the file picker for the file to compare with
+   */
+  showCompareDialog() {
+    this.fileInput.value = '';
+    this.fileInput.click();
+  }
+
+  /**
+   * Read a config file and show its differences from the current config
+   */
+  handleCompareFile(file) {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      try {
+        const fileConfig = file.name.endsWith('.json')
+          ? JSON.parse(e.target.result)
+          : this.app.yamlHandler.parseYaml(e.target.result);
+
+        const result = this.configDiff.diff(this.app.configManager.getConfig(), fileConfig);
+
+        document.getElementById('compareDescription').textContent =
+          `Changes from the current configuration to ${file.name}:`;
+        this.renderDiff(document.getElementById('compareResult'), result);
+
+        document.getElementById('compareModal').style.display = 'flex';
+      } catch (error) {
+        console.error('Error comparing file:', error);
+        alert(`Error comparing file: ${error.message}`);
+      }
+    };
+
+    reader.readAsText(file);
+  }
+
+  /**
+   * Render a ConfigDiff result into a container
+   * @param {HTMLElement} container Element to fill
+   * @param {Object} result Result of ConfigDiff.diff
+   * @param {string} emptyText Text shown when there are no differences
+   */
+  renderDiff(container, result, emptyText = 'No differences: the configurations select the same entries.') {
+    container.innerHTML = '';
+
+    if (!this.configDiff.hasChanges(result)) {
+      const empty = document.createElement('p');
+      empty.className = 'config-diff-empty';
+      empty.textContent = emptyText;
+      container.appendChild(empty);
+      return;
+    }
+
+    const summary = document.createElement('p');
+    summary.className = 'config-diff-summary';
+    summary.textContent = `${result.summary.added} added, ${result.summary.removed} removed, ` +
+      `${result.summary.changed} changed, ${result.summary.unchanged} unchanged`;
+    container.appendChild(summary);
+
+    if (result.metadata.length > 0) {
+      container.appendChild(this.createSectionHeading('Metadata'));
+      result.metadata.forEach(change => {
+        container.appendChild(this.createEntryElement('changed', change.field, [change]));
+      });
+    }
+
+    let section = null;
+    result.entries.forEach(entry => {
+      if (entry.section !== section) {
+        section = entry.section;
+        container.appendChild(this.createSectionHeading(this.sectionLabels[section] || section));
+      }
+
+      container.appendChild(this.createEntryElement(entry.status, entry.label, entry.changes));
+    });
+  }
+
+  createSectionHeading(text) {
+    const heading = document.createElement('h4');
+    heading.className = 'config-diff-section';
+    heading.textContent = text;
+    return heading;
+  }
+
+  /**
+   * Create the element of one added, removed or changed entry with its fields
+   */
+  createEntryElement(status, label, changes) {
+    const element = document.createElement('div');
+    element.className = `config-diff-entry ${status}`;
+
+    const header = document.createElement('div');
+    header.className = 'config-diff-entry-header';
+
+    const badge = document.createElement('span');
+    badge.className = 'config-diff-status';
+    badge.textContent = this.statusLabels[status];
+    header.appendChild(badge);
+
+    const title = document.createElement('span');
+    title.textContent = label;
+    header.appendChild(title);
+
+    element.appendChild(header);
+
+    const table = document.createElement('table');
+    table.className = 'config-diff-fields';
+
+    changes.forEach(change => {
+      const row = document.createElement('tr');
+
+      const field = document.createElement('td');
+      field.textContent = change.field;
+      row.appendChild(field);
+
+      const value = document.createElement('td');
+      if (status === 'added') {
+        value.textContent = this.formatValue(change.to);
+      } else if (status === 'removed') {
+        value.textContent = this.formatValue(change.from);
+      } else {
+        value.textContent = `${this.formatValue(change.from)} → ${this.formatValue(change.to)}`;
+      }
+      row.appendChild(value);
+
+      table.appendChild(row);
+    });
+
+    element.appendChild(table);
+    return element;
+  }
+
+  formatValue(value) {
+    return value === null || value === '' ? '(none)' : value;
+  }
+}
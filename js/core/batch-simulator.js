@@ -0,0 +1,190 @@
+/**
+ * BatchSimulator runs historical orders through a config with the EvaluationEngine.
+ * It produces a per-row result table and hit/miss aggregates per ranges group.
+ */
+export class BatchSimulator {
+  constructor(evaluationEngine) {
+    this.evaluationEngine = evaluationEngine;
+
+    // Accepted column names for each order field, first match wins
+    this.columnAliases = {
+      pdt: ['pdt'],
+      mean_delay: ['mean_delay', 'meanDelay'],
+      delivery_option: ['delivery_option', 'deliveryOption'],
+      delivery_mode: ['delivery_mode', 'deliveryMode'],
+      marketplace: ['marketplace'],
+      vertical_type: ['vertical_type', 'verticalType', 'vertical'],
+      actual: ['actual_delivery_minutes', 'actual_minutes', 'actual']
+    };
+
+    // Columns written for each result row, in order
+    this.resultColumns = [
+      'row',
+      'pdt',
+      'mean_delay',
+      'delivery_option',
+      'delivery_mode',
+      'marketplace',
+      'vertical_type',
+      'actual',
+      'lower_bound',
+      'upper_bound',
+      'display_format',
+      'display_text',
+      'ranges_index',
+      'ranges_group',
+      'capping_index',
+      'rounding_strategy',
+      'outcome'
+    ];
+  }
+
+  /**
+   * Simulate every order against the config
+   * @param {Object} config PDT config
+   * @param {Array} orders Order rows (objects keyed by column name)
+   * @returns {Object} { rows, summary, groups }
+   */
+  simulate(config, orders) {
+    const rows = orders.map((order, index) => this.simulateOrder(config, order, index));
+
+    return {
+      rows,
+      summary: this.summarize(rows),
+      groups: this.summarizeByGroup(rows)
+    };
+  }
+
+  /**
+   * Evaluate a single order and classify it against the actual delivery time.
+   * Orders without a numeric pdt are 'invalid' and orders no ranges entry matches are
+   * 'unmatched'; neither is counted as a hit or miss.
+   */
+  simulateOrder(config, order, index) {
+    const context = this.readOrder(order);
+    const result = this.evaluationEngine.evaluate(config, context);
+    const actual = this.toNumber(context.actual);
+    const invalid = result.context.pdt === null;
+
+    let outcome = 'unknown';
+    if (invalid) {
+      outcome = 'invalid';
+    } else if (!result.ranges.matched) {
+      outcome = 'unmatched';
+    } else if (actual !== null) {
+      if (actual < result.lowerBound) {
+        outcome = 'early';
+      } else if (actual > result.upperBound) {
+        outcome = 'late';
+      } else {
+        outcome = 'hit';
+      }
+    }
+
+    let rangesGroup = '(no match)';
+    if (invalid) {
+      rangesGroup = '(invalid pdt)';
+    } else if (result.ranges.matched) {
+      rangesGroup = result.ranges.entry._title || `Entry ${result.ranges.index + 1}`;
+    }
+
+    return {
+      row: index + 1,
+      // Invalid rows keep the pdt as written, so it can be found in the orders file
+      pdt: invalid ? (context.pdt ?? null) : result.context.pdt,
+      mean_delay: result.context.mean_delay,
+      delivery_option: result.context.delivery_option,
+      delivery_mode: result.context.delivery_mode,
+      marketplace: result.context.marketplace,
+      vertical_type: result.context.vertical_type,
+      actual,
+      lower_bound: invalid ? null : result.lowerBound,
+      upper_bound: invalid ? null : result.upperBound,
+      display_format: invalid ? '' : (result.format || ''),
+      display_text: invalid ? '' : result.text,
+      ranges_index: !invalid && result.ranges.matched ? result.ranges.index : null,
+      ranges_group: rangesGroup,
+      capping_index: !invalid && result.capping.matched ? result.capping.index : null,
+      rounding_strategy: invalid ? '' : (result.rounding.strategy || ''),
+      outcome
+    };
+  }
+
+  /**
+   * Map an order row onto the engine's context fields using the column aliases
+   */
+  readOrder(order) {
+    const context = {};
+
+    Object.entries(this.columnAliases).forEach(([field, aliases]) => {
+      const column = aliases.find(alias => order[alias] !== undefined && order[alias] !== '');
+      if (column) {
+        context[field] = order[column];
+      }
+    });
+
+    return context;
+  }
+
+  /**
+   * Aggregate hit rate, range width and misses over a set of result rows.
+   * Invalid and unmatched rows are only counted, not measured.
+   */
+  summarize(rows) {
+    const matched = rows.filter(row => row.outcome !== 'invalid' && row.outcome !== 'unmatched');
+    const withActual = matched.filter(row => row.outcome !== 'unknown');
+    const hits = withActual.filter(row => row.outcome === 'hit');
+    const early = withActual.filter(row => row.outcome === 'early');
+    const late = withActual.filter(row => row.outcome === 'late');
+
+    return {
+      orders: rows.length,
+      evaluated: withActual.length,
+      invalid: rows.filter(row => row.outcome === 'invalid').length,
+      unmatched: rows.filter(row => row.outcome === 'unmatched').length,
+      hits: hits.length,
+      hitRate: this.ratio(hits.length, withActual.length),
+      averageWidth: this.average(matched.map(row => row.upper_bound - row.lower_bound)),
+      early: early.length,
+      earlyRate: this.ratio(early.length, withActual.length),
+      averageEarlyMinutes: this.average(early.map(row => row.lower_bound - row.actual)),
+      late: late.length,
+      lateRate: this.ratio(late.length, withActual.length),
+      averageLateMinutes: this.average(late.map(row => row.actual - row.upper_bound))
+    };
+  }
+
+  /**
+   * Aggregate per matched ranges group
+   * @returns {Array} List of { group, ...summary } sorted by order count
+   */
+  summarizeByGroup(rows) {
+    const rowsByGroup = {};
+
+    rows.forEach(row => {
+      if (!rowsByGroup[row.ranges_group]) {
+        rowsByGroup[row.ranges_group] = [];
+      }
+      rowsByGroup[row.ranges_group].push(row);
+    });
+
+    return Object.entries(rowsByGroup)
+      .map(([group, groupRows]) => ({ group, ...this.summarize(groupRows) }))
+      .sort((a, b) => b.orders - a.orders);
+  }
+
+  ratio(count, total) {
+    return total > 0 ? count / total : null;
+  }
+
+  average(values) {
+    if (values.length === 0) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * BoundaryChecker looks at neighbouring rules of a ranges group and checks
+ * that their bounds meet without a gap. With (greater than, less than or equal to]
+ * semantics a rule `≤17` must be followed by `>17`: `>18` leaves 17–18 uncovered.
+ * `>16` makes 16–17 match both rules, which is reported as overlapping rules.
+ */
+export class BoundaryChecker {
+  constructor(intervalUtils) {
+    this.intervalUtils = intervalUtils;
+
+    // Axes checked, with the condition fields of the exclusive lower bound
+    this.axes = [
+      { key: 'pdt', other: 'meanDelay', label: 'PDT', lowerField: 'pdtGreaterThan', upperField: 'pdtLessThanOrEqualTo' },
+      { key: 'meanDelay', other: 'pdt', label: 'mean delay', lowerField: 'meanDelayGreaterThan', upperField: 'meanDelayLessThanOrEqualTo' }
+    ];
+  }
+
+  /**
+   * Check the rules of a ranges group
+   * @param {Object} group Ranges group
+   * @returns {Array} List of gaps { groupId, rule1Index, rule2Index, axis, kind, from, to, fix, message }; fix is null if none applies
+   */
+  checkGroup(group) {
+    const rules = group.rules.map((rule, index) => ({
+      index,
+      rectangle: this.intervalUtils.getRuleRectangle(rule)
+    }));
+
+    const findings = [];
+    this.axes.forEach(axis => {
+      this.getBands(rules, axis).forEach(band => {
+        findings.push(...this.checkBand(group.id, band, axis));
+      });
+    });
+
+    return findings;
+  }
+
+  /**
+   * Split rules into bands that share the same interval on the other axis.
+   * Only rules in the same band are neighbours along this axis.
+   */
+  getBands(rules, axis) {
+    const bands = {};
+
+    rules.forEach(rule => {
+      const other = rule.rectangle[axis.other];
+      const key = `${other.from}|${other.to}`;
+      if (!bands[key]) {
+        bands[key] = [];
+      }
+      bands[key].push(rule);
+    });
+
+    return Object.values(bands).filter(band => band.length > 1);
+  }
+
+  /**
+   * Compare each rule with the furthest upper bound of the rules before it along the axis.
+   * Only gaps are reported: overlaps are overlapping rules already, and a rule nested
+   * inside a wider earlier rule leaves nothing uncovered.
+   */
+  checkBand(groupId, band, axis) {
+    const findings = [];
+    const sorted = [...band].sort((a, b) =>
+      a.rectangle[axis.key].from - b.rectangle[axis.key].from ||
+      a.rectangle[axis.key].to - b.rectangle[axis.key].to
+    );
+
+    // Rule reaching furthest along the axis so far
+    let previous = sorted[0];
+
+    for (let i = 1; i < sorted.length; i++) {
+      const next = sorted[i];
+      const previousTo = previous.rectangle[axis.key].to;
+      const nextFrom = next.rectangle[axis.key].from;
+      const nextTo = next.rectangle[axis.key].to;
+
+      // Open-ended neighbours have no boundary to compare
+      if (isFinite(previousTo) && isFinite(nextFrom) && nextFrom > previousTo) {
+        const previousText = `rule ${previous.index + 1} (${axis.label} ≤${previousTo})`;
+        const nextText = `rule ${next.index + 1} (${axis.label} >${nextFrom})`;
+
+        // Moving the later rule's exclusive bound keeps the earlier rule intact;
+        // it only widens the later rule, so the rule never ends up empty
+        const fix = previousTo < nextTo
+          ? { ruleIndex: next.index, field: axis.lowerField, value: previousTo }
+          : null;
+        const suggestion = fix ? `. Suggested: ${axis.label} >${previousTo} for rule ${next.index + 1}` : '';
+
+        findings.push({
+          groupId,
+          rule1Index: previous.index,
+          rule2Index: next.index,
+          axis: axis.key,
+          kind: 'gap',
+          from: previousTo,
+          to: nextFrom,
+          fix,
+          message: `${this.capitalize(nextText)} follows ${previousText}: ${axis.label} ${previousTo}–${nextFrom} is not covered${suggestion}`
+        });
+      }
+
+      if (nextTo > previousTo) {
+        previous = next;
+      }
+    }
+
+    return findings;
+  }
+
+  capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+}
@@ -0,0 +1,321 @@
+import { IntervalUtils } from './interval-utils.js';
+import { getDefaultSectionRegistry } from './section-registry.js';
+
+// Condition fields that form an entry's PDT / mean-delay interval
+const INTERVAL_FIELDS = [
+  'pdt_greater_than',
+  'pdt_less_than_or_equal_to',
+  'mean_delay_greater_than',
+  'mean_delay_less_than_or_equal_to'
+];
+
+/**
+ * ConfigDiff compares two configs entry by entry instead of line by line.
+ * Entries are keyed by their segment (delivery option, mode, marketplace,
+ * verticals) plus their PDT / mean-delay interval, so reordered entries are
+ * not reported. An entry whose interval moved but still overlaps an entry of
+ * the same segment in the other config is reported as changed, not as removed and added.
+ */
+export class ConfigDiff {
+  /**
+   * @param {SectionRegistry} sectionRegistry Known section types; sections are reported in their order
+   */
+  constructor(sectionRegistry = getDefaultSectionRegistry()) {
+    this.sectionRegistry = sectionRegistry;
+    this.intervalUtils = new IntervalUtils();
+
+    // Metadata fields and the camelCase names the builder uses for them
+    this.metadataFields = [
+      { key: 'config_format_version', aliases: ['configFormatVersion'] },
+      { key: 'variant', aliases: [] },
+      { key: 'platform', aliases: [] },
+      { key: 'country_code', aliases: ['countryCode'] }
+    ];
+  }
+
+  /**
+   * Compare two configs
+   * @param {Object} configA Old config (snake_case or builder config)
+   * @param {Object} configB New config
+   * @returns {Object} { metadata, entries, summary }
+   *   metadata: [{ field, from, to }]
+   *   entries: [{ section, label, status: 'added'|'removed'|'changed', indexA, indexB, changes: [{ field, from, to }] }]
+   *   summary: { added, removed, changed, unchanged }
+   */
+  diff(configA, configB) {
+    const entriesA = this.collectEntries(configA);
+    const entriesB = this.collectEntries(configB);
+
+    const result = {
+      metadata: this.diffMetadata(configA, configB),
+      entries: [],
+      summary: { added: 0, removed: 0, changed: 0, unchanged: 0 }
+    };
+
+    this.sectionRegistry.getKeys().forEach(section => {
+      this.diffSection(section, entriesA[section], entriesB[section]).forEach(entry => {
+        result.summary[entry.status]++;
+        if (entry.status !== 'unchanged') {
+          result.entries.push(entry);
+        }
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Check if a diff found any difference
+   */
+  hasChanges(result) {
+    return result.metadata.length > 0 || result.entries.length > 0;
+  }
+
+  diffMetadata(configA, configB) {
+    const changes = [];
+
+    this.metadataFields.forEach(({ key, aliases }) => {
+      const from = this.getMetadataValue(configA, key, aliases);
+      const to = this.getMetadataValue(configB, key, aliases);
+
+      if (from !== to) {
+        changes.push({ field: key, from, to });
+      }
+    });
+
+    return changes;
+  }
+
+  getMetadataValue(config, key, aliases) {
+    const name = [key, ...aliases].find(field => config?.[field] !== undefined && config[field] !== null);
+    return name ? String(config[name]) : '';
+  }
+
+  /**
+   * Flatten all PDT sections into per-type entry lists, keeping file order
+   */
+  collectEntries(config) {
+    const entries = {};
+    this.sectionRegistry.getKeys().forEach(section => {
+      entries[section] = [];
+    });
+
+    (Array.isArray(config?.pdt) ? config.pdt : []).forEach(pdtSection => {
+      this.sectionRegistry.getKeys().forEach(section => {
+        if (Array.isArray(pdtSection?.[section])) {
+          entries[section].push(...pdtSection[section]);
+        }
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Match the entries of one section and compare the matched pairs
+   * @returns {Array} One result per entry of either side, in the order of config B
+   */
+  diffSection(section, entriesA, entriesB) {
+    const { pairs, itemsA, itemsB } = this.matchEntries(entriesA, entriesB);
+
+    const results = pairs.map(([itemA, itemB]) => {
+      const changes = this.diffFields(itemA.fields, itemB.fields);
+      return {
+        section,
+        label: itemB.label,
+        status: changes.length > 0 ? 'changed' : 'unchanged',
+        indexA: itemA.index,
+        indexB: itemB.index,
+        changes
+      };
+    });
+
+    itemsB.filter(item => !item.matched).forEach(item => {
+      results.push({
+        section,
+        label: item.label,
+        status: 'added',
+        indexA: null,
+        indexB: item.index,
+        changes: this.diffFields({}, item.fields)
+      });
+    });
+
+    itemsA.filter(item => !item.matched).forEach(item => {
+      results.push({
+        section,
+        label: item.label,
+        status: 'removed',
+        indexA: item.index,
+        indexB: null,
+        changes: this.diffFields(item.fields, {})
+      });
+    });
+
+    return results.sort((a, b) => this.getSortIndex(a) - this.getSortIndex(b));
+  }
+
+  /**
+   * Pair up the entries of one section that stand for the same rule in two configs
+   * @param {Array} entriesA Entries of the section in config A
+   * @param {Array} entriesB Entries of the section in config B
+   * @returns {Object} { pairs: [[itemA, itemB]], itemsA, itemsB }; unpaired items have `matched: false`
+   */
+  matchEntries(entriesA, entriesB) {
+    const itemsA = entriesA.map((entry, index) => this.describeEntry(entry, index));
+    const itemsB = entriesB.map((entry, index) => this.describeEntry(entry, index));
+    const pairs = [];
+
+    // First pass: identical segment and interval, taken in order for repeated keys
+    itemsB.forEach(itemB => {
+      const itemA = itemsA.find(item => !item.matched && item.key === itemB.key);
+      if (itemA) {
+        itemA.matched = itemB.matched = true;
+        pairs.push([itemA, itemB]);
+      }
+    });
+
+    // Second pass: same segment with an overlapping interval, i.e. a moved boundary
+    itemsB.filter(item => !item.matched).forEach(itemB => {
+      const itemA = itemsA.find(item =>
+        !item.matched &&
+        item.segmentKey === itemB.segmentKey &&
+        this.intervalUtils.intersectRectangles(item.rectangle, itemB.rectangle) !== null
+      );
+      if (itemA) {
+        itemA.matched = itemB.matched = true;
+        pairs.push([itemA, itemB]);
+      }
+    });
+
+    return { pairs, itemsA, itemsB };
+  }
+
+  getSortIndex(result) {
+    // Removed entries are listed after the entry of B that followed them in A
+    return result.indexB !== null ? result.indexB : result.indexA + 0.5;
+  }
+
+  /**
+   * Work out the keys, label, interval and comparable fields of an entry
+   */
+  describeEntry(entry, index) {
+    const conditions = entry?.conditions || {};
+    const segment = this.getSegment(entry);
+    const rectangle = {
+      pdt: this.intervalUtils.getRuleInterval(conditions, 'pdt_greater_than', 'pdt_less_than_or_equal_to'),
+      meanDelay: this.intervalUtils.getRuleInterval(conditions, 'mean_delay_greater_than', 'mean_delay_less_than_or_equal_to')
+    };
+    const intervalKey = INTERVAL_FIELDS.map(field => this.normalizeValue(conditions[field])).join('|');
+
+    return {
+      entry,
+      index,
+      segmentKey: JSON.stringify(segment),
+      key: `${JSON.stringify(segment)}|${intervalKey}`,
+      rectangle,
+      label: this.getLabel(segment, rectangle),
+      fields: this.flattenEntry(entry || {}),
+      matched: false
+    };
+  }
+
+  /**
+   * Get the segment of an entry: delivery option plus every condition that is not an interval bound
+   */
+  getSegment(entry) {
+    const segment = {};
+    const conditions = entry?.conditions || {};
+
+    if (entry?.delivery_option !== undefined) {
+      segment.delivery_option = this.normalizeValue(entry.delivery_option).toUpperCase();
+    }
+
+    Object.keys(conditions).sort().forEach(key => {
+      if (INTERVAL_FIELDS.includes(key) || key.startsWith('_')) return;
+
+      const value = conditions[key];
+      if (Array.isArray(value)) {
+        segment[key] = value.map(item => this.normalizeValue(item)).sort().join(',');
+      } else if (key === 'delivery_mode') {
+        segment[key] = this.normalizeValue(value).toUpperCase();
+      } else {
+        segment[key] = this.normalizeValue(value);
+      }
+    });
+
+    return segment;
+  }
+
+  /**
+   * Describe an entry by its segment and interval, e.g. "STANDARD, DELIVERY, verticals FOOD, PDT >10 and ≤20"
+   */
+  getLabel(segment, rectangle) {
+    const parts = [];
+
+    if (segment.delivery_option) parts.push(segment.delivery_option);
+    if (segment.delivery_mode) parts.push(segment.delivery_mode);
+    if (segment.marketplace !== undefined && segment.marketplace !== '') {
+      parts.push(segment.marketplace === 'true' ? 'marketplace' : 'not marketplace');
+    }
+    if (segment.vertical_types) parts.push(`verticals ${segment.vertical_types}`);
+
+    Object.entries(segment).forEach(([key, value]) => {
+      if (!['delivery_option', 'delivery_mode', 'marketplace', 'vertical_types'].includes(key)) {
+        parts.push(`${key} ${value}`);
+      }
+    });
+
+    if (rectangle.pdt.from !== -Infinity || rectangle.pdt.to !== Infinity) {
+      parts.push(this.intervalUtils.formatInterval('PDT', rectangle.pdt));
+    }
+    if (rectangle.meanDelay.from !== -Infinity || rectangle.meanDelay.to !== Infinity) {
+      parts.push(this.intervalUtils.formatInterval('mean delay', rectangle.meanDelay));
+    }
+
+    return parts.length > 0 ? parts.join(', ') : 'Default';
+  }
+
+  /**
+   * Flatten an entry to dotted field paths, leaving out internal `_` fields
+   * @returns {Object} path → normalized value
+   */
+  flattenEntry(value, prefix = '', fields = {}) {
+    if (Array.isArray(value)) {
+      fields[prefix] = value.map(item => this.normalizeValue(item)).join(', ');
+      return fields;
+    }
+
+    if (value !== null && typeof value === 'object') {
+      Object.keys(value).forEach(key => {
+        if (key.startsWith('_')) return;
+        this.flattenEntry(value[key], prefix ? `${prefix}.${key}` : key, fields);
+      });
+      return fields;
+    }
+
+    fields[prefix] = this.normalizeValue(value);
+    return fields;
+  }
+
+  diffFields(fieldsA, fieldsB) {
+    const paths = [...new Set([...Object.keys(fieldsA), ...Object.keys(fieldsB)])];
+
+    // A missing field and an empty one are the same
+    return paths
+      .filter(path => (fieldsA[path] || '') !== (fieldsB[path] || ''))
+      .map(path => ({
+        field: path,
+        from: fieldsA[path] || null,
+        to: fieldsB[path] || null
+      }));
+  }
+
+  /**
+   * Compare values as text, so 'true' and true or '5' and 5 are the same
+   */
+  normalizeValue(value) {
+    if (value === undefined || value === null) return '';
+    return String(value);
+  }
+}
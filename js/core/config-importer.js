@@ -0,0 +1,388 @@
+import { CONFIG_SCHEMA } from './config-schema.js';
+import { ConfigMigrator } from './config-migrations.js';
+import { PassthroughFields } from './passthrough-fields.js';
+import { SchemaValidator } from './schema-validator.js';
+import { getDefaultSectionRegistry } from './section-registry.js';
+import { getDefaultEnumCatalog } from './enum-catalog.js';
+import { MetadataValidator } from './metadata-validator.js';
+
+// Import errors that are defaulted instead of blocking the import
+const IMPORT_WARNINGS = [
+  'Missing config format version, will use default',
+  'Missing country code, will use empty value'
+];
+
+// End of the message about a key the builder does not model; such keys are kept, not rejected
+const UNKNOWN_KEY_NOTE = 'is not a known key, it is kept as is';
+
+// End of the message about a value missing from the enum catalog; such values are imported
+const UNCATALOGUED_VALUE_NOTE = 'is not in the enum catalog';
+
+// End of the message about a variant, platform or country code that looks wrong; the value is imported
+const METADATA_NOTE = 'it is imported as is';
+
+/**
+ * ConfigImporter checks and normalizes configs read from YAML or JSON files
+ * before they are loaded into the ConfigManager.
+ * Sections of the same type are merged and entries are regrouped by their common parameters.
+ */
+export class ConfigImporter {
+  /**
+   * @param {SectionRegistry} sectionRegistry Known section types and how their imported entries are merged
+   * @param {EnumCatalog} enumCatalog Known platforms, verticals and other values
+   */
+  constructor(sectionRegistry = getDefaultSectionRegistry(), enumCatalog = getDefaultEnumCatalog()) {
+    this.sectionRegistry = sectionRegistry;
+    this.enumCatalog = enumCatalog;
+    this.schemaValidator = new SchemaValidator(CONFIG_SCHEMA);
+    this.configMigrator = new ConfigMigrator();
+    this.passthroughFields = new PassthroughFields(sectionRegistry);
+    this.metadataValidator = new MetadataValidator(enumCatalog);
+  }
+
+  /**
+   * Validate imported config structure
+   */
+  validateImportedConfig(config) {
+    const errors = [];
+
+    // Basic validation
+    if (!config) {
+      errors.push('Configuration is empty or invalid');
+      return { valid: false, errors };
+    }
+
+    // Ensure required fields exist or can be defaulted
+    if (!config.configFormatVersion && !config.config_format_version) {
+      // We'll set a default, but add a warning
+      errors.push('Missing config format version, will use default');
+    }
+
+    if (!config.variant) {
+      errors.push('Missing variant');
+    }
+
+    if (!config.platform) {
+      errors.push('Missing platform');
+    }
+
+    if (!config.pdt) {
+      errors.push('Missing PDT configuration');
+      return { valid: false, errors };
+    }
+
+    if (!Array.isArray(config.pdt)) {
+      errors.push('PDT configuration must be an array');
+      return { valid: false, errors };
+    }
+
+    // Check if any PDT section is valid
+    const hasValidSection = config.pdt.some(section => this.sectionRegistry.getForSection(section));
+
+    if (!hasValidSection) {
+      const keys = this.sectionRegistry.getKeys();
+      const names = keys.length > 1 ? `${keys.slice(0, -1).join(', ')}, or ${keys[keys.length - 1]}` : keys.join('');
+      errors.push(`No valid PDT sections found (${names})`);
+      return { valid: false, errors };
+    }
+
+    // The schema describes the current format version
+    let migratedConfig;
+    try {
+      migratedConfig = this.migrateConfig(config).config;
+    } catch (e) {
+      errors.push(e.message);
+      return { valid: false, errors };
+    }
+
+    errors.push(...this.getSchemaErrors(migratedConfig));
+    errors.push(...this.getMetadataWarnings(migratedConfig));
+    errors.push(...this.getCatalogWarnings(migratedConfig));
+
+    // If we have errors that prevent import, return invalid
+    const criticalErrors = errors.filter(error => !this.isImportWarning(error));
+
+    return {
+      valid: criticalErrors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Check the config against the JSON Schema
+   * @returns {Array} Messages with the path of each invalid value,
+   *   e.g. `pdt[2].ranges[4].conditions.pdt_greater_than must be integer`
+   */
+  getSchemaErrors(config) {
+    return this.schemaValidator.validate(config)
+      // Missing metadata is already reported above
+      .filter(error => !(error.keyword === 'required' && !error.path.includes('.')))
+      .map(error => (error.keyword === 'additionalProperties'
+        ? `${error.path} ${UNKNOWN_KEY_NOTE}`
+        : error.message));
+  }
+
+  /**
+   * Check the platform, verticals and other open values against the enum catalog
+   * @returns {Array} Messages with the path of each value, e.g.
+   *   `pdt[1].ranges[0].conditions.vertical_types[0] 'pharmacy' is not in the enum catalog`
+   */
+  getCatalogWarnings(config) {
+    return this.enumCatalog.checkConfig(config).map(issue => issue.message);
+  }
+
+  /**
+   * Check the variant naming, the country code and the platform / country pair
+   * @returns {Array} Messages starting with the YAML key, e.g.
+   *   `country_code 'BH' should be lowercase ('bh'), it is imported as is`
+   */
+  getMetadataWarnings(config) {
+    return this.metadataValidator.validate(config).map(issue => `${issue.message}, ${METADATA_NOTE}`);
+  }
+
+  /**
+   * Check if an import error is only a warning: the value is defaulted or kept as is, and the import can go ahead
+   */
+  isImportWarning(error) {
+    return IMPORT_WARNINGS.includes(error) ||
+      error.endsWith(UNKNOWN_KEY_NOTE) ||
+      error.endsWith(UNCATALOGUED_VALUE_NOTE) ||
+      error.endsWith(METADATA_NOTE);
+  }
+
+  /**
+   * Upgrade a config of an older format version to the current one and
+   * write strict enumeration values in the case of the catalog
+   * @returns {Object} { config, report } as returned by ConfigMigrator.migrate
+   */
+  migrateConfig(config) {
+    const result = this.configMigrator.migrate(config);
+    this.enumCatalog.normalizeCase(result.config);
+    return result;
+  }
+
+  /**
+   * Normalize config to ensure consistent format
+   */
+  normalizeConfig(config) {
+    // Upgrade to the current format version (on a deep copy)
+    const normalizedConfig = this.migrateConfig(config).config;
+
+    // Normalize metadata fields
+    if (normalizedConfig.config_format_version !== undefined) {
+      // Only set if not "undefined" string
+      if (normalizedConfig.config_format_version !== "undefined") {
+        normalizedConfig.configFormatVersion = normalizedConfig.config_format_version;
+      }
+      delete normalizedConfig.config_format_version;
+    } else if (normalizedConfig.configFormatVersion === undefined) {
+      normalizedConfig.configFormatVersion = "1"; // Default value
+    }
+
+    if (normalizedConfig.country_code !== undefined) {
+      normalizedConfig.countryCode = normalizedConfig.country_code;
+      delete normalizedConfig.country_code;
+    } else if (normalizedConfig.countryCode === undefined) {
+      normalizedConfig.countryCode = ""; // Empty string as default
+    }
+
+    // Fix undefined values
+    if (normalizedConfig.configFormatVersion === undefined) {
+      normalizedConfig.configFormatVersion = "1";
+    }
+    if (normalizedConfig.variant === undefined) {
+      normalizedConfig.variant = "default";
+    }
+    if (normalizedConfig.platform === undefined) {
+      normalizedConfig.platform = "";
+    }
+    if (normalizedConfig.countryCode === undefined) {
+      normalizedConfig.countryCode = "";
+    }
+
+    // Ensure pdt array exists
+    if (!normalizedConfig.pdt || !Array.isArray(normalizedConfig.pdt)) {
+      normalizedConfig.pdt = [];
+    }
+
+    // Merge PDT sections by type and common parameters
+    normalizedConfig.pdt = this.mergePdtSectionsByCommonParams(normalizedConfig.pdt);
+
+    return normalizedConfig;
+  }
+
+
+  /**
+   * Merge PDT sections by type to avoid validation issues
+   */
+  mergePdtSectionsByCommonParams(pdtSections) {
+    const definitions = this.sectionRegistry.getAll();
+
+    // First, collect all entries by type
+    const entriesByKey = {};
+    definitions.forEach(definition => {
+      entriesByKey[definition.key] = [];
+    });
+
+    pdtSections.forEach(section => {
+      const definition = this.sectionRegistry.getForSection(section);
+      if (definition) {
+        entriesByKey[definition.key] = entriesByKey[definition.key].concat(section[definition.key]);
+      }
+    });
+
+    // Now let each section regroup and title its entries; sections without a merge keep them as they are
+    const mergedSections = [];
+
+    definitions.forEach(definition => {
+      const entries = entriesByKey[definition.key];
+      if (entries.length === 0) return;
+
+      mergedSections.push({
+        [definition.key]: definition.mergeImported ? definition.mergeImported(entries, this) : entries
+      });
+    });
+
+    // Sections of unknown types are kept as they are, after the known ones
+    mergedSections.push(...pdtSections.filter(section => this.passthroughFields.isUnknownSection(section)));
+
+    return mergedSections;
+  }
+
+  /**
+   * Key of an entry's common parameters, used to keep entries with the same parameters together
+   * @param {Object} entry Entry of the YAML format
+   * @param {Array} paramKeys Condition keys to include
+   */
+  generateEntryKey(entry, paramKeys) {
+    // Create a key based on common parameters
+    const keyParts = [];
+
+    // Add the common parameters from conditions
+    if (entry.conditions) {
+      paramKeys.forEach(key => {
+        if (entry.conditions[key] !== undefined) {
+          if (Array.isArray(entry.conditions[key])) {
+            keyParts.push(`${key}:${entry.conditions[key].join(',')}`);
+          } else {
+            keyParts.push(`${key}:${entry.conditions[key]}`);
+          }
+        }
+      });
+    }
+
+    // Add delivery_option for ranges and capping
+    if (entry.delivery_option) {
+      keyParts.push(`delivery_option:${entry.delivery_option}`);
+    }
+
+    return keyParts.join('|');
+  }
+
+  groupEntriesByMeanDelay(entries) {
+    const groups = {};
+
+    entries.forEach(entry => {
+      // Create a key based on mean delay bounds
+      const mdGreaterThan = entry.conditions?.mean_delay_greater_than;
+      const mdLessThanOrEqualTo = entry.conditions?.mean_delay_less_than_or_equal_to;
+
+      let key;
+      if (mdGreaterThan !== undefined && mdLessThanOrEqualTo !== undefined) {
+        key = `${mdGreaterThan}-${mdLessThanOrEqualTo}`;
+      } else if (mdGreaterThan !== undefined) {
+        key = `>${mdGreaterThan}`;
+      } else if (mdLessThanOrEqualTo !== undefined) {
+        key = `≤${mdLessThanOrEqualTo}`;
+      } else {
+        key = 'default'; // For entries without mean delay conditions
+      }
+
+      // Add entry to the appropriate group
+      if (!groups[key]) {
+        groups[key] = [];
+      }
+      groups[key].push(entry);
+    });
+
+    return groups;
+  }
+
+  getMeanDelayDescription(conditions) {
+    if (!conditions) return '';
+
+    let description = '';
+
+    // Add mean delay description
+    if (conditions.mean_delay_greater_than !== undefined || conditions.mean_delay_less_than_or_equal_to !== undefined) {
+      description += 'Mean Delay ';
+
+      if (conditions.mean_delay_greater_than !== undefined && conditions.mean_delay_less_than_or_equal_to !== undefined) {
+        description += `${conditions.mean_delay_greater_than}-${conditions.mean_delay_less_than_or_equal_to}`;
+      } else if (conditions.mean_delay_greater_than !== undefined) {
+        description += `>${conditions.mean_delay_greater_than}`;
+      } else if (conditions.mean_delay_less_than_or_equal_to !== undefined) {
+        description += `≤${conditions.mean_delay_less_than_or_equal_to}`;
+      }
+    } else {
+      description = 'Default Mean Delay';
+    }
+
+    return description;
+  }
+
+  getPdtRangeDescription(conditions) {
+    if (!conditions) return 'Default';
+
+    let description = '';
+
+    // Add PDT range only (no mean delay here since it's handled separately)
+    if (conditions.pdt_greater_than !== undefined || conditions.pdt_less_than_or_equal_to !== undefined) {
+      description += 'PDT ';
+
+      if (conditions.pdt_greater_than !== undefined && conditions.pdt_less_than_or_equal_to !== undefined) {
+        description += `${conditions.pdt_greater_than}-${conditions.pdt_less_than_or_equal_to}`;
+      } else if (conditions.pdt_greater_than !== undefined) {
+        description += `>${conditions.pdt_greater_than}`;
+      } else if (conditions.pdt_less_than_or_equal_to !== undefined) {
+        description += `≤${conditions.pdt_less_than_or_equal_to}`;
+      }
+    } else {
+      description = 'Default';
+    }
+
+    return description;
+  }
+
+  /**
+   * Group ranges by their PDT bounds to create separate groups
+   */
+  groupRangesByPdtBounds(entries) {
+    const groups = {};
+
+    entries.forEach(entry => {
+      // Create a key based on PDT bounds
+      const pdtGreaterThan = entry.conditions?.pdt_greater_than;
+      const pdtLessThanOrEqualTo = entry.conditions?.pdt_less_than_or_equal_to;
+
+      let key;
+      if (pdtGreaterThan !== undefined && pdtLessThanOrEqualTo !== undefined) {
+        key = `${pdtGreaterThan}-${pdtLessThanOrEqualTo}`;
+      } else if (pdtGreaterThan !== undefined) {
+        key = `>${pdtGreaterThan}`;
+      } else if (pdtLessThanOrEqualTo !== undefined) {
+        key = `≤${pdtLessThanOrEqualTo}`;
+      } else {
+        key = 'default'; // For entries without PDT bounds
+      }
+
+      // Add entry to the appropriate group
+      if (!groups[key]) {
+        groups[key] = [];
+      }
+      groups[key].push(entry);
+    });
+
+    return groups;
+  }
+}
@@ -0,0 +1,694 @@
+import { getDefaultStorage } from './storage.js';
+import { PassthroughFields } from './passthrough-fields.js';
+import { getDefaultSectionRegistry } from './section-registry.js';
+
+/**
+ * ConfigManager handles the data structure for the PDT configuration.
+ * It manages groups, rules, and their parameters.
+ */
+export class ConfigManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage Backend with getItem/setItem; defaults to localStorage in the browser
+   * @param {SectionRegistry} options.sectionRegistry Known section types; defaults to the shared registry
+   * @param {Object} options.storageKeys Keys the config and its history are saved under
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || getDefaultStorage();
+    this.sectionRegistry = options.sectionRegistry || getDefaultSectionRegistry();
+    this.storageKeys = options.storageKeys || { config: 'pdtConfig', history: 'pdtHistory' };
+
+    this.config = this.createDefaultConfig();
+
+    // Keep track of groups by ID
+    this.groups = {};
+
+    // Keeps the entry fields the groups do not model
+    this.passthroughFields = new PassthroughFields(this.sectionRegistry);
+
+    // Counter for generating unique IDs
+    this.idCounter = 0;
+
+    // Receives a snapshot before every change; set with setHistoryManager
+    this.historyManager = null;
+
+    // Depth of nested recordChange calls; only the outermost one is recorded
+    this.changeDepth = 0;
+
+    // Depth of previewChange calls; nothing is saved while a preview runs
+    this.previewDepth = 0;
+
+    // Called after the config is saved
+    this.onSave = null;
+
+    // Called with the error when the config cannot be saved
+    this.onSaveError = null;
+  }
+
+  /**
+   * Empty configuration with the default metadata
+   */
+  createDefaultConfig() {
+    return {
+      configFormatVersion: '1',
+      variant: 'config-a',
+      platform: 'talabat',
+      countryCode: 'bh',
+      pdt: []
+    };
+  }
+
+  /**
+   * Work on the config saved under other keys, e.g. another config of the workspace.
+   * The config is loaded from there, or starts empty if nothing is saved yet.
+   * @param {Object} storageKeys { config, history }
+   */
+  useStorageKeys(storageKeys) {
+    this.storageKeys = storageKeys;
+    this.config = this.createDefaultConfig();
+    this.groups = {};
+    this.idCounter = 0;
+    this.initializeConfig();
+  }
+
+  /**
+   * Record every mutation in the given HistoryManager
+   */
+  setHistoryManager(historyManager) {
+    this.historyManager = historyManager;
+  }
+
+  /**
+   * Run a mutation as one history step.
+   * Nested calls are part of the outer step, and changes that leave the
+   * state as it was are not recorded.
+   * @param {string|Function} label Description of the change, or a function returning it after the change
+   * @param {Function} mutate Performs the change
+   * @returns {*} Result of mutate
+   */
+  recordChange(label, mutate) {
+    if (!this.historyManager || this.changeDepth > 0) {
+      return mutate();
+    }
+
+    const before = this.serializeState();
+    let result;
+
+    this.changeDepth++;
+    try {
+      result = mutate();
+    } catch (e) {
+      // Leave the config as it was if any part of the change fails
+      this.restoreSnapshot(JSON.parse(before));
+      throw e;
+    } finally {
+      this.changeDepth--;
+    }
+
+    if (this.serializeState() !== before) {
+      this.historyManager.push(typeof label === 'function' ? label() : label, JSON.parse(before));
+    }
+
+    return result;
+  }
+
+  /**
+   * Initialize with default config or load from storage
+   */
+  initializeConfig() {
+    // Try to load from storage if available
+    const savedConfig = this.storage.getItem(this.storageKeys.config);
+    if (savedConfig) {
+      try {
+        const parsedConfig = JSON.parse(savedConfig);
+        this.config = parsedConfig;
+
+        // Reconstruct the groups mapping
+        this.rebuildGroupsMapping();
+      } catch (e) {
+        console.error('Failed to parse saved config:', e);
+        // Continue with default config
+      }
+    }
+  }
+
+  /**
+   * Replace the config and rebuild the groups from it
+   * @param {Object} config PDT config with camelCase metadata keys
+   */
+  loadConfig(config) {
+    this.config = config;
+    this.rebuildGroupsMapping();
+    this.saveConfig();
+  }
+
+  /**
+   * Rebuild the groups mapping from config
+   */
+  rebuildGroupsMapping() {
+    this.groups = {};
+    this.idCounter = 0;
+
+    // Build the groups of each known section; unknown sections are kept as they are
+    this.config.pdt.forEach(section => {
+      const definition = this.sectionRegistry.getForSection(section);
+      if (!definition || !Array.isArray(section[definition.key])) return;
+
+      definition.buildGroups(section[definition.key], this).forEach(group => {
+        const id = `${definition.id}-${this.idCounter++}`;
+        this.groups[id] = { id, type: definition.id, ...group };
+      });
+    });
+  }
+
+  /**
+   * Get the vertical types of an entry as a list
+   */
+  getVerticalTypes(entry) {
+    const verticalTypes = entry.conditions?.vertical_types;
+    if (verticalTypes === undefined || verticalTypes === null || verticalTypes === '') return [];
+    return (Array.isArray(verticalTypes) ? verticalTypes : [verticalTypes]).map(String);
+  }
+
+  /**
+   * Determine the section type from a section object
+   */
+  getSectionType(section) {
+    return this.sectionRegistry.getForSection(section)?.id || 'unknown';
+  }
+
+  groupByCommonParams(entries, paramKeys) {
+    const groups = {};
+
+    entries.forEach(entry => {
+      // Generate a key based on common parameters
+      const keyParts = [];
+
+      // Handle three cases:
+      // 1. No conditions at all
+      // 2. Only delivery_option without conditions
+      // 3. Full conditions specified
+
+      const hasAnyConditions = entry.conditions && Object.keys(entry.conditions).length > 0;
+      const hasOnlyDeliveryOption = !hasAnyConditions && entry.delivery_option && !entry.conditions;
+
+      if (!hasAnyConditions && !hasOnlyDeliveryOption) {
+        // Case 1: No conditions at all
+        keyParts.push('conditions:none');
+      } else if (hasOnlyDeliveryOption) {
+        // Case 2: Only delivery_option without conditions
+        keyParts.push(`delivery_option:${String(entry.delivery_option).toUpperCase()}`);
+        keyParts.push('conditions:delivery_option_only');
+      } else {
+        // Case 3: Full conditions
+        // Add delivery_option if present
+        if (entry.delivery_option) {
+          keyParts.push(`delivery_option:${String(entry.delivery_option).toUpperCase()}`);
+        }
+
+        // Add common parameters from conditions
+        paramKeys.forEach(key => {
+          if (key === 'delivery_mode' && entry.conditions.delivery_mode) {
+            keyParts.push(`delivery_mode:${String(entry.conditions.delivery_mode).toUpperCase()}`);
+          } else if (key === 'marketplace' && entry.conditions.marketplace !== undefined) {
+            // Convert boolean or string to standard format (true/false)
+            const marketplaceValue = entry.conditions.marketplace === true ||
+            entry.conditions.marketplace === 'true' ? 'true' : 'false';
+            keyParts.push(`marketplace:${marketplaceValue}`);
+          } else if (key === 'vertical_types') {
+            // If vertical_types exists but is empty, use a standard placeholder; the order does not matter
+            const verticalValue = entry.conditions.vertical_types && entry.conditions.vertical_types.length > 0 ?
+              [...entry.conditions.vertical_types].sort().join(',') : 'ANY';
+            keyParts.push(`vertical_types:${verticalValue}`);
+          } else if (key === 'pdt_less_than_or_equal_to' && entry.conditions.pdt_less_than_or_equal_to !== undefined) {
+            keyParts.push(`pdt_less_than_or_equal_to:${entry.conditions.pdt_less_than_or_equal_to}`);
+          }
+        });
+      }
+
+      const key = keyParts.join('|') || 'default';
+
+      // Add entry to the appropriate group
+      if (!groups[key]) {
+        groups[key] = [];
+      }
+
+      groups[key].push(entry);
+    });
+
+    return groups;
+  }
+
+  /**
+   * Get the full config object
+   */
+  getConfig() {
+    return this.config;
+  }
+
+  /**
+   * Update metadata field
+   */
+  updateMetadata(field, value) {
+    this.recordChange(`Changed ${field} to ${value}`, () => {
+      this.config[field] = value;
+      this.saveConfig();
+    });
+  }
+
+  /**
+   * Update several metadata fields as one change, e.g. the platform and its country
+   * @param {Object} values Field → value
+   */
+  updateMetadataValues(values) {
+    const changes = Object.entries(values).map(([field, value]) => `${field} to ${value}`);
+    this.recordChange(`Changed ${changes.join(', ')}`, () => {
+      Object.assign(this.config, values);
+      this.saveConfig();
+    });
+  }
+
+  /**
+   * Save config to storage. The undo history shares the storage, so its oldest
+   * entries are given up before the save fails.
+   */
+  saveConfig() {
+    // A preview is thrown away, so it never reaches storage or onSave
+    if (this.previewDepth > 0) return;
+
+    let error = this.writeConfig();
+    while (error && this.historyManager?.releaseSpace()) {
+      error = this.writeConfig();
+    }
+
+    if (error) {
+      console.error('Failed to save config:', error);
+      if (this.onSaveError) {
+        this.onSaveError(error);
+      }
+      return;
+    }
+
+    if (this.onSave) {
+      this.onSave();
+    }
+  }
+
+  /**
+   * Write the config to storage
+   * @returns {Error|null} The storage error, or null if the config was written
+   */
+  writeConfig() {
+    try {
+      this.storage.setItem(this.storageKeys.config, JSON.stringify(this.config));
+      return null;
+    } catch (e) {
+      return e;
+    }
+  }
+
+  /**
+   * Update the configuration object based on current groups
+   */
+  updateConfigFromGroups() {
+    // Sections of unknown types have no groups; they are kept as they are
+    const unknownSections = this.config.pdt.filter(section => this.passthroughFields.isUnknownSection(section));
+
+    // Write the groups of each section type, in the order the sections are registered
+    this.config.pdt = [];
+
+    this.sectionRegistry.getAll().forEach(definition => {
+      const groups = Object.values(this.groups).filter(group => group.type === definition.id);
+      if (groups.length === 0) return;
+
+      this.config.pdt.push({
+        [definition.key]: groups.flatMap(group => definition.buildEntries(group, this))
+      });
+    });
+
+    this.config.pdt.push(...unknownSections);
+
+    this.saveConfig();
+  }
+
+  /**
+   * Get groups for a specific section
+   */
+  getGroupsForSection(sectionType) {
+    return Object.values(this.groups)
+      .filter(group => group.type === sectionType)
+      .sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  /**
+   * Get a specific group by ID
+   */
+  getGroup(groupId) {
+    return this.groups[groupId];
+  }
+
+  /**
+   * Add a new group for the specified section
+   */
+  addGroup(sectionType, templateGroup = null) {
+    let id = null;
+
+    return this.recordChange(() => `Added group ${this.groups[id].title}`, () => {
+      id = `${sectionType}-${this.idCounter++}`;
+
+      // Create default group or use template
+      if (templateGroup) {
+        // If template group is for a different section type, adapt it
+        if (templateGroup.type !== sectionType) {
+          // Create adapted group based on the target section type
+          this.groups[id] = this.adaptTemplateToSectionType(templateGroup, sectionType, id);
+        } else {
+          // Use template as is if types match
+          this.groups[id] = {
+            ...templateGroup,
+            commonParams: { ...templateGroup.commonParams },
+            id
+          };
+        }
+      } else {
+        this.groups[id] = {
+          id,
+          type: sectionType,
+          title: `New ${this.sectionTypeToDisplayName(sectionType)}`,
+          commonParams: {},
+          rules: this.createDefaultRules(sectionType)
+        };
+      }
+
+      // Update config
+      this.updateConfigFromGroups();
+
+      return id;
+    });
+  }
+
+  adaptTemplateToSectionType(templateGroup, targetSectionType, newId) {
+    // Start with common structure
+    const adaptedGroup = {
+      id: newId,
+      type: targetSectionType,
+      title: `New ${this.sectionTypeToDisplayName(targetSectionType)}`,
+      commonParams: {},
+      rules: []
+    };
+
+    // Adapt common parameters and rules based on target section type
+    const definition = this.sectionRegistry.get(targetSectionType);
+    if (definition) {
+      adaptedGroup.commonParams = definition.adaptCommonParams({ ...templateGroup.commonParams });
+      adaptedGroup.rules = this.createDefaultRules(targetSectionType);
+    }
+
+    // Preserve the template group title if possible
+    if (templateGroup.title) {
+      adaptedGroup.title = templateGroup.title;
+    }
+
+    return adaptedGroup;
+  }
+
+  /**
+   * Create default rules for a new group
+   */
+  createDefaultRules(sectionType) {
+    const rule = this.sectionRegistry.get(sectionType)?.createRule({ rules: [] }, {});
+    return rule ? [rule] : [];
+  }
+
+  /**
+   * Clone an existing group
+   */
+  cloneGroup(groupId) {
+    const sourceGroup = this.groups[groupId];
+    if (!sourceGroup) return null;
+
+    return this.recordChange(`Cloned group ${sourceGroup.title}`, () => {
+      const id = `${sourceGroup.type}-${this.idCounter++}`;
+
+      // Deep clone the group
+      this.groups[id] = JSON.parse(JSON.stringify(sourceGroup));
+      this.groups[id].id = id;
+      this.groups[id].title = `Copy of ${sourceGroup.title}`;
+
+      // Update config
+      this.updateConfigFromGroups();
+
+      return id;
+    });
+  }
+
+  /**
+   * Delete a group
+   */
+  deleteGroup(sectionType, groupId) {
+    if (this.groups[groupId]) {
+      return this.recordChange(`Deleted group ${this.groups[groupId].title}`, () => {
+        delete this.groups[groupId];
+
+        // Update config
+        this.updateConfigFromGroups();
+
+        return true;
+      });
+    }
+
+    return false;
+  }
+
+  /**
+   * Update a common parameter for a group
+   */
+  updateGroupCommonParam(groupId, paramName, value) {
+    if (this.groups[groupId]) {
+      return this.recordChange(`Changed ${paramName} of ${this.groups[groupId].title}`, () => {
+        this.groups[groupId].commonParams[paramName] = value;
+
+        // Update config
+        this.updateConfigFromGroups();
+
+        return true;
+      });
+    }
+
+    return false;
+  }
+
+  /**
+   * Add a new rule to a group
+   */
+  addRule(groupId, format = null) {
+    const group = this.groups[groupId];
+    if (!group) return false;
+
+    return this.recordChange(`Added rule to ${group.title}`, () => {
+      // Create a default rule based on the section type
+      const rule = this.sectionRegistry.get(group.type)?.createRule(group, { format });
+      if (rule) {
+        group.rules.push(rule);
+      }
+
+      // Update config
+      this.updateConfigFromGroups();
+
+      return true;
+    });
+  }
+
+  /**
+   * Update a rule field
+   */
+  updateRule(groupId, ruleIndex, field, value) {
+    const group = this.groups[groupId];
+    if (!group || !group.rules[ruleIndex]) return false;
+
+    return this.recordChange(`Changed ${field} of rule ${ruleIndex + 1} in ${group.title}`, () => {
+      // Changing the type of a typed rule (e.g. capping) starts from the defaults of the new type
+      const definition = this.sectionRegistry.get(group.type);
+      if (definition?.typedRules && field === 'type') {
+        group.rules[ruleIndex] = definition.createRule(group, { type: value });
+      } else {
+        // Normal field update
+        group.rules[ruleIndex][field] = value;
+      }
+
+      // Update config
+      this.updateConfigFromGroups();
+
+      return true;
+    });
+  }
+
+  /**
+   * Append copies of existing rules to a group
+   */
+  appendRules(groupId, rules) {
+    const group = this.groups[groupId];
+    if (!group) return false;
+
+    return this.recordChange(`Added ${rules.length} rules to ${group.title}`, () => {
+      rules.forEach(rule => {
+        group.rules.push(JSON.parse(JSON.stringify(rule)));
+      });
+
+      // Update config
+      this.updateConfigFromGroups();
+
+      return true;
+    });
+  }
+
+  /**
+   * Delete a rule from a group
+   */
+  deleteRule(groupId, ruleIndex) {
+    const group = this.groups[groupId];
+    if (!group || !group.rules[ruleIndex]) return false;
+
+    return this.recordChange(`Deleted rule ${ruleIndex + 1} from ${group.title}`, () => {
+      group.rules.splice(ruleIndex, 1);
+
+      // Update config
+      this.updateConfigFromGroups();
+
+      return true;
+    });
+  }
+
+  /**
+   * Convert section type to display name
+   */
+  sectionTypeToDisplayName(sectionType) {
+    return this.sectionRegistry.get(sectionType)?.groupLabel || sectionType;
+  }
+
+  updateGroupTitle(groupId, newTitle) {
+    if (this.groups[groupId]) {
+      const oldTitle = this.groups[groupId].title;
+
+      return this.recordChange(() => `Renamed group ${oldTitle} to ${this.groups[groupId].title}`, () => {
+        // If this is a ranges group, check if we're using the default title
+        if (this.groups[groupId].type === 'ranges' && !newTitle.startsWith('Copy of')) {
+          // Get all rules to determine if we cover all positive PDT values
+          const rules = this.groups[groupId].rules || [];
+
+          // Check if the rules cover all PDT values
+          let coversAllPositive = false;
+
+          // Look for a rule with no lower bound or lower bound ≤ 0
+          const hasZeroLowerBound = rules.some(rule =>
+            (rule.pdtGreaterThan === null || rule.pdtGreaterThan === undefined || rule.pdtGreaterThan <= 0) &&
+            rule.pdtLessThanOrEqualTo !== null && rule.pdtLessThanOrEqualTo !== undefined
+          );
+
+          // Check if all positive PDT values are covered
+          if (hasZeroLowerBound) {
+            // Get the highest upper bound
+            const highestUpperBound = Math.max(...rules
+              .filter(r => r.pdtLessThanOrEqualTo !== null && r.pdtLessThanOrEqualTo !== undefined)
+              .map(r => r.pdtLessThanOrEqualTo));
+
+            // If highest bound is very large (e.g., 999), consider it as "all positive PDT"
+            if (highestUpperBound >= 100) {
+              coversAllPositive = true;
+            }
+          }
+
+          // Set a more descriptive title
+          if (coversAllPositive) {
+            newTitle = 'Ranges (All Positive PDT)';
+          }
+        }
+
+        this.groups[groupId].title = newTitle;
+
+        // Update config
+        this.updateConfigFromGroups();
+
+        // Explicitly save to storage
+        this.saveConfig();
+
+        return true;
+      });
+    }
+
+    return false;
+  }
+
+  /**
+   * Take a deep copy of the current state
+   * @returns {Object} { config, groups, idCounter }
+   */
+  createSnapshot() {
+    return JSON.parse(this.serializeState());
+  }
+
+  serializeState() {
+    return JSON.stringify({
+      config: this.config,
+      groups: this.groups,
+      idCounter: this.idCounter
+    });
+  }
+
+  /**
+   * Restore a state taken with createSnapshot
+   */
+  restoreSnapshot(snapshot) {
+    const copy = JSON.parse(JSON.stringify(snapshot));
+    this.config = copy.config;
+    this.groups = copy.groups;
+    this.idCounter = copy.idCounter;
+    this.saveConfig();
+  }
+
+  /**
+   * Apply several mutations as one history step
+   * @param {string} label Description of the change
+   * @param {Function} mutate Receives this ConfigManager and performs the changes
+   */
+  applyChange(label, mutate) {
+    return this.recordChange(label, () => mutate(this));
+  }
+
+  /**
+   * Run a change on the current state without keeping, saving or recording it
+   * @param {Function} mutate Receives this ConfigManager and performs the changes
+   * @returns {Object} Snapshot of the state after the change
+   */
+  previewChange(mutate) {
+    const snapshot = this.createSnapshot();
+    const historyManager = this.historyManager;
+    this.historyManager = null;
+    this.previewDepth++;
+
+    try {
+      mutate(this);
+      return this.createSnapshot();
+    } finally {
+      this.restoreSnapshot(snapshot);
+      this.historyManager = historyManager;
+      this.previewDepth--;
+    }
+  }
+
+  resetConfig() {
+    this.recordChange('Reset configuration', () => {
+      // Reset to default empty configuration
+      this.config = this.createDefaultConfig();
+
+      // Clear all groups
+      this.groups = {};
+
+      // Reset ID counter
+      this.idCounter = 0;
+
+      // Save the empty config
+      this.saveConfig();
+    });
+  }
+}
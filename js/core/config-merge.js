@@ -0,0 +1,378 @@
+import { ConfigDiff } from './config-diff.js';
+import { getDefaultSectionRegistry } from './section-registry.js';
+
+/**
+ * ConfigMerge merges two configs that were both edited from the same base.
+ * Entries are matched across the three configs the way ConfigDiff matches them
+ * (segment plus PDT / mean-delay interval). A field changed on one side only is
+ * taken from that side; a field changed differently on both sides is a conflict.
+ * Deleting an entry on one side while editing it on the other is a conflict too.
+ * Conflicts default to our value until they are resolved.
+ */
+export class ConfigMerge {
+  /**
+   * @param {SectionRegistry} sectionRegistry Known section types; the merged config lists them in this order
+   */
+  constructor(sectionRegistry = getDefaultSectionRegistry()) {
+    this.sectionRegistry = sectionRegistry;
+    this.configDiff = new ConfigDiff(sectionRegistry);
+
+    // Source of the merged entry IDs, which conflicts refer to
+    this.entryCounter = 0;
+  }
+
+  /**
+   * Merge ours and theirs on top of base
+   * @param {Object} base Config both sides started from
+   * @param {Object} ours Our edited config
+   * @param {Object} theirs Their edited config
+   * @returns {Object} { metadata, entries, conflicts, summary }
+   *   conflicts: [{ id, section, label, field, base, ours, theirs }]; field is null when
+   *   the conflict is about the whole entry, and a deleted entry's value is null
+   */
+  merge(base, ours, theirs) {
+    this.entryCounter = 0;
+
+    const result = {
+      metadata: {},
+      entries: [],
+      conflicts: [],
+      summary: { fromOurs: 0, fromTheirs: 0, merged: 0, deleted: 0, conflicts: 0 }
+    };
+
+    this.mergeMetadata(base, ours, theirs, result);
+
+    const baseEntries = this.configDiff.collectEntries(base);
+    const ourEntries = this.configDiff.collectEntries(ours);
+    const theirEntries = this.configDiff.collectEntries(theirs);
+
+    this.sectionRegistry.getKeys().forEach(section => {
+      this.mergeSection(section, baseEntries[section], ourEntries[section], theirEntries[section], result);
+    });
+
+    result.summary.conflicts = result.conflicts.length;
+    return result;
+  }
+
+  /**
+   * Merge the metadata fields, keeping the type of each value, e.g. a numeric format version.
+   * Fields that no side sets are left out.
+   */
+  mergeMetadata(base, ours, theirs, result) {
+    this.configDiff.metadataFields.forEach(({ key, aliases }) => {
+      const values = {
+        base: this.getMetadataValue(base, key, aliases),
+        ours: this.getMetadataValue(ours, key, aliases),
+        theirs: this.getMetadataValue(theirs, key, aliases)
+      };
+
+      const merged = this.mergeValue(values.base, values.ours, values.theirs);
+      if (!this.isEmptyValue(merged.value)) {
+        result.metadata[key] = merged.value;
+      }
+
+      if (merged.conflict) {
+        result.conflicts.push({
+          id: `metadata-${key}`,
+          section: 'metadata',
+          label: key,
+          field: key,
+          ...values
+        });
+      }
+    });
+  }
+
+  /**
+   * Read a metadata field under its snake_case key or a builder alias, as it is written
+   * @returns {*} The value, or undefined if the config does not set it
+   */
+  getMetadataValue(config, key, aliases) {
+    const name = [key, ...aliases].find(field => !this.isEmptyValue(config?.[field]));
+    return name ? config[name] : undefined;
+  }
+
+  isEmptyValue(value) {
+    return value === undefined || value === null || value === '';
+  }
+
+  /**
+   * Match the entries of one section across the three configs and merge each match
+   */
+  mergeSection(section, baseEntries, ourEntries, theirEntries, result) {
+    const oursMatch = this.configDiff.matchEntries(baseEntries, ourEntries);
+    const theirsMatch = this.configDiff.matchEntries(baseEntries, theirEntries);
+
+    // Base index → matching entry on each side
+    const ourByBase = new Map(oursMatch.pairs.map(([baseItem, ourItem]) => [baseItem.index, ourItem]));
+    const theirByBase = new Map(theirsMatch.pairs.map(([baseItem, theirItem]) => [baseItem.index, theirItem]));
+
+    // Entries added on both sides may be the same new rule
+    const ourAdded = oursMatch.itemsB.filter(item => !item.matched);
+    const theirAdded = theirsMatch.itemsB.filter(item => !item.matched);
+    const addedMatch = this.configDiff.matchEntries(
+      ourAdded.map(item => item.entry),
+      theirAdded.map(item => item.entry)
+    );
+    const theirByOurAdded = new Map(addedMatch.pairs.map(([ourItem, theirItem]) =>
+      [ourAdded[ourItem.index].index, theirAdded[theirItem.index]]));
+
+    // Merged entries in our order, each with the theirs / base position it came from
+    const merged = [];
+    const mergedByTheirIndex = new Map();
+    const mergedByBaseIndex = new Map();
+
+    const addMerged = (mergedEntry, position, baseIndex, theirIndex) => {
+      merged.splice(position, 0, mergedEntry);
+      if (baseIndex !== null) mergedByBaseIndex.set(baseIndex, mergedEntry);
+      if (theirIndex !== null) mergedByTheirIndex.set(theirIndex, mergedEntry);
+    };
+
+    oursMatch.itemsB.forEach(ourItem => {
+      const baseItem = oursMatch.pairs.find(([, item]) => item === ourItem)?.[0] || null;
+      const theirItem = baseItem ? theirByBase.get(baseItem.index) || null : theirByOurAdded.get(ourItem.index) || null;
+
+      addMerged(
+        this.mergeEntry(section, baseItem, ourItem, theirItem, result),
+        merged.length,
+        baseItem ? baseItem.index : null,
+        theirItem ? theirItem.index : null
+      );
+    });
+
+    // Their additions go after the entry that precedes them in their config
+    theirAdded.forEach(theirItem => {
+      if (mergedByTheirIndex.has(theirItem.index)) return;
+
+      const position = this.getInsertPosition(merged, theirItem.index, mergedByTheirIndex);
+      addMerged(this.mergeEntry(section, null, null, theirItem, result), position, null, theirItem.index);
+    });
+
+    // Entries we deleted stay in the list (hidden) in case a conflict keeps them
+    baseEntries.forEach((entry, baseIndex) => {
+      if (ourByBase.has(baseIndex)) return;
+
+      const baseItem = oursMatch.itemsA[baseIndex];
+      const theirItem = theirByBase.get(baseIndex) || null;
+      const position = this.getInsertPosition(merged, baseIndex, mergedByBaseIndex);
+
+      addMerged(this.mergeEntry(section, baseItem, null, theirItem, result), position, baseIndex, theirItem ? theirItem.index : null);
+    });
+
+    result.entries.push(...merged);
+  }
+
+  /**
+   * Find the position after the closest earlier entry of the source list that is already merged
+   */
+  getInsertPosition(merged, sourceIndex, mergedBySourceIndex) {
+    for (let index = sourceIndex - 1; index >= 0; index--) {
+      const previous = mergedBySourceIndex.get(index);
+      if (previous) {
+        return merged.indexOf(previous) + 1;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Merge one entry from its base, our and their version (any of them may be missing)
+   * @returns {Object} { id, section, label, present, fields }
+   */
+  mergeEntry(section, baseItem, ourItem, theirItem, result) {
+    const id = `${section}-${this.entryCounter++}`;
+    const label = (ourItem || theirItem || baseItem).label;
+    const baseFields = baseItem ? this.flattenEntry(baseItem.entry) : null;
+    const ourFields = ourItem ? this.flattenEntry(ourItem.entry) : null;
+    const theirFields = theirItem ? this.flattenEntry(theirItem.entry) : null;
+
+    const mergedEntry = { id, section, label, present: true, fields: {} };
+
+    // Deleted on one or both sides
+    if (baseFields && (!ourFields || !theirFields)) {
+      const remaining = ourFields || theirFields;
+
+      if (!remaining || this.sameFields(remaining, baseFields)) {
+        mergedEntry.present = false;
+        result.summary.deleted++;
+        return mergedEntry;
+      }
+
+      // One side deleted what the other side edited: keep our choice by default
+      mergedEntry.present = Boolean(ourFields);
+      mergedEntry.fields = remaining;
+      result.conflicts.push({
+        id: `${id}-entry`,
+        entryId: id,
+        section,
+        label,
+        field: null,
+        base: baseItem.entry,
+        ours: ourItem ? ourItem.entry : null,
+        theirs: theirItem ? theirItem.entry : null
+      });
+      return mergedEntry;
+    }
+
+    // Added or kept on one side only
+    if (!ourFields || !theirFields) {
+      mergedEntry.fields = ourFields || theirFields;
+      result.summary[ourFields ? 'fromOurs' : 'fromTheirs']++;
+      return mergedEntry;
+    }
+
+    const fieldBase = baseFields || {};
+    const paths = [...new Set([...Object.keys(ourFields), ...Object.keys(theirFields), ...Object.keys(fieldBase)])];
+    let hasConflict = false;
+
+    paths.forEach(path => {
+      const merged = this.mergeValue(fieldBase[path], ourFields[path], theirFields[path], this.isInternalPath(path));
+
+      if (merged.value !== undefined) {
+        mergedEntry.fields[path] = merged.value;
+      }
+
+      if (merged.conflict) {
+        hasConflict = true;
+        result.conflicts.push({
+          id: `${id}-${path}`,
+          entryId: id,
+          section,
+          label,
+          field: path,
+          base: fieldBase[path] !== undefined ? fieldBase[path] : null,
+          ours: ourFields[path] !== undefined ? ourFields[path] : null,
+          theirs: theirFields[path] !== undefined ? theirFields[path] : null
+        });
+      }
+    });
+
+    if (!hasConflict) {
+      result.summary.merged++;
+    }
+
+    return mergedEntry;
+  }
+
+  /**
+   * Merge one value: take the side that changed it, or ours on a conflict
+   * @param {boolean} preferOurs Never report a conflict, e.g. for titles
+   * @returns {Object} { value, conflict }
+   */
+  mergeValue(base, ours, theirs, preferOurs = false) {
+    if (this.sameValue(ours, theirs)) return { value: ours, conflict: false };
+    if (this.sameValue(ours, base)) return { value: theirs, conflict: false };
+    if (this.sameValue(theirs, base)) return { value: ours, conflict: false };
+    return { value: ours, conflict: !preferOurs };
+  }
+
+  sameValue(a, b) {
+    return this.getComparableValue(a) === this.getComparableValue(b);
+  }
+
+  sameFields(fieldsA, fieldsB) {
+    const paths = new Set([...Object.keys(fieldsA), ...Object.keys(fieldsB)]);
+    return [...paths].every(path => this.isInternalPath(path) || this.sameValue(fieldsA[path], fieldsB[path]));
+  }
+
+  getComparableValue(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.configDiff.normalizeValue(item)).join(', ');
+    }
+    return this.configDiff.normalizeValue(value);
+  }
+
+  /**
+   * Internal fields such as `_title` never conflict
+   */
+  isInternalPath(path) {
+    return path.split('.').some(part => part.startsWith('_'));
+  }
+
+  /**
+   * Flatten an entry to dotted paths with the original values; arrays are kept whole
+   */
+  flattenEntry(value, prefix = '', fields = {}) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      Object.keys(value).forEach(key => {
+        this.flattenEntry(value[key], prefix ? `${prefix}.${key}` : key, fields);
+      });
+      return fields;
+    }
+
+    fields[prefix] = value;
+    return fields;
+  }
+
+  unflattenEntry(fields) {
+    const entry = {};
+
+    Object.entries(fields).forEach(([path, value]) => {
+      if (value === undefined || value === null) return;
+
+      const parts = path.split('.');
+      let target = entry;
+      parts.slice(0, -1).forEach(part => {
+        if (!target[part] || typeof target[part] !== 'object') {
+          target[part] = {};
+        }
+        target = target[part];
+      });
+      target[parts[parts.length - 1]] = value;
+    });
+
+    return entry;
+  }
+
+  /**
+   * Build the merged config with the chosen side for each conflict
+   * @param {Object} result Result of merge()
+   * @param {Object} resolutions Conflict ID → 'ours' | 'theirs' | 'base'; unresolved conflicts use ours
+   * @returns {Object} Config in the YAML format (snake_case metadata)
+   */
+  buildConfig(result, resolutions = {}) {
+    const metadata = { ...result.metadata };
+    const entries = result.entries.map(entry => ({ ...entry, fields: { ...entry.fields } }));
+    const entriesById = new Map(entries.map(entry => [entry.id, entry]));
+
+    result.conflicts.forEach(conflict => {
+      const choice = resolutions[conflict.id] || 'ours';
+      const value = conflict[choice];
+
+      if (conflict.section === 'metadata') {
+        if (this.isEmptyValue(value)) {
+          delete metadata[conflict.field];
+        } else {
+          metadata[conflict.field] = value;
+        }
+        return;
+      }
+
+      const entry = entriesById.get(conflict.entryId);
+      if (conflict.field === null) {
+        entry.present = value !== null;
+        if (value !== null) {
+          entry.fields = this.flattenEntry(value);
+        }
+      } else if (value === null) {
+        delete entry.fields[conflict.field];
+      } else {
+        entry.fields[conflict.field] = value;
+      }
+    });
+
+    const config = { ...metadata, pdt: [] };
+
+    this.sectionRegistry.getKeys().forEach(section => {
+      const sectionEntries = entries
+        .filter(entry => entry.section === section && entry.present)
+        .map(entry => this.unflattenEntry(entry.fields));
+
+      if (sectionEntries.length > 0) {
+        config.pdt.push({ [section]: sectionEntries });
+      }
+    });
+
+    return config;
+  }
+}
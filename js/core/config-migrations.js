@@ -0,0 +1,172 @@
+// Format version the builder works with and exports by default
+export const CURRENT_FORMAT_VERSION = 1;
+
+// Builder (camelCase) names of the snake_case metadata keys
+const METADATA_ALIASES = {
+  configFormatVersion: 'config_format_version',
+  countryCode: 'country_code'
+};
+
+/**
+ * Move camelCase metadata keys to their snake_case name, keeping a snake_case value that is already set
+ */
+function useSnakeCaseMetadata(config) {
+  Object.entries(METADATA_ALIASES).forEach(([alias, key]) => {
+    if (config[alias] === undefined) return;
+    if (config[key] === undefined) {
+      config[key] = config[alias];
+    }
+    delete config[alias];
+  });
+  return config;
+}
+
+/**
+ * Known format versions. `normalize` reads a file of that version into its
+ * canonical snake_case shape; only exportable versions can be picked for export.
+ */
+const FORMAT_VERSIONS = [
+  {
+    version: 0,
+    label: 'Unversioned (legacy)',
+    exportable: false,
+    normalize(config) {
+      useSnakeCaseMetadata(config);
+      // Old JSON exports wrote the missing version as the string "undefined"
+      delete config.config_format_version;
+      return config;
+    }
+  },
+  {
+    version: 1,
+    label: 'Version 1',
+    exportable: true,
+    normalize(config) {
+      useSnakeCaseMetadata(config);
+      config.config_format_version = 1;
+      return config;
+    }
+  }
+];
+
+/**
+ * Step-wise upgrades between neighbouring versions. `up` changes the config in place
+ * and lists what it changed; `down` (optional) does the reverse for exporting to an older version.
+ */
+const MIGRATIONS = [
+  {
+    from: 0,
+    to: 1,
+    description: 'Add the format version to unversioned files',
+    up(config, changes) {
+      config.config_format_version = 1;
+      changes.push('Set config_format_version to 1');
+    }
+  }
+];
+
+/**
+ * ConfigMigrator upgrades configs of older format versions to the current one,
+ * and converts configs to an older version for export where a downgrade exists.
+ */
+export class ConfigMigrator {
+  /**
+   * @param {Object} options
+   * @param {Array} options.versions Known format versions (defaults to the built-in ones)
+   * @param {Array} options.migrations Upgrades between neighbouring versions
+   * @param {number} options.currentVersion Version configs are upgraded to by default
+   */
+  constructor({
+    versions = FORMAT_VERSIONS,
+    migrations = MIGRATIONS,
+    currentVersion = CURRENT_FORMAT_VERSION
+  } = {}) {
+    this.versions = versions;
+    this.migrations = migrations;
+    this.currentVersion = currentVersion;
+  }
+
+  /**
+   * Work out the format version of a config; files without one are version 0
+   * @throws {Error} If the version is not a known one
+   */
+  getVersion(config) {
+    const value = config?.config_format_version !== undefined
+      ? config.config_format_version
+      : config?.configFormatVersion;
+
+    if (value === undefined || value === null || value === '' || value === 'undefined') {
+      return 0;
+    }
+
+    const version = Number(value);
+    if (!this.getVersionInfo(version)) {
+      const newest = Math.max(...this.versions.map(info => info.version));
+      throw new Error(version > newest
+        ? `Config format version ${value} is newer than this builder supports (up to ${newest})`
+        : `Unknown config format version: ${value}`);
+    }
+
+    return version;
+  }
+
+  getVersionInfo(version) {
+    return this.versions.find(info => info.version === version) || null;
+  }
+
+  /**
+   * Versions that can be picked for export, newest first
+   */
+  getExportVersions() {
+    return this.versions
+      .filter(info => info.exportable)
+      .sort((a, b) => b.version - a.version);
+  }
+
+  /**
+   * Convert a config to another format version, one step at a time
+   * @param {Object} config Config of any known version (left unchanged)
+   * @param {number} targetVersion Version to convert to
+   * @returns {Object} { config, report: { fromVersion, toVersion, steps: [{ from, to, description, changes }] } }
+   * @throws {Error} If a version is unknown or a step has no migration
+   */
+  migrate(config, targetVersion = this.currentVersion) {
+    const fromVersion = this.getVersion(config);
+    if (!this.getVersionInfo(targetVersion)) {
+      throw new Error(`Unknown config format version: ${targetVersion}`);
+    }
+
+    let migrated = this.getVersionInfo(fromVersion).normalize(JSON.parse(JSON.stringify(config)));
+    const steps = [];
+    let version = fromVersion;
+
+    while (version !== targetVersion) {
+      const upgrade = version < targetVersion;
+      const migration = upgrade
+        ? this.migrations.find(step => step.from === version)
+        : this.migrations.find(step => step.to === version);
+
+      if (!migration || (!upgrade && !migration.down)) {
+        throw new Error(`Cannot convert config format version ${version} to ${targetVersion}`);
+      }
+
+      const changes = [];
+      if (upgrade) {
+        migration.up(migrated, changes);
+      } else {
+        migration.down(migrated, changes);
+      }
+
+      const nextVersion = upgrade ? migration.to : migration.from;
+      steps.push({ from: version, to: nextVersion, description: migration.description, changes });
+      version = nextVersion;
+    }
+
+    migrated = this.getVersionInfo(targetVersion).normalize(migrated);
+
+    return {
+      config: migrated,
+      report: { fromVersion, toVersion: targetVersion, steps }
+    };
+  }
+}
@@ -0,0 +1,105 @@
+import { getDefaultSectionRegistry } from './section-registry.js';
+import { getDefaultEnumCatalog } from './enum-catalog.js';
+
+// Condition keys of the PDT and mean-delay intervals, in minutes
+const intervalConditions = {
+  pdt_greater_than: { type: 'integer', description: 'Entry applies when the PDT is above this value' },
+  pdt_less_than_or_equal_to: { type: 'integer', description: 'Entry applies when the PDT is at most this value' },
+  mean_delay_greater_than: { type: 'integer', description: 'Entry applies when the mean delay is above this value' },
+  mean_delay_less_than_or_equal_to: { type: 'integer', description: 'Entry applies when the mean delay is at most this value' }
+};
+
+// Builder-internal keys such as `_title`, present in JSON exports
+const internalKeys = { '^_': {} };
+
+// Entries of each known section, as described by its definition
+const getSectionProperties = () => Object.fromEntries(getDefaultSectionRegistry().getAll().map(definition => [
+  definition.key,
+  { type: 'array', items: definition.entrySchema || {} }
+]));
+
+/**
+ * JSON Schema (draft-07) of the PDT config file.
+ * Used by the ConfigImporter to report path-level errors, and offered as a
+ * download so editors can autocomplete and check the YAML.
+ */
+export const CONFIG_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'PDT configuration',
+  type: 'object',
+  required: ['variant', 'platform', 'pdt'],
+  properties: {
+    config_format_version: {
+      type: ['integer', 'string'],
+      description: 'Version of the config file format'
+    },
+    configFormatVersion: { type: ['integer', 'string'], description: 'Builder name of config_format_version' },
+    variant: { type: ['string', 'null'], description: 'Experiment variant the config belongs to' },
+    platform: { type: ['string', 'null'], description: 'Platform the config is deployed on' },
+    country_code: { type: ['string', 'null'], description: 'Country of the config' },
+    countryCode: { type: ['string', 'null'], description: 'Builder name of country_code' },
+    pdt: {
+      type: 'array',
+      minItems: 1,
+      description: 'Sections of entries, one section type each',
+      items: { $ref: '#/definitions/section' }
+    }
+  },
+  patternProperties: internalKeys,
+  additionalProperties: false,
+  definitions: {
+    section: {
+      type: 'object',
+      minProperties: 1,
+      maxProperties: 1,
+      description: 'One section holding entries of a single type',
+      // Read on use, so sections registered later are included
+      get properties() {
+        return getSectionProperties();
+      },
+      additionalProperties: false
+    },
+    deliveryOption: {
+      type: 'string',
+      // Read from the enum catalog on use, like the section properties
+      get enum() {
+        return getDefaultEnumCatalog().getValues('deliveryOptions');
+      }
+    },
+    minMax: {
+      type: 'object',
+      required: ['min', 'max'],
+      properties: {
+        min: { type: 'integer', minimum: 0 },
+        max: { type: 'integer', minimum: 0 }
+      },
+      additionalProperties: false
+    },
+    // Offsets from the PDT, so they may be negative
+    bounds: {
+      type: 'object',
+      required: ['lower_bound', 'upper_bound'],
+      properties: {
+        lower_bound: { type: 'integer' },
+        upper_bound: { type: 'integer' }
+      },
+      additionalProperties: false
+    },
+    conditions: {
+      type: 'object',
+      properties: {
+        delivery_mode: {
+          type: 'string',
+          get enum() {
+            return getDefaultEnumCatalog().getValues('deliveryModes');
+          }
+        },
+        marketplace: { type: 'boolean' },
+        vertical_types: { type: 'array', items: { type: 'string' } },
+        ...intervalConditions
+      },
+      patternProperties: internalKeys,
+      additionalProperties: false
+    }
+  }
+};
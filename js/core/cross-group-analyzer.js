@@ -0,0 +1,295 @@
+import { getDefaultSectionRegistry } from './section-registry.js';
+
+/**
+ * CrossGroupAnalyzer compares the entries of different groups in the same section.
+ * It finds common-param combinations that more than one group matches, works out
+ * which entry wins under the chosen precedence, and flags entries that can never fire.
+ * Sections take part through the `competingRegions` hook of their definition.
+ */
+export class CrossGroupAnalyzer {
+  /**
+   * @param {IntervalUtils} intervalUtils
+   * @param {SectionRegistry} sectionRegistry Known section types; defaults to the shared registry
+   */
+  constructor(intervalUtils, sectionRegistry = getDefaultSectionRegistry()) {
+    this.intervalUtils = intervalUtils;
+    this.sectionRegistry = sectionRegistry;
+
+    // Segment fields shared by all analysed sections
+    this.segmentFields = ['deliveryOption', 'deliveryMode', 'marketplace', 'verticalTypes'];
+
+    // Segment fields holding a set of values; an order matches any of them
+    this.setFields = ['verticalTypes'];
+
+    this.precedenceLabels = {
+      'first-match': 'first match',
+      'most-specific': 'most specific'
+    };
+  }
+
+  /**
+   * Analyse all groups
+   * @param {Array} groups All configuration groups, in config order
+   * @param {string} precedence 'first-match' or 'most-specific'
+   * @returns {Object} { overlaps, shadowed }
+   */
+  analyze(groups, precedence = 'first-match') {
+    const overlaps = [];
+    const shadowed = [];
+
+    // Sections whose entries compete for the same order
+    const sectionTypes = this.sectionRegistry.getAll()
+      .filter(definition => definition.competingRegions)
+      .map(definition => definition.id);
+
+    sectionTypes.forEach(type => {
+      const regions = this.getRegions(groups.filter(group => group.type === type));
+      const ranked = this.rankRegions(regions, precedence);
+
+      overlaps.push(...this.findOverlaps(type, regions, ranked, precedence));
+      shadowed.push(...this.findShadowed(type, ranked, precedence));
+    });
+
+    return { overlaps, shadowed };
+  }
+
+  /**
+   * Turn groups into the regions of the plane their entries match.
+   * This mirrors how ConfigManager writes the entries, e.g. one per rule for
+   * ranges and one per group for capping.
+   * @returns {Array} List of { order, groupId, groupTitle, ruleIndex, segment, rectangle }
+   */
+  getRegions(groups) {
+    const regions = [];
+
+    groups.forEach(group => {
+      const definition = this.sectionRegistry.get(group.type);
+      const segment = this.getSegment(group.type, group.commonParams || {});
+
+      definition.competingRegions(group, this.intervalUtils).forEach(({ ruleIndex, rectangle }) => {
+        regions.push(this.createRegion(regions.length, group, ruleIndex, segment, rectangle));
+      });
+    });
+
+    return regions;
+  }
+
+  createRegion(order, group, ruleIndex, segment, rectangle) {
+    return {
+      order,
+      groupId: group.id,
+      groupTitle: group.title,
+      ruleIndex,
+      segment,
+      rectangle
+    };
+  }
+
+  /**
+   * Get the segment a group matches; null means any value.
+   * Set fields are sorted lists of values.
+   */
+  getSegment(type, params) {
+    const segment = {};
+
+    this.segmentFields.forEach(field => {
+      const value = params[field];
+      if (this.setFields.includes(field)) {
+        const values = Array.isArray(value) ? value.map(String) : [];
+        segment[field] = values.length > 0 ? [...new Set(values)].sort() : null;
+      } else {
+        segment[field] = value !== undefined && value !== null && value !== '' ? String(value) : null;
+      }
+    });
+
+    // Entries without a delivery option key, e.g. display formats, match any; the others default to STANDARD
+    const hasDeliveryOption = !!this.sectionRegistry.get(type)?.entryShape.delivery_option;
+    segment.deliveryOption = hasDeliveryOption ? (segment.deliveryOption || 'STANDARD') : null;
+
+    return segment;
+  }
+
+  /**
+   * Order regions from highest to lowest precedence
+   */
+  rankRegions(regions, precedence) {
+    const ranked = [...regions];
+
+    if (precedence === 'most-specific') {
+      // Stable sort keeps config order among equally specific entries
+      ranked.sort((a, b) => this.getSpecificity(b) - this.getSpecificity(a));
+    }
+
+    ranked.forEach((region, rank) => {
+      region.rank = rank;
+    });
+
+    return ranked;
+  }
+
+  /**
+   * Count the conditions that narrow a region: segment fields plus finite bounds
+   */
+  getSpecificity(region) {
+    const fields = this.segmentFields.filter(field => region.segment[field] !== null).length;
+    const bounds = [
+      region.rectangle.pdt.from,
+      region.rectangle.pdt.to,
+      region.rectangle.meanDelay.from,
+      region.rectangle.meanDelay.to
+    ].filter(bound => isFinite(bound)).length;
+
+    return fields + bounds;
+  }
+
+  /**
+   * Find region pairs from different groups that can match the same order,
+   * reported once per group pair
+   */
+  findOverlaps(type, regions, ranked, precedence) {
+    const overlapsByGroups = {};
+
+    for (let i = 0; i < regions.length; i++) {
+      for (let j = i + 1; j < regions.length; j++) {
+        const region1 = regions[i];
+        const region2 = regions[j];
+
+        if (region1.groupId === region2.groupId) continue;
+        if (!this.segmentsOverlap(region1.segment, region2.segment)) continue;
+        if (!this.intervalUtils.intersectRectangles(region1.rectangle, region2.rectangle)) continue;
+
+        const key = `${region1.groupId}|${region2.groupId}`;
+        if (!overlapsByGroups[key]) {
+          overlapsByGroups[key] = {
+            type,
+            group1: region1.groupId,
+            group2: region2.groupId,
+            group1Title: region1.groupTitle,
+            group2Title: region2.groupTitle,
+            segment: this.mergeSegments(region1.segment, region2.segment),
+            pairs: []
+          };
+        }
+
+        const winner = region1.rank < region2.rank ? region1 : region2;
+        overlapsByGroups[key].pairs.push({
+          rule1Index: region1.ruleIndex,
+          rule2Index: region2.ruleIndex,
+          winner: winner.groupId
+        });
+      }
+    }
+
+    return Object.values(overlapsByGroups).map(overlap => {
+      const group1Wins = overlap.pairs.filter(pair => pair.winner === overlap.group1).length;
+      const group2Wins = overlap.pairs.length - group1Wins;
+
+      let outcome;
+      if (group2Wins === 0) {
+        outcome = `'${overlap.group1Title}' wins`;
+      } else if (group1Wins === 0) {
+        outcome = `'${overlap.group2Title}' wins`;
+      } else {
+        outcome = `'${overlap.group1Title}' wins ${group1Wins}, '${overlap.group2Title}' wins ${group2Wins}`;
+      }
+
+      const pairText = overlap.pairs.length === 1 ? '1 entry pair' : `${overlap.pairs.length} entry pairs`;
+
+      return {
+        ...overlap,
+        message: `'${overlap.group1Title}' and '${overlap.group2Title}' both match ${this.describeSegment(overlap.segment)} in ${pairText}; ${outcome} (${this.precedenceLabels[precedence]})`
+      };
+    });
+  }
+
+  /**
+   * Find regions fully covered by higher-precedence regions that match a superset
+   * of their segment. Such entries can never be selected.
+   */
+  findShadowed(type, ranked, precedence) {
+    const shadowed = [];
+
+    ranked.forEach((region, rank) => {
+      const covering = ranked
+        .slice(0, rank)
+        .filter(higher => this.segmentCovers(higher.segment, region.segment))
+        .filter(higher => this.intervalUtils.intersectRectangles(higher.rectangle, region.rectangle));
+
+      if (covering.length === 0) return;
+
+      const uncovered = this.intervalUtils.findUncovered(
+        region.rectangle,
+        covering.map(higher => higher.rectangle)
+      );
+      if (uncovered.length > 0) return;
+
+      const coveringTitles = [...new Set(covering.map(higher => `'${higher.groupTitle}'`))];
+      const subject = region.ruleIndex === null
+        ? `Group '${region.groupTitle}'`
+        : `Rule ${region.ruleIndex + 1} in '${region.groupTitle}'`;
+
+      shadowed.push({
+        type,
+        groupId: region.groupId,
+        ruleIndex: region.ruleIndex,
+        shadowedBy: [...new Set(covering.map(higher => higher.groupId))],
+        message: `${subject} can never fire; it is fully covered by ${coveringTitles.join(', ')} (${this.precedenceLabels[precedence]})`
+      });
+    });
+
+    return shadowed;
+  }
+
+  /**
+   * Two segments overlap if no field has two different fixed values;
+   * set fields overlap if they share a value
+   */
+  segmentsOverlap(segment1, segment2) {
+    return this.segmentFields.every(field => {
+      const value1 = segment1[field];
+      const value2 = segment2[field];
+      if (value1 === null || value2 === null) return true;
+      return this.setFields.includes(field) ? value1.some(value => value2.includes(value)) : value1 === value2;
+    });
+  }
+
+  /**
+   * Segment a covers segment b if every field of a is open, equal to b,
+   * or for set fields holds every value of b
+   */
+  segmentCovers(a, b) {
+    return this.segmentFields.every(field => {
+      if (a[field] === null) return true;
+      if (b[field] === null) return false;
+      return this.setFields.includes(field) ? b[field].every(value => a[field].includes(value)) : a[field] === b[field];
+    });
+  }
+
+  /**
+   * The part both segments match: the fixed value of either, or the shared values of a set field
+   */
+  mergeSegments(segment1, segment2) {
+    const merged = {};
+    this.segmentFields.forEach(field => {
+      if (segment1[field] === null || segment2[field] === null) {
+        merged[field] = segment1[field] !== null ? segment1[field] : segment2[field];
+      } else if (this.setFields.includes(field)) {
+        merged[field] = segment1[field].filter(value => segment2[field].includes(value));
+      } else {
+        merged[field] = segment1[field];
+      }
+    });
+    return merged;
+  }
+
+  describeSegment(segment) {
+    const parts = [];
+
+    if (segment.deliveryOption) parts.push(segment.deliveryOption);
+    if (segment.deliveryMode) parts.push(segment.deliveryMode);
+    if (segment.marketplace) parts.push(segment.marketplace === 'true' ? 'marketplace' : 'non-marketplace');
+    if (segment.verticalTypes) parts.push(segment.verticalTypes.join(' / '));
+
+    return parts.length > 0 ? parts.join(' · ') : 'any order';
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * CsvHandler parses and generates comma-separated files.
+ * It understands quoted fields, escaped quotes and CRLF line endings.
+ */
+export class CsvHandler {
+  /**
+   * Parse CSV text into header names and row objects
+   * @param {string} text CSV content with a header row
+   * @returns {Object} { headers, rows } where each row maps header -> string value
+   */
+  parse(text) {
+    const records = this.parseRecords(text);
+
+    if (records.length === 0) {
+      return { headers: [], rows: [] };
+    }
+
+    const headers = records[0].map(header => header.trim());
+    const rows = records.slice(1)
+      // Skip blank lines
+      .filter(record => record.some(value => value.trim() !== ''))
+      .map(record => {
+        const row = {};
+        headers.forEach((header, index) => {
+          row[header] = record[index] !== undefined ? record[index].trim() : '';
+        });
+        return row;
+      });
+
+    return { headers, rows };
+  }
+
+  /**
+   * Split CSV text into records of raw field values
+   */
+  parseRecords(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a byte order mark left by spreadsheet exports
+    const content = text.replace(/^﻿/, '');
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (inQuotes) {
+        if (char === '"') {
+          if (content[i + 1] === '"') {
+            // Escaped quote
+            field += '"';
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        // Treat CRLF as a single line break
+        if (char === '\r' && content[i + 1] === '\n') {
+          i++;
+        }
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    // Flush the last record if the file doesn't end with a newline
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    return records;
+  }
+
+  /**
+   * Generate CSV text from header names and row objects
+   * @param {Array} headers Column names, in output order
+   * @param {Array} rows Row objects keyed by header
+   * @returns {string} CSV content
+   */
+  generate(headers, rows) {
+    const lines = [headers.map(header => this.escapeField(header)).join(',')];
+
+    rows.forEach(row => {
+      lines.push(headers.map(header => this.escapeField(row[header])).join(','));
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  escapeField(value) {
+    if (value === undefined || value === null) return '';
+
+    const text = String(value);
+    if (/[",\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+  }
+}
@@ -0,0 +1,382 @@
+import { getDefaultStorage } from './storage.js';
+import { isCountryCode, getCountryName } from './country-codes.js';
+
+// Storage key of an edited or imported catalog
+const STORAGE_KEY = 'pdtEnumCatalog';
+
+/**
+ * Enumerations the catalog holds, with the config keys their values are found under.
+ * Values of strict enumerations are enforced by the config schema; values missing from
+ * the others are only reported, so a new vertical can be used before it is catalogued.
+ * Platforms also list the countries they operate in; the MetadataValidator checks them with the country code.
+ */
+const ENUMERATIONS = {
+  platforms: { label: 'Platforms', fields: [], strict: false, hasCountries: true },
+  deliveryOptions: { label: 'Delivery Options', fields: ['delivery_option'], strict: true },
+  deliveryModes: { label: 'Delivery Modes', fields: ['delivery_mode'], strict: true },
+  verticalTypes: { label: 'Vertical Types', fields: ['vertical_types'], strict: false },
+  displayFormats: { label: 'Display Formats', fields: ['format'], strict: true },
+  roundingStrategies: { label: 'Rounding Strategies', fields: ['strategy'], strict: false }
+};
+
+/**
+ * Values the builder ships with
+ */
+export const DEFAULT_CATALOG = {
+  platforms: [
+    {
+      value: 'talabat',
+      label: 'talabat',
+      description: 'talabat apps in the Middle East',
+      countries: ['ae', 'bh', 'eg', 'iq', 'jo', 'kw', 'om', 'qa']
+    },
+    {
+      value: 'hungerstation',
+      label: 'HungerStation',
+      description: 'HungerStation app in Saudi Arabia',
+      countries: ['sa']
+    }
+  ],
+  deliveryOptions: [
+    { value: 'STANDARD', label: 'Standard', description: 'Regular delivery' },
+    { value: 'PRIORITY', label: 'Priority', description: 'Paid option that is dispatched first' },
+    { value: 'SAVER', label: 'Saver', description: 'Cheaper option that may be batched with other orders' }
+  ],
+  deliveryModes: [
+    { value: 'DELIVERY', label: 'Delivery', description: 'Order is brought to the customer' },
+    { value: 'PICKUP', label: 'Pickup', description: 'Customer collects the order' }
+  ],
+  verticalTypes: [
+    { value: 'restaurants', label: 'Restaurants', description: 'Food prepared by partner restaurants' },
+    { value: 'darkstores', label: 'Darkstores', description: 'Groceries picked in own warehouses' }
+  ],
+  displayFormats: [
+    { value: 'DISPLAY_FORMAT_MINUTE_VALUE', label: 'Minute Value', description: 'A single number of minutes, e.g. "25 mins"' },
+    { value: 'DISPLAY_FORMAT_MINUTE_RANGE', label: 'Minute Range', description: 'A range of minutes, e.g. "20 - 30 mins"' },
+    { value: 'DISPLAY_FORMAT_ETA_RANGE', label: 'ETA Range', description: 'A range of clock times, e.g. "12:20 - 12:30"' }
+  ],
+  roundingStrategies: [
+    { value: 'FLOOR_5', label: 'Floor to 5 minutes', description: 'Round down to a multiple of 5' },
+    { value: 'CEIL_5', label: 'Ceil to 5 minutes', description: 'Round up to a multiple of 5' },
+    { value: 'NEAREST_5', label: 'Nearest 5 minutes', description: 'Round to the closest multiple of 5' },
+    { value: 'FLOOR_10', label: 'Floor to 10 minutes', description: 'Round down to a multiple of 10' },
+    { value: 'CEIL_10', label: 'Ceil to 10 minutes', description: 'Round up to a multiple of 10' },
+    { value: 'NEAREST_10', label: 'Nearest 10 minutes', description: 'Round to the closest multiple of 10' }
+  ]
+};
+
+/**
+ * EnumCatalog holds the values offered for delivery options, delivery modes, verticals,
+ * platforms, display formats and rounding strategies, each with a label and description.
+ * The catalog can be replaced from a file; the replacement is kept in storage.
+ */
+export class EnumCatalog {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage Backend with getItem/setItem; defaults to localStorage in the browser
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || getDefaultStorage();
+    this.enums = this.copyCatalog(DEFAULT_CATALOG);
+
+    // Config key → enumeration name
+    this.fieldEnums = {};
+    Object.entries(ENUMERATIONS).forEach(([name, enumeration]) => {
+      enumeration.fields.forEach(field => {
+        this.fieldEnums[field] = name;
+      });
+    });
+
+    this.loadCatalog();
+  }
+
+  /**
+   * Load a catalog saved by setCatalog; a saved catalog that no longer validates is ignored.
+   * Enumerations added since it was saved keep their defaults.
+   */
+  loadCatalog() {
+    const saved = this.storage.getItem(STORAGE_KEY);
+    if (!saved) return;
+
+    try {
+      this.enums = { ...this.enums, ...this.normalizeCatalog(JSON.parse(saved)) };
+    } catch (e) {
+      console.error('Error loading enum catalog:', e);
+    }
+  }
+
+  /**
+   * Replace the catalog and save it.
+   * Enumerations the data leaves out keep their current values.
+   * @param {Object} data Enumeration name → [{ value, label?, description? }];
+   *   platforms also have `countries`, a list of ISO 3166-1 alpha-2 codes
+   * @throws {Error} Listing every problem if the data is not a valid catalog
+   */
+  setCatalog(data) {
+    this.enums = { ...this.enums, ...this.normalizeCatalog(data) };
+    this.storage.setItem(STORAGE_KEY, JSON.stringify(this.enums));
+  }
+
+  /**
+   * Go back to the values the builder ships with
+   */
+  resetCatalog() {
+    this.enums = this.copyCatalog(DEFAULT_CATALOG);
+    this.storage.removeItem(STORAGE_KEY);
+  }
+
+  /**
+   * Check catalog data and fill in missing labels
+   * @throws {Error} Listing every problem found
+   */
+  normalizeCatalog(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('The catalog must be an object of enumerations');
+    }
+
+    const errors = [];
+    const catalog = {};
+
+    Object.entries(data).forEach(([name, values]) => {
+      if (!ENUMERATIONS[name]) {
+        errors.push(`'${name}' is not a known enumeration (${Object.keys(ENUMERATIONS).join(', ')})`);
+        return;
+      }
+
+      if (!Array.isArray(values)) {
+        errors.push(`${name} must be a list of values`);
+        return;
+      }
+
+      const seen = new Set();
+      catalog[name] = [];
+
+      values.forEach((item, index) => {
+        const entry = typeof item === 'string' ? { value: item } : item;
+        const value = entry && typeof entry === 'object' ? entry.value : undefined;
+
+        if (typeof value !== 'string' || value.trim() === '') {
+          errors.push(`${name}[${index}] must have a value`);
+          return;
+        }
+
+        if (seen.has(value)) {
+          errors.push(`${name}[${index}] repeats the value '${value}'`);
+          return;
+        }
+        seen.add(value);
+
+        const normalized = {
+          value,
+          label: entry.label || value,
+          description: entry.description || ''
+        };
+
+        if (ENUMERATIONS[name].hasCountries) {
+          normalized.countries = this.normalizeCountries(entry.countries, `${name}[${index}].countries`, errors);
+        }
+
+        catalog[name].push(normalized);
+      });
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid catalog:\n${errors.join('\n')}`);
+    }
+
+    return catalog;
+  }
+
+  /**
+   * Check the countries of a platform; codes are kept in lowercase
+   */
+  normalizeCountries(countries, path, errors) {
+    if (countries === undefined) return [];
+
+    if (!Array.isArray(countries)) {
+      errors.push(`${path} must be a list of country codes`);
+      return [];
+    }
+
+    const invalid = countries.filter(code => !isCountryCode(code));
+    if (invalid.length > 0) {
+      errors.push(`${path} has codes that are not ISO 3166-1 country codes: ${invalid.join(', ')}`);
+    }
+
+    return [...new Set(countries.filter(isCountryCode).map(code => code.toLowerCase()))];
+  }
+
+  copyCatalog(catalog) {
+    return JSON.parse(JSON.stringify(catalog));
+  }
+
+  /**
+   * Get the catalog as saved and exported
+   */
+  getCatalog() {
+    return this.copyCatalog(this.enums);
+  }
+
+  /**
+   * Names and labels of all enumerations, in catalog order
+   * @returns {Array} [{ name, label, strict }]
+   */
+  getEnumerations() {
+    return Object.entries(ENUMERATIONS).map(([name, enumeration]) => ({
+      name,
+      label: enumeration.label,
+      strict: enumeration.strict
+    }));
+  }
+
+  /**
+   * Options of an enumeration for selects and suggestions
+   * @returns {Array} [{ value, label, description }]
+   */
+  getOptions(name) {
+    return (this.enums[name] || []).map(entry => ({ ...entry }));
+  }
+
+  getValues(name) {
+    return (this.enums[name] || []).map(entry => entry.value);
+  }
+
+  has(name, value) {
+    return this.getValues(name).includes(value);
+  }
+
+  /**
+   * Countries a platform operates in, in lowercase
+   * @returns {Array} Empty for platforms that are not catalogued
+   */
+  getCountries(platform) {
+    const entry = (this.enums.platforms || []).find(item => item.value === platform);
+    return entry ? [...entry.countries] : [];
+  }
+
+  /**
+   * Options of the countries a platform operates in, labelled with the country name
+   * @returns {Array} [{ value, label }]
+   */
+  getCountryOptions(platform) {
+    return this.getCountries(platform).map(code => ({
+      value: code,
+      label: `${code} – ${getCountryName(code)}`
+    }));
+  }
+
+  /**
+   * Label of a value, or the value itself if it is not catalogued
+   */
+  getLabel(name, value) {
+    return (this.enums[name] || []).find(entry => entry.value === value)?.label || value;
+  }
+
+  /**
+   * Find values of a config file that are not in the catalog.
+   * Strict enumerations are left to the config schema, which rejects their unknown values.
+   * @param {Object} config Config in file format (snake_case keys)
+   * @returns {Array} [{ path, enumeration, value, message }]
+   */
+  checkConfig(config) {
+    const issues = [];
+
+    this.visitValues(config, (name, value, path) => {
+      if (ENUMERATIONS[name].strict || value === '' || this.has(name, value)) return;
+
+      issues.push({
+        path,
+        enumeration: name,
+        value,
+        message: `${path} '${value}' is not in the enum catalog`
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Write values of strict enumerations with the case of the catalog, e.g. `standard` as `STANDARD`,
+   * so files the importer accepted before the schema checked them stay valid.
+   * The evaluation engine compares these values regardless of case.
+   * @param {Object} config Config in file format, changed in place
+   * @returns {Object} The config
+   */
+  normalizeCase(config) {
+    this.visitValues(config, (name, value, path, replace) => {
+      if (!ENUMERATIONS[name].strict || this.has(name, value)) return;
+
+      const catalogued = this.getValues(name).find(item => item.toUpperCase() === value.toUpperCase());
+      if (catalogued) {
+        replace(catalogued);
+      }
+    });
+
+    return config;
+  }
+
+  /**
+   * Call visit(enumeration, value, path, replace) for every string value of a catalogued field
+   * in the entries and entry conditions of a config file
+   */
+  visitValues(config, visit) {
+    if (!config || typeof config !== 'object') return;
+
+    const visitField = (holder, field, path) => {
+      const name = this.fieldEnums[field];
+      if (!name) return;
+
+      const visitItem = (items, key, itemPath) => {
+        if (typeof items[key] === 'string') {
+          visit(name, items[key], itemPath, replacement => {
+            items[key] = replacement;
+          });
+        }
+      };
+
+      if (Array.isArray(holder[field])) {
+        holder[field].forEach((item, index) => visitItem(holder[field], index, `${path}[${index}]`));
+      } else {
+        visitItem(holder, field, path);
+      }
+    };
+
+    const visitObject = (object, path) => {
+      Object.entries(object).forEach(([field, value]) => {
+        const fieldPath = path ? `${path}.${field}` : field;
+
+        if (field === 'conditions' && value && typeof value === 'object') {
+          visitObject(value, fieldPath);
+        } else {
+          visitField(object, field, fieldPath);
+        }
+      });
+    };
+
+    (Array.isArray(config.pdt) ? config.pdt : []).forEach((section, sectionIndex) => {
+      if (!section || typeof section !== 'object') return;
+
+      Object.entries(section).forEach(([key, entries]) => {
+        if (!Array.isArray(entries)) return;
+
+        entries.forEach((entry, entryIndex) => {
+          if (entry && typeof entry === 'object') {
+            visitObject(entry, `pdt[${sectionIndex}].${key}[${entryIndex}]`);
+          }
+        });
+      });
+    });
+  }
+}
+
+let defaultCatalog = null;
+
+/**
+ * Get the catalog shared by the builder, the config schema and the import checks
+ */
+export function getDefaultEnumCatalog() {
+  if (!defaultCatalog) {
+    defaultCatalog = new EnumCatalog();
+  }
+  return defaultCatalog;
+}
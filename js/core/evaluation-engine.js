@@ -0,0 +1,467 @@
+import { getDefaultSectionRegistry } from './section-registry.js';
+
+/**
+ * EvaluationEngine resolves a PDT configuration against an order context.
+ * It mirrors the downstream pipeline (ranges -> capping -> rounding -> display format)
+ * and reports, for every stage, which entries were considered and why they matched.
+ * The stages are the sections of the registry that define an `evaluation` hook.
+ *
+ * The engine is pure: it only reads the config object it is given (as produced by
+ * ConfigManager.getConfig() or parsed from an imported file) and never touches the DOM.
+ */
+export class EvaluationEngine {
+  /**
+   * @param {SectionRegistry} sectionRegistry Known section types and their pipeline stages
+   */
+  constructor(sectionRegistry = getDefaultSectionRegistry()) {
+    this.sectionRegistry = sectionRegistry;
+
+    // Defaults used when the order context leaves a segment field empty
+    this.contextDefaults = {
+      delivery_option: 'STANDARD',
+      delivery_mode: 'DELIVERY',
+      marketplace: false,
+      vertical_type: ''
+    };
+  }
+
+  /**
+   * Evaluate a config for a single order
+   * @param {Object} config PDT config (pdt sections with snake_case entries)
+   * @param {Object} orderContext Order fields: pdt, mean_delay, delivery_option,
+   *   delivery_mode, marketplace, vertical_type (and optionally order_time)
+   * @returns {Object} Per-stage results plus the final bounds and display text
+   */
+  evaluate(config, orderContext) {
+    const context = this.normalizeContext(orderContext);
+    const entries = this.collectEntries(config);
+    const result = { context };
+
+    // Ranges turn the PDT into bounds, capping clamps them, rounding snaps them
+    // to a step and the display format decides how they are shown
+    let bounds = { lowerBound: context.pdt !== null ? context.pdt : 0, upperBound: context.pdt !== null ? context.pdt : 0 };
+    let shown = { format: null, text: '' };
+
+    this.getStages().forEach(definition => {
+      const stage = definition.evaluation.evaluate(entries[definition.key], context, bounds, this);
+      result[definition.evaluation.resultKey] = stage;
+
+      if (stage.lowerBound !== undefined) bounds = stage;
+      if (stage.text !== undefined) shown = stage;
+    });
+
+    return {
+      ...result,
+      lowerBound: bounds.lowerBound,
+      upperBound: bounds.upperBound,
+      format: shown.format,
+      text: shown.text
+    };
+  }
+
+  /**
+   * Sections taking part in the evaluation, in pipeline order
+   */
+  getStages() {
+    return this.sectionRegistry.getAll()
+      .filter(definition => definition.evaluation)
+      .sort((a, b) => a.evaluation.stage - b.evaluation.stage);
+  }
+
+  /**
+   * Fill in defaults and coerce the order context to the types used by conditions
+   */
+  normalizeContext(orderContext = {}) {
+    const context = { ...this.contextDefaults };
+
+    Object.entries(orderContext).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        context[key] = value;
+      }
+    });
+
+    context.pdt = this.toNumber(context.pdt);
+    context.mean_delay = this.toNumber(context.mean_delay);
+    context.delivery_option = String(context.delivery_option).toUpperCase();
+    context.delivery_mode = String(context.delivery_mode).toUpperCase();
+    context.marketplace = this.toBoolean(context.marketplace);
+    context.vertical_type = String(context.vertical_type || '');
+
+    return context;
+  }
+
+  /**
+   * Flatten all PDT sections into per-type entry lists, keeping file order
+   */
+  collectEntries(config) {
+    const entries = {};
+    this.sectionRegistry.getKeys().forEach(key => {
+      entries[key] = [];
+    });
+
+    if (!config || !Array.isArray(config.pdt)) {
+      return entries;
+    }
+
+    config.pdt.forEach((section, sectionIndex) => {
+      Object.keys(entries).forEach(type => {
+        if (Array.isArray(section[type])) {
+          section[type].forEach((entry, entryIndex) => {
+            entries[type].push({ entry, sectionIndex, entryIndex });
+          });
+        }
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Run every entry through the condition matcher and pick the first full match
+   * @returns {Object} { matched, entry, index, sectionIndex, entryIndex, candidates }
+   */
+  findMatch(items, context) {
+    const candidates = items.map(({ entry, sectionIndex, entryIndex }, index) => {
+      const checks = this.checkEntry(entry, context);
+      return {
+        index,
+        sectionIndex,
+        entryIndex,
+        title: entry._title || '',
+        entry,
+        checks,
+        matched: checks.every(check => check.passed)
+      };
+    });
+
+    const winner = candidates.find(candidate => candidate.matched);
+
+    return {
+      matched: !!winner,
+      entry: winner ? winner.entry : null,
+      index: winner ? winner.index : -1,
+      sectionIndex: winner ? winner.sectionIndex : -1,
+      entryIndex: winner ? winner.entryIndex : -1,
+      candidates
+    };
+  }
+
+  /**
+   * Check the delivery option and every condition of an entry against the context
+   * @returns {Array} List of { condition, expected, actual, passed, reason }
+   */
+  checkEntry(entry, context) {
+    const checks = [];
+
+    if (entry.delivery_option !== undefined && entry.delivery_option !== null) {
+      const expected = String(entry.delivery_option).toUpperCase();
+      checks.push({
+        condition: 'delivery_option',
+        expected,
+        actual: context.delivery_option,
+        passed: expected === context.delivery_option,
+        reason: `delivery_option ${context.delivery_option} ${expected === context.delivery_option ? '=' : '≠'} ${expected}`
+      });
+    }
+
+    Object.entries(entry.conditions || {}).forEach(([key, expected]) => {
+      // Skip internal properties
+      if (key.startsWith('_')) return;
+
+      checks.push(this.checkCondition(key, expected, context));
+    });
+
+    return checks;
+  }
+
+  /**
+   * Evaluate a single condition key
+   */
+  checkCondition(key, expected, context) {
+    switch (key) {
+      case 'delivery_mode': {
+        const value = String(expected).toUpperCase();
+        const passed = value === context.delivery_mode;
+        return {
+          condition: key,
+          expected: value,
+          actual: context.delivery_mode,
+          passed,
+          reason: `delivery_mode ${context.delivery_mode} ${passed ? '=' : '≠'} ${value}`
+        };
+      }
+      case 'marketplace': {
+        const value = this.toBoolean(expected);
+        const passed = value === context.marketplace;
+        return {
+          condition: key,
+          expected: value,
+          actual: context.marketplace,
+          passed,
+          reason: `marketplace ${context.marketplace} ${passed ? '=' : '≠'} ${value}`
+        };
+      }
+      case 'vertical_types': {
+        const values = (Array.isArray(expected) ? expected : [expected])
+          .filter(value => value !== undefined && value !== null && value !== '')
+          .map(value => String(value));
+        // An empty list places no restriction on the vertical
+        const passed = values.length === 0 || values.includes(context.vertical_type);
+        return {
+          condition: key,
+          expected: values,
+          actual: context.vertical_type,
+          passed,
+          reason: `vertical_type ${context.vertical_type || '(none)'} ${passed ? 'in' : 'not in'} [${values.join(', ')}]`
+        };
+      }
+      case 'pdt_greater_than':
+        return this.checkBound(key, 'pdt', expected, context.pdt, '>');
+      case 'pdt_less_than_or_equal_to':
+        return this.checkBound(key, 'pdt', expected, context.pdt, '≤');
+      case 'mean_delay_greater_than':
+        return this.checkBound(key, 'mean_delay', expected, context.mean_delay, '>');
+      case 'mean_delay_less_than_or_equal_to':
+        return this.checkBound(key, 'mean_delay', expected, context.mean_delay, '≤');
+      default:
+        // Conditions the engine does not know about can't be proven to match
+        return {
+          condition: key,
+          expected,
+          actual: context[key],
+          passed: false,
+          reason: `Unknown condition '${key}'`
+        };
+    }
+  }
+
+  /**
+   * Check a numeric bound: '>' is exclusive, '≤' is inclusive
+   */
+  checkBound(key, field, expected, actual, operator) {
+    const bound = this.toNumber(expected);
+    let passed = false;
+
+    if (bound !== null && actual !== null) {
+      passed = operator === '>' ? actual > bound : actual <= bound;
+    }
+
+    return {
+      condition: key,
+      expected: bound,
+      actual,
+      passed,
+      reason: `${field} ${actual === null ? '(none)' : actual} ${passed ? operator : `not ${operator}`} ${bound}`
+    };
+  }
+
+  /**
+   * Stage 1: pick the ranges entry and offset the PDT by its bounds
+   */
+  evaluateRanges(items, context) {
+    const match = this.findMatch(items, context);
+    const pdt = context.pdt !== null ? context.pdt : 0;
+
+    let lowerBound = pdt;
+    let upperBound = pdt;
+
+    if (match.matched) {
+      lowerBound = pdt + (this.toNumber(match.entry.lower_bound) || 0);
+      upperBound = pdt + (this.toNumber(match.entry.upper_bound) || 0);
+    }
+
+    return {
+      ...match,
+      lowerBound,
+      upperBound
+    };
+  }
+
+  /**
+   * Stage 2: clamp the bounds with the matched capping entry.
+   * 'ranges' capping keeps the lower bound within [min.lower_bound, max.lower_bound]
+   * and the upper bound within [min.upper_bound, max.upper_bound]; 'single' capping
+   * then keeps both within [min, max].
+   */
+  evaluateCapping(items, context, previous) {
+    const match = this.findMatch(items, context);
+    const before = { lowerBound: previous.lowerBound, upperBound: previous.upperBound };
+
+    let lowerBound = before.lowerBound;
+    let upperBound = before.upperBound;
+    const applied = [];
+
+    if (match.matched) {
+      const { single, ranges } = match.entry;
+
+      if (ranges && ranges.min && ranges.max) {
+        const clampedLower = this.clamp(lowerBound, ranges.min.lower_bound, ranges.max.lower_bound);
+        const clampedUpper = this.clamp(upperBound, ranges.min.upper_bound, ranges.max.upper_bound);
+
+        applied.push({
+          type: 'ranges',
+          description: `lower bound in [${ranges.min.lower_bound}, ${ranges.max.lower_bound}], ` +
+            `upper bound in [${ranges.min.upper_bound}, ${ranges.max.upper_bound}]`,
+          changed: clampedLower !== lowerBound || clampedUpper !== upperBound
+        });
+
+        lowerBound = clampedLower;
+        upperBound = clampedUpper;
+      }
+
+      if (single) {
+        const clampedLower = this.clamp(lowerBound, single.min, single.max);
+        const clampedUpper = this.clamp(upperBound, single.min, single.max);
+
+        applied.push({
+          type: 'single',
+          description: `both bounds in [${single.min}, ${single.max}]`,
+          changed: clampedLower !== lowerBound || clampedUpper !== upperBound
+        });
+
+        lowerBound = clampedLower;
+        upperBound = clampedUpper;
+      }
+    }
+
+    return {
+      ...match,
+      before,
+      applied,
+      lowerBound,
+      upperBound
+    };
+  }
+
+  /**
+   * Stage 3: round both bounds with the matched rounding strategy
+   */
+  evaluateRounding(items, context, previous) {
+    const match = this.findMatch(items, context);
+    const before = { lowerBound: previous.lowerBound, upperBound: previous.upperBound };
+    const strategy = match.matched ? match.entry.strategy || null : null;
+    const parsed = this.parseRoundingStrategy(strategy);
+
+    let lowerBound = before.lowerBound;
+    let upperBound = before.upperBound;
+
+    if (parsed) {
+      lowerBound = this.round(lowerBound, parsed);
+      upperBound = this.round(upperBound, parsed);
+    }
+
+    return {
+      ...match,
+      before,
+      strategy,
+      supported: strategy === null || !!parsed,
+      lowerBound,
+      upperBound
+    };
+  }
+
+  /**
+   * Stage 4: pick the display format and render the customer-facing text
+   */
+  evaluateDisplayFormat(items, context, previous) {
+    const match = this.findMatch(items, context);
+    const format = match.matched ? match.entry.format : null;
+
+    return {
+      ...match,
+      format,
+      text: this.formatText(format, previous.lowerBound, previous.upperBound, context)
+    };
+  }
+
+  /**
+   * Parse strategies of the form FLOOR_5, CEIL_5, NEAREST_5
+   * @returns {Object|null} { mode, step } or null if the strategy is not understood
+   */
+  parseRoundingStrategy(strategy) {
+    if (!strategy) return null;
+
+    const match = /^(FLOOR|CEIL|CEILING|NEAREST|ROUND)_(\d+)$/.exec(String(strategy).toUpperCase());
+    if (!match || Number(match[2]) === 0) return null;
+
+    const modeMap = {
+      FLOOR: 'floor',
+      CEIL: 'ceil',
+      CEILING: 'ceil',
+      NEAREST: 'nearest',
+      ROUND: 'nearest'
+    };
+
+    return { mode: modeMap[match[1]], step: Number(match[2]) };
+  }
+
+  round(value, { mode, step }) {
+    switch (mode) {
+      case 'floor':
+        return Math.floor(value / step) * step;
+      case 'ceil':
+        return Math.ceil(value / step) * step;
+      default:
+        return Math.round(value / step) * step;
+    }
+  }
+
+  /**
+   * Render the final text for a display format.
+   * Without a matched format the minute range is shown.
+   */
+  formatText(format, lowerBound, upperBound, context) {
+    switch (format) {
+      case 'DISPLAY_FORMAT_MINUTE_VALUE':
+        // A single value promises the later end of the range
+        return `${upperBound} min`;
+      case 'DISPLAY_FORMAT_ETA_RANGE': {
+        const orderTime = context.order_time ? new Date(context.order_time) : null;
+        if (orderTime && !isNaN(orderTime.getTime())) {
+          return `${this.formatClockTime(orderTime, lowerBound)}–${this.formatClockTime(orderTime, upperBound)}`;
+        }
+        return this.formatMinuteRange(lowerBound, upperBound);
+      }
+      default:
+        return this.formatMinuteRange(lowerBound, upperBound);
+    }
+  }
+
+  formatMinuteRange(lowerBound, upperBound) {
+    if (lowerBound === upperBound) {
+      return `${upperBound} min`;
+    }
+    return `${lowerBound}–${upperBound} min`;
+  }
+
+  formatClockTime(orderTime, minutes) {
+    const time = new Date(orderTime.getTime() + minutes * 60000);
+    const hours = String(time.getHours()).padStart(2, '0');
+    const mins = String(time.getMinutes()).padStart(2, '0');
+    return `${hours}:${mins}`;
+  }
+
+  clamp(value, min, max) {
+    const low = this.toNumber(min);
+    const high = this.toNumber(max);
+    let result = value;
+
+    if (low !== null && result < low) result = low;
+    if (high !== null && result > high) result = high;
+
+    return result;
+  }
+
+  toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+  }
+
+  toBoolean(value) {
+    if (typeof value === 'string') {
+      return value.toLowerCase() === 'true';
+    }
+    return !!value;
+  }
+}
@@ -0,0 +1,352 @@
+import { ConfigDiff } from './config-diff.js';
+import { VARIANT_PATTERN } from './metadata-validator.js';
+import { getDefaultSectionRegistry } from './section-registry.js';
+
+// Storage key of the experiments
+const STORAGE_KEY = 'pdtExperiments';
+
+// Interval that leaves a group label without PDT / mean-delay bounds
+const UNBOUNDED = {
+  pdt: { from: -Infinity, to: Infinity },
+  meanDelay: { from: -Infinity, to: Infinity }
+};
+
+/**
+ * ExperimentManager keeps experiments: a control config of the workspace and
+ * treatment variants for the same platform and country.
+ * A treatment is stored as overrides on the control, one per group it changes:
+ * the rules of that group (segment) in the treatment, or none if it drops the group.
+ * Everything else is read from the control, so later edits of the control
+ * carry over to every treatment.
+ */
+export class ExperimentManager {
+  /**
+   * @param {WorkspaceManager} workspaceManager Holds the control configs
+   * @param {Object} options
+   * @param {Object} options.storage Backend with getItem/setItem; defaults to the storage of the workspace
+   * @param {SectionRegistry} options.sectionRegistry Known section types; defaults to the shared registry
+   */
+  constructor(workspaceManager, options = {}) {
+    this.workspaceManager = workspaceManager;
+    this.storage = options.storage || workspaceManager.storage;
+    this.sectionRegistry = options.sectionRegistry || getDefaultSectionRegistry();
+    this.configDiff = new ConfigDiff(this.sectionRegistry);
+
+    // { experiments: [{ id, name, controlId, treatments: [{ variant, overrides }] }] }
+    this.data = { experiments: [] };
+
+    this.load();
+  }
+
+  load() {
+    const saved = this.storage.getItem(STORAGE_KEY);
+    if (!saved) return;
+
+    try {
+      const parsed = JSON.parse(saved);
+      if (Array.isArray(parsed.experiments)) {
+        this.data = parsed;
+      }
+    } catch (e) {
+      console.error('Failed to parse saved experiments:', e);
+    }
+  }
+
+  save() {
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+    } catch (e) {
+      console.error('Failed to save experiments:', e);
+    }
+  }
+
+  getExperiments() {
+    return this.data.experiments;
+  }
+
+  getExperiment(id) {
+    return this.data.experiments.find(experiment => experiment.id === id) || null;
+  }
+
+  /**
+   * Add an experiment without treatments
+   * @param {string} name Name shown in the list
+   * @param {string} controlId Workspace config used as control
+   * @returns {Object} The new experiment
+   * @throws {Error} If the name is empty or taken, or the control is not a saved config of the workspace
+   */
+  create(name, controlId) {
+    if (!this.workspaceManager.getEntry(controlId)) {
+      throw new Error('The control must be a configuration of the workspace');
+    }
+
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error('An experiment needs a name');
+    }
+
+    if (this.data.experiments.some(experiment => experiment.name === trimmed)) {
+      throw new Error(`An experiment named '${trimmed}' already exists`);
+    }
+
+    const experiment = {
+      id: `experiment-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name: trimmed,
+      controlId,
+      treatments: []
+    };
+
+    // Fails early if the control cannot be read
+    this.getControlConfig(experiment);
+
+    this.data.experiments.push(experiment);
+    this.save();
+    return experiment;
+  }
+
+  remove(id) {
+    this.data.experiments = this.data.experiments.filter(experiment => experiment.id !== id);
+    this.save();
+  }
+
+  /**
+   * Get the control config as it is saved in the workspace
+   * @throws {Error} If the control was deleted or never saved
+   */
+  getControlConfig(experiment) {
+    const entry = this.workspaceManager.getEntry(experiment.controlId);
+    if (!entry) {
+      throw new Error(`The control configuration of experiment '${experiment.name}' was deleted`);
+    }
+
+    const config = this.workspaceManager.readConfig(entry.id);
+    if (!config) {
+      throw new Error(`The control configuration '${entry.name}' has not been saved yet`);
+    }
+
+    return config;
+  }
+
+  /**
+   * Add a treatment, or replace the treatment with the same variant, from a config
+   * @param {string} experimentId Experiment to change
+   * @param {string} variant Variant value of the treatment
+   * @param {Object} config Treatment config; only the groups differing from the control are kept
+   * @returns {Object} The treatment { variant, overrides }
+   * @throws {Error} If the variant is invalid or taken by the control, or the config is for another platform or country
+   */
+  setTreatment(experimentId, variant, config) {
+    const experiment = this.requireExperiment(experimentId);
+    const control = this.getControlConfig(experiment);
+
+    this.checkVariant(variant, control);
+
+    ['platform', 'countryCode'].forEach(field => {
+      const value = this.getMetadataValue(config, field);
+      const controlValue = this.getMetadataValue(control, field);
+      if (value && value !== controlValue) {
+        throw new Error(`The treatment has ${field} '${value}' but the control has '${controlValue}'`);
+      }
+    });
+
+    const treatment = { variant, overrides: this.computeOverrides(control, config) };
+    const index = experiment.treatments.findIndex(item => item.variant === variant);
+
+    if (index >= 0) {
+      experiment.treatments[index] = treatment;
+    } else {
+      experiment.treatments.push(treatment);
+    }
+
+    this.save();
+    return treatment;
+  }
+
+  removeTreatment(experimentId, variant) {
+    const experiment = this.requireExperiment(experimentId);
+    experiment.treatments = experiment.treatments.filter(treatment => treatment.variant !== variant);
+    this.save();
+  }
+
+  /**
+   * Build the config of every variant, the control first
+   * @returns {Array} [{ variant, control, config }]
+   * @throws {Error} If the control is missing or a treatment shares its variant
+   */
+  buildVariants(experimentId) {
+    const experiment = this.requireExperiment(experimentId);
+    const control = this.getControlConfig(experiment);
+
+    const variants = [{ variant: control.variant || '', control: true, config: control }];
+
+    experiment.treatments.forEach(treatment => {
+      this.checkVariant(treatment.variant, control);
+      variants.push({
+        variant: treatment.variant,
+        control: false,
+        config: this.applyOverrides(control, treatment.overrides, treatment.variant)
+      });
+    });
+
+    return variants;
+  }
+
+  /**
+   * Compare every treatment with the control
+   * @returns {Array} [{ variant, overrides, diff }], diff being a ConfigDiff result
+   */
+  getDeltas(experimentId) {
+    const variants = this.buildVariants(experimentId);
+    const experiment = this.getExperiment(experimentId);
+    const control = variants[0].config;
+
+    return variants.slice(1).map(({ variant, config }) => ({
+      variant,
+      overrides: experiment.treatments.find(treatment => treatment.variant === variant).overrides,
+      diff: this.configDiff.diff(control, config)
+    }));
+  }
+
+  /**
+   * Find the groups a treatment changes
+   * @returns {Array} [{ section, segment, label, entries }]; empty entries drop the group
+   */
+  computeOverrides(control, treatment) {
+    const entriesA = this.configDiff.collectEntries(control);
+    const entriesB = this.configDiff.collectEntries(treatment);
+    const overrides = [];
+
+    this.sectionRegistry.getKeys().forEach(section => {
+      const groupsA = this.groupBySegment(entriesA[section]);
+      const groupsB = this.groupBySegment(entriesB[section]);
+      const segments = [...new Set([...groupsA.keys(), ...groupsB.keys()])];
+
+      segments.forEach(segment => {
+        const groupA = groupsA.get(segment);
+        const groupB = groupsB.get(segment);
+        const changed = this.configDiff
+          .diffSection(section, groupA ? groupA.entries : [], groupB ? groupB.entries : [])
+          .some(result => result.status !== 'unchanged');
+
+        if (changed) {
+          overrides.push({
+            section,
+            segment,
+            label: (groupB || groupA).label,
+            entries: groupB ? JSON.parse(JSON.stringify(groupB.entries)) : []
+          });
+        }
+      });
+    });
+
+    return overrides;
+  }
+
+  /**
+   * Build a treatment config: the control with the overridden groups replaced
+   * @param {Object} control Control config
+   * @param {Array} overrides Overrides of the treatment
+   * @param {string} variant Variant value of the treatment
+   */
+  applyOverrides(control, overrides, variant) {
+    const config = JSON.parse(JSON.stringify(control));
+    config.variant = variant;
+
+    const pending = new Map(overrides.map(override => [`${override.section}|${override.segment}`, override]));
+    const applied = new Set();
+
+    config.pdt = (Array.isArray(config.pdt) ? config.pdt : []).filter(pdtSection => {
+      const section = this.sectionRegistry.getKeys().find(key => Array.isArray(pdtSection?.[key]));
+      if (!section) return true;
+
+      const entries = [];
+      pdtSection[section].forEach(entry => {
+        const key = `${section}|${this.getSegmentKey(entry)}`;
+        const override = pending.get(key);
+
+        if (!override) {
+          entries.push(entry);
+        } else if (!applied.has(key)) {
+          // The rules of the treatment take the place of the first rule of the group
+          entries.push(...JSON.parse(JSON.stringify(override.entries)));
+          applied.add(key);
+        }
+      });
+
+      const emptied = entries.length === 0 && pdtSection[section].length > 0;
+      pdtSection[section] = entries;
+      return !emptied;
+    });
+
+    // Groups the control does not have go to the end of their section
+    pending.forEach((override, key) => {
+      if (applied.has(key) || override.entries.length === 0) return;
+
+      const entries = JSON.parse(JSON.stringify(override.entries));
+      const pdtSection = [...config.pdt].reverse().find(item => Array.isArray(item?.[override.section]));
+      if (pdtSection) {
+        pdtSection[override.section].push(...entries);
+      } else {
+        config.pdt.push({ [override.section]: entries });
+      }
+    });
+
+    return config;
+  }
+
+  /**
+   * Split the entries of a section by segment, keeping file order
+   * @returns {Map} segment key → { label, entries }
+   */
+  groupBySegment(entries) {
+    const groups = new Map();
+
+    entries.forEach(entry => {
+      const segment = this.getSegmentKey(entry);
+      if (!groups.has(segment)) {
+        groups.set(segment, {
+          label: this.configDiff.getLabel(this.configDiff.getSegment(entry), UNBOUNDED),
+          entries: []
+        });
+      }
+      groups.get(segment).entries.push(entry);
+    });
+
+    return groups;
+  }
+
+  getSegmentKey(entry) {
+    return JSON.stringify(this.configDiff.getSegment(entry));
+  }
+
+  /**
+   * Read a metadata field of a builder (camelCase) or file (snake_case) config
+   */
+  getMetadataValue(config, field) {
+    const value = field === 'countryCode' && config?.countryCode === undefined
+      ? config?.country_code
+      : config?.[field];
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  /**
+   * @throws {Error} If the variant is not a valid variant value or is the variant of the control
+   */
+  checkVariant(variant, control) {
+    if (typeof variant !== 'string' || !VARIANT_PATTERN.test(variant)) {
+      throw new Error(`Variant '${variant || ''}' should be lowercase letters and digits joined by hyphens, e.g. config-b`);
+    }
+
+    if (variant === control.variant) {
+      throw new Error(`Variant '${variant}' is the variant of the control`);
+    }
+  }
+
+  requireExperiment(id) {
+    const experiment = this.getExperiment(id);
+    if (!experiment) {
+      throw new Error(`There is no experiment with id '${id}'`);
+    }
+    return experiment;
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * HistoryManager keeps labelled snapshots of the ConfigManager state for undo/redo.
+ * Each entry holds the state from before its change. The stacks are saved to
+ * the ConfigManager's storage so the history survives a reload; since the configs
+ * share that storage, the history is kept small and gives way when a config does not fit.
+ */
+export class HistoryManager {
+  constructor(configManager) {
+    this.configManager = configManager;
+
+    // Entries are { label, snapshot, timestamp }, newest last
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // Oldest entries are dropped beyond this
+    this.maxEntries = 50;
+
+    // Oldest entries are also dropped while the saved history is longer than this many characters
+    this.maxSize = 500000;
+
+    // Repeated changes with the same label within this window become one entry
+    this.mergeWindowMs = 1000;
+
+    // Called after every change to the stacks
+    this.onChange = null;
+
+    // Called with the error when not even an empty history can be saved
+    this.onSaveError = null;
+
+    this.loadHistory();
+  }
+
+  /**
+   * Record a change
+   * @param {string} label Description shown in the history, e.g. "Deleted group Darkstore PDT Ranges"
+   * @param {Object} snapshot State from before the change
+   */
+  push(label, snapshot) {
+    const now = Date.now();
+    const last = this.undoStack[this.undoStack.length - 1];
+
+    if (last && last.label === label && now - last.timestamp < this.mergeWindowMs) {
+      // Keep the older snapshot so one undo reverts the whole burst
+      last.timestamp = now;
+    } else {
+      this.undoStack.push({ label, snapshot, timestamp: now });
+      if (this.undoStack.length > this.maxEntries) {
+        this.undoStack.shift();
+      }
+    }
+
+    this.redoStack = [];
+    this.saveHistory();
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Undo the latest change
+   * @returns {string|null} Label of the undone change
+   */
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+
+    this.redoStack.push({ label: entry.label, snapshot: this.configManager.createSnapshot(), timestamp: Date.now() });
+    this.configManager.restoreSnapshot(entry.snapshot);
+
+    this.saveHistory();
+    return entry.label;
+  }
+
+  /**
+   * Redo the latest undone change
+   * @returns {string|null} Label of the redone change
+   */
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+
+    this.undoStack.push({ label: entry.label, snapshot: this.configManager.createSnapshot(), timestamp: Date.now() });
+    this.configManager.restoreSnapshot(entry.snapshot);
+
+    this.saveHistory();
+    return entry.label;
+  }
+
+  /**
+   * Undo every change down to and including the entry at the given index
+   * @param {number} index Index in the undo stack
+   */
+  undoTo(index) {
+    while (this.undoStack.length > index) {
+      this.undo();
+    }
+  }
+
+  /**
+   * Get the undo entries, newest first
+   * @returns {Array} List of { index, label, timestamp }
+   */
+  getEntries() {
+    return this.undoStack
+      .map((entry, index) => ({ index, label: entry.label, timestamp: entry.timestamp }))
+      .reverse();
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.saveHistory();
+  }
+
+  /**
+   * Save history to storage, dropping the oldest entries until it is within
+   * its size limit and fits in storage
+   */
+  saveHistory() {
+    while (true) {
+      const serialized = JSON.stringify({
+        undoStack: this.undoStack,
+        redoStack: this.redoStack
+      });
+
+      if (serialized.length > this.maxSize && this.dropOldestEntry()) continue;
+
+      try {
+        this.configManager.storage.setItem(this.configManager.storageKeys.history, serialized);
+        break;
+      } catch (e) {
+        if (!this.dropOldestEntry()) {
+          console.error('Failed to save history:', e);
+          if (this.onSaveError) {
+            this.onSaveError(e);
+          }
+          break;
+        }
+      }
+    }
+
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+
+  /**
+   * Drop the oldest entry and save the rest, to make room in storage for the config
+   * @returns {boolean} False if there was no entry to drop
+   */
+  releaseSpace() {
+    if (!this.dropOldestEntry()) return false;
+
+    this.saveHistory();
+    return true;
+  }
+
+  /**
+   * Drop the oldest undo entry, or the redo entry furthest from the current state
+   * @returns {boolean} False if both stacks are empty
+   */
+  dropOldestEntry() {
+    if (this.undoStack.length > 0) {
+      this.undoStack.shift();
+    } else if (this.redoStack.length > 0) {
+      this.redoStack.shift();
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Replace the stacks with the history saved for the ConfigManager's current config
+   */
+  reload() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.loadHistory();
+
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+
+  /**
+   * Load history from storage
+   */
+  loadHistory() {
+    const savedHistory = this.configManager.storage.getItem(this.configManager.storageKeys.history);
+    if (!savedHistory) return;
+
+    try {
+      const parsedHistory = JSON.parse(savedHistory);
+      this.undoStack = parsedHistory.undoStack || [];
+      this.redoStack = parsedHistory.redoStack || [];
+    } catch (e) {
+      console.error('Failed to parse saved history:', e);
+    }
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * DOM-free core of the PDT config builder.
+ * Everything here runs in the browser and in Node; storage and the YAML
+ * parser are passed in instead of read from `localStorage` / `window.jsyaml`.
+ *
+ * Example (Node):
+ *
+ *   import yaml from 'js-yaml';
+ *   import { ConfigManager, MemoryStorage, ValidationManager, YamlHandler } from './js/core/index.js';
+ *
+ *   const yamlHandler = new YamlHandler(yaml);
+ *   const configManager = new ConfigManager({ storage: new MemoryStorage() });
+ *   configManager.loadConfig(yamlHandler.parseYaml(text));
+ *   const { valid, issues } = new ValidationManager(configManager).validateConfiguration();
+ */
+export { ConfigManager } from './config-manager.js';
+export { YamlHandler } from './yaml-handler.js';
+export { ValidationManager } from './validation-manager.js';
+export { IntervalUtils } from './interval-utils.js';
+export { BoundaryChecker } from './boundary-checker.js';
+export { CrossGroupAnalyzer } from './cross-group-analyzer.js';
+export { EvaluationEngine } from './evaluation-engine.js';
+export { ConfigDiff } from './config-diff.js';
+export { ConfigMerge } from './config-merge.js';
+export { CsvHandler } from './csv-handler.js';
+export { BatchSimulator } from './batch-simulator.js';
+export { VariantComparator } from './variant-comparator.js';
+export { ConfigImporter } from './config-importer.js';
+export { CONFIG_SCHEMA } from './config-schema.js';
+export { SchemaValidator } from './schema-validator.js';
+export { ConfigMigrator, CURRENT_FORMAT_VERSION } from './config-migrations.js';
+export { PassthroughFields } from './passthrough-fields.js';
+export { HistoryManager } from './history-manager.js';
+export { MemoryStorage, getDefaultStorage } from './storage.js';
+export { SectionRegistry, getDefaultSectionRegistry } from './section-registry.js';
+export { EnumCatalog, DEFAULT_CATALOG, getDefaultEnumCatalog } from './enum-catalog.js';
+export { MetadataValidator, VARIANT_PATTERN } from './metadata-validator.js';
+export { ISO_COUNTRY_CODES, isCountryCode, getCountryName } from './country-codes.js';
+export { WorkspaceManager } from './workspace-manager.js';
+export { ExperimentManager } from './experiment-manager.js';
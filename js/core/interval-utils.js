@@ -0,0 +1,160 @@
+/**
+ * IntervalUtils works with the half-open intervals used by the config conditions.
+ * `*_greater_than` is exclusive and `*_less_than_or_equal_to` is inclusive,
+ * so a condition pair describes (from, to]. Missing bounds are -Infinity / Infinity.
+ * Rectangles are { pdt: { from, to }, meanDelay: { from, to } }.
+ */
+export class IntervalUtils {
+  /**
+   * Get a rule's (greater than, less than or equal to] interval on one axis
+   * @param {Object} rule Rule or params object
+   * @param {string} lowerField Field holding the exclusive lower bound
+   * @param {string} upperField Field holding the inclusive upper bound
+   * @returns {Object} { from, to }
+   */
+  getRuleInterval(rule, lowerField, upperField) {
+    return {
+      from: this.hasBound(rule[lowerField]) ? Number(rule[lowerField]) : -Infinity,
+      to: this.hasBound(rule[upperField]) ? Number(rule[upperField]) : Infinity
+    };
+  }
+
+  /**
+   * Get the PDT × mean-delay rectangle of a ranges rule
+   */
+  getRuleRectangle(rule) {
+    return {
+      pdt: this.getRuleInterval(rule, 'pdtGreaterThan', 'pdtLessThanOrEqualTo'),
+      meanDelay: this.getRuleInterval(rule, 'meanDelayGreaterThan', 'meanDelayLessThanOrEqualTo')
+    };
+  }
+
+  /**
+   * Intersect two intervals
+   * @returns {Object|null} The common interval, or null if they are disjoint
+   */
+  intersect(a, b) {
+    const from = Math.max(a.from, b.from);
+    const to = Math.min(a.to, b.to);
+    return from < to ? { from, to } : null;
+  }
+
+  /**
+   * Intersect two rectangles
+   * @returns {Object|null} The common rectangle, or null if they are disjoint
+   */
+  intersectRectangles(a, b) {
+    const pdt = this.intersect(a.pdt, b.pdt);
+    const meanDelay = this.intersect(a.meanDelay, b.meanDelay);
+    return pdt && meanDelay ? { pdt, meanDelay } : null;
+  }
+
+  /**
+   * Check if interval a contains interval b
+   */
+  contains(a, b) {
+    return a.from <= b.from && b.to <= a.to;
+  }
+
+  /**
+   * Find the parts of a target rectangle not covered by any of the given rectangles.
+   * The target is cut at every rectangle bound, so each elementary cell is either
+   * fully inside or fully outside a rectangle. Uncovered cells are merged along
+   * mean delay first, then neighbouring PDT strips with the same gaps are joined.
+   * @param {Object} target Rectangle to cover
+   * @param {Array} rectangles Covering rectangles
+   * @returns {Array} Uncovered rectangles
+   */
+  findUncovered(target, rectangles) {
+    const pdtPoints = this.getBreakpoints(rectangles.map(rectangle => rectangle.pdt), target.pdt);
+    const meanDelayPoints = this.getBreakpoints(rectangles.map(rectangle => rectangle.meanDelay), target.meanDelay);
+
+    // Uncovered mean-delay intervals for every PDT strip
+    const strips = [];
+    for (let i = 0; i < pdtPoints.length - 1; i++) {
+      const pdt = { from: pdtPoints[i], to: pdtPoints[i + 1] };
+      const gaps = [];
+
+      for (let j = 0; j < meanDelayPoints.length - 1; j++) {
+        const meanDelay = { from: meanDelayPoints[j], to: meanDelayPoints[j + 1] };
+
+        const covered = rectangles.some(rectangle =>
+          this.contains(rectangle.pdt, pdt) && this.contains(rectangle.meanDelay, meanDelay)
+        );
+
+        if (!covered) {
+          const last = gaps[gaps.length - 1];
+          if (last && last.to === meanDelay.from) {
+            last.to = meanDelay.to;
+          } else {
+            gaps.push(meanDelay);
+          }
+        }
+      }
+
+      strips.push({ pdt, gaps });
+    }
+
+    // Join neighbouring strips that miss the same mean-delay intervals
+    const result = [];
+    let open = [];
+    strips.forEach(strip => {
+      const next = [];
+
+      strip.gaps.forEach(gap => {
+        const previous = open.find(candidate =>
+          candidate.pdt.to === strip.pdt.from &&
+          candidate.meanDelay.from === gap.from &&
+          candidate.meanDelay.to === gap.to
+        );
+
+        if (previous) {
+          previous.pdt.to = strip.pdt.to;
+          next.push(previous);
+        } else {
+          const created = { pdt: { ...strip.pdt }, meanDelay: gap };
+          result.push(created);
+          next.push(created);
+        }
+      });
+
+      open = next;
+    });
+
+    return result;
+  }
+
+  /**
+   * Sorted unique cut points inside an interval, including its edges
+   */
+  getBreakpoints(intervals, range) {
+    const points = new Set([range.from, range.to]);
+
+    intervals.forEach(interval => {
+      [interval.from, interval.to].forEach(point => {
+        if (point > range.from && point < range.to) {
+          points.add(point);
+        }
+      });
+    });
+
+    return Array.from(points).sort((a, b) => a - b);
+  }
+
+  /**
+   * Describe an interval the way the conditions read, e.g. "PDT >18 and ≤25"
+   */
+  formatInterval(label, interval) {
+    const hasFrom = interval.from !== -Infinity;
+    const hasTo = interval.to !== Infinity;
+
+    if (hasFrom && hasTo) return `${label} >${interval.from} and ≤${interval.to}`;
+    if (hasFrom) return `${label} >${interval.from}`;
+    if (hasTo) return `${label} ≤${interval.to}`;
+    return `any ${label}`;
+  }
+
+  hasBound(value) {
+    return value !== null && value !== undefined && value !== '' && !isNaN(Number(value));
+  }
+}
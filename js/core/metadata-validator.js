@@ -0,0 +1,65 @@
+import { getDefaultEnumCatalog } from './enum-catalog.js';
+import { isCountryCode } from './country-codes.js';
+
+// Variant names: lowercase letters and digits in words joined by hyphens, e.g. config-a or eta-test-2
+export const VARIANT_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * MetadataValidator checks the variant, platform and country code of a config.
+ * Country codes are ISO 3166-1 alpha-2 codes written in lowercase, and the
+ * platform / country pair should be one the enum catalog lists.
+ * Missing values are not reported here; the importer already asks for them.
+ */
+export class MetadataValidator {
+  /**
+   * @param {EnumCatalog} enumCatalog Known platforms and their countries
+   */
+  constructor(enumCatalog = getDefaultEnumCatalog()) {
+    this.enumCatalog = enumCatalog;
+  }
+
+  /**
+   * Check the metadata of a config in builder (countryCode) or file (country_code) format
+   * @returns {Array} [{ key, value, message }], key being the YAML key of the value
+   */
+  validate(config) {
+    const issues = [];
+    if (!config) return issues;
+
+    const variant = config.variant;
+    const platform = config.platform;
+    const countryCode = config.countryCode !== undefined ? config.countryCode : config.country_code;
+
+    const addIssue = (key, value, message) => issues.push({ key, value, message });
+
+    if (typeof variant === 'string' && variant !== '' && !VARIANT_PATTERN.test(variant)) {
+      addIssue('variant', variant,
+        `variant '${variant}' should be lowercase letters and digits joined by hyphens, e.g. config-a`);
+    }
+
+    const knownPlatform = typeof platform === 'string' && this.enumCatalog.has('platforms', platform);
+    if (typeof platform === 'string' && platform !== '' && !knownPlatform) {
+      addIssue('platform', platform, `platform '${platform}' is not in the enum catalog`);
+    }
+
+    if (typeof countryCode !== 'string' || countryCode === '') return issues;
+
+    if (!isCountryCode(countryCode)) {
+      addIssue('country_code', countryCode, `country_code '${countryCode}' is not an ISO 3166-1 country code`);
+      return issues;
+    }
+
+    const lowerCode = countryCode.toLowerCase();
+    if (countryCode !== lowerCode) {
+      addIssue('country_code', countryCode, `country_code '${countryCode}' should be lowercase ('${lowerCode}')`);
+    }
+
+    const countries = knownPlatform ? this.enumCatalog.getCountries(platform) : [];
+    if (countries.length > 0 && !countries.includes(lowerCode)) {
+      addIssue('country_code', countryCode,
+        `country_code '${countryCode}' is not a country the catalog lists for ${platform} (${countries.join(', ')})`);
+    }
+
+    return issues;
+  }
+}
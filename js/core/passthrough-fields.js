@@ -0,0 +1,187 @@
+import { getDefaultSectionRegistry } from './section-registry.js';
+
+const toShape = keys => Object.fromEntries(keys.map(key => [key, true]));
+
+// Metadata keys of the config file (and the builder's camelCase names)
+const CONFIG_KEYS = [
+  'config_format_version', 'configFormatVersion', 'variant', 'platform',
+  'country_code', 'countryCode', 'pdt'
+];
+
+/**
+ * PassthroughFields keeps the parts of a config the builder does not model:
+ * extra entry or condition keys, extra capping fields, extra top-level keys
+ * and unknown sections. An entry's unknown parts
+ * are collected in a passthrough bag (a partial entry) and merged back when
+ * the entry is written, so they survive an import / export round trip.
+ */
+export class PassthroughFields {
+  /**
+   * @param {SectionRegistry} sectionRegistry Known section types and the entry keys they model
+   */
+  constructor(sectionRegistry = getDefaultSectionRegistry()) {
+    this.sectionRegistry = sectionRegistry;
+  }
+
+  /**
+   * Collect the parts of an entry the builder does not model
+   * @param {Object} entry Entry of the YAML format
+   * @param {string} section Section key, e.g. 'ranges'
+   * @returns {Object|null} Partial entry with only the unknown keys, or null if there are none
+   */
+  extract(entry, section) {
+    const shape = this.getEntryShape(section);
+    if (!shape || !this.isObject(entry)) return null;
+
+    return this.extractUnknown(entry, shape);
+  }
+
+  extractUnknown(value, shape) {
+    const unknown = {};
+
+    Object.entries(value).forEach(([key, fieldValue]) => {
+      if (key.startsWith('_') || fieldValue === undefined) return;
+
+      if (shape[key] === undefined) {
+        unknown[key] = JSON.parse(JSON.stringify(fieldValue));
+      } else if (this.isObject(shape[key]) && this.isObject(fieldValue)) {
+        const nested = this.extractUnknown(fieldValue, shape[key]);
+        if (nested) {
+          unknown[key] = nested;
+        }
+      }
+    });
+
+    return Object.keys(unknown).length > 0 ? unknown : null;
+  }
+
+  /**
+   * Merge a passthrough bag back into an entry built from a group.
+   * Extra fields of a capping single / ranges part are dropped once that part is removed.
+   * @param {Object} entry Entry built from the group
+   * @param {Object|null} bag Result of extract()
+   * @param {string} section Section key, e.g. 'ranges'
+   * @returns {Object} The entry
+   */
+  apply(entry, bag, section) {
+    if (!bag) return entry;
+
+    this.applyUnknown(entry, bag, this.getEntryShape(section) || {});
+    return entry;
+  }
+
+  applyUnknown(target, bag, shape) {
+    Object.entries(bag).forEach(([key, value]) => {
+      if (!this.isObject(shape[key])) {
+        target[key] = this.clone(value);
+        return;
+      }
+
+      // Conditions are created for their unknown keys; other known parts must still exist
+      if (key === 'conditions' && target[key] === undefined && Object.keys(value).length > 0) {
+        target[key] = {};
+      }
+
+      if (this.isObject(target[key])) {
+        this.applyUnknown(target[key], value, shape[key]);
+      }
+    });
+  }
+
+  /**
+   * Get the keys of an entry the builder reads and writes; nested objects list their own keys
+   * @param {string} section Section key, e.g. 'ranges'
+   * @returns {Object|null} Shape of the entry, or null for unknown sections
+   */
+  getEntryShape(section) {
+    const definition = this.sectionRegistry.getByKey(section);
+    if (!definition) return null;
+
+    return definition.conditionKeys.length > 0
+      ? { ...definition.entryShape, conditions: toShape(definition.conditionKeys) }
+      : definition.entryShape;
+  }
+
+  /**
+   * Get the keys of a config that are not metadata or `pdt`
+   * @returns {Object} key → value
+   */
+  getExtraConfigKeys(config) {
+    const extra = {};
+    Object.entries(config || {}).forEach(([key, value]) => {
+      if (!CONFIG_KEYS.includes(key) && !key.startsWith('_')) {
+        extra[key] = value;
+      }
+    });
+    return extra;
+  }
+
+  /**
+   * Check if a `pdt` section is of a type the builder does not know
+   */
+  isUnknownSection(section) {
+    return this.isObject(section) && !this.sectionRegistry.getKeys().some(key => section[key] !== undefined);
+  }
+
+  /**
+   * List everything in a config that only survives as passthrough data
+   * @param {Object} config Config of the YAML format
+   * @returns {Array} [{ path, value }], e.g. { path: 'pdt[1].ranges[0].conditions.city_id', value: 5 }
+   */
+  describe(config) {
+    const fields = [];
+
+    Object.entries(this.getExtraConfigKeys(config)).forEach(([key, value]) => {
+      fields.push({ path: key, value });
+    });
+
+    (Array.isArray(config?.pdt) ? config.pdt : []).forEach((section, sectionIndex) => {
+      if (this.isUnknownSection(section)) {
+        fields.push({ path: `pdt[${sectionIndex}]`, value: section });
+        return;
+      }
+
+      this.sectionRegistry.getKeys().forEach(sectionKey => {
+        if (!Array.isArray(section?.[sectionKey])) return;
+
+        section[sectionKey].forEach((entry, entryIndex) => {
+          this.flatten(this.extract(entry, sectionKey), `pdt[${sectionIndex}].${sectionKey}[${entryIndex}]`, fields);
+        });
+      });
+    });
+
+    return fields;
+  }
+
+  /**
+   * Flatten a passthrough bag to dotted paths; arrays and unknown objects are kept whole
+   */
+  flatten(bag, prefix, fields = []) {
+    Object.entries(bag || {}).forEach(([key, value]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (this.isObject(value) && ['conditions', 'single', 'ranges', 'min', 'max'].includes(key)) {
+        this.flatten(value, path, fields);
+      } else {
+        fields.push({ path, value });
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Format a passthrough value for display, e.g. `[a, b]` or `{"x":1}`
+   */
+  formatValue(value) {
+    if (Array.isArray(value)) return `[${value.map(item => this.formatValue(item)).join(', ')}]`;
+    if (this.isObject(value)) return JSON.stringify(value);
+    return String(value);
+  }
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+}
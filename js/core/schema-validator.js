@@ -0,0 +1,175 @@
+/**
+ * SchemaValidator checks a value against the subset of JSON Schema the config schema uses:
+ * type, enum, pattern, minimum, required, properties, patternProperties,
+ * additionalProperties, minProperties, maxProperties, items, minItems, anyOf and local $ref.
+ * Errors name the path of the offending value, e.g. `pdt[2].ranges[4].lower_bound must be integer`.
+ */
+export class SchemaValidator {
+  /**
+   * @param {Object} schema Root schema; `$ref`s point into its `definitions`
+   */
+  constructor(schema) {
+    this.schema = schema;
+  }
+
+  /**
+   * Validate a value against the root schema
+   * @returns {Array} [{ path, keyword, message }]; message starts with the path
+   */
+  validate(value) {
+    const errors = [];
+    this.validateNode(value, this.schema, '', errors);
+    return errors;
+  }
+
+  validateNode(value, schema, path, errors) {
+    if (schema.$ref) {
+      this.validateNode(value, this.resolveRef(schema.$ref), path, errors);
+      return;
+    }
+
+    if (schema.anyOf) {
+      this.validateAnyOf(value, schema.anyOf, path, errors);
+    }
+
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      this.addError(errors, path, 'type', `must be ${[].concat(schema.type).join(' or ')}`);
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      this.addError(errors, path, 'enum', `must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+      this.addError(errors, path, 'pattern', schema.patternDescription
+        ? `must be ${schema.patternDescription}`
+        : `must match ${schema.pattern}`);
+    }
+
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+      this.addError(errors, path, 'minimum', `must be at least ${schema.minimum}`);
+    }
+
+    if (Array.isArray(value)) {
+      this.validateArray(value, schema, path, errors);
+    } else if (this.isObject(value)) {
+      this.validateObject(value, schema, path, errors);
+    }
+  }
+
+  validateArray(value, schema, path, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      this.addError(errors, path, 'minItems', `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => {
+        this.validateNode(item, schema.items, `${path}[${index}]`, errors);
+      });
+    }
+  }
+
+  validateObject(value, schema, path, errors) {
+    const keys = Object.keys(value);
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        this.addError(errors, this.joinPath(path, key), 'required', 'is required');
+      }
+    });
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      this.addError(errors, path, 'minProperties', `must have at least ${schema.minProperties} key${schema.minProperties === 1 ? '' : 's'}`);
+    }
+
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      this.addError(errors, path, 'maxProperties', `must have at most ${schema.maxProperties} key${schema.maxProperties === 1 ? '' : 's'}`);
+    }
+
+    keys.forEach(key => {
+      const keyPath = this.joinPath(path, key);
+
+      if (schema.properties && schema.properties[key]) {
+        this.validateNode(value[key], schema.properties[key], keyPath, errors);
+        return;
+      }
+
+      const pattern = Object.keys(schema.patternProperties || {}).find(source => new RegExp(source).test(key));
+      if (pattern) {
+        this.validateNode(value[key], schema.patternProperties[pattern], keyPath, errors);
+        return;
+      }
+
+      if (schema.additionalProperties === false) {
+        this.addError(errors, keyPath, 'additionalProperties', 'is not a known key');
+      } else if (this.isObject(schema.additionalProperties)) {
+        this.validateNode(value[key], schema.additionalProperties, keyPath, errors);
+      }
+    });
+  }
+
+  /**
+   * Pass if any alternative matches; otherwise report the errors of the closest one
+   */
+  validateAnyOf(value, alternatives, path, errors) {
+    // Alternatives that only require different keys, e.g. single or ranges
+    if (alternatives.every(alternative => Object.keys(alternative).join() === 'required')) {
+      if (this.isObject(value) && !alternatives.some(alternative => alternative.required.every(key => value[key] !== undefined))) {
+        const names = alternatives.map(alternative => alternative.required.join(' and '));
+        this.addError(errors, path, 'anyOf', `must have ${names.join(' or ')}`);
+      }
+      return;
+    }
+
+    let closest = null;
+
+    for (const alternative of alternatives) {
+      const alternativeErrors = [];
+      this.validateNode(value, alternative, path, alternativeErrors);
+
+      if (alternativeErrors.length === 0) return;
+      if (!closest || alternativeErrors.length < closest.length) {
+        closest = alternativeErrors;
+      }
+    }
+
+    errors.push(...closest);
+  }
+
+  matchesType(value, type) {
+    return [].concat(type).some(name => {
+      switch (name) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return this.isObject(value);
+        case 'null': return value === null;
+        default: return typeof value === name;
+      }
+    });
+  }
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  resolveRef(ref) {
+    const name = ref.replace(/^#\/definitions\//, '');
+    const definition = this.schema.definitions?.[name];
+
+    if (!definition) {
+      throw new Error(`Unknown schema reference: ${ref}`);
+    }
+
+    return definition;
+  }
+
+  joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+  }
+
+  addError(errors, path, keyword, message) {
+    errors.push({ path, keyword, message: `${path || 'Configuration'} ${message}` });
+  }
+}
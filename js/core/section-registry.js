@@ -0,0 +1,132 @@
+import { displayFormatSection } from './sections/display-format.js';
+import { rangesSection } from './sections/ranges.js';
+import { cappingSection } from './sections/capping.js';
+import { roundingSection } from './sections/rounding.js';
+
+// Built-in sections, in the order they are shown and exported
+const DEFAULT_SECTIONS = [displayFormatSection, rangesSection, cappingSection, roundingSection];
+
+// Fields every section definition must have
+const REQUIRED_FIELDS = [
+  'id', 'key', 'label', 'conditionKeys', 'entryShape', 'commonParams', 'columns',
+  'createRule', 'adaptCommonParams', 'buildGroups', 'buildEntries', 'yamlComment', 'formatEntry'
+];
+
+/**
+ * SectionRegistry lists the kinds of `pdt` section the builder knows.
+ * Each definition describes its section for every part of the builder:
+ *
+ *   id, key              Group type / UI section id ('display-format') and YAML key ('display_format')
+ *   label, groupLabel    Name of the section and of one of its groups; icon for the navigation
+ *   conditionKeys        Condition keys the groups model; other conditions are kept as passthrough fields
+ *   entryShape           Other keys of an entry the groups model; nested objects list their own keys
+ *   entryDefaults        Values the builder writes for keys an entry leaves out (optional)
+ *   entrySchema          JSON Schema of one entry
+ *   commonParams         Group parameters shown above the rules table
+ *   columns              Rule columns, or a function of the group returning them
+ *   typedRules           Rules have a `type` column and only show the columns visible for their type
+ *   colorCodedRows       Rows are colored by their PDT / mean-delay band
+ *   maxRules             Most rules a group may have (optional)
+ *   createRule(group, options)            New rule for the group ({ format } or { type }), or null
+ *   adaptCommonParams(commonParams)       Parameters of a group made from a template of another section
+ *   buildGroups(entries, configManager)   Groups ({ title, commonParams, rules, passthrough }) for the entries
+ *   buildEntries(group, configManager)    Entries written for a group
+ *   mergeImported(entries, importer)      Regroup and title the entries of an imported file (optional)
+ *   prepareForYaml(entry)                 Fix up an entry before it is written (optional)
+ *   yamlComment          { style: 'title', header } writes the header once and each entry's title above it;
+ *                        { style: 'grouped', describe(entry, yamlHandler) } writes entries with the same
+ *                        description as one section under that comment
+ *   formatEntry(entry, yamlHandler)       YAML lines of one entry, the first starting with `    - `
+ *   validation           Optional hooks: checkGroups(groups, validator) with all groups of the section,
+ *                        checkGroup(group, validator), and checkRules(group, validator) for groups with several rules
+ *   evaluation           Optional stage of the evaluation pipeline: { stage, resultKey, evaluate(items, context, previous, engine) };
+ *                        stages run in ascending order, each getting the result of the last stage that set bounds
+ *   competingRegions(group, intervalUtils)  [{ ruleIndex, rectangle }] the group's entries match, for the
+ *                        cross-group analysis (optional; sections without it are not analysed)
+ *   describeRule(rule, intervalUtils)       One-line description of a rule (optional)
+ */
+export class SectionRegistry {
+  /**
+   * @param {Array} definitions Section definitions (defaults to the built-in ones)
+   */
+  constructor(definitions = DEFAULT_SECTIONS) {
+    this.definitions = [];
+    definitions.forEach(definition => this.register(definition));
+  }
+
+  /**
+   * Add a section; it is shown, imported and exported after the sections registered before it
+   * @throws {Error} If a required field is missing or the id or key is taken
+   */
+  register(definition) {
+    const missing = REQUIRED_FIELDS.filter(field => definition[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Section definition '${definition.id || definition.key}' is missing ${missing.join(', ')}`);
+    }
+
+    if (this.get(definition.id) || this.getByKey(definition.key)) {
+      throw new Error(`A section with id '${definition.id}' or key '${definition.key}' is already registered`);
+    }
+
+    this.definitions.push(definition);
+    return definition;
+  }
+
+  getAll() {
+    return [...this.definitions];
+  }
+
+  /**
+   * Get a section by its id, which is also the type of its groups
+   */
+  get(id) {
+    return this.definitions.find(definition => definition.id === id) || null;
+  }
+
+  /**
+   * Get a section by its YAML key
+   */
+  getByKey(key) {
+    return this.definitions.find(definition => definition.key === key) || null;
+  }
+
+  /**
+   * YAML keys of all sections
+   */
+  getKeys() {
+    return this.definitions.map(definition => definition.key);
+  }
+
+  /**
+   * Get the definition of a `pdt` section object, e.g. `{ ranges: [...] }`
+   * @returns {Object|null} The first section whose key holds a value, or null for unknown sections
+   */
+  getForSection(section) {
+    if (!section || typeof section !== 'object') return null;
+    return this.definitions.find(definition => section[definition.key]) || null;
+  }
+
+  /**
+   * Get the rule columns of a section
+   * @param {string} id Section id
+   * @param {Object} group Group the columns are for; some sections offer per-rule options
+   */
+  getColumns(id, group = null) {
+    const definition = this.get(id);
+    if (!definition) return [];
+
+    return typeof definition.columns === 'function' ? definition.columns(group) : definition.columns;
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Get the registry shared by the builder; sections registered on it are known everywhere
+ */
+export function getDefaultSectionRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = new SectionRegistry();
+  }
+  return defaultRegistry;
+}
@@ -0,0 +1,359 @@
+import {
+  DELIVERY_OPTION_PARAM,
+  DELIVERY_MODE_PARAM,
+  MARKETPLACE_PARAM,
+  VERTICAL_TYPES_PARAM,
+  INTERNAL_KEYS,
+  isUnconditioned
+} from './shared.js';
+
+// Entry fields capping groups are built from
+const GROUP_KEYS = ['delivery_option', 'delivery_mode', 'marketplace', 'vertical_types'];
+
+// Common parameters imported capping entries are regrouped by
+const IMPORT_KEYS = [
+  'delivery_option', 'delivery_mode', 'marketplace', 'vertical_types',
+  'pdt_greater_than', 'pdt_less_than_or_equal_to'
+];
+
+// Group parameters written as integer conditions
+const INTERVAL_PARAMS = {
+  pdtGreaterThan: 'pdt_greater_than',
+  pdtLessThanOrEqualTo: 'pdt_less_than_or_equal_to',
+  meanDelayGreaterThan: 'mean_delay_greater_than',
+  meanDelayLessThanOrEqualTo: 'mean_delay_less_than_or_equal_to'
+};
+
+const numberParam = (name, label) => ({ name, label, type: 'number' });
+
+const ruleColumn = (field, label, ruleType) => ({
+  field,
+  label,
+  type: 'number',
+  className: 'narrow-column',
+  visibleWhen: (rule) => rule.type === ruleType
+});
+
+const bounds = { lower_bound: true, upper_bound: true };
+
+// Writing YAML: bounds must be numbers
+const useNumberBounds = (value) => {
+  if (!value) return;
+  ['lower_bound', 'upper_bound'].forEach(key => {
+    if (typeof value[key] !== 'number') {
+      value[key] = value[key] || 0;
+    }
+  });
+};
+
+/**
+ * Capping section: the shown time is kept within a minimum and maximum,
+ * either single values or lower / upper bound ranges
+ */
+export const cappingSection = {
+  id: 'capping',
+  key: 'capping',
+  label: 'Capping',
+  groupLabel: 'Capping',
+  icon: '📏',
+
+  conditionKeys: [
+    'delivery_mode', 'marketplace', 'vertical_types',
+    'pdt_greater_than', 'pdt_less_than_or_equal_to',
+    'mean_delay_greater_than', 'mean_delay_less_than_or_equal_to'
+  ],
+  entryShape: {
+    delivery_option: true,
+    single: { min: true, max: true },
+    ranges: { min: bounds, max: bounds }
+  },
+  entryDefaults: { delivery_option: 'STANDARD' },
+
+  entrySchema: {
+    type: 'object',
+    required: ['delivery_option'],
+    anyOf: [{ required: ['single'] }, { required: ['ranges'] }],
+    properties: {
+      delivery_option: { $ref: '#/definitions/deliveryOption' },
+      conditions: { $ref: '#/definitions/conditions' },
+      single: { $ref: '#/definitions/minMax' },
+      ranges: {
+        type: 'object',
+        required: ['min', 'max'],
+        properties: {
+          min: { $ref: '#/definitions/bounds' },
+          max: { $ref: '#/definitions/bounds' }
+        },
+        additionalProperties: false
+      }
+    },
+    patternProperties: INTERNAL_KEYS,
+    additionalProperties: false
+  },
+
+  commonParams: [
+    DELIVERY_OPTION_PARAM,
+    DELIVERY_MODE_PARAM,
+    MARKETPLACE_PARAM,
+    numberParam('pdtGreaterThan', 'PDT >'),
+    numberParam('pdtLessThanOrEqualTo', 'PDT ≤'),
+    numberParam('meanDelayGreaterThan', 'Mean Delay >'),
+    numberParam('meanDelayLessThanOrEqualTo', 'Mean Delay ≤'),
+    VERTICAL_TYPES_PARAM
+  ],
+
+  columns: [
+    {
+      field: 'type',
+      label: 'Type',
+      type: 'select',
+      options: [
+        { value: 'single', label: 'Single' },
+        { value: 'ranges', label: 'Ranges' }
+      ],
+      className: 'medium-column'
+    },
+    ruleColumn('min', 'Min', 'single'),
+    ruleColumn('max', 'Max', 'single'),
+    ruleColumn('minLowerBound', 'Min Lower', 'ranges'),
+    ruleColumn('minUpperBound', 'Min Upper', 'ranges'),
+    ruleColumn('maxLowerBound', 'Max Lower', 'ranges'),
+    ruleColumn('maxUpperBound', 'Max Upper', 'ranges')
+  ],
+
+  // Each rule is a 'single' or 'ranges' cap and only shows the columns of its type
+  typedRules: true,
+
+  createRule(group, { type } = {}) {
+    if (type === 'ranges') {
+      return {
+        type: 'ranges',
+        minLowerBound: 10,
+        minUpperBound: 20,
+        maxLowerBound: 160,
+        maxUpperBound: 180
+      };
+    }
+
+    return {
+      type: 'single',
+      min: 5,
+      max: 180
+    };
+  },
+
+  adaptCommonParams(commonParams) {
+    return {
+      deliveryOption: commonParams.deliveryOption || 'STANDARD',
+      deliveryMode: commonParams.deliveryMode || 'DELIVERY'
+    };
+  },
+
+  buildGroups(entries, configManager) {
+    const cappingGroups = configManager.groupByCommonParams(entries, GROUP_KEYS);
+
+    return Object.entries(cappingGroups).map(([commonParamsKey, groupEntries]) => {
+      const firstEntry = groupEntries[0];
+      const unconditioned = isUnconditioned(commonParamsKey);
+
+      // Create a descriptive title
+      let title;
+      if (unconditioned) {
+        title = `Capping Default`;
+      } else if (firstEntry._title) {
+        title = firstEntry._title;
+      } else {
+        title = `Capping ${firstEntry.delivery_option || ''}`;
+      }
+
+      const condition = key => (unconditioned ? '' : (firstEntry.conditions?.[key] ?? ''));
+      const rules = [];
+
+      groupEntries.forEach(entry => {
+        if (entry.single) {
+          rules.push({
+            type: 'single',
+            min: entry.single.min,
+            max: entry.single.max
+          });
+        }
+
+        if (entry.ranges) {
+          rules.push({
+            type: 'ranges',
+            minLowerBound: entry.ranges.min.lower_bound,
+            minUpperBound: entry.ranges.min.upper_bound,
+            maxLowerBound: entry.ranges.max.lower_bound,
+            maxUpperBound: entry.ranges.max.upper_bound
+          });
+        }
+      });
+
+      return {
+        title,
+        commonParams: {
+          deliveryOption: firstEntry.delivery_option || 'STANDARD',
+          deliveryMode: condition('delivery_mode'),
+          marketplace: unconditioned ? '' : (firstEntry.conditions?.marketplace?.toString() || 'false'),
+          pdtGreaterThan: condition('pdt_greater_than'),
+          pdtLessThanOrEqualTo: condition('pdt_less_than_or_equal_to'),
+          meanDelayGreaterThan: condition('mean_delay_greater_than'),
+          meanDelayLessThanOrEqualTo: condition('mean_delay_less_than_or_equal_to'),
+          verticalTypes: unconditioned ? [] : configManager.getVerticalTypes(firstEntry)
+        },
+        // The group is written back as one entry, based on the first
+        passthrough: configManager.passthroughFields.extract(firstEntry, 'capping'),
+        rules
+      };
+    });
+  },
+
+  /**
+   * A group is written as one entry with the first single and the first ranges rule
+   */
+  buildEntries(group, configManager) {
+    const entry = {
+      delivery_option: group.commonParams.deliveryOption || 'STANDARD',
+      _title: group.title // Store the custom title
+    };
+
+    // Add conditions if any are set
+    const conditions = {};
+
+    if (group.commonParams.deliveryMode) {
+      conditions.delivery_mode = group.commonParams.deliveryMode;
+    }
+
+    if (group.commonParams.marketplace !== undefined && group.commonParams.marketplace !== '') {
+      conditions.marketplace = group.commonParams.marketplace === 'true';
+    }
+
+    Object.entries(INTERVAL_PARAMS).forEach(([param, key]) => {
+      // A bound of 0 is a bound
+      const value = group.commonParams[param];
+      if (value !== undefined && value !== null && value !== '') {
+        conditions[key] = parseInt(value);
+      }
+    });
+
+    if (group.commonParams.verticalTypes?.length > 0) {
+      conditions.vertical_types = [...group.commonParams.verticalTypes];
+    }
+
+    if (Object.keys(conditions).length > 0) {
+      entry.conditions = conditions;
+    }
+
+    const singleRule = group.rules.find(rule => rule.type === 'single');
+    const rangesRule = group.rules.find(rule => rule.type === 'ranges');
+
+    if (singleRule) {
+      entry.single = {
+        min: singleRule.min,
+        max: singleRule.max
+      };
+    }
+
+    if (rangesRule) {
+      entry.ranges = {
+        min: {
+          lower_bound: rangesRule.minLowerBound,
+          upper_bound: rangesRule.minUpperBound
+        },
+        max: {
+          lower_bound: rangesRule.maxLowerBound,
+          upper_bound: rangesRule.maxUpperBound
+        }
+      };
+    }
+
+    return [configManager.passthroughFields.apply(entry, group.passthrough, 'capping')];
+  },
+
+  /**
+   * Entries with the same common parameters are kept together and numbered
+   */
+  mergeImported(entries, importer) {
+    const groupedEntries = {};
+
+    entries.forEach(entry => {
+      const key = importer.generateEntryKey(entry, IMPORT_KEYS);
+
+      if (!groupedEntries[key]) {
+        groupedEntries[key] = [];
+      }
+
+      groupedEntries[key].push(entry);
+    });
+
+    return Object.values(groupedEntries).flatMap(entriesGroup => entriesGroup.map((entry, index) => ({
+      ...entry,
+      _title: entry._title ||
+        `Capping ${entry.delivery_option || ''} ${index > 0 ? index + 1 : ''}`
+    })));
+  },
+
+  prepareForYaml(entry) {
+    if (entry.ranges) {
+      useNumberBounds(entry.ranges.min);
+      useNumberBounds(entry.ranges.max);
+    }
+  },
+
+  yamlComment: { style: 'title', header: 'Capping Configuration' },
+
+  formatEntry(entry, yamlHandler) {
+    const lines = [`    - delivery_option: ${entry.delivery_option}`];
+
+    if (entry.conditions) {
+      lines.push(...yamlHandler.formatConditions(entry.conditions));
+    }
+
+    if (entry.single) {
+      lines.push('      single:');
+      lines.push(`        min: ${entry.single.min}`);
+      lines.push(`        max: ${entry.single.max}`);
+      lines.push(...yamlHandler.formatExtraFields(entry.single, ['min', 'max'], 8));
+    }
+
+    if (entry.ranges) {
+      lines.push('      ranges:');
+      ['min', 'max'].forEach(key => {
+        lines.push(`        ${key}:`);
+        lines.push(`          lower_bound: ${entry.ranges[key].lower_bound}`);
+        lines.push(`          upper_bound: ${entry.ranges[key].upper_bound}`);
+        lines.push(...yamlHandler.formatExtraFields(entry.ranges[key], ['lower_bound', 'upper_bound'], 10));
+      });
+      lines.push(...yamlHandler.formatExtraFields(entry.ranges, ['min', 'max'], 8));
+    }
+
+    lines.push(...yamlHandler.formatExtraFields(entry, ['delivery_option', 'conditions', 'single', 'ranges'], 6));
+    return lines;
+  },
+
+  validation: {
+    checkRules(group, validator) {
+      validator.checkOverlappingCappingRules(group.id, group.rules);
+    }
+  },
+
+  // Second stage: the matched entry clamps the bounds
+  evaluation: {
+    stage: 2,
+    resultKey: 'capping',
+    evaluate(items, context, previous, engine) {
+      return engine.evaluateCapping(items, context, previous);
+    }
+  },
+
+  // A group is written as one entry, bounded by its common parameters
+  competingRegions(group, intervalUtils) {
+    return [{ ruleIndex: null, rectangle: intervalUtils.getRuleRectangle(group.commonParams || {}) }];
+  },
+
+  describeRule(rule) {
+    return rule.type === 'single'
+      ? `single: ${rule.min}–${rule.max}`
+      : `ranges: min ${rule.minLowerBound}/${rule.minUpperBound}, max ${rule.maxLowerBound}/${rule.maxUpperBound}`;
+  }
+};
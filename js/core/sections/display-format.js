@@ -0,0 +1,249 @@
+import {
+  DELIVERY_MODE_PARAM,
+  MARKETPLACE_PARAM,
+  VERTICAL_TYPES_PARAM,
+  INTERNAL_KEYS,
+  isUnconditioned,
+  useBooleanMarketplace
+} from './shared.js';
+import { getDefaultEnumCatalog } from '../enum-catalog.js';
+
+// Condition keys display format groups are built from
+const CONDITION_KEYS = ['delivery_mode', 'marketplace', 'pdt_less_than_or_equal_to', 'vertical_types'];
+
+const getFormatOptions = () => getDefaultEnumCatalog().getOptions('displayFormats');
+
+/**
+ * Display format section: which format the delivery time is shown in
+ */
+export const displayFormatSection = {
+  id: 'display-format',
+  key: 'display_format',
+  label: 'Display Format',
+  groupLabel: 'Display Format',
+  icon: '📊',
+
+  conditionKeys: CONDITION_KEYS,
+  entryShape: { format: true },
+
+  entrySchema: {
+    type: 'object',
+    required: ['format'],
+    properties: {
+      format: {
+        type: 'string',
+        get enum() {
+          return getDefaultEnumCatalog().getValues('displayFormats');
+        }
+      },
+      conditions: { $ref: '#/definitions/conditions' }
+    },
+    patternProperties: INTERNAL_KEYS,
+    additionalProperties: false
+  },
+
+  commonParams: [
+    DELIVERY_MODE_PARAM,
+    MARKETPLACE_PARAM,
+    {
+      name: 'pdtLessThanOrEqualTo',
+      label: 'PDT ≤',
+      type: 'number'
+    },
+    VERTICAL_TYPES_PARAM
+  ],
+
+  /**
+   * With a group, each rule may pick its own format or one no other rule uses
+   */
+  columns(group) {
+    if (group && group.rules.length > 0) {
+      const usedFormats = group.rules.map(rule => rule.format);
+      const formatOptions = getFormatOptions();
+
+      return group.rules.map(rule => ({
+        field: 'format',
+        label: 'Format',
+        type: 'select',
+        options: formatOptions.filter(option =>
+          option.value === rule.format || !usedFormats.includes(option.value)
+        )
+      }));
+    }
+
+    return [{
+      field: 'format',
+      label: 'Format',
+      type: 'select',
+      options: getFormatOptions()
+    }];
+  },
+
+  // One format per group; other formats need groups of their own
+  maxRules: 1,
+
+  createRule(group, { format } = {}) {
+    return {
+      format: format || 'DISPLAY_FORMAT_MINUTE_RANGE',
+      conditions: {}
+    };
+  },
+
+  adaptCommonParams(commonParams) {
+    return {
+      deliveryMode: commonParams.deliveryMode || 'DELIVERY',
+      marketplace: commonParams.marketplace || 'false'
+    };
+  },
+
+  buildGroups(entries, configManager) {
+    const formatGroups = configManager.groupByCommonParams(entries, CONDITION_KEYS);
+
+    return Object.entries(formatGroups).map(([commonParamsKey, groupEntries]) => {
+      const firstEntry = groupEntries[0];
+      const unconditioned = isUnconditioned(commonParamsKey);
+
+      // Create a descriptive title
+      let title;
+      if (unconditioned) {
+        title = `Display Format (Any)`;
+      } else {
+        title = `Display Format`;
+        if (firstEntry.conditions?.delivery_mode) {
+          title += ` ${firstEntry.conditions.delivery_mode}`;
+        }
+      }
+
+      // Override with stored title if available
+      if (firstEntry._title) {
+        title = firstEntry._title;
+      }
+
+      return {
+        title,
+        commonParams: {
+          deliveryMode: unconditioned ? '' : (firstEntry.conditions?.delivery_mode || ''),
+          marketplace: unconditioned ? '' : (firstEntry.conditions?.marketplace?.toString() || 'false'),
+          pdtLessThanOrEqualTo: unconditioned ? '' : (firstEntry.conditions?.pdt_less_than_or_equal_to ?? ''),
+          verticalTypes: unconditioned ? [] : configManager.getVerticalTypes(firstEntry)
+        },
+        // Add all formats as rules
+        rules: groupEntries.map(entry => ({
+          format: entry.format,
+          conditions: entry.conditions || {},
+          passthrough: configManager.passthroughFields.extract(entry, 'display_format')
+        }))
+      };
+    });
+  },
+
+  buildEntries(group, configManager) {
+    return group.rules.map(rule => {
+      const entry = {
+        format: rule.format,
+        _title: group.title // Store the custom title
+      };
+
+      // Add conditions if any are set
+      const conditions = {};
+      let hasConditions = false;
+
+      if (group.commonParams.deliveryMode) {
+        conditions.delivery_mode = group.commonParams.deliveryMode;
+        hasConditions = true;
+      }
+
+      if (group.commonParams.marketplace !== undefined && group.commonParams.marketplace !== '') {
+        conditions.marketplace = group.commonParams.marketplace === 'true';
+        hasConditions = true;
+      }
+
+      const pdtLessThanOrEqualTo = group.commonParams.pdtLessThanOrEqualTo;
+      if (pdtLessThanOrEqualTo !== undefined && pdtLessThanOrEqualTo !== null && pdtLessThanOrEqualTo !== '') {
+        conditions.pdt_less_than_or_equal_to = parseInt(pdtLessThanOrEqualTo);
+        hasConditions = true;
+      }
+
+      if (group.commonParams.verticalTypes?.length > 0) {
+        conditions.vertical_types = [...group.commonParams.verticalTypes];
+        hasConditions = true;
+      }
+
+      if (hasConditions) {
+        entry.conditions = conditions;
+      }
+
+      return configManager.passthroughFields.apply(entry, rule.passthrough, 'display_format');
+    });
+  },
+
+  /**
+   * Entries with the same common parameters are kept together, each titled by its format
+   */
+  mergeImported(entries, importer) {
+    const groupedEntries = {};
+
+    entries.forEach(entry => {
+      const key = importer.generateEntryKey(entry, CONDITION_KEYS);
+
+      if (!groupedEntries[key]) {
+        groupedEntries[key] = [];
+      }
+
+      groupedEntries[key].push(entry);
+    });
+
+    return Object.values(groupedEntries).flat().map(entry => ({
+      ...entry,
+      _title: entry._title || `Format: ${entry.format}`
+    }));
+  },
+
+  prepareForYaml: useBooleanMarketplace,
+
+  yamlComment: { style: 'title', header: 'Display Format Configuration' },
+
+  formatEntry(entry, yamlHandler) {
+    const lines = [`    - format: ${entry.format}`];
+
+    if (entry.conditions) {
+      lines.push(...yamlHandler.formatConditions(entry.conditions));
+    }
+
+    lines.push(...yamlHandler.formatExtraFields(entry, ['format', 'conditions'], 6));
+    return lines;
+  },
+
+  validation: {
+    checkGroups(groups, validator) {
+      validator.checkDuplicateDisplayFormats(groups);
+    }
+  },
+
+  // Last stage: the format the final bounds are shown in
+  evaluation: {
+    stage: 4,
+    resultKey: 'displayFormat',
+    evaluate(items, context, previous, engine) {
+      return engine.evaluateDisplayFormat(items, context, previous);
+    }
+  },
+
+  // Display-format conditions only have an upper PDT bound
+  competingRegions(group, intervalUtils) {
+    const pdtLessThanOrEqualTo = group.commonParams?.pdtLessThanOrEqualTo;
+    const rectangle = {
+      pdt: {
+        from: -Infinity,
+        to: intervalUtils.hasBound(pdtLessThanOrEqualTo) ? Number(pdtLessThanOrEqualTo) : Infinity
+      },
+      meanDelay: { from: -Infinity, to: Infinity }
+    };
+
+    return group.rules.map((rule, ruleIndex) => ({ ruleIndex, rectangle }));
+  },
+
+  describeRule(rule) {
+    return rule.format;
+  }
+};
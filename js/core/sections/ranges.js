@@ -0,0 +1,325 @@
+import {
+  DELIVERY_OPTION_PARAM,
+  DELIVERY_MODE_PARAM,
+  MARKETPLACE_PARAM,
+  VERTICAL_TYPES_PARAM,
+  INTERNAL_KEYS,
+  isUnconditioned,
+  useBooleanMarketplace
+} from './shared.js';
+
+// Entry fields ranges groups are built from; the PDT and mean-delay conditions belong to the rules
+const GROUP_KEYS = ['delivery_option', 'delivery_mode', 'marketplace', 'vertical_types'];
+
+const DEFAULT_RULE = {
+  lowerBound: -10,
+  upperBound: 5,
+  pdtGreaterThan: null,
+  pdtLessThanOrEqualTo: null,
+  meanDelayGreaterThan: null,
+  meanDelayLessThanOrEqualTo: null
+};
+
+const numberColumn = (field, label) => ({ field, label, type: 'number', className: 'narrow-column' });
+
+/**
+ * Sort range entries by PDT ranges and then by mean delay
+ */
+function sortRangeEntries(entries) {
+  const bound = (value, fallback) => (value !== undefined ? value : fallback);
+
+  return entries.sort((a, b) => {
+    // First sort by PDT bounds, lower bounds first
+    const aPdtLower = bound(a.conditions?.pdt_greater_than, -Infinity);
+    const bPdtLower = bound(b.conditions?.pdt_greater_than, -Infinity);
+    if (aPdtLower !== bPdtLower) {
+      return aPdtLower - bPdtLower;
+    }
+
+    const aPdtUpper = bound(a.conditions?.pdt_less_than_or_equal_to, Infinity);
+    const bPdtUpper = bound(b.conditions?.pdt_less_than_or_equal_to, Infinity);
+    if (aPdtUpper !== bPdtUpper) {
+      return aPdtUpper - bPdtUpper;
+    }
+
+    // If PDT bounds are equal, sort by mean delay
+    const aMdLower = bound(a.conditions?.mean_delay_greater_than, -Infinity);
+    const bMdLower = bound(b.conditions?.mean_delay_greater_than, -Infinity);
+    if (aMdLower !== bMdLower) {
+      return aMdLower - bMdLower;
+    }
+
+    const aMdUpper = bound(a.conditions?.mean_delay_less_than_or_equal_to, Infinity);
+    const bMdUpper = bound(b.conditions?.mean_delay_less_than_or_equal_to, Infinity);
+    if (aMdUpper !== bMdUpper) {
+      return aMdUpper - bMdUpper;
+    }
+
+    // If all bounds are equal, sort by lower_bound and upper_bound
+    if (a.lower_bound !== b.lower_bound) {
+      return a.lower_bound - b.lower_bound;
+    }
+
+    return a.upper_bound - b.upper_bound;
+  });
+}
+
+/**
+ * Ranges section: minutes added to the PDT for the lower and upper end of the shown range
+ */
+export const rangesSection = {
+  id: 'ranges',
+  key: 'ranges',
+  label: 'Ranges',
+  groupLabel: 'Range',
+  icon: '🔢',
+
+  conditionKeys: [
+    'delivery_mode', 'marketplace', 'vertical_types',
+    'pdt_greater_than', 'pdt_less_than_or_equal_to',
+    'mean_delay_greater_than', 'mean_delay_less_than_or_equal_to'
+  ],
+  entryShape: { delivery_option: true, lower_bound: true, upper_bound: true },
+  entryDefaults: { delivery_option: 'STANDARD' },
+
+  entrySchema: {
+    type: 'object',
+    required: ['delivery_option', 'lower_bound', 'upper_bound'],
+    properties: {
+      delivery_option: { $ref: '#/definitions/deliveryOption' },
+      lower_bound: { type: 'integer', description: 'Minutes added to the PDT for the lower end of the range; negative values are allowed' },
+      upper_bound: { type: 'integer', description: 'Minutes added to the PDT for the upper end of the range; negative values are allowed' },
+      conditions: { $ref: '#/definitions/conditions' }
+    },
+    patternProperties: INTERNAL_KEYS,
+    additionalProperties: false
+  },
+
+  commonParams: [DELIVERY_OPTION_PARAM, DELIVERY_MODE_PARAM, MARKETPLACE_PARAM, VERTICAL_TYPES_PARAM],
+
+  columns: [
+    numberColumn('pdtGreaterThan', 'PDT >'),
+    numberColumn('pdtLessThanOrEqualTo', 'PDT ≤'),
+    numberColumn('meanDelayGreaterThan', 'Mean Delay >'),
+    numberColumn('meanDelayLessThanOrEqualTo', 'Mean Delay ≤'),
+    numberColumn('lowerBound', 'Lower Bound'),
+    numberColumn('upperBound', 'Upper Bound')
+  ],
+
+  // Rows are colored by their PDT and mean-delay band
+  colorCodedRows: true,
+
+  /**
+   * New rules copy the last rule of the group
+   */
+  createRule(group) {
+    return group.rules.length > 0
+      ? { ...group.rules[group.rules.length - 1] }
+      : { ...DEFAULT_RULE };
+  },
+
+  adaptCommonParams(commonParams) {
+    return {
+      deliveryOption: commonParams.deliveryOption || 'STANDARD',
+      deliveryMode: commonParams.deliveryMode || 'DELIVERY',
+      marketplace: commonParams.marketplace || 'false',
+      verticalTypes: commonParams.verticalTypes || []
+    };
+  },
+
+  buildGroups(entries, configManager) {
+    const rangeGroups = configManager.groupByCommonParams(entries, GROUP_KEYS);
+
+    return Object.entries(rangeGroups).map(([commonParamsKey, groupEntries]) => {
+      const firstEntry = groupEntries[0];
+      const unconditioned = isUnconditioned(commonParamsKey);
+
+      // Create a descriptive title
+      let title;
+      if (unconditioned) {
+        title = `Ranges Default`;
+      } else if (firstEntry._title) {
+        title = firstEntry._title;
+      } else {
+        title = 'Ranges';
+
+        // Add PDT condition to title if present
+        if (firstEntry.conditions?.pdt_less_than_or_equal_to !== undefined) {
+          title += ` PDT ≤${firstEntry.conditions.pdt_less_than_or_equal_to}`;
+        } else if (firstEntry.conditions?.pdt_greater_than !== undefined) {
+          title += ` PDT >${firstEntry.conditions.pdt_greater_than}`;
+        }
+      }
+
+      return {
+        title,
+        commonParams: {
+          deliveryOption: firstEntry.delivery_option || 'STANDARD',
+          // Delivery mode, marketplace and verticals are Any for entries with no conditions or only delivery_option
+          deliveryMode: unconditioned ? '' : (firstEntry.conditions?.delivery_mode || 'DELIVERY'),
+          marketplace: unconditioned ? '' : (firstEntry.conditions?.marketplace?.toString() || 'false'),
+          verticalTypes: unconditioned ? [] : configManager.getVerticalTypes(firstEntry)
+        },
+        rules: sortRangeEntries(groupEntries).map(entry => ({
+          lowerBound: entry.lower_bound,
+          upperBound: entry.upper_bound,
+          pdtGreaterThan: entry.conditions?.pdt_greater_than ?? null,
+          pdtLessThanOrEqualTo: entry.conditions?.pdt_less_than_or_equal_to ?? null,
+          meanDelayGreaterThan: entry.conditions?.mean_delay_greater_than ?? null,
+          meanDelayLessThanOrEqualTo: entry.conditions?.mean_delay_less_than_or_equal_to ?? null,
+          passthrough: configManager.passthroughFields.extract(entry, 'ranges')
+        }))
+      };
+    });
+  },
+
+  buildEntries(group, configManager) {
+    return group.rules.map(rule => {
+      const entry = {
+        delivery_option: group.commonParams.deliveryOption || 'STANDARD',
+        lower_bound: rule.lowerBound,
+        upper_bound: rule.upperBound,
+        _title: group.title, // Store the custom title
+        conditions: {}
+      };
+
+      // PDT conditions
+      if (rule.pdtGreaterThan !== null && rule.pdtGreaterThan !== undefined) {
+        entry.conditions.pdt_greater_than = rule.pdtGreaterThan;
+      }
+
+      if (rule.pdtLessThanOrEqualTo !== null && rule.pdtLessThanOrEqualTo !== undefined) {
+        entry.conditions.pdt_less_than_or_equal_to = rule.pdtLessThanOrEqualTo;
+      }
+
+      // Mean delay conditions
+      if (rule.meanDelayGreaterThan !== null && rule.meanDelayGreaterThan !== undefined) {
+        entry.conditions.mean_delay_greater_than = rule.meanDelayGreaterThan;
+      }
+
+      if (rule.meanDelayLessThanOrEqualTo !== null && rule.meanDelayLessThanOrEqualTo !== undefined) {
+        entry.conditions.mean_delay_less_than_or_equal_to = rule.meanDelayLessThanOrEqualTo;
+      }
+
+      // Common conditions
+      if (group.commonParams.deliveryMode) {
+        entry.conditions.delivery_mode = group.commonParams.deliveryMode;
+      }
+
+      if (group.commonParams.marketplace !== undefined && group.commonParams.marketplace !== '') {
+        entry.conditions.marketplace = group.commonParams.marketplace === 'true';
+      }
+
+      if (group.commonParams.verticalTypes?.length > 0) {
+        entry.conditions.vertical_types = [...group.commonParams.verticalTypes];
+      }
+
+      return configManager.passthroughFields.apply(entry, rule.passthrough, 'ranges');
+    });
+  },
+
+  /**
+   * Group imported ranges by PDT bounds, then by the other common parameters and
+   * the mean delay, and title each entry after its PDT / mean-delay band
+   */
+  mergeImported(entries, importer) {
+    const mergedEntries = [];
+    const pdtGroups = importer.groupRangesByPdtBounds(entries);
+
+    Object.values(pdtGroups).forEach(pdtEntries => {
+      const subGroupedEntries = {};
+
+      pdtEntries.forEach(entry => {
+        const key = importer.generateEntryKey(entry, GROUP_KEYS);
+
+        if (!subGroupedEntries[key]) {
+          subGroupedEntries[key] = [];
+        }
+
+        subGroupedEntries[key].push(entry);
+      });
+
+      Object.values(subGroupedEntries).forEach(entriesGroup => {
+        const baseTitle = `Ranges ${importer.getPdtRangeDescription(entriesGroup[0].conditions)}`;
+
+        // Split further by mean delay; the title names the band if there is more than one
+        const meanDelayGroups = importer.groupEntriesByMeanDelay(entriesGroup);
+
+        Object.entries(meanDelayGroups).forEach(([meanDelayKey, meanDelayEntries]) => {
+          let groupTitle = baseTitle;
+          if (Object.keys(meanDelayGroups).length > 1 && meanDelayKey !== 'default') {
+            groupTitle = `${baseTitle}, ${importer.getMeanDelayDescription(meanDelayEntries[0].conditions)}`;
+          }
+
+          meanDelayEntries.forEach((entry, index) => {
+            mergedEntries.push({
+              ...entry,
+              _title: entry._title ||
+                (meanDelayEntries.length > 1 ? `${groupTitle} ${index + 1}` : groupTitle)
+            });
+          });
+        });
+      });
+    });
+
+    return mergedEntries;
+  },
+
+  prepareForYaml: useBooleanMarketplace,
+
+  // Entries sharing a title or PDT / mean-delay band are written as one section
+  yamlComment: {
+    style: 'grouped',
+    describe: (entry, yamlHandler) => entry._title || yamlHandler.generateRangeDescription(entry)
+  },
+
+  formatEntry(entry, yamlHandler) {
+    const lines = [
+      `    - delivery_option: ${entry.delivery_option}`,
+      `      lower_bound: ${entry.lower_bound}`,
+      `      upper_bound: ${entry.upper_bound}`
+    ];
+
+    if (entry.conditions) {
+      lines.push(...yamlHandler.formatConditions(entry.conditions));
+    }
+
+    lines.push(...yamlHandler.formatExtraFields(entry, ['delivery_option', 'lower_bound', 'upper_bound', 'conditions'], 6));
+    return lines;
+  },
+
+  validation: {
+    checkRules(group, validator) {
+      validator.checkOverlappingRangesRules(group.id, group.rules);
+    },
+
+    // Neighbouring rules must meet exactly at their bounds; with the fallback groups they should cover the whole plane
+    checkGroup(group, validator) {
+      if (group.rules.length === 0) return;
+
+      validator.validationIssues.boundaryIssues.push(...validator.boundaryChecker.checkGroup(group));
+      validator.checkCoverageGaps(group);
+    }
+  },
+
+  // First stage: the matched entry offsets the PDT into a lower and upper bound
+  evaluation: {
+    stage: 1,
+    resultKey: 'ranges',
+    evaluate(items, context, previous, engine) {
+      return engine.evaluateRanges(items, context);
+    }
+  },
+
+  // Every rule is an entry of its own
+  competingRegions(group, intervalUtils) {
+    return group.rules.map((rule, ruleIndex) => ({ ruleIndex, rectangle: intervalUtils.getRuleRectangle(rule) }));
+  },
+
+  describeRule(rule, intervalUtils) {
+    const rectangle = intervalUtils.getRuleRectangle(rule);
+    return `${intervalUtils.formatInterval('PDT', rectangle.pdt)}, ` +
+      `${intervalUtils.formatInterval('mean delay', rectangle.meanDelay)} → ` +
+      `${rule.lowerBound} / ${rule.upperBound}`;
+  }
+};
@@ -0,0 +1,93 @@
+import { INTERNAL_KEYS } from './shared.js';
+import { getDefaultEnumCatalog } from '../enum-catalog.js';
+
+/**
+ * Rounding section: how the shown time is rounded. Each entry is a group of its own
+ * with the strategy as its only parameter and no rules.
+ */
+export const roundingSection = {
+  id: 'rounding',
+  key: 'rounding',
+  label: 'Rounding',
+  groupLabel: 'Rounding',
+  icon: '🔄',
+
+  conditionKeys: [],
+  entryShape: { strategy: true },
+  entryDefaults: { strategy: 'NEAREST_5' },
+
+  entrySchema: {
+    type: 'object',
+    required: ['strategy'],
+    properties: {
+      strategy: {
+        type: 'string',
+        pattern: '^(FLOOR|CEIL|CEILING|NEAREST|ROUND)_[0-9]+$',
+        patternDescription: 'a rounding mode and step, e.g. FLOOR_5 or NEAREST_5',
+        examples: ['FLOOR_5', 'CEIL_5', 'NEAREST_5']
+      }
+    },
+    patternProperties: INTERNAL_KEYS,
+    additionalProperties: false
+  },
+
+  commonParams: [
+    {
+      name: 'strategy',
+      label: 'Rounding Strategy',
+      type: 'select',
+      get options() {
+        return getDefaultEnumCatalog().getOptions('roundingStrategies');
+      }
+    }
+  ],
+
+  columns: [],
+
+  createRule() {
+    return null;
+  },
+
+  adaptCommonParams() {
+    return {
+      strategy: 'NEAREST_5'
+    };
+  },
+
+  buildGroups(entries, configManager) {
+    return entries.map((entry, index) => ({
+      // Use stored title or generate a default one
+      title: entry._title || `Rounding ${index + 1}`,
+      commonParams: {
+        strategy: entry.strategy || 'NEAREST_5'
+      },
+      passthrough: configManager.passthroughFields.extract(entry, 'rounding'),
+      rules: []
+    }));
+  },
+
+  buildEntries(group, configManager) {
+    return [configManager.passthroughFields.apply({
+      strategy: group.commonParams.strategy || 'NEAREST_5',
+      _title: group.title // Store the custom title
+    }, group.passthrough, 'rounding')];
+  },
+
+  yamlComment: { style: 'title', header: 'Rounding Configuration' },
+
+  formatEntry(entry, yamlHandler) {
+    return [
+      `    - strategy: ${entry.strategy}`,
+      ...yamlHandler.formatExtraFields(entry, ['strategy'], 6)
+    ];
+  },
+
+  // Third stage: the matched strategy rounds the bounds
+  evaluation: {
+    stage: 3,
+    resultKey: 'rounding',
+    evaluate(items, context, previous, engine) {
+      return engine.evaluateRounding(items, context, previous);
+    }
+  }
+};
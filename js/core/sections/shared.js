@@ -0,0 +1,65 @@
+import { getDefaultEnumCatalog } from '../enum-catalog.js';
+
+// Group parameters used by several sections.
+// Options are read from the enum catalog on use, so catalog edits show up on the next render.
+
+const ANY_OPTION = { value: '', label: 'Any' };
+
+export const DELIVERY_OPTION_PARAM = {
+  name: 'deliveryOption',
+  label: 'Delivery Option',
+  type: 'select',
+  get options() {
+    return [ANY_OPTION, ...getDefaultEnumCatalog().getOptions('deliveryOptions')];
+  }
+};
+
+export const DELIVERY_MODE_PARAM = {
+  name: 'deliveryMode',
+  label: 'Delivery Mode',
+  type: 'select',
+  get options() {
+    return [ANY_OPTION, ...getDefaultEnumCatalog().getOptions('deliveryModes')];
+  }
+};
+
+export const MARKETPLACE_PARAM = {
+  name: 'marketplace',
+  label: 'Marketplace',
+  type: 'select',
+  options: [
+    ANY_OPTION,
+    { value: 'true', label: 'True' },
+    { value: 'false', label: 'False' }
+  ]
+};
+
+export const VERTICAL_TYPES_PARAM = {
+  name: 'verticalTypes',
+  label: 'Vertical Types',
+  type: 'chips',
+  emptyLabel: 'Any',
+  get options() {
+    return getDefaultEnumCatalog().getOptions('verticalTypes');
+  }
+};
+
+// Builder-internal keys such as `_title`, present in JSON exports
+export const INTERNAL_KEYS = { '^_': {} };
+
+/**
+ * Check if a groupByCommonParams key stands for entries without conditions,
+ * or with only a delivery option; such groups match any segment
+ */
+export function isUnconditioned(commonParamsKey) {
+  return commonParamsKey === 'conditions:none' || commonParamsKey.includes('conditions:delivery_option_only');
+}
+
+/**
+ * Convert a string marketplace condition to a boolean before it is written
+ */
+export function useBooleanMarketplace(entry) {
+  if (typeof entry.conditions?.marketplace === 'string') {
+    entry.conditions.marketplace = entry.conditions.marketplace === 'true';
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Storage backends for the core classes.
+ * A backend implements getItem, setItem and removeItem like the browser's localStorage.
+ */
+
+/**
+ * MemoryStorage keeps items in a Map, for Node scripts and tests
+ */
+export class MemoryStorage {
+  constructor(items = {}) {
+    this.items = new Map(Object.entries(items));
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * Get localStorage in the browser, or a fresh MemoryStorage elsewhere
+ */
+export function getDefaultStorage() {
+  return typeof localStorage !== 'undefined' ? localStorage : new MemoryStorage();
+}
@@ -1,15 +1,64 @@
+import { IntervalUtils } from './interval-utils.js';
+import { CrossGroupAnalyzer } from './cross-group-analyzer.js';
+import { BoundaryChecker } from './boundary-checker.js';
+
 /**
  * ValidationManager handles configuration validation.
- * It checks for duplicate groups and overlapping rules.
+ * It checks for duplicate groups, overlapping rules, boundary mistakes,
+ * coverage gaps and overlaps or shadowing across groups.
  */
 export class ValidationManager {
   constructor(configManager) {
     this.configManager = configManager;
+    this.intervalUtils = new IntervalUtils();
+    this.crossGroupAnalyzer = new CrossGroupAnalyzer(this.intervalUtils, configManager.sectionRegistry);
+    this.boundaryChecker = new BoundaryChecker(this.intervalUtils);
     this.validationIssues = {
       duplicateGroups: [],
       overlappingRules: [],
+      boundaryIssues: [],
+      coverageGaps: [],
+      crossGroupOverlaps: [],
+      shadowedRules: [],
       requiredFields: []
     };
+
+    // Which entry wins when several match: 'first-match' or 'most-specific'
+    this.precedence = 'first-match';
+
+    // Plane that every ranges group, together with its fallback groups, should cover, as (min, max] intervals
+    this.coverageDomain = {
+      pdt: { min: 0, max: 120 },
+      meanDelay: { min: 0, max: 60 }
+    };
+  }
+
+  /**
+   * Set how competing entries are resolved in the cross-group analysis.
+   * Overlaps between groups and coverage gaps are reported but only shadowed rules make
+   * the configuration invalid, since a specific group above a catch-all is intentional.
+   * @param {string} precedence 'first-match' or 'most-specific'
+   */
+  setPrecedence(precedence) {
+    if (precedence === 'first-match' || precedence === 'most-specific') {
+      this.precedence = precedence;
+    }
+  }
+
+  /**
+   * Set the PDT and mean-delay domain used by the coverage-gap check
+   * @param {Object} domain { pdt: { min, max }, meanDelay: { min, max } }
+   */
+  setCoverageDomain(domain) {
+    ['pdt', 'meanDelay'].forEach(axis => {
+      if (!domain[axis]) return;
+
+      const min = Number(domain[axis].min);
+      const max = Number(domain[axis].max);
+      if (!isNaN(min) && !isNaN(max) && min < max) {
+        this.coverageDomain[axis] = { min, max };
+      }
+    });
   }
 
 
@@ -21,19 +70,20 @@ export class ValidationManager {
     // Filter for display-format groups only
     const displayFormatGroups = groups.filter(group => group.type === 'display-format');
 
-    // Skip if there are less than 2 display format groups
-    if (displayFormatGroups.length < 2) return;
-
     // First check if any group has more than one rule (which is not allowed)
     displayFormatGroups.forEach(group => {
       if (group.rules.length > 1) {
         this.validationIssues.requiredFields.push({
           groupId: group.id,
+          kind: 'multipleDisplayFormats',
           message: `Display Format group '${group.title}' has multiple format rules. Only one format rule is allowed per group.`
         });
       }
     });
 
+    // Skip the pairwise check if there are less than 2 display format groups
+    if (displayFormatGroups.length < 2) return;
+
 
     // Compare each pair of groups
     for (let i = 0; i < displayFormatGroups.length; i++) {
@@ -74,19 +124,22 @@ export class ValidationManager {
    */
   haveMatchingParameters(params1, params2) {
     // Check each parameter that's relevant for display format
-    const keysToCompare = ['deliveryMode', 'marketplace', 'pdtLessThanOrEqualTo', 'verticalType'];
+    const keysToCompare = ['deliveryMode', 'marketplace', 'pdtLessThanOrEqualTo', 'verticalTypes'];
 
     for (const key of keysToCompare) {
+      const value1 = this.getComparableParam(params1[key]);
+      const value2 = this.getComparableParam(params2[key]);
+
       // If one has the parameter set and the other doesn't, they don't match
-      const param1Exists = params1[key] !== undefined && params1[key] !== '';
-      const param2Exists = params2[key] !== undefined && params2[key] !== '';
+      const param1Exists = value1 !== undefined && value1 !== '';
+      const param2Exists = value2 !== undefined && value2 !== '';
 
       if (param1Exists !== param2Exists) {
         return false;
       }
 
       // If both have the parameter, check if values match
-      if (param1Exists && param2Exists && params1[key] !== params2[key]) {
+      if (param1Exists && param2Exists && value1 !== value2) {
         return false;
       }
     }
@@ -103,6 +156,10 @@ export class ValidationManager {
     this.validationIssues = {
       duplicateGroups: [],
       overlappingRules: [],
+      boundaryIssues: [],
+      coverageGaps: [],
+      crossGroupOverlaps: [],
+      shadowedRules: [],
       requiredFields: []
     };
 
@@ -112,7 +169,10 @@ export class ValidationManager {
     // Check for duplicate groups
     this.checkDuplicateGroups(allGroups);
 
-    this.checkDuplicateDisplayFormats(allGroups);
+    // Checks of a section across its groups, e.g. duplicate display formats
+    this.configManager.sectionRegistry.getAll().forEach(definition => {
+      definition.validation?.checkGroups?.(allGroups.filter(group => group.type === definition.id), this);
+    });
 
     // Check for overlapping rules in each group
     allGroups.forEach(group => {
@@ -121,6 +181,16 @@ export class ValidationManager {
       }
     });
 
+    // Checks of single groups, e.g. bounds and coverage gaps of ranges groups
+    allGroups.forEach(group => {
+      this.getSectionValidation(group.type).checkGroup?.(group, this);
+    });
+
+    // Check for overlaps and shadowing across groups of the same section
+    const crossGroup = this.crossGroupAnalyzer.analyze(allGroups, this.precedence);
+    this.validationIssues.crossGroupOverlaps = crossGroup.overlaps;
+    this.validationIssues.shadowedRules = crossGroup.shadowed;
+
     return {
       valid: this.isValid(),
       issues: this.validationIssues
@@ -128,13 +198,15 @@ export class ValidationManager {
   }
 
   /**
-   * Check if the configuration is valid
-   * @returns {boolean} True if no validation issues exist
+   * Check if the configuration is valid; coverage gaps and cross-group overlaps are only warnings
+   * @returns {boolean} True if no validation errors exist
    */
   isValid() {
     return (
       this.validationIssues.duplicateGroups.length === 0 &&
       this.validationIssues.overlappingRules.length === 0 &&
+      this.validationIssues.boundaryIssues.length === 0 &&
+      this.validationIssues.shadowedRules.length === 0 &&
       this.validationIssues.requiredFields.length === 0
     );
   }
@@ -193,31 +265,35 @@ export class ValidationManager {
 
     // Check each key-value pair
     for (const key of keys1) {
-      if (params1[key] !== params2[key]) return false;
+      if (this.getComparableParam(params1[key]) !== this.getComparableParam(params2[key])) return false;
     }
 
     return true;
   }
 
+  /**
+   * Get a common parameter in a form that compares with ===; lists such as
+   * the vertical types compare as sets
+   */
+  getComparableParam(value) {
+    return Array.isArray(value) ? [...value].map(String).sort().join(',') : value;
+  }
+
   /**
    * Check for overlapping rules within a group
    * @param {Object} group The group to check
    */
   checkOverlappingRules(group) {
-    const { type, id, rules } = group;
-
-    // Different overlap checks based on section type
-    switch (type) {
-      case 'ranges':
-        this.checkOverlappingRangesRules(id, rules);
-        break;
-      case 'capping':
-        this.checkOverlappingCappingRules(id, rules);
-        break;
-      default:
-        // Other types don't have overlap concerns
-        break;
-    }
+    // Sections without a rule check have no overlap concerns
+    this.getSectionValidation(group.type).checkRules?.(group, this);
+  }
+
+  /**
+   * Get the validation hooks of a section type
+   * @returns {Object} { checkGroups, checkGroup, checkRules }, each optional
+   */
+  getSectionValidation(type) {
+    return this.configManager.sectionRegistry.get(type)?.validation || {};
   }
 
   /**
@@ -241,91 +317,76 @@ export class ValidationManager {
   }
 
   /**
-   * Check if two range rules overlap
-   * @param {Object} rule1 First rule
-   * @param {Object} rule2 Second rule
-   * @returns {boolean} True if rules overlap
-   */
-  /**
-   * Completely fixed validation logic for checking if range rules overlap
-   * Handles boundary cases for both PDT and Mean Delay ranges
+   * Check if two range rules overlap.
+   * Each rule covers (pdt_greater_than, pdt_less_than_or_equal_to] ×
+   * (mean_delay_greater_than, mean_delay_less_than_or_equal_to], so `≤18` and `>18`
+   * touch without overlapping while `≤19` and `>18` share 18–19.
    * @param {Object} rule1 First rule
    * @param {Object} rule2 Second rule
    * @returns {boolean} True if rules overlap
    */
   doRangesRulesOverlap(rule1, rule2) {
-    // Extract PDT range information and whether they're specified
-    const rule1HasPdtGreaterThan = rule1.pdtGreaterThan !== null && rule1.pdtGreaterThan !== undefined;
-    const rule1HasPdtLessThanOrEqual = rule1.pdtLessThanOrEqualTo !== null && rule1.pdtLessThanOrEqualTo !== undefined;
-
-    const rule2HasPdtGreaterThan = rule2.pdtGreaterThan !== null && rule2.pdtGreaterThan !== undefined;
-    const rule2HasPdtLessThanOrEqual = rule2.pdtLessThanOrEqualTo !== null && rule2.pdtLessThanOrEqualTo !== undefined;
-
-    // Handle exact boundary case for PDT ranges
-    // Rule 1: PDT ≤ X and Rule 2: PDT > X - These do not overlap
-    if (rule1HasPdtLessThanOrEqual && rule2HasPdtGreaterThan &&
-      rule1.pdtLessThanOrEqualTo === rule2.pdtGreaterThan) {
-      return false;
-    }
-
-    // Rule 2: PDT ≤ X and Rule 1: PDT > X - These do not overlap
-    if (rule2HasPdtLessThanOrEqual && rule1HasPdtGreaterThan &&
-      rule2.pdtLessThanOrEqualTo === rule1.pdtGreaterThan) {
-      return false;
-    }
-
-    // For standard PDT range overlap checking
-    const pdt1From = rule1HasPdtGreaterThan ? rule1.pdtGreaterThan : -Infinity;
-    const pdt1To = rule1HasPdtLessThanOrEqual ? rule1.pdtLessThanOrEqualTo : Infinity;
-    const pdt2From = rule2HasPdtGreaterThan ? rule2.pdtGreaterThan : -Infinity;
-    const pdt2To = rule2HasPdtLessThanOrEqual ? rule2.pdtLessThanOrEqualTo : Infinity;
-
-    // Check if PDT ranges don't overlap
-    if (pdt1To < pdt2From || pdt1From > pdt2To) {
-      return false; // No overlap in PDT ranges
-    }
-
-    // PDT ranges overlap, now check Mean Delay ranges
-
-    // Extract Mean Delay range information and whether they're specified
-    const rule1HasMeanDelayGreaterThan = rule1.meanDelayGreaterThan !== null && rule1.meanDelayGreaterThan !== undefined;
-    const rule1HasMeanDelayLessThanOrEqual = rule1.meanDelayLessThanOrEqualTo !== null && rule1.meanDelayLessThanOrEqualTo !== undefined;
-
-    const rule2HasMeanDelayGreaterThan = rule2.meanDelayGreaterThan !== null && rule2.meanDelayGreaterThan !== undefined;
-    const rule2HasMeanDelayLessThanOrEqual = rule2.meanDelayLessThanOrEqualTo !== null && rule2.meanDelayLessThanOrEqualTo !== undefined;
-
-    // Handle the case where rules don't specify mean delay conditions
-    if ((!rule1HasMeanDelayGreaterThan && !rule1HasMeanDelayLessThanOrEqual) ||
-      (!rule2HasMeanDelayGreaterThan && !rule2HasMeanDelayLessThanOrEqual)) {
-      return true; // At least one rule has no MD constraints, so they overlap
-    }
+    return this.intervalUtils.intersectRectangles(
+      this.intervalUtils.getRuleRectangle(rule1),
+      this.intervalUtils.getRuleRectangle(rule2)
+    ) !== null;
+  }
 
-    // Handle exact boundary condition for Mean Delay
-    // Rule 1: MD ≤ X and Rule 2: MD > X - These do not overlap
-    if (rule1HasMeanDelayLessThanOrEqual && rule2HasMeanDelayGreaterThan &&
-      rule1.meanDelayLessThanOrEqualTo === rule2.meanDelayGreaterThan) {
-      return false;
-    }
+  /**
+   * Report the areas of the coverage domain that no rule of a ranges group matches.
+   * Orders the group does not match fall through to its fallback groups, so their
+   * rules count as coverage too.
+   * @param {Object} group The ranges group to check
+   */
+  checkCoverageGaps(group) {
+    const rules = [...group.rules, ...this.getFallbackGroups(group).flatMap(fallback => fallback.rules)];
 
-    // Rule 2: MD ≤ X and Rule 1: MD > X - These do not overlap
-    if (rule2HasMeanDelayLessThanOrEqual && rule1HasMeanDelayGreaterThan &&
-      rule2.meanDelayLessThanOrEqualTo === rule1.meanDelayGreaterThan) {
-      return false;
-    }
+    this.findCoverageGaps(rules, this.coverageDomain).forEach(gap => {
+      const pdtText = this.intervalUtils.formatInterval('PDT', { from: gap.pdtFrom, to: gap.pdtTo });
+      const meanDelayText = this.intervalUtils.formatInterval('mean delay', { from: gap.meanDelayFrom, to: gap.meanDelayTo });
 
-    // Standard range overlap check for Mean Delay
-    const md1From = rule1HasMeanDelayGreaterThan ? rule1.meanDelayGreaterThan : -Infinity;
-    const md1To = rule1HasMeanDelayLessThanOrEqual ? rule1.meanDelayLessThanOrEqualTo : Infinity;
-    const md2From = rule2HasMeanDelayGreaterThan ? rule2.meanDelayGreaterThan : -Infinity;
-    const md2To = rule2HasMeanDelayLessThanOrEqual ? rule2.meanDelayLessThanOrEqualTo : Infinity;
+      this.validationIssues.coverageGaps.push({
+        groupId: group.id,
+        ...gap,
+        message: `Group '${group.title}' has no rule for ${pdtText} with ${meanDelayText}`
+      });
+    });
+  }
 
-    // Check if MD ranges don't overlap
-    if (md1To < md2From || md1From > md2To) {
-      return false; // No overlap in MD ranges
-    }
+  /**
+   * Get the other groups of the same section that match every order of the group,
+   * e.g. a catch-all group without verticals behind a restaurants group
+   */
+  getFallbackGroups(group) {
+    const analyzer = this.crossGroupAnalyzer;
+    const segment = analyzer.getSegment(group.type, group.commonParams || {});
+
+    return Object.values(this.configManager.groups).filter(other =>
+      other.id !== group.id &&
+      other.type === group.type &&
+      analyzer.segmentCovers(analyzer.getSegment(other.type, other.commonParams || {}), segment)
+    );
+  }
 
-    // If we reach here, both PDT and Mean Delay ranges overlap
-    return true;
+  /**
+   * Find the uncovered rectangles of the domain
+   * @param {Array} rules Ranges rules
+   * @param {Object} domain { pdt: { min, max }, meanDelay: { min, max } }
+   * @returns {Array} List of { pdtFrom, pdtTo, meanDelayFrom, meanDelayTo }, all (from, to]
+   */
+  findCoverageGaps(rules, domain) {
+    const target = {
+      pdt: { from: domain.pdt.min, to: domain.pdt.max },
+      meanDelay: { from: domain.meanDelay.min, to: domain.meanDelay.max }
+    };
+    const rectangles = rules.map(rule => this.intervalUtils.getRuleRectangle(rule));
+
+    return this.intervalUtils.findUncovered(target, rectangles).map(gap => ({
+      pdtFrom: gap.pdt.from,
+      pdtTo: gap.pdt.to,
+      meanDelayFrom: gap.meanDelay.from,
+      meanDelayTo: gap.meanDelay.to
+    }));
   }
 
   /**
@@ -373,6 +434,18 @@ export class ValidationManager {
       ),
       overlappingRules: this.validationIssues.overlappingRules.filter(
         issue => issue.groupId === groupId
+      ),
+      boundaryIssues: this.validationIssues.boundaryIssues.filter(
+        issue => issue.groupId === groupId
+      ),
+      coverageGaps: this.validationIssues.coverageGaps.filter(
+        issue => issue.groupId === groupId
+      ),
+      crossGroupOverlaps: this.validationIssues.crossGroupOverlaps.filter(
+        issue => issue.group1 === groupId || issue.group2 === groupId
+      ),
+      shadowedRules: this.validationIssues.shadowedRules.filter(
+        issue => issue.groupId === groupId
       )
     };
   }
@@ -384,6 +457,11 @@ export class ValidationManager {
    */
   hasIssues(groupId) {
     const groupIssues = this.getIssuesForGroup(groupId);
-    return groupIssues.duplicateGroup.length > 0 || groupIssues.overlappingRules.length > 0;
+    return groupIssues.duplicateGroup.length > 0 ||
+      groupIssues.overlappingRules.length > 0 ||
+      groupIssues.boundaryIssues.length > 0 ||
+      groupIssues.coverageGaps.length > 0 ||
+      groupIssues.crossGroupOverlaps.length > 0 ||
+      groupIssues.shadowedRules.length > 0;
   }
 }
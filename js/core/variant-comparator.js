@@ -0,0 +1,205 @@
+/**
+ * VariantComparator compares two configs on the same set of historical orders.
+ * It reports hit rate, range width and lateness per segment
+ * (delivery option × vertical × mean-delay bucket) and the change from A to B.
+ */
+export class VariantComparator {
+  constructor(batchSimulator, csvHandler) {
+    this.batchSimulator = batchSimulator;
+    this.csvHandler = csvHandler;
+
+    // Upper edges of the mean-delay buckets, using the (previous, edge] semantics of the config
+    this.meanDelayBuckets = [4, 8, 12];
+
+    // Metrics compared between the two variants
+    this.metrics = [
+      { key: 'hitRate', label: 'Hit Rate', type: 'percent' },
+      { key: 'averageWidth', label: 'Avg Width', type: 'minutes' },
+      { key: 'lateRate', label: 'Late Rate', type: 'percent' },
+      { key: 'averageLateMinutes', label: 'Avg Late By', type: 'minutes' },
+      { key: 'earlyRate', label: 'Early Rate', type: 'percent' }
+    ];
+  }
+
+  /**
+   * Set the mean-delay bucket edges
+   * @param {Array} edges Ascending upper edges, e.g. [4, 8, 12]
+   */
+  setMeanDelayBuckets(edges) {
+    this.meanDelayBuckets = edges
+      .map(edge => Number(edge))
+      .filter(edge => !isNaN(edge))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Compare two configs on the same orders
+   * @param {Object} variantA { name, config }
+   * @param {Object} variantB { name, config }
+   * @param {Array} orders Order rows
+   * @returns {Object} { variantA, variantB, overall, segments }
+   */
+  compare(variantA, variantB, orders) {
+    const resultA = this.batchSimulator.simulate(variantA.config, orders);
+    const resultB = this.batchSimulator.simulate(variantB.config, orders);
+
+    // Rows line up one-to-one because both runs use the same orders
+    const segmentRows = {};
+    resultA.rows.forEach((rowA, index) => {
+      const rowB = resultB.rows[index];
+      const segmentKey = this.getSegmentKey(rowA);
+
+      if (!segmentRows[segmentKey]) {
+        segmentRows[segmentKey] = {
+          segment: this.getSegment(rowA),
+          rowsA: [],
+          rowsB: []
+        };
+      }
+
+      segmentRows[segmentKey].rowsA.push(rowA);
+      segmentRows[segmentKey].rowsB.push(rowB);
+    });
+
+    const segments = Object.values(segmentRows)
+      .map(({ segment, rowsA, rowsB }) => this.createComparison(
+        segment,
+        this.batchSimulator.summarize(rowsA),
+        this.batchSimulator.summarize(rowsB)
+      ))
+      .sort((a, b) => b.a.orders - a.a.orders);
+
+    return {
+      variantA: variantA.name,
+      variantB: variantB.name,
+      overall: this.createComparison(null, resultA.summary, resultB.summary),
+      segments
+    };
+  }
+
+  /**
+   * Pair two summaries and compute B - A for every metric
+   */
+  createComparison(segment, summaryA, summaryB) {
+    const delta = {};
+
+    this.metrics.forEach(({ key }) => {
+      delta[key] = summaryA[key] !== null && summaryB[key] !== null
+        ? summaryB[key] - summaryA[key]
+        : null;
+    });
+
+    return { segment, a: summaryA, b: summaryB, delta };
+  }
+
+  getSegment(row) {
+    return {
+      delivery_option: row.delivery_option,
+      vertical_type: row.vertical_type || 'Any',
+      mean_delay_bucket: this.getMeanDelayBucket(row.mean_delay)
+    };
+  }
+
+  getSegmentKey(row) {
+    const segment = this.getSegment(row);
+    return `${segment.delivery_option}|${segment.vertical_type}|${segment.mean_delay_bucket}`;
+  }
+
+  /**
+   * Label the mean-delay bucket an order falls in
+   */
+  getMeanDelayBucket(meanDelay) {
+    if (meanDelay === null || meanDelay === undefined) return 'unknown';
+
+    let previous = null;
+    for (const edge of this.meanDelayBuckets) {
+      if (meanDelay <= edge) {
+        return previous === null ? `≤${edge}` : `${previous}-${edge}`;
+      }
+      previous = edge;
+    }
+
+    return previous === null ? 'all' : `>${previous}`;
+  }
+
+  /**
+   * Flatten a report into one row per segment (overall first)
+   */
+  getReportRows(report) {
+    const comparisons = [
+      { ...report.overall, segment: { delivery_option: 'ALL', vertical_type: 'ALL', mean_delay_bucket: 'ALL' } },
+      ...report.segments
+    ];
+
+    return comparisons.map(comparison => {
+      const row = {
+        delivery_option: comparison.segment.delivery_option,
+        vertical_type: comparison.segment.vertical_type,
+        mean_delay_bucket: comparison.segment.mean_delay_bucket,
+        orders: comparison.a.orders
+      };
+
+      this.metrics.forEach(({ key, type }) => {
+        row[`${key}_a`] = this.formatValue(comparison.a[key], type);
+        row[`${key}_b`] = this.formatValue(comparison.b[key], type);
+        row[`${key}_delta`] = this.formatValue(comparison.delta[key], type, true);
+      });
+
+      return row;
+    });
+  }
+
+  getReportColumns() {
+    const columns = ['delivery_option', 'vertical_type', 'mean_delay_bucket', 'orders'];
+    this.metrics.forEach(({ key }) => {
+      columns.push(`${key}_a`, `${key}_b`, `${key}_delta`);
+    });
+    return columns;
+  }
+
+  /**
+   * Export a report as CSV
+   */
+  toCsv(report) {
+    return this.csvHandler.generate(this.getReportColumns(), this.getReportRows(report));
+  }
+
+  /**
+   * Export a report as a Markdown document with one table
+   */
+  toMarkdown(report) {
+    const headers = ['Delivery Option', 'Vertical', 'Mean Delay', 'Orders'];
+    this.metrics.forEach(({ label }) => {
+      headers.push(`${label} (${report.variantA})`, `${label} (${report.variantB})`, `${label} Δ`);
+    });
+
+    const lines = [
+      `# Variant comparison: ${report.variantA} vs ${report.variantB}`,
+      '',
+      `Orders: ${report.overall.a.orders}`,
+      '',
+      `| ${headers.join(' | ')} |`,
+      `| ${headers.map(() => '---').join(' | ')} |`
+    ];
+
+    const columns = this.getReportColumns();
+    this.getReportRows(report).forEach(row => {
+      lines.push(`| ${columns.map(column => String(row[column]).replace(/\|/g, '\\|')).join(' | ')} |`);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Format a metric value; deltas carry an explicit sign
+   */
+  formatValue(value, type, signed = false) {
+    if (value === null || value === undefined) return '';
+
+    const sign = signed && value > 0 ? '+' : '';
+    if (type === 'percent') {
+      return `${sign}${(value * 100).toFixed(1)}%`;
+    }
+    return `${sign}${value.toFixed(1)}`;
+  }
+}
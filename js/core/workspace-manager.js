@@ -0,0 +1,279 @@
+import { getDefaultStorage } from './storage.js';
+
+// Storage key of the list of configs and the selected one
+const INDEX_KEY = 'pdtWorkspace';
+
+// Keys used before the workspace held several configs
+const LEGACY_KEYS = { config: 'pdtConfig', history: 'pdtHistory' };
+
+/**
+ * WorkspaceManager keeps several named configs, e.g. one per country.
+ * Each config is saved under its own storage keys with its own undo history;
+ * the index lists them and remembers which one is open.
+ */
+export class WorkspaceManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage Backend with getItem/setItem; defaults to localStorage in the browser
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || getDefaultStorage();
+
+    // { activeId, configs: [{ id, name, updatedAt, variant, platform, countryCode }] }
+    this.index = { activeId: null, configs: [] };
+
+    this.loadIndex();
+  }
+
+  /**
+   * Load the index; a config saved before the workspace existed becomes its first entry
+   */
+  loadIndex() {
+    const savedIndex = this.storage.getItem(INDEX_KEY);
+    if (savedIndex) {
+      try {
+        const parsedIndex = JSON.parse(savedIndex);
+        if (Array.isArray(parsedIndex.configs)) {
+          this.index = parsedIndex;
+        }
+      } catch (e) {
+        console.error('Failed to parse saved workspace:', e);
+      }
+    }
+
+    if (this.index.configs.length === 0) {
+      this.migrateLegacyConfig();
+    }
+
+    if (!this.getEntry(this.index.activeId)) {
+      this.index.activeId = this.index.configs[0].id;
+      this.saveIndex();
+    }
+  }
+
+  /**
+   * Move the single config of older versions, and its history, into the workspace.
+   * Without one the workspace starts with an empty config.
+   */
+  migrateLegacyConfig() {
+    const legacyConfig = this.storage.getItem(LEGACY_KEYS.config);
+    const entry = this.createEntry(legacyConfig ? this.getDefaultName(this.parseConfig(legacyConfig) || {}) : 'Configuration 1');
+    const keys = this.getStorageKeys(entry.id);
+
+    if (legacyConfig) {
+      this.storage.setItem(keys.config, legacyConfig);
+
+      const legacyHistory = this.storage.getItem(LEGACY_KEYS.history);
+      if (legacyHistory) {
+        this.storage.setItem(keys.history, legacyHistory);
+      }
+
+      this.storage.removeItem(LEGACY_KEYS.config);
+      this.storage.removeItem(LEGACY_KEYS.history);
+    }
+
+    this.setMetadata(entry, legacyConfig ? this.parseConfig(legacyConfig) : null);
+    this.index.configs.push(entry);
+    this.index.activeId = entry.id;
+    this.saveIndex();
+  }
+
+  saveIndex() {
+    try {
+      this.storage.setItem(INDEX_KEY, JSON.stringify(this.index));
+    } catch (e) {
+      console.error('Failed to save workspace:', e);
+    }
+  }
+
+  createEntry(name) {
+    return {
+      id: `config-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      updatedAt: Date.now(),
+      variant: '',
+      platform: '',
+      countryCode: ''
+    };
+  }
+
+  /**
+   * Copy the metadata of a config into its entry, so the list needs no saved config
+   */
+  setMetadata(entry, config) {
+    entry.variant = config?.variant || '';
+    entry.platform = config?.platform || '';
+    entry.countryCode = config?.countryCode || '';
+  }
+
+  /**
+   * Name a config after its platform, country and variant, e.g. "talabat bh config-a"
+   */
+  getDefaultName(config) {
+    const parts = [config.platform, config.countryCode || config.country_code, config.variant].filter(Boolean);
+    return parts.length > 0 ? parts.join(' ') : 'Configuration';
+  }
+
+  /**
+   * Storage keys of a config and its history
+   */
+  getStorageKeys(id) {
+    return {
+      config: `${INDEX_KEY}:${id}:config`,
+      history: `${INDEX_KEY}:${id}:history`
+    };
+  }
+
+  getEntry(id) {
+    return this.index.configs.find(entry => entry.id === id) || null;
+  }
+
+  getActiveId() {
+    return this.index.activeId;
+  }
+
+  /**
+   * List the configs with the metadata they were last saved with
+   * @returns {Array} [{ id, name, updatedAt, active, variant, platform, countryCode }]
+   */
+  getConfigs() {
+    return this.index.configs.map(entry => ({
+      ...entry,
+      active: entry.id === this.index.activeId
+    }));
+  }
+
+  /**
+   * Get the saved config of an entry
+   * @returns {Object|null} Null if nothing was saved yet
+   */
+  readConfig(id) {
+    const saved = this.storage.getItem(this.getStorageKeys(id).config);
+    return saved ? this.parseConfig(saved) : null;
+  }
+
+  parseConfig(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      console.error('Failed to parse saved config:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Select the config the editor works on
+   * @returns {Object} Storage keys of the config
+   */
+  setActive(id) {
+    if (!this.getEntry(id)) {
+      throw new Error(`There is no configuration with id '${id}'`);
+    }
+
+    this.index.activeId = id;
+    this.saveIndex();
+    return this.getStorageKeys(id);
+  }
+
+  /**
+   * Add a config
+   * @param {string} name Name shown in the list
+   * @param {Object} config Config to start from; an empty one if not given
+   * @returns {Object} The new entry
+   * @throws {Error} If the name is empty or taken
+   */
+  create(name, config = null) {
+    const entry = this.createEntry(this.checkName(name));
+
+    if (config) {
+      this.storage.setItem(this.getStorageKeys(entry.id).config, JSON.stringify(config));
+      this.setMetadata(entry, config);
+    }
+
+    this.index.configs.push(entry);
+    this.saveIndex();
+    return entry;
+  }
+
+  /**
+   * Add a copy of a config; the copy starts without undo history
+   * @returns {Object} The new entry
+   */
+  duplicate(id, name) {
+    if (!this.getEntry(id)) {
+      throw new Error(`There is no configuration with id '${id}'`);
+    }
+
+    return this.create(name, this.readConfig(id));
+  }
+
+  /**
+   * @throws {Error} If the name is empty or taken by another config
+   */
+  rename(id, name) {
+    const entry = this.getEntry(id);
+    if (!entry) {
+      throw new Error(`There is no configuration with id '${id}'`);
+    }
+
+    entry.name = this.checkName(name, id);
+    this.saveIndex();
+  }
+
+  /**
+   * Delete a config and its history; if it was open, the first remaining config is opened
+   * @throws {Error} If it is the only config
+   */
+  remove(id) {
+    if (!this.getEntry(id)) {
+      throw new Error(`There is no configuration with id '${id}'`);
+    }
+
+    if (this.index.configs.length === 1) {
+      throw new Error('The workspace needs at least one configuration');
+    }
+
+    const keys = this.getStorageKeys(id);
+    this.storage.removeItem(keys.config);
+    this.storage.removeItem(keys.history);
+
+    this.index.configs = this.index.configs.filter(entry => entry.id !== id);
+    if (this.index.activeId === id) {
+      this.index.activeId = this.index.configs[0].id;
+    }
+
+    this.saveIndex();
+  }
+
+  /**
+   * Note that a config was saved, with the metadata it was saved with
+   * @param {string} id Config that was saved
+   * @param {Object} config The saved config
+   */
+  touch(id, config) {
+    const entry = this.getEntry(id);
+    if (!entry) return;
+
+    entry.updatedAt = Date.now();
+    this.setMetadata(entry, config);
+    this.saveIndex();
+  }
+
+  /**
+   * Trim a name and check that no other config has it
+   * @param {string} exceptId Config that may keep its own name
+   * @returns {string} The trimmed name
+   */
+  checkName(name, exceptId = null) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error('A configuration needs a name');
+    }
+
+    if (this.index.configs.some(entry => entry.id !== exceptId && entry.name === trimmed)) {
+      throw new Error(`A configuration named '${trimmed}' already exists`);
+    }
+
+    return trimmed;
+  }
+}
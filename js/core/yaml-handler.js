@@ -0,0 +1,303 @@
+import { getDefaultSectionRegistry } from './section-registry.js';
+
+/**
+ * YamlHandler manages the conversion between the config object and YAML.
+ * It uses the js-yaml library for parsing and generation.
+ */
+export class YamlHandler {
+  /**
+   * @param {Object} yamlBackend js-yaml compatible module (load/dump); defaults to window.jsyaml in the browser
+   * @param {SectionRegistry} sectionRegistry Known section types and how their entries are written
+   */
+  constructor(yamlBackend = globalThis.jsyaml, sectionRegistry = getDefaultSectionRegistry()) {
+    this.yaml = yamlBackend || null;
+    this.sectionRegistry = sectionRegistry;
+
+    // Ensure jsYaml is available
+    if (!this.yaml) {
+      console.error('js-yaml library not loaded. YAML functionality will be limited.');
+    }
+  }
+
+  /**
+   * Use another js-yaml compatible backend
+   */
+  setYamlBackend(yamlBackend) {
+    this.yaml = yamlBackend;
+  }
+
+  /**
+   * Parse YAML text into an object
+   * @param {string} text YAML (or JSON) text
+   * @param {Object} options Options passed on to the backend's load, e.g. a js-yaml listener
+   * @throws {Error} If no YAML backend is available or the text is not valid YAML
+   */
+  parseYaml(text, options = {}) {
+    if (!this.yaml) {
+      throw new Error('YAML support is not available. js-yaml library is required.');
+    }
+
+    return this.yaml.load(text, options);
+  }
+
+  /**
+   * Generate YAML from a config object
+   */
+  generateYaml(config) {
+    if (!this.yaml) return JSON.stringify(config, null, 2);
+
+    try {
+      // Clone the config to avoid modifying the original
+      const configClone = JSON.parse(JSON.stringify(config));
+
+      // Make sure snake_case versions of metadata fields exist
+      if (configClone.configFormatVersion !== undefined) {
+        configClone.config_format_version = configClone.configFormatVersion;
+        delete configClone.configFormatVersion; // Remove to avoid duplication
+      }
+
+      if (configClone.countryCode !== undefined) {
+        configClone.country_code = configClone.countryCode;
+        delete configClone.countryCode; // Remove to avoid duplication
+      }
+
+      // Convert boolean values properly for YAML
+      this.processConfigForYaml(configClone);
+
+      // Instead of using jsyaml to generate YAML, directly use our custom formatter
+      // This ensures our comments are always added correctly
+      return this.formatConfigWithComments(configClone);
+    } catch (e) {
+      console.error('Failed to generate YAML:', e);
+      return 'Error generating YAML: ' + e.message;
+    }
+  }
+
+  formatConfigWithComments(config) {
+    const lines = [];
+
+    // Add config header
+    lines.push(`config_format_version: ${config.config_format_version || '1'}`);
+    lines.push(`variant: ${config.variant || ''}`);
+    lines.push(`platform: ${config.platform || ''}`);
+    lines.push(`country_code: ${config.country_code || ''}`);
+    lines.push(...this.formatExtraFields(config, ['config_format_version', 'variant', 'platform', 'country_code', 'pdt'], 0));
+    lines.push('');
+    lines.push('pdt:');
+
+    // Process each PDT section
+    if (config.pdt && Array.isArray(config.pdt)) {
+      config.pdt.forEach(section => {
+        const definition = this.sectionRegistry.getForSection(section);
+
+        if (definition) {
+          lines.push(...this.formatSection(section[definition.key], definition));
+        } else {
+          // Section of a type the builder does not know, kept as it is
+          lines.push('');
+          lines.push(...this.yaml.dump([section]).trimEnd().split('\n').map(line => `  ${line}`));
+        }
+      });
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Format the entries of one section with the comment style of its definition
+   * @param {Array} entries Entries of the section
+   * @param {Object} definition Section definition from the SectionRegistry
+   * @returns {Array} YAML lines
+   */
+  formatSection(entries, definition) {
+    const lines = [];
+    const { style, header, describe } = definition.yamlComment;
+
+    if (style === 'grouped') {
+      // Entries with the same description are written as one section under that comment
+      const groupedEntries = {};
+
+      entries.forEach(entry => {
+        const description = describe(entry, this);
+
+        if (!groupedEntries[description]) {
+          groupedEntries[description] = [];
+        }
+
+        groupedEntries[description].push(entry);
+      });
+
+      Object.entries(groupedEntries).forEach(([description, group]) => {
+        lines.push('');
+        lines.push(`  # ${description}`);
+        lines.push(`  - ${definition.key}:`);
+        group.forEach(entry => lines.push(...definition.formatEntry(entry, this)));
+      });
+    } else {
+      lines.push('');
+      lines.push(`  # ${header}`);
+
+      // Each entry is written as its own section with its title as a comment
+      entries.forEach(entry => {
+        if (entry._title) {
+          lines.push(`  # ${entry._title}`);
+        }
+
+        lines.push(`  - ${definition.key}:`);
+        lines.push(...definition.formatEntry(entry, this));
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Format the conditions of an entry; scalars and lists are written inline, other values with js-yaml
+   */
+  formatConditions(conditions) {
+    const lines = ['      conditions:'];
+
+    Object.entries(conditions).forEach(([key, value]) => {
+      // Skip internal properties
+      if (key.startsWith('_')) return;
+
+      if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+        lines.push(`        ${key}:`);
+        value.forEach(item => {
+          lines.push(`          - ${item}`);
+        });
+      } else if (value !== null && typeof value === 'object') {
+        lines.push(...this.formatExtraFields({ [key]: value }, [], 8));
+      } else {
+        lines.push(`        ${key}: ${value}`);
+      }
+    });
+
+    return lines;
+  }
+
+  /**
+   * Format the fields of an object that the builder does not model, so they are written back as imported
+   * @param {Object} object Object holding the fields
+   * @param {Array} knownKeys Keys written by the caller
+   * @param {number} indent Indentation of the keys
+   * @returns {Array} YAML lines
+   */
+  formatExtraFields(object, knownKeys, indent) {
+    const extra = {};
+    Object.entries(object || {}).forEach(([key, value]) => {
+      if (!key.startsWith('_') && !knownKeys.includes(key) && value !== undefined) {
+        extra[key] = value;
+      }
+    });
+
+    if (Object.keys(extra).length === 0) return [];
+
+    const padding = ' '.repeat(indent);
+    return this.yaml.dump(extra).trimEnd().split('\n').map(line => padding + line);
+  }
+
+  /**
+   * Process config object for YAML conversion
+   */
+  processConfigForYaml(config) {
+
+    // Ensure the snake_case versions of metadata fields are set
+    if (config.configFormatVersion !== undefined) {
+      config.config_format_version = config.configFormatVersion;
+      delete config.configFormatVersion; // Remove camelCase version to avoid duplication
+    }
+
+    if (config.countryCode !== undefined) {
+      config.country_code = config.countryCode;
+      delete config.countryCode; // Remove camelCase version to avoid duplication
+    }
+
+
+    // Let each section fix up its entries, e.g. string booleans
+    if (config.pdt && Array.isArray(config.pdt)) {
+      config.pdt.forEach(section => {
+        this.sectionRegistry.getAll().forEach(definition => {
+          if (definition.prepareForYaml && Array.isArray(section[definition.key])) {
+            section[definition.key].forEach(entry => definition.prepareForYaml(entry));
+          }
+        });
+      });
+    }
+  }
+
+  generateRangeDescription(range) {
+    let description = '';
+
+    if (range.conditions) {
+      // PDT range description
+      const pdtGreaterThan = range.conditions.pdt_greater_than;
+      const pdtLessThanOrEqualTo = range.conditions.pdt_less_than_or_equal_to;
+
+      if (pdtGreaterThan !== undefined || pdtLessThanOrEqualTo !== undefined) {
+        description += 'PDT ';
+
+        if (pdtGreaterThan !== undefined && pdtLessThanOrEqualTo !== undefined) {
+          description += `${pdtGreaterThan}-${pdtLessThanOrEqualTo}`;
+        } else if (pdtGreaterThan !== undefined) {
+          description += `>${pdtGreaterThan}`;
+        } else if (pdtLessThanOrEqualTo !== undefined) {
+          description += `≤${pdtLessThanOrEqualTo}`;
+        }
+      }
+
+      // Mean Delay range description
+      const mdGreaterThan = range.conditions.mean_delay_greater_than;
+      const mdLessThanOrEqualTo = range.conditions.mean_delay_less_than_or_equal_to;
+
+      if (mdGreaterThan !== undefined || mdLessThanOrEqualTo !== undefined) {
+        if (description) {
+          description += ', Mean Delay ';
+        } else {
+          description += 'Mean Delay ';
+        }
+
+        if (mdGreaterThan !== undefined && mdLessThanOrEqualTo !== undefined) {
+          description += `${mdGreaterThan}-${mdLessThanOrEqualTo}`;
+        } else if (mdGreaterThan !== undefined) {
+          description += `>${mdGreaterThan}`;
+        } else if (mdLessThanOrEqualTo !== undefined) {
+          description += `≤${mdLessThanOrEqualTo}`;
+        }
+      }
+    }
+
+    return description || 'Default';
+  }
+
+  formatYaml(yaml) {
+    if (!this.yaml) {
+      return yaml; // Can't format without js-yaml
+    }
+
+    try {
+      // Parse the YAML to an object
+      const obj = this.yaml.load(yaml);
+
+      // Make sure snake_case versions of metadata fields are properly handled
+      // Check if the camelCase versions exist and use them to set the snake_case versions
+      if (obj.configFormatVersion !== undefined && obj.config_format_version === undefined) {
+        obj.config_format_version = obj.configFormatVersion;
+      }
+
+      if (obj.countryCode !== undefined && obj.country_code === undefined) {
+        obj.country_code = obj.countryCode;
+      }
+
+      // Clean up the camelCase versions to avoid duplication
+      delete obj.configFormatVersion;
+      delete obj.countryCode;
+
+      // Then re-generate with proper formatting
+      return this.generateYaml(obj);
+    } catch (e) {
+      console.error('Failed to format YAML:', e);
+      return yaml; // Return original if formatting fails
+    }
+  }
+}
@@ -0,0 +1,396 @@
+/**
+ * ExperimentDialog defines experiments: a control config of the workspace and
+ * treatment variants taken from other configs of the workspace.
+ * It shows what each treatment changes from the control and offers one YAML download per variant;
+ * each file has its own button since browsers block several downloads started at once.
+ */
+export class ExperimentDialog {
+  constructor(app) {
+    this.app = app;
+    this.experimentManager = app.experimentManager;
+    this.workspaceManager = app.workspaceManager;
+
+    // Experiment shown in the dialog
+    this.experimentId = null;
+
+    this.createExperimentModal();
+  }
+
+  /**
+   * Create experiment modal element
+   */
+  createExperimentModal() {
+    const modal = document.createElement('div');
+    modal.id = 'experimentModal';
+    modal.className = 'modal';
+
+    modal.innerHTML = `
+      <div class="modal-content large-modal">
+        <div class="modal-header">
+          <h2>Experiments</h2>
+          <span class="close-modal" id="closeExperimentModal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <p class="diff-description">
+            An experiment compares a control configuration with treatment variants for the same platform and country.
+            A treatment keeps only the groups it changes; everything else follows the control.
+          </p>
+          <div class="merge-controls">
+            <select id="experimentSelector"></select>
+            <button id="newExperimentBtn" class="btn" title="New experiment with the open configuration as control">New…</button>
+            <button id="deleteExperimentBtn" class="btn">Delete</button>
+          </div>
+          <p id="experimentControl" class="merge-summary"></p>
+          <div class="merge-controls">
+            <label for="treatmentSource">Treatment from</label>
+            <select id="treatmentSource"></select>
+            <label for="treatmentVariant">as variant</label>
+            <input type="text" id="treatmentVariant" placeholder="config-b">
+            <button id="addTreatmentBtn" class="btn">Add Treatment</button>
+          </div>
+          <div id="experimentExports" class="merge-controls">
+            <!-- One YAML download per variant -->
+          </div>
+          <div id="experimentTreatments">
+            <!-- Delta of each treatment from the control -->
+          </div>
+        </div>
+        <div class="modal-footer">
+          <button id="closeExperimentBtn" class="btn">Close</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    // Add event listeners
+    document.getElementById('closeExperimentModal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+
+    document.getElementById('closeExperimentBtn').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+
+    document.getElementById('experimentSelector').addEventListener('change', (e) => {
+      this.experimentId = e.target.value || null;
+      this.render();
+    });
+
+    document.getElementById('newExperimentBtn').addEventListener('click', () => {
+      this.createExperiment();
+    });
+
+    document.getElementById('deleteExperimentBtn').addEventListener('click', () => {
+      this.deleteExperiment();
+    });
+
+    document.getElementById('treatmentSource').addEventListener('change', () => {
+      this.suggestVariant();
+    });
+
+    document.getElementById('addTreatmentBtn').addEventListener('click', () => {
+      this.addTreatment();
+    });
+  }
+
+  /**
+   * Open the dialog on the last shown experiment, or the first one
+   */
+  showExperimentDialog() {
+    if (!this.experimentManager.getExperiment(this.experimentId)) {
+      const first = this.experimentManager.getExperiments()[0];
+      this.experimentId = first ? first.id : null;
+    }
+
+    this.render();
+    document.getElementById('experimentModal').style.display = 'flex';
+  }
+
+  /**
+   * Run an experiment change, showing its error if it fails
+   * @returns {*} Result of the change, or undefined if it failed
+   */
+  runChange(change) {
+    try {
+      return change();
+    } catch (error) {
+      console.error('Error changing experiment:', error);
+      alert(error.message);
+      return undefined;
+    }
+  }
+
+  render() {
+    const experiment = this.experimentManager.getExperiment(this.experimentId);
+
+    this.renderExperimentOptions();
+    this.renderSourceOptions(experiment);
+
+    document.getElementById('newExperimentBtn').disabled = !this.getActiveEntry();
+    document.getElementById('deleteExperimentBtn').disabled = !experiment;
+    document.getElementById('addTreatmentBtn').disabled = !experiment;
+
+    const controlText = document.getElementById('experimentControl');
+    const exports = document.getElementById('experimentExports');
+    const treatments = document.getElementById('experimentTreatments');
+    exports.innerHTML = '';
+    treatments.innerHTML = '';
+
+    if (!experiment) {
+      controlText.textContent = 'No experiment yet. Open the control configuration and click New….';
+      return;
+    }
+
+    let deltas;
+    try {
+      const control = this.experimentManager.getControlConfig(experiment);
+      const entry = this.workspaceManager.getEntry(experiment.controlId);
+      controlText.textContent = `Control: ${entry.name} (variant ${control.variant || 'none'}, ` +
+        `${control.platform || 'no platform'} ${control.countryCode || ''})`;
+      deltas = this.experimentManager.getDeltas(experiment.id);
+    } catch (error) {
+      console.error('Error comparing experiment variants:', error);
+      controlText.textContent = error.message;
+      return;
+    }
+
+    this.renderExports(experiment);
+
+    if (deltas.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'config-diff-empty';
+      empty.textContent = 'No treatments yet. Pick a configuration of the workspace to add it as a treatment.';
+      treatments.appendChild(empty);
+      return;
+    }
+
+    deltas.forEach(delta => treatments.appendChild(this.createTreatmentElement(experiment, delta)));
+  }
+
+  renderExperimentOptions() {
+    const selector = document.getElementById('experimentSelector');
+    selector.innerHTML = '';
+
+    const experiments = this.experimentManager.getExperiments();
+    if (experiments.length === 0) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = 'No experiments';
+      selector.appendChild(option);
+    }
+
+    experiments.forEach(experiment => {
+      const option = document.createElement('option');
+      option.value = experiment.id;
+      option.textContent = experiment.name;
+      selector.appendChild(option);
+    });
+
+    selector.value = this.experimentId || '';
+  }
+
+  /**
+   * List the workspace configs a treatment can be taken from: all but the control
+   */
+  renderSourceOptions(experiment) {
+    const selector = document.getElementById('treatmentSource');
+    const selected = selector.value;
+    selector.innerHTML = '';
+
+    this.workspaceManager.getConfigs()
+      .filter(entry => !experiment || entry.id !== experiment.controlId)
+      .forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = entry.name;
+        selector.appendChild(option);
+      });
+
+    if (this.workspaceManager.getEntry(selected)) {
+      selector.value = selected;
+    }
+
+    this.suggestVariant();
+  }
+
+  /**
+   * Fill in the variant of the picked config unless it is the variant of the control
+   */
+  suggestVariant() {
+    const experiment = this.experimentManager.getExperiment(this.experimentId);
+    const source = this.workspaceManager.readConfig(document.getElementById('treatmentSource').value);
+    let controlVariant = '';
+
+    try {
+      controlVariant = experiment ? this.experimentManager.getControlConfig(experiment).variant : '';
+    } catch (error) {
+      // The missing control is reported in the dialog
+    }
+
+    document.getElementById('treatmentVariant').value =
+      source && source.variant && source.variant !== controlVariant ? source.variant : '';
+  }
+
+  /**
+   * Create the heading, actions and delta of one treatment
+   */
+  createTreatmentElement(experiment, delta) {
+    const element = document.createElement('div');
+    element.className = 'experiment-treatment';
+
+    const header = document.createElement('div');
+    header.className = 'experiment-treatment-header';
+
+    const title = document.createElement('h3');
+    const groups = delta.overrides.length;
+    title.textContent = `${delta.variant} (${groups} ${groups === 1 ? 'group' : 'groups'} overridden)`;
+    header.appendChild(title);
+
+    const openButton = document.createElement('button');
+    openButton.className = 'btn';
+    openButton.textContent = 'Open as Configuration';
+    openButton.title = 'Edit the treatment in the workspace, then add it again under the same variant';
+    openButton.addEventListener('click', () => this.openTreatment(experiment, delta.variant));
+    header.appendChild(openButton);
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'btn';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => {
+      if (!confirm(`Remove the treatment '${delta.variant}' from the experiment?`)) return;
+
+      this.runChange(() => this.experimentManager.removeTreatment(experiment.id, delta.variant));
+      this.render();
+    });
+    header.appendChild(removeButton);
+
+    element.appendChild(header);
+
+    const diff = document.createElement('div');
+    diff.className = 'config-diff';
+    this.app.compareManager.renderDiff(diff, delta.diff, 'No differences from the control.');
+    element.appendChild(diff);
+
+    return element;
+  }
+
+  /**
+   * Get the workspace entry of the open config, the control of a new experiment
+   * @returns {Object|null} Null if no config of the workspace is open
+   */
+  getActiveEntry() {
+    return this.workspaceManager.getEntry(this.workspaceManager.getActiveId());
+  }
+
+  createExperiment() {
+    const active = this.getActiveEntry();
+    if (!active) {
+      alert('Open a configuration of the workspace to use it as control');
+      return;
+    }
+
+    const name = prompt(`Name of the experiment, with '${active.name}' as control:`, '');
+    if (name === null) return;
+
+    // The control is read from the workspace, so make sure it is saved
+    this.app.configManager.saveConfig();
+
+    const experiment = this.runChange(() => this.experimentManager.create(name, active.id));
+    if (experiment) {
+      this.experimentId = experiment.id;
+      this.render();
+    }
+  }
+
+  deleteExperiment() {
+    const experiment = this.experimentManager.getExperiment(this.experimentId);
+    if (!experiment || !confirm(`Delete the experiment '${experiment.name}'? Its configurations stay in the workspace.`)) return;
+
+    this.experimentManager.remove(experiment.id);
+    this.experimentId = null;
+    this.showExperimentDialog();
+  }
+
+  addTreatment() {
+    const sourceId = document.getElementById('treatmentSource').value;
+    const variant = document.getElementById('treatmentVariant').value.trim();
+    const source = this.workspaceManager.readConfig(sourceId);
+    const experiment = this.experimentManager.getExperiment(this.experimentId);
+
+    if (!source) {
+      alert('Pick a saved configuration of the workspace as treatment');
+      return;
+    }
+
+    if (experiment.treatments.some(treatment => treatment.variant === variant) &&
+        !confirm(`Replace the treatment '${variant}'?`)) return;
+
+    this.runChange(() => this.experimentManager.setTreatment(experiment.id, variant, source));
+    this.render();
+  }
+
+  /**
+   * Copy a treatment into a new workspace config and open it
+   */
+  openTreatment(experiment, variant) {
+    const entry = this.runChange(() => {
+      const built = this.experimentManager.buildVariants(experiment.id).find(item => item.variant === variant);
+      return this.workspaceManager.create(`${experiment.name} ${variant}`, built.config);
+    });
+
+    if (entry) {
+      document.getElementById('experimentModal').style.display = 'none';
+      this.app.openWorkspaceConfig(entry.id);
+    }
+  }
+
+  /**
+   * Add a download button for the YAML of the control and of every treatment
+   */
+  renderExports(experiment) {
+    const exports = document.getElementById('experimentExports');
+
+    const label = document.createElement('span');
+    label.textContent = 'Export YAML:';
+    exports.appendChild(label);
+
+    this.experimentManager.buildVariants(experiment.id).forEach(({ variant, control }) => {
+      const button = document.createElement('button');
+      button.className = control ? 'btn' : 'btn primary';
+      button.textContent = `${variant || 'export'}${control ? ' (control)' : ''}`;
+      button.title = `Download pdt-config-${variant || 'export'}.yml`;
+      button.addEventListener('click', () => this.exportVariant(experiment.id, variant));
+      exports.appendChild(button);
+    });
+  }
+
+  /**
+   * Download the YAML of one variant, built from the control as it is now
+   */
+  exportVariant(experimentId, variant) {
+    const variants = this.runChange(() => this.experimentManager.buildVariants(experimentId));
+    const built = variants?.find(item => item.variant === variant);
+    if (!built) return;
+
+    const config = this.app.exportImportManager.getExportConfig(built.config);
+    if (!config) return;
+
+    this.downloadYaml(this.app.yamlHandler.generateYaml(config), `pdt-config-${variant || 'export'}.yml`);
+  }
+
+  downloadYaml(yaml, fileName) {
+    const blob = new Blob([yaml], { type: 'text/yaml;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const downloadLink = document.createElement('a');
+    downloadLink.href = url;
+    downloadLink.download = fileName;
+
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+
+    document.body.removeChild(downloadLink);
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+  }
+}
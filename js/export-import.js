@@ -1,9 +1,16 @@
+import { ConfigImporter } from './core/config-importer.js';
+import { CONFIG_SCHEMA } from './core/config-schema.js';
+import { CURRENT_FORMAT_VERSION } from './core/config-migrations.js';
+import { getDefaultSectionRegistry } from './core/section-registry.js';
+
 /**
  * ExportImportManager handles the import and export of configurations.
  */
 export class ExportImportManager {
   constructor(app) {
     this.app = app;
+    this.sectionRegistry = getDefaultSectionRegistry();
+    this.configImporter = new ConfigImporter(this.sectionRegistry);
 
     // File input for importing (hidden)
     this.fileInput = document.createElement('input');
@@ -21,9 +28,29 @@ export class ExportImportManager {
       }
     });
 
+    // Format version upgrades applied to the file being imported
+    this.migrationReport = null;
+
     // Create modals for diff viewer and summary confirmation
     this.createDiffViewerModal();
     this.createSummaryModal();
+    this.renderFormatVersionOptions();
+  }
+
+  /**
+   * Fill the format version select with the versions configs can be exported as
+   */
+  renderFormatVersionOptions() {
+    const select = document.getElementById('configVersion');
+    if (!select) return;
+
+    select.innerHTML = '';
+    this.configImporter.configMigrator.getExportVersions().forEach(info => {
+      const option = document.createElement('option');
+      option.value = String(info.version);
+      option.textContent = info.version === CURRENT_FORMAT_VERSION ? `${info.label} (current)` : info.label;
+      select.appendChild(option);
+    });
   }
 
   /**
@@ -79,6 +106,15 @@ export class ExportImportManager {
             <span>Structure changes</span>
           </div>
         </div>
+        <div class="import-semantic-changes">
+          <h4>Semantic Changes</h4>
+          <div id="importSemanticChanges" class="config-diff"></div>
+        </div>
+        <div id="importPassthrough" class="import-passthrough">
+          <h4>Kept As Is</h4>
+          <p>The builder does not edit these fields; they are kept and exported unchanged.</p>
+          <ul id="importPassthroughList"></ul>
+        </div>
         <div id="importWarnings" class="import-warnings"></div>
       </div>
       <div class="modal-footer">
@@ -322,51 +358,18 @@ export class ExportImportManager {
     const originalMap = {};
     const interpretedMap = {};
 
-    // Compare display_format entries
-    this.compareEntryArrays(
-      originalEntries.display_format,
-      interpretedEntries.display_format,
-      originalMap,
-      interpretedMap,
-      'display_format',
-      (a, b) => a.format === b.format &&
-        this.areConditionsEqual(a.conditions, b.conditions)
-    );
-
-    // Compare ranges entries
-    this.compareEntryArrays(
-      originalEntries.ranges,
-      interpretedEntries.ranges,
-      originalMap,
-      interpretedMap,
-      'ranges',
-      (a, b) => a.delivery_option === b.delivery_option &&
-        a.lower_bound === b.lower_bound &&
-        a.upper_bound === b.upper_bound &&
-        this.areConditionsEqual(a.conditions, b.conditions)
-    );
-
-    // Compare capping entries
-    this.compareEntryArrays(
-      originalEntries.capping,
-      interpretedEntries.capping,
-      originalMap,
-      interpretedMap,
-      'capping',
-      (a, b) => a.delivery_option === b.delivery_option &&
-        this.areConditionsEqual(a.conditions, b.conditions) &&
-        this.areCappingDetailsEqual(a, b)
-    );
-
-    // Compare rounding entries
-    this.compareEntryArrays(
-      originalEntries.rounding,
-      interpretedEntries.rounding,
-      originalMap,
-      interpretedMap,
-      'rounding',
-      (a, b) => a.strategy === b.strategy
-    );
+    // Entries match if their modeled fields and conditions are the same
+    this.sectionRegistry.getKeys().forEach(key => {
+      this.compareEntryArrays(
+        originalEntries[key],
+        interpretedEntries[key],
+        originalMap,
+        interpretedMap,
+        key,
+        (a, b) => this.areConditionsEqual(a.conditions, b.conditions) &&
+          JSON.stringify({ ...a, conditions: undefined }) === JSON.stringify({ ...b, conditions: undefined })
+      );
+    });
 
     return { original: originalMap, interpreted: interpretedMap };
   }
@@ -435,107 +438,26 @@ export class ExportImportManager {
   }
 
 
-  areCappingDetailsEqual(cap1, cap2) {
-    // Check single capping
-    if (cap1.single && cap2.single) {
-      if (cap1.single.min !== cap2.single.min) return false;
-      if (cap1.single.max !== cap2.single.max) return false;
-    } else if (cap1.single || cap2.single) {
-      return false; // One has single and the other doesn't
-    }
-
-    // Check ranges capping
-    if (cap1.ranges && cap2.ranges) {
-      const min1 = cap1.ranges.min;
-      const min2 = cap2.ranges.min;
-      const max1 = cap1.ranges.max;
-      const max2 = cap2.ranges.max;
-
-      if (min1.lower_bound !== min2.lower_bound) return false;
-      if (min1.upper_bound !== min2.upper_bound) return false;
-      if (max1.lower_bound !== max2.lower_bound) return false;
-      if (max1.upper_bound !== max2.upper_bound) return false;
-    } else if (cap1.ranges || cap2.ranges) {
-      return false; // One has ranges and the other doesn't
-    }
-
-    return true;
-  }
-
   applyHighlights(processedLines, highlightMap) {
-    let result = [];
-    let currentSection = null;
-    let sectionIndex = -1;
-    let entryIndex = 0;
+    const result = [];
 
-    for (let i = 0; i < processedLines.length; i++) {
-      const processedLine = processedLines[i];
+    processedLines.forEach(processedLine => {
       const line = processedLine.line;
-      const trimmed = processedLine.content;
 
       // Handle comments
       if (processedLine.isComment) {
         result.push(`<span class="yaml-comment">${this.escapeHtml(line)}</span>`);
-        continue;
-      }
-
-      // Track section changes
-      if (trimmed.startsWith('- display_format:')) {
-        currentSection = 'display_format';
-        sectionIndex = 0;
-        entryIndex = 0;
-      } else if (trimmed.startsWith('- ranges:')) {
-        currentSection = 'ranges';
-        sectionIndex = 0;
-        entryIndex = 0;
-      } else if (trimmed.startsWith('- capping:')) {
-        currentSection = 'capping';
-        sectionIndex = 0;
-        entryIndex = 0;
-      } else if (trimmed.startsWith('- rounding:')) {
-        currentSection = 'rounding';
-        sectionIndex = 0;
-        entryIndex = 0;
-      } else if (currentSection) {
-        // Track entries within sections
-        if ((currentSection === 'display_format' && trimmed.startsWith('- format:')) ||
-          (currentSection === 'ranges' && trimmed.startsWith('- delivery_option:')) ||
-          (currentSection === 'capping' && trimmed.startsWith('- delivery_option:')) ||
-          (currentSection === 'rounding' && trimmed.startsWith('- strategy:'))) {
-          entryIndex++;
-        }
-      }
-
-      // Apply highlighting based on matched status
-      let className = '';
-      const mapKey = `${currentSection}:${entryIndex-1}`;
-
-      if (currentSection && entryIndex > 0 && highlightMap[mapKey]) {
-        if (highlightMap[mapKey] === 'unmatched') {
-          if (trimmed.startsWith('- format:') ||
-            trimmed.startsWith('- delivery_option:') ||
-            trimmed.startsWith('- strategy:') ||
-            trimmed.includes('conditions:') ||
-            trimmed.includes('marketplace:') ||
-            trimmed.includes('delivery_mode:') ||
-            trimmed.includes('pdt_') ||
-            trimmed.includes('bound:') ||
-            trimmed.includes('single:') ||
-            trimmed.includes('ranges:') ||
-            trimmed.includes('min:') ||
-            trimmed.includes('max:')) {
-            className = 'yaml-change';
-          }
-        }
+        return;
       }
 
-      // Apply the highlighting
-      if (className) {
-        result.push(`<span class="${className}">${this.escapeHtml(line)}</span>`);
+      // Highlight the lines of entries the other side has no match for
+      const mapKey = `${processedLine.section}:${processedLine.entryIndex}`;
+      if (processedLine.entryIndex >= 0 && processedLine.content && highlightMap[mapKey] === 'unmatched') {
+        result.push(`<span class="yaml-change">${this.escapeHtml(line)}</span>`);
       } else {
         result.push(this.escapeHtml(line));
       }
-    }
+    });
 
     return result;
   }
@@ -564,88 +486,66 @@ export class ExportImportManager {
     });
   }
 
+  /**
+   * Collect the entries of every section in a comparable form
+   * @returns {Object} Section key → normalized entries
+   */
   extractEntries(obj) {
-    const entries = {
-      display_format: [],
-      ranges: [],
-      capping: [],
-      rounding: []
-    };
+    const entries = {};
+    this.sectionRegistry.getKeys().forEach(key => {
+      entries[key] = [];
+    });
 
     if (!obj || !obj.pdt || !Array.isArray(obj.pdt)) {
       return entries;
     }
 
-    // Process each PDT section
     obj.pdt.forEach(section => {
-      // Extract display_format entries
-      if (section.display_format) {
-        section.display_format.forEach(format => {
-          const entry = {
-            format: format.format,
-            conditions: this.normalizeConditions(format.conditions || {})
-          };
-          entries.display_format.push(entry);
-        });
-      }
+      this.sectionRegistry.getAll().forEach(definition => {
+        if (!Array.isArray(section?.[definition.key])) return;
 
-      // Extract ranges entries
-      if (section.ranges) {
-        section.ranges.forEach(range => {
-          const entry = {
-            delivery_option: range.delivery_option || 'STANDARD',
-            lower_bound: range.lower_bound,
-            upper_bound: range.upper_bound,
-            conditions: this.normalizeConditions(range.conditions || {})
-          };
-          entries.ranges.push(entry);
+        section[definition.key].forEach(entry => {
+          entries[definition.key].push(this.normalizeEntry(definition, entry || {}));
         });
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Keep the fields a section models, filling in the values the builder writes for missing ones
+   */
+  normalizeEntry(definition, entry) {
+    const source = { ...entry };
+    Object.entries(definition.entryDefaults || {}).forEach(([key, value]) => {
+      if (!source[key]) {
+        source[key] = value;
       }
+    });
 
-      // Extract capping entries
-      if (section.capping) {
-        section.capping.forEach(cap => {
-          const entry = {
-            delivery_option: cap.delivery_option || 'STANDARD',
-            conditions: this.normalizeConditions(cap.conditions || {})
-          };
-
-          if (cap.single) {
-            entry.single = {
-              min: cap.single.min,
-              max: cap.single.max
-            };
-          }
+    return {
+      ...this.pickModeledFields(source, definition.entryShape),
+      conditions: this.normalizeConditions(entry.conditions || {})
+    };
+  }
 
-          if (cap.ranges) {
-            entry.ranges = {
-              min: {
-                lower_bound: cap.ranges.min.lower_bound,
-                upper_bound: cap.ranges.min.upper_bound
-              },
-              max: {
-                lower_bound: cap.ranges.max.lower_bound,
-                upper_bound: cap.ranges.max.upper_bound
-              }
-            };
-          }
+  /**
+   * Copy the keys of an entry shape, in the order of the shape
+   */
+  pickModeledFields(value, shape) {
+    const picked = {};
 
-          entries.capping.push(entry);
-        });
-      }
+    Object.entries(shape).forEach(([key, keyShape]) => {
+      const fieldValue = value?.[key];
+      if (fieldValue === undefined) return;
 
-      // Extract rounding entries
-      if (section.rounding) {
-        section.rounding.forEach(round => {
-          const entry = {
-            strategy: round.strategy || 'NEAREST_5'
-          };
-          entries.rounding.push(entry);
-        });
-      }
+      picked[key] = keyShape !== true && fieldValue !== null && typeof fieldValue === 'object'
+        ? this.pickModeledFields(fieldValue, keyShape)
+        : fieldValue;
     });
 
-    return entries;
+    return picked;
   }
 
   normalizeConditions(conditions) {
@@ -666,41 +566,53 @@ export class ExportImportManager {
     return normalized;
   }
 
+  /**
+   * Find the section and entry of every line.
+   * A section starts at `- <key>:`; its entries are the list items at the indent of its first item.
+   */
   processSections(lines) {
     const processed = [];
+    const keys = this.sectionRegistry.getKeys();
     let currentSection = null;
-    let sectionStart = -1;
+    let sectionIndent = -1;
+    let entryIndent = -1;
+    let entryIndex = -1;
 
-    // Look for section starts
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
+    lines.forEach(line => {
       const trimmed = line.trim();
-
-      // Track section starts
-      if (trimmed.startsWith('- display_format:')) {
-        currentSection = 'display_format';
-        sectionStart = i;
-      } else if (trimmed.startsWith('- ranges:')) {
-        currentSection = 'ranges';
-        sectionStart = i;
-      } else if (trimmed.startsWith('- capping:')) {
-        currentSection = 'capping';
-        sectionStart = i;
-      } else if (trimmed.startsWith('- rounding:')) {
-        currentSection = 'rounding';
-        sectionStart = i;
+      const indent = line.match(/^\s*/)[0].length;
+      const isItem = trimmed.startsWith('- ');
+
+      // A nested `- ranges:` inside an entry is not a section start
+      const sectionKey = isItem && (currentSection === null || indent <= sectionIndent)
+        ? keys.find(key => trimmed.startsWith(`- ${key}:`))
+        : undefined;
+
+      if (sectionKey) {
+        currentSection = sectionKey;
+        sectionIndent = indent;
+        entryIndent = -1;
+        entryIndex = -1;
+      } else if (currentSection && trimmed && !trimmed.startsWith('#')) {
+        if (indent <= sectionIndent) {
+          // Back at the level of the sections, e.g. an unknown section
+          currentSection = null;
+          entryIndex = -1;
+        } else if (isItem && (entryIndent === -1 || indent === entryIndent)) {
+          entryIndent = indent;
+          entryIndex++;
+        }
       }
 
-      // Add the line with metadata
       processed.push({
         line,
         section: currentSection,
-        sectionIndex: currentSection ? i - sectionStart : -1,
-        indent: line.match(/^\s*/)[0].length,
+        entryIndex: sectionKey ? -1 : entryIndex,
+        indent,
         isComment: trimmed.startsWith('#'),
         content: trimmed
       });
-    }
+    });
 
     return processed;
   }
@@ -1084,6 +996,9 @@ export class ExportImportManager {
           <ul id="importSummaryList" class="import-summary-list">
             <!-- Summary items will be added here -->
           </ul>
+          <div id="importMigrationReport" class="migration-report">
+            <!-- Format version upgrades -->
+          </div>
           <div class="warning-section">
             <p class="warning-note">
               <strong>Note:</strong> This will replace your current configuration.
@@ -1160,17 +1075,21 @@ export class ExportImportManager {
         }
 
         // Validate imported config structure
-        const validationResult = this.validateImportedConfig(importedConfig);
+        const validationResult = this.configImporter.validateImportedConfig(importedConfig);
         if (!validationResult.valid) {
           alert(`Invalid configuration format: ${validationResult.errors.join('\n')}`);
           return;
         }
 
+        // Upgrade files of older format versions
+        const { config: migratedConfig, report } = this.configImporter.migrateConfig(importedConfig);
+        this.migrationReport = report;
+
         // Store the parsed config temporarily
-        this.tempImportedConfig = this.normalizeConfig(importedConfig);
+        this.tempImportedConfig = this.configImporter.normalizeConfig(migratedConfig);
 
         // Show diff viewer modal
-        this.showDiffViewer(originalYaml, this.tempImportedConfig);
+        this.showDiffViewer(originalYaml, this.tempImportedConfig, importedConfig);
       } catch (error) {
         console.error('Error importing file:', error);
         alert(`Error importing file: ${error.message}`);
@@ -1180,383 +1099,13 @@ export class ExportImportManager {
     reader.readAsText(file);
   }
 
-  /**
-   * Normalize config to ensure consistent format
-   */
-  normalizeConfig(config) {
-    // Create a deep copy first
-    const normalizedConfig = JSON.parse(JSON.stringify(config));
-
-    // Normalize metadata fields
-    if (normalizedConfig.config_format_version !== undefined) {
-      // Only set if not "undefined" string
-      if (normalizedConfig.config_format_version !== "undefined") {
-        normalizedConfig.configFormatVersion = normalizedConfig.config_format_version;
-      }
-      delete normalizedConfig.config_format_version;
-    } else if (normalizedConfig.configFormatVersion === undefined) {
-      normalizedConfig.configFormatVersion = "1"; // Default value
-    }
-
-    if (normalizedConfig.country_code !== undefined) {
-      normalizedConfig.countryCode = normalizedConfig.country_code;
-      delete normalizedConfig.country_code;
-    } else if (normalizedConfig.countryCode === undefined) {
-      normalizedConfig.countryCode = ""; // Empty string as default
-    }
-
-    // Fix undefined values
-    if (normalizedConfig.configFormatVersion === undefined) {
-      normalizedConfig.configFormatVersion = "1";
-    }
-    if (normalizedConfig.variant === undefined) {
-      normalizedConfig.variant = "default";
-    }
-    if (normalizedConfig.platform === undefined) {
-      normalizedConfig.platform = "";
-    }
-    if (normalizedConfig.countryCode === undefined) {
-      normalizedConfig.countryCode = "";
-    }
-
-    // Ensure pdt array exists
-    if (!normalizedConfig.pdt || !Array.isArray(normalizedConfig.pdt)) {
-      normalizedConfig.pdt = [];
-    }
-
-    // Merge PDT sections by type and common parameters
-    normalizedConfig.pdt = this.mergePdtSectionsByCommonParams(normalizedConfig.pdt);
-
-    return normalizedConfig;
-  }
-
-
-  /**
-   * Merge PDT sections by type to avoid validation issues
-   */
-  mergePdtSectionsByCommonParams(pdtSections) {
-    // First, collect all entries by type
-    const sectionsByType = {
-      display_format: [],
-      ranges: [],
-      capping: [],
-      rounding: []
-    };
-
-    // Collect all entries by type
-    pdtSections.forEach(section => {
-      if (section.display_format) {
-        sectionsByType.display_format = sectionsByType.display_format.concat(section.display_format);
-      } else if (section.ranges) {
-        sectionsByType.ranges = sectionsByType.ranges.concat(section.ranges);
-      } else if (section.capping) {
-        sectionsByType.capping = sectionsByType.capping.concat(section.capping);
-      } else if (section.rounding) {
-        sectionsByType.rounding = sectionsByType.rounding.concat(section.rounding);
-      }
-    });
-
-    // Now merge entries by common parameters for each type
-    const mergedSections = [];
-
-    // Process display_format section
-    if (sectionsByType.display_format.length > 0) {
-      const mergedDisplayFormat = this.mergeEntriesByCommonParams(
-        sectionsByType.display_format,
-        'display_format',
-        ['delivery_mode', 'marketplace', 'pdt_less_than_or_equal_to', 'vertical_types']
-      );
-      mergedSections.push({ display_format: mergedDisplayFormat });
-    }
-
-    // Process ranges section - Include PDT bounds in grouping parameters
-    if (sectionsByType.ranges.length > 0) {
-      const mergedRanges = this.mergeEntriesByCommonParams(
-        sectionsByType.ranges,
-        'ranges',
-        ['delivery_option', 'delivery_mode', 'marketplace', 'vertical_types',
-          'pdt_greater_than', 'pdt_less_than_or_equal_to']
-      );
-      mergedSections.push({ ranges: mergedRanges });
-    }
-
-    // Process capping section
-    if (sectionsByType.capping.length > 0) {
-      const mergedCapping = this.mergeEntriesByCommonParams(
-        sectionsByType.capping,
-        'capping',
-        ['delivery_option', 'delivery_mode', 'marketplace', 'vertical_types',
-          'pdt_greater_than', 'pdt_less_than_or_equal_to']
-      );
-      mergedSections.push({ capping: mergedCapping });
-    }
-
-    // Process rounding section - no common params to merge by, just keep as is
-    if (sectionsByType.rounding.length > 0) {
-      mergedSections.push({ rounding: sectionsByType.rounding });
-    }
-
-    return mergedSections;
-  }
-
-
-  /**
-   * Merge entries that have the same common parameters
-   * @param {Array} entries - The entries to merge
-   * @param {string} type - Type of section ('display_format', 'ranges', etc.)
-   * @param {Array} commonParamKeys - Keys to use for grouping entries
-   * @returns {Array} - Merged entries
-   */
-  mergeEntriesByCommonParams(entries, type, commonParamKeys) {
-    const mergedEntries = [];
-
-    if (type === 'display_format') {
-      // For display_format, group by delivery_mode, marketplace, etc.
-      const groupedEntries = {};
-
-      entries.forEach(entry => {
-        // Generate a key based on common parameters
-        const key = this.generateEntryKey(entry, commonParamKeys);
-
-        if (!groupedEntries[key]) {
-          groupedEntries[key] = [];
-        }
-
-        groupedEntries[key].push(entry);
-      });
-
-      // Add each format as a separate entry
-      Object.entries(groupedEntries).forEach(([key, entriesGroup]) => {
-        entriesGroup.forEach(entry => {
-          mergedEntries.push({
-            format: entry.format,
-            conditions: entry.conditions,
-            _title: entry._title || `Format: ${entry.format}`
-          });
-        });
-      });
-    } else if (type === 'ranges') {
-      // For ranges, group by PDT bounds first, then by other params
-      const pdtGroups = this.groupRangesByPdtBounds(entries);
-
-      // For each PDT group, further group by other common parameters
-      Object.entries(pdtGroups).forEach(([pdtKey, pdtEntries]) => {
-        const subGroupedEntries = {};
-
-        pdtEntries.forEach(entry => {
-          // Generate key based on common parameters excluding PDT bounds
-          const key = this.generateEntryKey(entry, commonParamKeys.filter(k =>
-            k !== 'pdt_greater_than' && k !== 'pdt_less_than_or_equal_to'));
-
-          if (!subGroupedEntries[key]) {
-            subGroupedEntries[key] = [];
-          }
-
-          subGroupedEntries[key].push(entry);
-        });
-
-        // Process each subgroup
-        Object.entries(subGroupedEntries).forEach(([key, entriesGroup]) => {
-          // Create a title based on PDT range
-          const pdtDesc = this.getPdtRangeDescription(entriesGroup[0].conditions);
-          const baseTitle = `${type.charAt(0).toUpperCase() + type.slice(1)} ${pdtDesc}`;
-
-          // Now further split by mean delay conditions if needed
-          const meanDelayGroups = this.groupEntriesByMeanDelay(entriesGroup);
-
-          // Process each mean delay group
-          Object.entries(meanDelayGroups).forEach(([meanDelayKey, meanDelayEntries]) => {
-            // Create a title that includes mean delay if there's more than one group
-            let groupTitle = baseTitle;
-            if (Object.keys(meanDelayGroups).length > 1 && meanDelayKey !== 'default') {
-              const mdDesc = this.getMeanDelayDescription(meanDelayEntries[0].conditions);
-              groupTitle = `${baseTitle}, ${mdDesc}`;
-            }
-
-            // Add each entry with appropriate title
-            meanDelayEntries.forEach((entry, index) => {
-              const newEntry = { ...entry };
-              newEntry._title = entry._title ||
-                (meanDelayEntries.length > 1 ? `${groupTitle} ${index + 1}` : groupTitle);
-              mergedEntries.push(newEntry);
-            });
-          });
-        });
-      });
-    } else if (type === 'capping') {
-      // For capping, group by delivery_option and conditions
-      const groupedEntries = {};
-
-      entries.forEach(entry => {
-        const key = this.generateEntryKey(entry, commonParamKeys);
-
-        if (!groupedEntries[key]) {
-          groupedEntries[key] = [];
-        }
-
-        groupedEntries[key].push(entry);
-      });
-
-      // Process each group
-      Object.entries(groupedEntries).forEach(([key, entriesGroup]) => {
-        entriesGroup.forEach((entry, index) => {
-          const newEntry = { ...entry };
-          newEntry._title = entry._title ||
-            `${type.charAt(0).toUpperCase() + type.slice(1)} ${entry.delivery_option || ''} ${index > 0 ? index + 1 : ''}`;
-          mergedEntries.push(newEntry);
-        });
-      });
-    } else {
-      // For other types, just add all entries with appropriate titles
-      entries.forEach((entry, index) => {
-        const newEntry = { ...entry };
-        if (!newEntry._title) {
-          newEntry._title = `${type.charAt(0).toUpperCase() + type.slice(1)} ${index + 1}`;
-        }
-        mergedEntries.push(newEntry);
-      });
-    }
-
-    return mergedEntries;
-  }
-
-
-  generateEntryKey(entry, paramKeys) {
-    // Create a key based on common parameters
-    const keyParts = [];
-
-    // Add the common parameters from conditions
-    if (entry.conditions) {
-      paramKeys.forEach(key => {
-        if (entry.conditions[key] !== undefined) {
-          if (Array.isArray(entry.conditions[key])) {
-            keyParts.push(`${key}:${entry.conditions[key].join(',')}`);
-          } else {
-            keyParts.push(`${key}:${entry.conditions[key]}`);
-          }
-        }
-      });
-    }
-
-    // Add delivery_option for ranges and capping
-    if (entry.delivery_option) {
-      keyParts.push(`delivery_option:${entry.delivery_option}`);
-    }
-
-    return keyParts.join('|');
-  }
-
-  groupEntriesByMeanDelay(entries) {
-    const groups = {};
-
-    entries.forEach(entry => {
-      // Create a key based on mean delay bounds
-      const mdGreaterThan = entry.conditions?.mean_delay_greater_than;
-      const mdLessThanOrEqualTo = entry.conditions?.mean_delay_less_than_or_equal_to;
-
-      let key;
-      if (mdGreaterThan !== undefined && mdLessThanOrEqualTo !== undefined) {
-        key = `${mdGreaterThan}-${mdLessThanOrEqualTo}`;
-      } else if (mdGreaterThan !== undefined) {
-        key = `>${mdGreaterThan}`;
-      } else if (mdLessThanOrEqualTo !== undefined) {
-        key = `≤${mdLessThanOrEqualTo}`;
-      } else {
-        key = 'default'; // For entries without mean delay conditions
-      }
-
-      // Add entry to the appropriate group
-      if (!groups[key]) {
-        groups[key] = [];
-      }
-      groups[key].push(entry);
-    });
-
-    return groups;
-  }
-
-  getMeanDelayDescription(conditions) {
-    if (!conditions) return '';
-
-    let description = '';
-
-    // Add mean delay description
-    if (conditions.mean_delay_greater_than !== undefined || conditions.mean_delay_less_than_or_equal_to !== undefined) {
-      description += 'Mean Delay ';
-
-      if (conditions.mean_delay_greater_than !== undefined && conditions.mean_delay_less_than_or_equal_to !== undefined) {
-        description += `${conditions.mean_delay_greater_than}-${conditions.mean_delay_less_than_or_equal_to}`;
-      } else if (conditions.mean_delay_greater_than !== undefined) {
-        description += `>${conditions.mean_delay_greater_than}`;
-      } else if (conditions.mean_delay_less_than_or_equal_to !== undefined) {
-        description += `≤${conditions.mean_delay_less_than_or_equal_to}`;
-      }
-    } else {
-      description = 'Default Mean Delay';
-    }
-
-    return description;
-  }
-
-  getPdtRangeDescription(conditions) {
-    if (!conditions) return 'Default';
-
-    let description = '';
-
-    // Add PDT range only (no mean delay here since it's handled separately)
-    if (conditions.pdt_greater_than !== undefined || conditions.pdt_less_than_or_equal_to !== undefined) {
-      description += 'PDT ';
-
-      if (conditions.pdt_greater_than !== undefined && conditions.pdt_less_than_or_equal_to !== undefined) {
-        description += `${conditions.pdt_greater_than}-${conditions.pdt_less_than_or_equal_to}`;
-      } else if (conditions.pdt_greater_than !== undefined) {
-        description += `>${conditions.pdt_greater_than}`;
-      } else if (conditions.pdt_less_than_or_equal_to !== undefined) {
-        description += `≤${conditions.pdt_less_than_or_equal_to}`;
-      }
-    } else {
-      description = 'Default';
-    }
-
-    return description;
-  }
-
-  /**
-   * Group ranges by their PDT bounds to create separate groups
-   */
-  groupRangesByPdtBounds(entries) {
-    const groups = {};
-
-    entries.forEach(entry => {
-      // Create a key based on PDT bounds
-      const pdtGreaterThan = entry.conditions?.pdt_greater_than;
-      const pdtLessThanOrEqualTo = entry.conditions?.pdt_less_than_or_equal_to;
-
-      let key;
-      if (pdtGreaterThan !== undefined && pdtLessThanOrEqualTo !== undefined) {
-        key = `${pdtGreaterThan}-${pdtLessThanOrEqualTo}`;
-      } else if (pdtGreaterThan !== undefined) {
-        key = `>${pdtGreaterThan}`;
-      } else if (pdtLessThanOrEqualTo !== undefined) {
-        key = `≤${pdtLessThanOrEqualTo}`;
-      } else {
-        key = 'default'; // For entries without PDT bounds
-      }
-
-      // Add entry to the appropriate group
-      if (!groups[key]) {
-        groups[key] = [];
-      }
-      groups[key].push(entry);
-    });
-
-    return groups;
-  }
-
   /**
    * Show diff viewer modal
+   * @param {string} originalYaml Text of the imported file
+   * @param {Object} normalizedConfig Config as it will be imported
+   * @param {Object} importedConfig Config as parsed from the file
    */
-  showDiffViewer(originalYaml, normalizedConfig) {
+  showDiffViewer(originalYaml, normalizedConfig, importedConfig) {
     // First, parse the original YAML to extract comments
     const originalLines = originalYaml.split('\n');
     const originalComments = this.extractComments(originalLines);
@@ -1602,6 +1151,16 @@ export class ExportImportManager {
     // Add a download option for the raw YAML
     this.setupYamlDownload();
 
+    // List what the import changes entry by entry; reordering alone is no change
+    const semanticDiff = this.app.compareManager.configDiff.diff(importedConfig, normalizedConfig);
+    this.app.compareManager.renderDiff(
+      document.getElementById('importSemanticChanges'),
+      semanticDiff,
+      'No semantic changes: the import only reorders entries or adds titles.'
+    );
+
+    this.renderPassthroughList(importedConfig);
+
     // Check for potential warnings
     const warnings = this.getImportWarnings(normalizedConfig);
     warningsElement.innerHTML = '';
@@ -1635,6 +1194,24 @@ export class ExportImportManager {
     }, 100);
   }
 
+  /**
+   * List the fields of the imported file that only survive as passthrough data
+   */
+  renderPassthroughList(importedConfig) {
+    const passthroughFields = this.app.configManager.passthroughFields;
+    const fields = passthroughFields.describe(importedConfig);
+    const list = document.getElementById('importPassthroughList');
+
+    list.innerHTML = '';
+    fields.forEach(field => {
+      const item = document.createElement('li');
+      item.textContent = `${field.path}: ${passthroughFields.formatValue(field.value)}`;
+      list.appendChild(item);
+    });
+
+    document.getElementById('importPassthrough').style.display = fields.length > 0 ? 'block' : 'none';
+  }
+
   createRangeSignature(range) {
     const parts = [];
     parts.push(`- delivery_option: ${range.delivery_option || 'STANDARD'}`);
@@ -1786,24 +1363,17 @@ export class ExportImportManager {
       warnings.push('No PDT configuration sections found.');
     } else {
       // Check for section-specific issues
-      let hasDisplayFormat = false;
-      let hasRanges = false;
-      let hasCapping = false;
-      let hasRounding = false;
-
-      config.pdt.forEach(section => {
-        if (section.display_format) hasDisplayFormat = true;
-        if (section.ranges) hasRanges = true;
-        if (section.capping) hasCapping = true;
-        if (section.rounding) hasRounding = true;
+      this.sectionRegistry.getAll().forEach(definition => {
+        if (!config.pdt.some(section => section[definition.key])) {
+          warnings.push(`No ${definition.label.toLowerCase()} configuration found.`);
+        }
       });
-
-      if (!hasDisplayFormat) warnings.push('No display format configuration found.');
-      if (!hasRanges) warnings.push('No ranges configuration found.');
-      if (!hasCapping) warnings.push('No capping configuration found.');
-      if (!hasRounding) warnings.push('No rounding configuration found.');
     }
 
+    // Metadata and values the catalog does not list
+    warnings.push(...this.configImporter.getMetadataWarnings(config));
+    warnings.push(...this.configImporter.getCatalogWarnings(config));
+
     return warnings;
   }
 
@@ -1831,53 +1401,73 @@ export class ExportImportManager {
       }
     }
 
+    this.renderMigrationReport(document.getElementById('importMigrationReport'), this.migrationReport);
+
     // Display the modal
     summaryModal.style.display = 'flex';
   }
 
+  /**
+   * List the format version upgrades applied to the imported file, if any
+   */
+  renderMigrationReport(container, report) {
+    container.innerHTML = '';
+    if (!report || report.steps.length === 0) return;
+
+    const migrator = this.configImporter.configMigrator;
+    const heading = document.createElement('p');
+    heading.className = 'migration-report-heading';
+    heading.textContent = `Upgraded from ${migrator.getVersionInfo(report.fromVersion).label} ` +
+      `to ${migrator.getVersionInfo(report.toVersion).label}:`;
+    container.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.className = 'migration-report-list';
+
+    report.steps.forEach(step => {
+      const item = document.createElement('li');
+      item.textContent = `${step.from} → ${step.to}: ${step.description}`;
+
+      if (step.changes.length > 0) {
+        const changes = document.createElement('ul');
+        step.changes.forEach(change => {
+          const changeItem = document.createElement('li');
+          changeItem.textContent = change;
+          changes.appendChild(changeItem);
+        });
+        item.appendChild(changes);
+      }
+
+      list.appendChild(item);
+    });
+
+    container.appendChild(list);
+  }
+
   /**
    * Format type name for display
    */
   formatTypeName(type) {
-    switch (type) {
-      case 'display_format':
-        return 'Display Format rules';
-      case 'ranges':
-        return 'Ranges rules';
-      case 'capping':
-        return 'Capping rules';
-      case 'rounding':
-        return 'Rounding rules';
-      default:
-        return type;
-    }
+    const definition = this.sectionRegistry.getByKey(type);
+    return definition ? `${definition.label} rules` : type;
   }
 
   /**
    * Count imported items by type
    */
   countImportItems(config) {
-    const counts = {
-      display_format: 0,
-      ranges: 0,
-      capping: 0,
-      rounding: 0
-    };
+    const counts = {};
+    this.sectionRegistry.getKeys().forEach(key => {
+      counts[key] = 0;
+    });
 
     if (config.pdt && Array.isArray(config.pdt)) {
       config.pdt.forEach(section => {
-        if (section.display_format && Array.isArray(section.display_format)) {
-          counts.display_format += section.display_format.length;
-        }
-        if (section.ranges && Array.isArray(section.ranges)) {
-          counts.ranges += section.ranges.length;
-        }
-        if (section.capping && Array.isArray(section.capping)) {
-          counts.capping += section.capping.length;
-        }
-        if (section.rounding && Array.isArray(section.rounding)) {
-          counts.rounding += section.rounding.length;
-        }
+        Object.keys(counts).forEach(key => {
+          if (section[key] && Array.isArray(section[key])) {
+            counts[key] += section[key].length;
+          }
+        });
       });
     }
 
@@ -1899,18 +1489,14 @@ export class ExportImportManager {
       delete this.tempImportedConfig.country_code;
     }
 
-    // Update app's config
-    this.app.configManager.config = this.tempImportedConfig;
+    // Replace the config as one history step
+    this.app.configManager.recordChange('Imported configuration', () => {
+      this.app.configManager.loadConfig(this.tempImportedConfig);
+    });
 
     // Update the metadata form fields in the UI
     this.updateMetadataFields(this.tempImportedConfig);
 
-    // Rebuild groups mapping
-    this.app.configManager.rebuildGroupsMapping();
-
-    // Save to localStorage
-    this.app.configManager.saveConfig();
-
     // Re-render UI
     this.app.renderUI();
 
@@ -1927,7 +1513,7 @@ export class ExportImportManager {
     // Update the format version field
     const configVersionField = document.getElementById('configVersion');
     if (configVersionField) {
-      configVersionField.value = config.configFormatVersion || '1';
+      configVersionField.value = String(config.configFormatVersion || CURRENT_FORMAT_VERSION);
     }
 
     // Update the variant field
@@ -1936,88 +1522,37 @@ export class ExportImportManager {
       variantField.value = config.variant || '';
     }
 
-    // Update the platform field
-    const platformField = document.getElementById('platform');
-    if (platformField) {
-      platformField.value = config.platform || '';
-    }
-
-    // Update the country code field
-    const countryCodeField = document.getElementById('countryCode');
-    if (countryCodeField) {
-      countryCodeField.value = config.countryCode || '';
-    }
+    // Update the platform and country selects, whose options depend on the platform
+    this.app.renderMetadataOptions(config);
   }
 
+
   /**
-   * Validate imported config structure
+   * Get a config converted to the format version picked in its metadata
+   * @param {Object} config Config to export; the open config if not given
+   * @returns {Object|null} Config in the YAML format, or null if it cannot be converted
    */
-  validateImportedConfig(config) {
-    const errors = [];
-
-    // Basic validation
-    if (!config) {
-      errors.push('Configuration is empty or invalid');
-      return { valid: false, errors };
-    }
-
-    // Ensure required fields exist or can be defaulted
-    if (!config.configFormatVersion && !config.config_format_version) {
-      // We'll set a default, but add a warning
-      errors.push('Missing config format version, will use default');
-    }
+  getExportConfig(config = this.app.configManager.getConfig()) {
+    const targetVersion = Number(config.configFormatVersion) || CURRENT_FORMAT_VERSION;
 
-    if (!config.variant) {
-      errors.push('Missing variant');
-    }
-
-    if (!config.platform) {
-      errors.push('Missing platform');
-    }
-
-    if (!config.pdt) {
-      errors.push('Missing PDT configuration');
-      return { valid: false, errors };
-    }
-
-    if (!Array.isArray(config.pdt)) {
-      errors.push('PDT configuration must be an array');
-      return { valid: false, errors };
-    }
-
-    // Check if any PDT section is valid
-    let hasValidSection = false;
-
-    for (const section of config.pdt) {
-      if (section.display_format || section.ranges || section.capping || section.rounding) {
-        hasValidSection = true;
-        break;
-      }
-    }
-
-    if (!hasValidSection) {
-      errors.push('No valid PDT sections found (display_format, ranges, capping, or rounding)');
-      return { valid: false, errors };
+    try {
+      return this.configImporter.configMigrator.migrate(config, targetVersion).config;
+    } catch (error) {
+      console.error('Error converting config for export:', error);
+      alert(`Cannot export: ${error.message}`);
+      return null;
     }
-
-    // If we have errors that prevent import, return invalid
-    const criticalErrors = errors.filter(error =>
-      error !== 'Missing config format version, will use default' &&
-      error !== 'Missing country code, will use empty value'
-    );
-
-    return {
-      valid: criticalErrors.length === 0,
-      errors
-    };
   }
 
   /**
    * Export configuration as YAML
    */
   exportYaml() {
+    const config = this.getExportConfig();
+    if (!config) return;
+
     // Generate YAML
-    const yaml = this.app.yamlHandler.generateYaml(this.app.configManager.getConfig());
+    const yaml = this.app.yamlHandler.generateYaml(config);
 
     // Create a downloadable file
     const blob = new Blob([yaml], { type: 'text/yaml;charset=utf-8' });
@@ -2041,8 +1576,11 @@ export class ExportImportManager {
    * Export configuration as JSON
    */
   exportJson() {
+    const config = this.getExportConfig();
+    if (!config) return;
+
     // Generate JSON
-    const json = JSON.stringify(this.app.configManager.getConfig(), null, 2);
+    const json = JSON.stringify(config, null, 2);
 
     // Create a downloadable file
     const blob = new Blob([json], { type: 'application/json;charset=utf-8' });
@@ -2061,4 +1599,24 @@ export class ExportImportManager {
     document.body.removeChild(downloadLink);
     setTimeout(() => URL.revokeObjectURL(url), 100);
   }
+
+  /**
+   * Download the JSON Schema of the config file, for autocompletion in editors
+   */
+  exportSchema() {
+    const json = JSON.stringify(CONFIG_SCHEMA, null, 2);
+
+    const blob = new Blob([json], { type: 'application/schema+json;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const downloadLink = document.createElement('a');
+    downloadLink.href = url;
+    downloadLink.download = 'pdt-config.schema.json';
+
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+
+    document.body.removeChild(downloadLink);
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+  }
 }
@@ -31,6 +31,9 @@ export class GridManager {
     // Clear the container
     tableContainer.innerHTML = '';
 
+    const definition = this.configManager.sectionRegistry.get(sectionType);
+    const columns = this.getColumnsForSectionType(sectionType);
+
     // Create table element
     const table = document.createElement('table');
     table.className = 'editable-table';
@@ -39,32 +42,18 @@ export class GridManager {
     const thead = document.createElement('thead');
     const headerRow = document.createElement('tr');
 
-    // For capping section, use special headers
-    if (sectionType === 'capping') {
-      const headers = ['Type', 'Min', 'Max', 'Min Lower', 'Min Upper', 'Max Lower', 'Max Upper', 'Actions'];
-
-      headers.forEach(headerText => {
-        const th = document.createElement('th');
-        th.textContent = headerText;
-        headerRow.appendChild(th);
-      });
-    } else {
-      // Add headers based on section type for other sections
-      const columns = this.getColumnsForSectionType(sectionType);
-
-      columns.forEach(column => {
-        const th = document.createElement('th');
-        th.className = column.className || '';
-        th.textContent = column.label;
-        headerRow.appendChild(th);
-      });
+    columns.forEach(column => {
+      const th = document.createElement('th');
+      th.className = column.className || '';
+      th.textContent = column.label;
+      headerRow.appendChild(th);
+    });
 
-      // Add actions column
-      const actionsHeader = document.createElement('th');
-      actionsHeader.className = 'actions-cell';
-      actionsHeader.textContent = 'Actions';
-      headerRow.appendChild(actionsHeader);
-    }
+    // Add actions column
+    const actionsHeader = document.createElement('th');
+    actionsHeader.className = 'actions-cell';
+    actionsHeader.textContent = 'Actions';
+    headerRow.appendChild(actionsHeader);
 
     thead.appendChild(headerRow);
     table.appendChild(thead);
@@ -74,16 +63,16 @@ export class GridManager {
 
     if (group.rules && group.rules.length > 0) {
       group.rules.forEach((rule, index) => {
-        const row = this.createRowForRule(rule, index, group.id,
-          sectionType === 'capping' ? [] : this.getColumnsForSectionType(sectionType),
-          sectionType);
+        const row = definition?.typedRules
+          ? this.createTypedRowForRule(rule, index, group.id, columns, sectionType)
+          : this.createRowForRule(rule, index, group.id, columns, sectionType);
         tbody.appendChild(row);
       });
     } else {
       // Empty state row
       const emptyRow = document.createElement('tr');
       const emptyCell = document.createElement('td');
-      emptyCell.colSpan = sectionType === 'capping' ? 8 : (this.getColumnsForSectionType(sectionType).length + 1);
+      emptyCell.colSpan = columns.length + 1;
       emptyCell.className = 'empty-grid';
       emptyCell.textContent = 'No rules defined. Click "Add Rule" to create one.';
       emptyRow.appendChild(emptyCell);
@@ -95,8 +84,8 @@ export class GridManager {
     // Add the table to the container
     tableContainer.appendChild(table);
 
-    // Apply styling for ranges tables
-    if (sectionType === 'ranges') {
+    // Color the rows of sections with PDT / mean-delay bands
+    if (definition?.colorCodedRows) {
       this.applyColorCodingToRangesTable(tableContainer);
     }
   }
@@ -182,324 +171,17 @@ export class GridManager {
    * Get the column definitions for a section type
    */
   getColumnsForSectionType(sectionType, group = null) {
-    switch (sectionType) {
-      case 'display-format':
-        const allFormatOptions = [
-          { value: 'DISPLAY_FORMAT_MINUTE_VALUE', label: 'Minute Value' },
-          { value: 'DISPLAY_FORMAT_MINUTE_RANGE', label: 'Minute Range' }
-        ];
-
-        // If a group is provided, filter out used formats
-        let formatOptions = allFormatOptions;
-        if (group && group.rules.length > 0) {
-          // Get all currently used formats in this group
-          const usedFormats = group.rules.map(rule => rule.format);
-
-          // Create custom options for each rule to include only:
-          // 1. The format that rule is currently using
-          // 2. Formats not used by any other rule
-          return group.rules.map((rule, ruleIndex) => {
-            // For this specific rule, allow its current format plus any unused formats
-            const ruleOptions = allFormatOptions.filter(option =>
-              option.value === rule.format || !usedFormats.includes(option.value)
-            );
-
-            return {
-              field: 'format',
-              label: 'Format',
-              type: 'select',
-              options: ruleOptions
-            };
-          });
-        }
-
-        // If no group or no rules, return all format options
-        return [{
-          field: 'format',
-          label: 'Format',
-          type: 'select',
-          options: formatOptions
-        }];
-      case 'ranges':
-        return [
-          {
-            field: 'pdtGreaterThan',
-            label: 'PDT >',
-            type: 'number',
-            className: 'narrow-column'
-          },
-          {
-            field: 'pdtLessThanOrEqualTo',
-            label: 'PDT ≤',
-            type: 'number',
-            className: 'narrow-column'
-          },
-          {
-            field: 'meanDelayGreaterThan',
-            label: 'Mean Delay >',
-            type: 'number',
-            className: 'narrow-column'
-          },
-          {
-            field: 'meanDelayLessThanOrEqualTo',
-            label: 'Mean Delay ≤',
-            type: 'number',
-            className: 'narrow-column'
-          },
-          {
-            field: 'lowerBound',
-            label: 'Lower Bound',
-            type: 'number',
-            className: 'narrow-column'
-          },
-          {
-            field: 'upperBound',
-            label: 'Upper Bound',
-            type: 'number',
-            className: 'narrow-column'
-          }
-        ];
-      case 'capping':
-        return [
-          {
-            field: 'type',
-            label: 'Type',
-            type: 'select',
-            options: [
-              { value: 'single', label: 'Single' },
-              { value: 'ranges', label: 'Ranges' }
-            ],
-            className: 'medium-column'
-          },
-          {
-            field: 'min',
-            label: 'Min',
-            type: 'number',
-            className: 'narrow-column',
-            visibleWhen: (rule) => rule.type === 'single'
-          },
-          {
-            field: 'max',
-            label: 'Max',
-            type: 'number',
-            className: 'narrow-column',
-            visibleWhen: (rule) => rule.type === 'single'
-          },
-          {
-            field: 'minLowerBound',
-            label: 'Min Lower',
-            type: 'number',
-            className: 'narrow-column',
-            visibleWhen: (rule) => rule.type === 'ranges'
-          },
-          {
-            field: 'minUpperBound',
-            label: 'Min Upper',
-            type: 'number',
-            className: 'narrow-column',
-            visibleWhen: (rule) => rule.type === 'ranges'
-          },
-          {
-            field: 'maxLowerBound',
-            label: 'Max Lower',
-            type: 'number',
-            className: 'narrow-column',
-            visibleWhen: (rule) => rule.type === 'ranges'
-          },
-          {
-            field: 'maxUpperBound',
-            label: 'Max Upper',
-            type: 'number',
-            className: 'narrow-column',
-            visibleWhen: (rule) => rule.type === 'ranges'
-          }
-        ];
-      default:
-        return [];
-    }
+    return this.configManager.sectionRegistry.getColumns(sectionType, group);
   }
 
   /**
    * Create a table row for a rule
    */
   createRowForRule(rule, ruleIndex, groupId, columns, sectionType) {
-    // For capping, we need special handling based on type
     const row = document.createElement('tr');
     row.dataset.ruleIndex = ruleIndex;
     row.dataset.groupId = groupId;
 
-    // For capping, we need special handling based on rule type
-    if (sectionType === 'capping') {
-      // Add type column first
-      const typeCell = document.createElement('td');
-      const typeSelect = document.createElement('select');
-      typeSelect.className = 'cell-input';
-
-      // Add options for single/ranges
-      const singleOpt = document.createElement('option');
-      singleOpt.value = 'single';
-      singleOpt.textContent = 'Single';
-      singleOpt.selected = rule.type === 'single';
-      typeSelect.appendChild(singleOpt);
-
-      const rangesOpt = document.createElement('option');
-      rangesOpt.value = 'ranges';
-      rangesOpt.textContent = 'Ranges';
-      rangesOpt.selected = rule.type === 'ranges';
-      typeSelect.appendChild(rangesOpt);
-
-      // Add event listener for type changes
-      typeSelect.addEventListener('change', (e) => {
-        if (this.onChangeHandler) {
-          const newType = e.target.value;
-          this.onChangeHandler(groupId, ruleIndex, 'type', newType);
-
-          // If changing to ranges type, set default values for ranges
-          if (newType === 'ranges' && this.configManager) {
-            const group = this.configManager.getGroup(groupId);
-            if (group && group.rules[ruleIndex]) {
-              if (!group.rules[ruleIndex].minLowerBound)
-                this.onChangeHandler(groupId, ruleIndex, 'minLowerBound', 10);
-              if (!group.rules[ruleIndex].minUpperBound)
-                this.onChangeHandler(groupId, ruleIndex, 'minUpperBound', 20);
-              if (!group.rules[ruleIndex].maxLowerBound)
-                this.onChangeHandler(groupId, ruleIndex, 'maxLowerBound', 160);
-              if (!group.rules[ruleIndex].maxUpperBound)
-                this.onChangeHandler(groupId, ruleIndex, 'maxUpperBound', 180);
-            }
-          }
-
-          // Re-render this row to show correct fields after type change
-          const tableContainer = row.closest('.rules-table');
-          if (tableContainer) {
-            this.renderTable(tableContainer, this.configManager.getGroup(groupId), 'capping');
-          }
-        }
-      });
-
-      typeCell.appendChild(typeSelect);
-      row.appendChild(typeCell);
-
-      // Create fields based on type
-      if (rule.type === 'single') {
-        // Min field
-        const minCell = document.createElement('td');
-        const minInput = document.createElement('input');
-        minInput.type = 'number';
-        minInput.className = 'cell-input';
-        minInput.value = rule.min || '';
-        minInput.addEventListener('change', (e) => {
-          if (this.onChangeHandler) {
-            this.onChangeHandler(groupId, ruleIndex, 'min', parseInt(e.target.value));
-          }
-        });
-        minCell.appendChild(minInput);
-        row.appendChild(minCell);
-
-        // Max field
-        const maxCell = document.createElement('td');
-        const maxInput = document.createElement('input');
-        maxInput.type = 'number';
-        maxInput.className = 'cell-input';
-        maxInput.value = rule.max || '';
-        maxInput.addEventListener('change', (e) => {
-          if (this.onChangeHandler) {
-            this.onChangeHandler(groupId, ruleIndex, 'max', parseInt(e.target.value));
-          }
-        });
-        maxCell.appendChild(maxInput);
-        row.appendChild(maxCell);
-
-        // Empty cells for ranges fields
-        for (let i = 0; i < 4; i++) {
-          const emptyCell = document.createElement('td');
-          row.appendChild(emptyCell);
-        }
-      } else {
-        // Empty cells for single fields
-        for (let i = 0; i < 2; i++) {
-          const emptyCell = document.createElement('td');
-          row.appendChild(emptyCell);
-        }
-
-        // Min Lower field
-        const minLowerCell = document.createElement('td');
-        const minLowerInput = document.createElement('input');
-        minLowerInput.type = 'number';
-        minLowerInput.className = 'cell-input';
-        minLowerInput.value = rule.minLowerBound || '';
-        minLowerInput.addEventListener('change', (e) => {
-          if (this.onChangeHandler) {
-            this.onChangeHandler(groupId, ruleIndex, 'minLowerBound', parseInt(e.target.value));
-          }
-        });
-        minLowerCell.appendChild(minLowerInput);
-        row.appendChild(minLowerCell);
-
-        // Min Upper field
-        const minUpperCell = document.createElement('td');
-        const minUpperInput = document.createElement('input');
-        minUpperInput.type = 'number';
-        minUpperInput.className = 'cell-input';
-        minUpperInput.value = rule.minUpperBound || '';
-        minUpperInput.addEventListener('change', (e) => {
-          if (this.onChangeHandler) {
-            this.onChangeHandler(groupId, ruleIndex, 'minUpperBound', parseInt(e.target.value));
-          }
-        });
-        minUpperCell.appendChild(minUpperInput);
-        row.appendChild(minUpperCell);
-
-        // Max Lower field
-        const maxLowerCell = document.createElement('td');
-        const maxLowerInput = document.createElement('input');
-        maxLowerInput.type = 'number';
-        maxLowerInput.className = 'cell-input';
-        maxLowerInput.value = rule.maxLowerBound || '';
-        maxLowerInput.addEventListener('change', (e) => {
-          if (this.onChangeHandler) {
-            this.onChangeHandler(groupId, ruleIndex, 'maxLowerBound', parseInt(e.target.value));
-          }
-        });
-        maxLowerCell.appendChild(maxLowerInput);
-        row.appendChild(maxLowerCell);
-
-        // Max Upper field
-        const maxUpperCell = document.createElement('td');
-        const maxUpperInput = document.createElement('input');
-        maxUpperInput.type = 'number';
-        maxUpperInput.className = 'cell-input';
-        maxUpperInput.value = rule.maxUpperBound || '';
-        maxUpperInput.addEventListener('change', (e) => {
-          if (this.onChangeHandler) {
-            this.onChangeHandler(groupId, ruleIndex, 'maxUpperBound', parseInt(e.target.value));
-          }
-        });
-        maxUpperCell.appendChild(maxUpperInput);
-        row.appendChild(maxUpperCell);
-      }
-
-      // Add actions cell (delete button)
-      const actionsCell = document.createElement('td');
-      actionsCell.className = 'actions-cell';
-
-      const deleteButton = document.createElement('button');
-      deleteButton.className = 'delete-rule';
-      deleteButton.innerHTML = '🗑️';
-      deleteButton.title = 'Delete rule';
-      deleteButton.addEventListener('click', () => {
-        if (this.onDeleteHandler) {
-          this.onDeleteHandler(groupId, ruleIndex);
-        }
-      });
-
-      actionsCell.appendChild(deleteButton);
-      row.appendChild(actionsCell);
-
-      return row;
-    }
-
-    // For other section types, use the existing column-based approach
     columns.forEach(column => {
       // Skip if column has visibility condition that evaluates to false
       if (column.visibleWhen && !column.visibleWhen(rule)) {
@@ -526,6 +208,69 @@ export class GridManager {
     return row;
   }
 
+  /**
+   * Create a row for a rule with a type, such as a capping rule: a type select
+   * followed by inputs for the columns of that type and empty cells for the others
+   */
+  createTypedRowForRule(rule, ruleIndex, groupId, columns, sectionType) {
+    const row = document.createElement('tr');
+    row.dataset.ruleIndex = ruleIndex;
+    row.dataset.groupId = groupId;
+
+    const [typeColumn, ...valueColumns] = columns;
+
+    // Add type column first
+    const typeCell = document.createElement('td');
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'cell-input';
+
+    typeColumn.options.forEach(option => {
+      const optionElement = document.createElement('option');
+      optionElement.value = option.value;
+      optionElement.textContent = option.label;
+      optionElement.selected = rule[typeColumn.field] === option.value;
+      typeSelect.appendChild(optionElement);
+    });
+
+    // The new type starts from its defaults; re-render to show its fields
+    typeSelect.addEventListener('change', (e) => {
+      if (this.onChangeHandler) {
+        this.onChangeHandler(groupId, ruleIndex, typeColumn.field, e.target.value);
+
+        const tableContainer = row.closest('.rules-table');
+        if (tableContainer) {
+          this.renderTable(tableContainer, this.configManager.getGroup(groupId), sectionType);
+        }
+      }
+    });
+
+    typeCell.appendChild(typeSelect);
+    row.appendChild(typeCell);
+
+    // Fields of the rule's type; the cells of other types stay empty
+    valueColumns.forEach(column => {
+      const cell = document.createElement('td');
+
+      if (!column.visibleWhen || column.visibleWhen(rule)) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'cell-input';
+        input.value = rule[column.field] || '';
+        input.addEventListener('change', (e) => {
+          if (this.onChangeHandler) {
+            this.onChangeHandler(groupId, ruleIndex, column.field, parseInt(e.target.value));
+          }
+        });
+        cell.appendChild(input);
+      }
+
+      row.appendChild(cell);
+    });
+
+    this.addActionsCell(row, groupId, ruleIndex);
+    return row;
+  }
+
   addActionsCell(row, groupId, ruleIndex) {
     const actionsCell = document.createElement('td');
     actionsCell.className = 'actions-cell';
@@ -616,6 +361,7 @@ export class GridManager {
         const optionElement = document.createElement('option');
         optionElement.value = option.value;
         optionElement.textContent = option.label;
+        optionElement.title = option.description || '';
 
         // Select the current value
         if (option.value === rule[column.field]) {
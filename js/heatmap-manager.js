@@ -0,0 +1,349 @@
+/**
+ * HeatmapManager draws the PDT × mean-delay plane for a ranges group.
+ * Each cell is coloured by the matching rule's lower or upper bound,
+ * with uncovered cells and overlapping cells marked separately.
+ */
+export class HeatmapManager {
+  constructor(configManager) {
+    this.configManager = configManager;
+
+    // Size of one cell in pixels
+    this.cellSize = 8;
+
+    // Group IDs whose heatmap is currently open
+    this.visibleGroups = new Set();
+
+    // Bound plotted per group ('lowerBound' or 'upperBound')
+    this.metricByGroup = {};
+  }
+
+  /**
+   * Toggle the heatmap of a group inside its group element
+   */
+  toggleHeatmap(groupElement, groupId) {
+    if (this.visibleGroups.has(groupId)) {
+      this.visibleGroups.delete(groupId);
+      const container = groupElement.querySelector('.heatmap-container');
+      if (container) container.remove();
+      return false;
+    }
+
+    this.visibleGroups.add(groupId);
+    this.renderHeatmap(groupElement, groupId);
+    return true;
+  }
+
+  /**
+   * Re-draw all open heatmaps, e.g. after the rules changed
+   */
+  refreshVisible() {
+    this.visibleGroups.forEach(groupId => {
+      const groupElement = document.querySelector(`[data-group-id="${groupId}"]`);
+      if (groupElement && this.configManager.getGroup(groupId)) {
+        this.renderHeatmap(groupElement, groupId);
+      } else if (!this.configManager.getGroup(groupId)) {
+        this.visibleGroups.delete(groupId);
+      }
+    });
+  }
+
+  /**
+   * Render (or re-render) the heatmap below the rules table of a group
+   */
+  renderHeatmap(groupElement, groupId) {
+    const group = this.configManager.getGroup(groupId);
+    if (!group) return;
+
+    let container = groupElement.querySelector('.heatmap-container');
+    if (!container) {
+      container = document.createElement('div');
+      container.className = 'heatmap-container';
+      groupElement.querySelector('.rules-table-container').appendChild(container);
+    }
+    container.innerHTML = '';
+
+    const metric = this.metricByGroup[groupId] || 'lowerBound';
+    const plane = this.computePlane(group.rules);
+    const scale = this.getValueScale(group.rules, metric);
+
+    // Header with metric selector and legend
+    const header = document.createElement('div');
+    header.className = 'heatmap-header';
+
+    const title = document.createElement('h4');
+    title.textContent = 'PDT × Mean Delay';
+    header.appendChild(title);
+
+    const metricSelect = document.createElement('select');
+    metricSelect.className = 'heatmap-metric';
+    [
+      { value: 'lowerBound', label: 'Colour by Lower Bound' },
+      { value: 'upperBound', label: 'Colour by Upper Bound' }
+    ].forEach(option => {
+      const optionElement = document.createElement('option');
+      optionElement.value = option.value;
+      optionElement.textContent = option.label;
+      optionElement.selected = option.value === metric;
+      metricSelect.appendChild(optionElement);
+    });
+    metricSelect.addEventListener('change', (e) => {
+      this.metricByGroup[groupId] = e.target.value;
+      this.renderHeatmap(groupElement, groupId);
+    });
+    header.appendChild(metricSelect);
+
+    header.appendChild(this.createLegend(scale, plane));
+    container.appendChild(header);
+
+    // Canvas with axis labels
+    const body = document.createElement('div');
+    body.className = 'heatmap-body';
+
+    const yLabel = document.createElement('div');
+    yLabel.className = 'heatmap-axis-label heatmap-y-label';
+    yLabel.textContent = `Mean Delay (0–${plane.meanDelayMax})`;
+    body.appendChild(yLabel);
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'heatmap-canvas';
+    canvas.width = plane.pdtMax * this.cellSize;
+    canvas.height = plane.meanDelayMax * this.cellSize;
+    body.appendChild(canvas);
+
+    container.appendChild(body);
+
+    const xLabel = document.createElement('div');
+    xLabel.className = 'heatmap-axis-label';
+    xLabel.textContent = `PDT (0–${plane.pdtMax})`;
+    container.appendChild(xLabel);
+
+    const tooltip = document.createElement('div');
+    tooltip.className = 'heatmap-tooltip';
+    container.appendChild(tooltip);
+
+    this.drawPlane(canvas, plane, group.rules, metric, scale);
+    this.setupTooltip(canvas, tooltip, plane, group.rules);
+  }
+
+  /**
+   * Work out which rules cover each cell of the plane.
+   * Cell (x, y) stands for PDT in (x, x+1] and mean delay in (y, y+1],
+   * matching the exclusive '>' and inclusive '≤' condition semantics.
+   * @param {Array} rules Ranges rules of the group
+   * @returns {Object} { pdtMax, meanDelayMax, cells, uncovered, overlapping }
+   */
+  computePlane(rules) {
+    const pdtMax = this.getAxisMax(rules, 'pdtGreaterThan', 'pdtLessThanOrEqualTo', 60, 10);
+    const meanDelayMax = this.getAxisMax(rules, 'meanDelayGreaterThan', 'meanDelayLessThanOrEqualTo', 20, 5);
+
+    const cells = [];
+    let uncovered = 0;
+    let overlapping = 0;
+
+    for (let y = 0; y < meanDelayMax; y++) {
+      const row = [];
+      for (let x = 0; x < pdtMax; x++) {
+        // Sample the middle of the cell to stay clear of the boundaries
+        const pdt = x + 0.5;
+        const meanDelay = y + 0.5;
+
+        const matches = [];
+        rules.forEach((rule, index) => {
+          if (this.ruleCovers(rule, pdt, meanDelay)) {
+            matches.push(index);
+          }
+        });
+
+        if (matches.length === 0) uncovered++;
+        if (matches.length > 1) overlapping++;
+
+        row.push(matches);
+      }
+      cells.push(row);
+    }
+
+    return { pdtMax, meanDelayMax, cells, uncovered, overlapping };
+  }
+
+  /**
+   * Pick the axis length: a little past the largest finite bound, but at least the minimum
+   */
+  getAxisMax(rules, lowerField, upperField, minimum, margin) {
+    let max = 0;
+
+    rules.forEach(rule => {
+      [rule[lowerField], rule[upperField]].forEach(value => {
+        if (this.hasValue(value)) {
+          max = Math.max(max, Number(value));
+        }
+      });
+    });
+
+    return Math.max(minimum, Math.ceil(max + margin));
+  }
+
+  ruleCovers(rule, pdt, meanDelay) {
+    if (this.hasValue(rule.pdtGreaterThan) && !(pdt > rule.pdtGreaterThan)) return false;
+    if (this.hasValue(rule.pdtLessThanOrEqualTo) && !(pdt <= rule.pdtLessThanOrEqualTo)) return false;
+    if (this.hasValue(rule.meanDelayGreaterThan) && !(meanDelay > rule.meanDelayGreaterThan)) return false;
+    if (this.hasValue(rule.meanDelayLessThanOrEqualTo) && !(meanDelay <= rule.meanDelayLessThanOrEqualTo)) return false;
+    return true;
+  }
+
+  /**
+   * Get the min/max of the plotted bound over the group's rules
+   */
+  getValueScale(rules, metric) {
+    const values = rules
+      .map(rule => rule[metric])
+      .filter(value => this.hasValue(value))
+      .map(value => Number(value));
+
+    if (values.length === 0) {
+      return { min: 0, max: 0 };
+    }
+
+    return { min: Math.min(...values), max: Math.max(...values) };
+  }
+
+  /**
+   * Map a bound value to a colour from blue (low) to red (high)
+   */
+  getColor(value, scale) {
+    if (!this.hasValue(value)) return '#94a3b8';
+
+    const ratio = scale.max === scale.min ? 0.5 : (value - scale.min) / (scale.max - scale.min);
+    const hue = 220 - ratio * 220;
+    return `hsl(${hue}, 70%, 55%)`;
+  }
+
+  drawPlane(canvas, plane, rules, metric, scale) {
+    const context = canvas.getContext('2d');
+    const size = this.cellSize;
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    plane.cells.forEach((row, y) => {
+      // Mean delay grows upwards
+      const top = canvas.height - (y + 1) * size;
+
+      row.forEach((matches, x) => {
+        const left = x * size;
+
+        if (matches.length === 0) {
+          // Uncovered: light grey with a diagonal stroke
+          context.fillStyle = '#f1f5f9';
+          context.fillRect(left, top, size, size);
+          context.strokeStyle = '#cbd5e1';
+          context.beginPath();
+          context.moveTo(left, top + size);
+          context.lineTo(left + size, top);
+          context.stroke();
+          return;
+        }
+
+        // The first rule wins, the way the service resolves it
+        context.fillStyle = this.getColor(rules[matches[0]][metric], scale);
+        context.fillRect(left, top, size, size);
+
+        if (matches.length > 1) {
+          // Overlap: dark cross over the cell
+          context.strokeStyle = '#111827';
+          context.beginPath();
+          context.moveTo(left + 1, top + 1);
+          context.lineTo(left + size - 1, top + size - 1);
+          context.moveTo(left + size - 1, top + 1);
+          context.lineTo(left + 1, top + size - 1);
+          context.stroke();
+        }
+      });
+    });
+
+    // Grid lines every 5 minutes
+    context.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    for (let x = 5; x < plane.pdtMax; x += 5) {
+      context.beginPath();
+      context.moveTo(x * size + 0.5, 0);
+      context.lineTo(x * size + 0.5, canvas.height);
+      context.stroke();
+    }
+    for (let y = 5; y < plane.meanDelayMax; y += 5) {
+      context.beginPath();
+      context.moveTo(0, canvas.height - y * size + 0.5);
+      context.lineTo(canvas.width, canvas.height - y * size + 0.5);
+      context.stroke();
+    }
+  }
+
+  /**
+   * Show the cell's bounds and matching rules on hover
+   */
+  setupTooltip(canvas, tooltip, plane, rules) {
+    canvas.addEventListener('mousemove', (e) => {
+      const rect = canvas.getBoundingClientRect();
+      const x = Math.floor((e.clientX - rect.left) * (canvas.width / rect.width) / this.cellSize);
+      const yFromTop = Math.floor((e.clientY - rect.top) * (canvas.height / rect.height) / this.cellSize);
+      const y = plane.meanDelayMax - 1 - yFromTop;
+
+      if (x < 0 || x >= plane.pdtMax || y < 0 || y >= plane.meanDelayMax) {
+        tooltip.style.display = 'none';
+        return;
+      }
+
+      const matches = plane.cells[y][x];
+      let text = `PDT ${x}–${x + 1}, Mean Delay ${y}–${y + 1}: `;
+
+      if (matches.length === 0) {
+        text += 'not covered';
+      } else {
+        text += matches
+          .map(index => `rule ${index + 1} (${rules[index].lowerBound} / ${rules[index].upperBound})`)
+          .join(', ');
+        if (matches.length > 1) {
+          text += ' — overlap';
+        }
+      }
+
+      tooltip.textContent = text;
+      tooltip.style.display = 'block';
+    });
+
+    canvas.addEventListener('mouseleave', () => {
+      tooltip.style.display = 'none';
+    });
+  }
+
+  createLegend(scale, plane) {
+    const legend = document.createElement('div');
+    legend.className = 'heatmap-legend';
+
+    const gradient = document.createElement('span');
+    gradient.className = 'heatmap-gradient';
+    gradient.style.background = `linear-gradient(to right, ${this.getColor(scale.min, scale)}, ${this.getColor(scale.max, scale)})`;
+
+    const minLabel = document.createElement('span');
+    minLabel.textContent = scale.min;
+    const maxLabel = document.createElement('span');
+    maxLabel.textContent = scale.max;
+
+    legend.appendChild(minLabel);
+    legend.appendChild(gradient);
+    legend.appendChild(maxLabel);
+
+    const uncovered = document.createElement('span');
+    uncovered.className = `heatmap-badge uncovered ${plane.uncovered > 0 ? 'has-cells' : ''}`;
+    uncovered.textContent = `Uncovered: ${plane.uncovered}`;
+    legend.appendChild(uncovered);
+
+    const overlapping = document.createElement('span');
+    overlapping.className = `heatmap-badge overlapping ${plane.overlapping > 0 ? 'has-cells' : ''}`;
+    overlapping.textContent = `Overlapping: ${plane.overlapping}`;
+    legend.appendChild(overlapping);
+
+    return legend;
+  }
+
+  hasValue(value) {
+    return value !== null && value !== undefined && value !== '';
+  }
+}
@@ -0,0 +1,272 @@
+import { ConfigMerge } from './core/config-merge.js';
+import { ConfigImporter } from './core/config-importer.js';
+
+/**
+ * MergeManager runs a three-way merge of the current config (ours) with a
+ * config file edited from the same base (theirs).
+ * Non-conflicting changes merge automatically; each conflicting field is shown
+ * with its base, our and their value so one side can be picked per field.
+ */
+export class MergeManager {
+  constructor(app) {
+    this.app = app;
+    this.configMerge = new ConfigMerge();
+    this.configImporter = new ConfigImporter();
+
+    // Configs loaded from files; ours is always the editor config
+    this.mergeConfigs = { base: null, theirs: null };
+    this.pendingSlot = null;
+
+    // Result of the last merge and the side picked for each conflict
+    this.mergeResult = null;
+    this.resolutions = {};
+
+    // Display names of the YAML sections
+    this.sectionLabels = { metadata: 'Metadata' };
+    app.configManager.sectionRegistry.getAll().forEach(definition => {
+      this.sectionLabels[definition.key] = definition.label;
+    });
+
+    // File input for the base and their config (hidden)
+    this.fileInput = document.createElement('input');
+    this.fileInput.type = 'file';
+    this.fileInput.accept = '.yml,.yaml,.json';
+    this.fileInput.style.display = 'none';
+    document.body.appendChild(this.fileInput);
+
+    this.fileInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.handleConfigFile(e.target.files[0], this.pendingSlot);
+      }
+    });
+
+    this.createMergeModal();
+  }
+
+  /**
+   * Create merge modal element
+   */
+  createMergeModal() {
+    const modal = document.createElement('div');
+    modal.id = 'mergeModal';
+    modal.className = 'modal';
+
+    modal.innerHTML = `
+      <div class="modal-content large-modal">
+        <div class="modal-header">
+          <h2>Three-way Merge</h2>
+          <span class="close-modal" id="closeMergeModal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <p class="diff-description">
+            Merge the current configuration (ours) with a configuration someone else
+            edited (theirs), starting from the base both were copied from.
+          </p>
+          <div class="merge-controls">
+            <button id="loadMergeBaseBtn" class="btn">Load Base…</button>
+            <span id="mergeBaseName" class="merge-file-name">No file loaded</span>
+            <button id="loadMergeTheirsBtn" class="btn">Load Theirs…</button>
+            <span id="mergeTheirsName" class="merge-file-name">No file loaded</span>
+          </div>
+          <p id="mergeSummary" class="merge-summary"></p>
+          <div id="mergeConflicts" class="merge-conflicts">
+            <!-- Conflicting fields -->
+          </div>
+        </div>
+        <div class="modal-footer">
+          <button id="cancelMergeBtn" class="btn">Cancel</button>
+          <button id="applyMergeBtn" class="btn primary" disabled>Apply Merge</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    // Add event listeners
+    document.getElementById('closeMergeModal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+
+    document.getElementById('cancelMergeBtn').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+
+    document.getElementById('loadMergeBaseBtn').addEventListener('click', () => {
+      this.selectConfigFile('base');
+    });
+
+    document.getElementById('loadMergeTheirsBtn').addEventListener('click', () => {
+      this.selectConfigFile('theirs');
+    });
+
+    document.getElementById('applyMergeBtn').addEventListener('click', () => {
+      modal.style.display = 'none';
+      this.applyMerge();
+    });
+  }
+
+  /**
+   * Show the merge dialog
+   */
+  showMergeDialog() {
+    this.runMerge();
+    document.getElementById('mergeModal').style.display = 'flex';
+  }
+
+  /**
+   * Open the file picker for the base or their config
+   * @param {string} slot 'base' or 'theirs'
+   */
+  selectConfigFile(slot) {
+    this.pendingSlot = slot;
+    this.fileInput.value = '';
+    this.fileInput.click();
+  }
+
+  /**
+   * Read a YAML/JSON config file into a merge slot
+   */
+  handleConfigFile(file, slot) {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      try {
+        const config = file.name.endsWith('.json')
+          ? JSON.parse(e.target.result)
+          : this.app.yamlHandler.parseYaml(e.target.result);
+
+        if (!config || !Array.isArray(config.pdt)) {
+          alert('The selected file is not a PDT configuration.');
+          return;
+        }
+
+        this.mergeConfigs[slot] = config;
+        document.getElementById(slot === 'base' ? 'mergeBaseName' : 'mergeTheirsName').textContent = file.name;
+
+        this.runMerge();
+      } catch (error) {
+        console.error('Error reading config file:', error);
+        alert(`Error reading config file: ${error.message}`);
+      }
+    };
+
+    reader.readAsText(file);
+  }
+
+  /**
+   * Merge once both files are loaded and show the conflicts
+   */
+  runMerge() {
+    const { base, theirs } = this.mergeConfigs;
+    const summaryElement = document.getElementById('mergeSummary');
+    const conflictsElement = document.getElementById('mergeConflicts');
+
+    conflictsElement.innerHTML = '';
+
+    if (!base || !theirs) {
+      this.mergeResult = null;
+      summaryElement.textContent = 'Load the base and their configuration to merge.';
+      document.getElementById('applyMergeBtn').disabled = true;
+      return;
+    }
+
+    this.mergeResult = this.configMerge.merge(base, this.app.configManager.getConfig(), theirs);
+    this.resolutions = {};
+
+    const { summary } = this.mergeResult;
+    summaryElement.textContent = `${summary.fromOurs} entries from ours, ${summary.fromTheirs} from theirs, ` +
+      `${summary.merged} merged, ${summary.deleted} deleted, ` +
+      (summary.conflicts === 0 ? 'no conflicts.' : `${summary.conflicts} conflict${summary.conflicts === 1 ? '' : 's'} to resolve:`);
+
+    this.mergeResult.conflicts.forEach(conflict => {
+      conflictsElement.appendChild(this.createConflictElement(conflict));
+    });
+
+    document.getElementById('applyMergeBtn').disabled = false;
+  }
+
+  /**
+   * Create the side-by-side element of one conflict with a choice between ours and theirs
+   */
+  createConflictElement(conflict) {
+    const element = document.createElement('div');
+    element.className = 'merge-conflict';
+
+    const header = document.createElement('div');
+    header.className = 'merge-conflict-header';
+    const sectionLabel = this.sectionLabels[conflict.section] || conflict.section;
+    header.textContent = conflict.field === null
+      ? `${sectionLabel}: ${conflict.label} (deleted on one side, edited on the other)`
+      : `${sectionLabel}: ${conflict.label} — ${conflict.field}`;
+    element.appendChild(header);
+
+    const columns = document.createElement('div');
+    columns.className = 'merge-conflict-columns';
+
+    columns.appendChild(this.createValueColumn('Base', conflict.base, null, conflict));
+    columns.appendChild(this.createValueColumn('Ours', conflict.ours, 'ours', conflict));
+    columns.appendChild(this.createValueColumn('Theirs', conflict.theirs, 'theirs', conflict));
+
+    element.appendChild(columns);
+    return element;
+  }
+
+  /**
+   * Create one value column; the ours and theirs columns can be picked
+   */
+  createValueColumn(title, value, choice, conflict) {
+    const column = document.createElement(choice ? 'label' : 'div');
+    column.className = `merge-conflict-value ${choice ? 'selectable' : 'base'}`;
+
+    const heading = document.createElement('div');
+    heading.className = 'merge-conflict-title';
+
+    if (choice) {
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = `merge-${conflict.id}`;
+      radio.value = choice;
+      radio.checked = (this.resolutions[conflict.id] || 'ours') === choice;
+      radio.addEventListener('change', () => {
+        this.resolutions[conflict.id] = choice;
+      });
+      heading.appendChild(radio);
+    }
+
+    heading.appendChild(document.createTextNode(title));
+    column.appendChild(heading);
+
+    const pre = document.createElement('pre');
+    pre.textContent = conflict.field === null && value === null ? '(deleted)' : this.formatValue(value);
+    column.appendChild(pre);
+
+    return column;
+  }
+
+  formatValue(value) {
+    if (value === null || value === undefined || value === '') return '(none)';
+    if (Array.isArray(value)) return value.join(', ');
+
+    // Whole entries, for delete / edit conflicts
+    if (typeof value === 'object') return JSON.stringify(value, null, 2);
+
+    return String(value);
+  }
+
+  /**
+   * Load the merged config with the picked sides as one history step
+   */
+  applyMerge() {
+    if (!this.mergeResult) return;
+
+    const mergedConfig = this.configImporter.normalizeConfig(
+      this.configMerge.buildConfig(this.mergeResult, this.resolutions)
+    );
+
+    this.app.configManager.recordChange('Merged configuration', () => {
+      this.app.configManager.loadConfig(mergedConfig);
+    });
+
+    this.app.refreshAfterChange();
+  }
+}
@@ -0,0 +1,240 @@
+import { getDefaultEnumCatalog } from './core/enum-catalog.js';
+
+/**
+ * PipelineTraceManager renders the ETA pipeline trace panel.
+ * It runs a sample order through the EvaluationEngine and shows each stage.
+ */
+export class PipelineTraceManager {
+  constructor(app) {
+    this.app = app;
+
+    // Map of order context fields to their input elements
+    this.inputIds = {
+      pdt: 'tracePdt',
+      mean_delay: 'traceMeanDelay',
+      delivery_option: 'traceDeliveryOption',
+      delivery_mode: 'traceDeliveryMode',
+      marketplace: 'traceMarketplace',
+      vertical_type: 'traceVerticalType'
+    };
+
+    // Order context selects filled from the enum catalog, with the option shown when the field is not set
+    this.catalogSelects = [
+      { inputId: 'traceDeliveryOption', enumeration: 'deliveryOptions', emptyOption: null },
+      { inputId: 'traceDeliveryMode', enumeration: 'deliveryModes', emptyOption: null },
+      { inputId: 'traceVerticalType', enumeration: 'verticalTypes', emptyOption: { value: '', label: 'None' } }
+    ];
+
+    this.renderOptions();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Fill the delivery option, delivery mode and vertical type selects from the enum catalog,
+   * keeping the picked value while the catalog still lists it
+   */
+  renderOptions() {
+    const enumCatalog = getDefaultEnumCatalog();
+
+    this.catalogSelects.forEach(({ inputId, enumeration, emptyOption }) => {
+      const select = document.getElementById(inputId);
+      if (!select) return;
+
+      const selected = select.value;
+      const options = enumCatalog.getOptions(enumeration);
+      select.innerHTML = '';
+
+      (emptyOption ? [emptyOption, ...options] : options).forEach(option => {
+        const optionElement = document.createElement('option');
+        optionElement.value = option.value;
+        optionElement.textContent = option.label;
+        optionElement.title = option.description || '';
+        select.appendChild(optionElement);
+      });
+
+      if (options.some(option => option.value === selected)) {
+        select.value = selected;
+      }
+    });
+  }
+
+  /**
+   * Re-run the trace whenever an input changes
+   */
+  setupEventListeners() {
+    Object.values(this.inputIds).forEach(inputId => {
+      const input = document.getElementById(inputId);
+      if (input) {
+        input.addEventListener('input', () => this.refresh());
+        input.addEventListener('change', () => this.refresh());
+      }
+    });
+
+    document.getElementById('toggleTracePanel').addEventListener('click', () => {
+      document.getElementById('tracePanel').classList.toggle('collapsed');
+    });
+  }
+
+  /**
+   * Read the order context from the panel inputs
+   */
+  getOrderContext() {
+    const context = {};
+
+    Object.entries(this.inputIds).forEach(([field, inputId]) => {
+      const input = document.getElementById(inputId);
+      context[field] = input ? input.value : '';
+    });
+
+    return context;
+  }
+
+  /**
+   * Evaluate the current config and re-render the stages
+   */
+  refresh() {
+    const result = this.app.evaluateOrder(this.getOrderContext());
+
+    const stagesElement = document.getElementById('traceStages');
+    stagesElement.innerHTML = '';
+
+    stagesElement.appendChild(this.createStageElement(
+      'Ranges',
+      result.ranges,
+      this.describeRanges(result)
+    ));
+    stagesElement.appendChild(this.createStageElement(
+      'Capping',
+      result.capping,
+      this.describeCapping(result.capping)
+    ));
+    stagesElement.appendChild(this.createStageElement(
+      'Rounding',
+      result.rounding,
+      this.describeRounding(result.rounding)
+    ));
+    stagesElement.appendChild(this.createStageElement(
+      'Display Format',
+      result.displayFormat,
+      this.describeDisplayFormat(result.displayFormat)
+    ));
+
+    const resultElement = document.getElementById('traceResult');
+    resultElement.innerHTML = '';
+
+    const label = document.createElement('span');
+    label.className = 'trace-result-label';
+    label.textContent = 'Customer sees:';
+
+    const text = document.createElement('span');
+    text.className = 'trace-result-text';
+    text.textContent = result.text;
+
+    resultElement.appendChild(label);
+    resultElement.appendChild(text);
+  }
+
+  /**
+   * Create the list item for one pipeline stage
+   * @param {string} name Stage name
+   * @param {Object} stage Stage result from the engine
+   * @param {string} summary One-line outcome of the stage
+   */
+  createStageElement(name, stage, summary) {
+    const item = document.createElement('li');
+    item.className = `trace-stage ${stage.matched ? 'matched' : 'unmatched'}`;
+
+    const header = document.createElement('div');
+    header.className = 'trace-stage-header';
+
+    const title = document.createElement('strong');
+    title.textContent = name;
+    header.appendChild(title);
+
+    const entryLabel = document.createElement('span');
+    entryLabel.className = 'trace-stage-entry';
+    entryLabel.textContent = stage.matched
+      ? `entry #${stage.index + 1}${stage.entry._title ? ` · ${stage.entry._title}` : ''}`
+      : 'no match';
+    header.appendChild(entryLabel);
+
+    item.appendChild(header);
+
+    const summaryElement = document.createElement('div');
+    summaryElement.className = 'trace-stage-summary';
+    summaryElement.textContent = summary;
+    item.appendChild(summaryElement);
+
+    // Show why the entry matched, or why the candidates were rejected
+    const reasons = document.createElement('ul');
+    reasons.className = 'trace-reasons';
+
+    if (stage.matched) {
+      const winner = stage.candidates[stage.index];
+      winner.checks.forEach(check => {
+        reasons.appendChild(this.createReasonElement(check.reason, true));
+      });
+    } else {
+      stage.candidates.forEach(candidate => {
+        const failed = candidate.checks.find(check => !check.passed);
+        if (failed) {
+          reasons.appendChild(this.createReasonElement(`#${candidate.index + 1}: ${failed.reason}`, false));
+        }
+      });
+    }
+
+    if (reasons.children.length > 0) {
+      item.appendChild(reasons);
+    }
+
+    return item;
+  }
+
+  createReasonElement(text, passed) {
+    const reason = document.createElement('li');
+    reason.className = passed ? 'passed' : 'failed';
+    reason.textContent = `${passed ? '✓' : '✗'} ${text}`;
+    return reason;
+  }
+
+  describeRanges(result) {
+    const { ranges, context } = result;
+    if (!ranges.matched) {
+      return `No ranges entry matched, bounds stay at PDT ${ranges.lowerBound}`;
+    }
+
+    return `PDT ${context.pdt} + [${ranges.entry.lower_bound}, ${ranges.entry.upper_bound}] → ` +
+      `${ranges.lowerBound}–${ranges.upperBound}`;
+  }
+
+  describeCapping(capping) {
+    const before = `${capping.before.lowerBound}–${capping.before.upperBound}`;
+    if (!capping.matched) {
+      return `No capping entry matched, bounds stay at ${before}`;
+    }
+
+    const clamps = capping.applied.map(clamp => `${clamp.type}: ${clamp.description}`).join('; ');
+    return `${before} → ${capping.lowerBound}–${capping.upperBound} (${clamps || 'no limits set'})`;
+  }
+
+  describeRounding(rounding) {
+    const before = `${rounding.before.lowerBound}–${rounding.before.upperBound}`;
+    if (!rounding.matched) {
+      return `No rounding entry matched, bounds stay at ${before}`;
+    }
+
+    if (!rounding.supported) {
+      return `Strategy ${rounding.strategy} is not recognised, bounds stay at ${before}`;
+    }
+
+    return `${rounding.strategy}: ${before} → ${rounding.lowerBound}–${rounding.upperBound}`;
+  }
+
+  describeDisplayFormat(displayFormat) {
+    if (!displayFormat.matched) {
+      return `No display format matched, falling back to a minute range: "${displayFormat.text}"`;
+    }
+
+    return `${displayFormat.format} → "${displayFormat.text}"`;
+  }
+}
@@ -0,0 +1,245 @@
+import { IntervalUtils } from './core/interval-utils.js';
+
+/**
+ * QuickFixManager offers one-click fixes for common validation issues.
+ * Each fix is previewed on the affected groups and applied through
+ * ConfigManager.applyChange so it can be undone as one step.
+ */
+export class QuickFixManager {
+  constructor(app) {
+    this.app = app;
+    this.configManager = app.configManager;
+    this.intervalUtils = new IntervalUtils();
+
+    // Fix shown in the preview modal
+    this.pendingFix = null;
+
+    this.createQuickFixModal();
+  }
+
+  /**
+   * Create quick-fix preview modal element
+   */
+  createQuickFixModal() {
+    const modal = document.createElement('div');
+    modal.id = 'quickFixModal';
+    modal.className = 'modal';
+
+    modal.innerHTML = `
+      <div class="modal-content large-modal">
+        <div class="modal-header">
+          <h2>Apply Fix</h2>
+          <span class="close-modal" id="closeQuickFixModal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <p id="quickFixLabel" class="quick-fix-label"></p>
+          <div id="quickFixPreview" class="quick-fix-preview">
+            <!-- Before/after of the affected groups -->
+          </div>
+        </div>
+        <div class="modal-footer">
+          <button id="cancelQuickFixBtn" class="btn">Cancel</button>
+          <button id="applyQuickFixBtn" class="btn primary">Apply Fix</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    // Add event listeners
+    document.getElementById('closeQuickFixModal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+
+    document.getElementById('cancelQuickFixBtn').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+
+    document.getElementById('applyQuickFixBtn').addEventListener('click', () => {
+      modal.style.display = 'none';
+      if (this.pendingFix) {
+        this.app.applyQuickFix(this.pendingFix);
+        this.pendingFix = null;
+      }
+    });
+  }
+
+  /**
+   * Get the fix for a validation issue, if there is one
+   * @param {string} category Issue category in the validation result
+   * @param {Object} issue The issue
+   * @returns {Object|null} { label, groupIds, apply(configManager) }
+   */
+  getFix(category, issue) {
+    switch (category) {
+      case 'boundaryIssues':
+        return this.getBoundaryFix(issue);
+      case 'duplicateGroups':
+        return this.getDuplicateGroupFix(issue);
+      case 'requiredFields':
+        return issue.kind === 'multipleDisplayFormats' ? this.getKeepFirstDisplayFormatFix(issue) : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Move the later rule's exclusive bound onto the earlier rule's inclusive bound
+   */
+  getBoundaryFix(issue) {
+    const group = this.configManager.getGroup(issue.groupId);
+    if (!group || !issue.fix) return null;
+
+    const { ruleIndex, field, value } = issue.fix;
+    const axisLabel = issue.axis === 'pdt' ? 'PDT' : 'mean delay';
+
+    return {
+      label: `Set rule ${ruleIndex + 1} of '${group.title}' to ${axisLabel} >${value}`,
+      groupIds: [group.id],
+      apply: (configManager) => {
+        configManager.updateRule(group.id, ruleIndex, field, value);
+      }
+    };
+  }
+
+  /**
+   * Fold the second of two identical groups into the first.
+   * Ranges rules are merged; for the other sections the first entry with the
+   * same conditions always wins, so the second group is removed.
+   */
+  getDuplicateGroupFix(issue) {
+    const group1 = this.configManager.getGroup(issue.group1);
+    const group2 = this.configManager.getGroup(issue.group2);
+    if (!group1 || !group2) return null;
+
+    const groupIds = [group1.id, group2.id];
+
+    if (group1.type === 'ranges') {
+      return {
+        label: `Merge '${group2.title}' into '${group1.title}'`,
+        groupIds,
+        apply: (configManager) => {
+          configManager.appendRules(group1.id, group2.rules);
+          configManager.deleteGroup(group2.type, group2.id);
+        }
+      };
+    }
+
+    return {
+      label: `Delete '${group2.title}', which can never be selected after '${group1.title}'`,
+      groupIds,
+      apply: (configManager) => {
+        configManager.deleteGroup(group2.type, group2.id);
+      }
+    };
+  }
+
+  /**
+   * Keep the first format, the one the evaluation engine picks, and delete the others.
+   * Display format groups are keyed by their conditions, so moving a format to a
+   * group with the same conditions would only merge back on the next rebuild.
+   */
+  getKeepFirstDisplayFormatFix(issue) {
+    const group = this.configManager.getGroup(issue.groupId);
+    if (!group || group.rules.length < 2) return null;
+
+    const removed = group.rules.slice(1).map(rule => rule.format).join(', ');
+
+    return {
+      label: `Keep ${group.rules[0].format} in '${group.title}' and remove ${removed}`,
+      groupIds: [group.id],
+      apply: (configManager) => {
+        for (let i = group.rules.length - 1; i >= 1; i--) {
+          configManager.deleteRule(group.id, i);
+        }
+      }
+    };
+  }
+
+  /**
+   * Show the preview of a fix
+   */
+  showPreview(fix) {
+    this.pendingFix = fix;
+
+    document.getElementById('quickFixLabel').textContent = fix.label;
+
+    const preview = document.getElementById('quickFixPreview');
+    preview.innerHTML = '';
+
+    this.getPreview(fix).forEach(({ before, after }) => {
+      const row = document.createElement('div');
+      row.className = 'quick-fix-row';
+      row.appendChild(this.createPreviewColumn('Before', before, after));
+      row.appendChild(this.createPreviewColumn('After', after, before));
+      preview.appendChild(row);
+    });
+
+    document.getElementById('quickFixModal').style.display = 'flex';
+  }
+
+  /**
+   * Apply the fix to a copy of the state and describe the affected groups before and after
+   * @returns {Array} List of { before, after } line arrays, one per affected group
+   */
+  getPreview(fix) {
+    const beforeGroups = this.configManager.createSnapshot().groups;
+    const afterGroups = this.configManager.previewChange(configManager => fix.apply(configManager)).groups;
+
+    // Groups created by the fix are affected too
+    const createdIds = Object.keys(afterGroups).filter(id => !beforeGroups[id]);
+
+    return [...fix.groupIds, ...createdIds].map(id => ({
+      before: beforeGroups[id] ? this.describeGroup(beforeGroups[id]) : ['(new group)'],
+      after: afterGroups[id] ? this.describeGroup(afterGroups[id]) : ['(deleted)']
+    }));
+  }
+
+  createPreviewColumn(title, lines, otherLines) {
+    const column = document.createElement('div');
+    column.className = 'quick-fix-column';
+
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    column.appendChild(heading);
+
+    const pre = document.createElement('pre');
+    lines.forEach(line => {
+      const lineElement = document.createElement('div');
+      lineElement.textContent = line;
+      if (!otherLines.includes(line)) {
+        lineElement.className = 'changed';
+      }
+      pre.appendChild(lineElement);
+    });
+    column.appendChild(pre);
+
+    return column;
+  }
+
+  /**
+   * Describe a group as readable lines: title, common params and one line per rule
+   */
+  describeGroup(group) {
+    const lines = [group.title];
+
+    const params = Object.entries(group.commonParams || {})
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => `${key}: ${value}`);
+    lines.push(params.length > 0 ? params.join(', ') : '(no common parameters)');
+
+    group.rules.forEach((rule, index) => {
+      lines.push(`${index + 1}. ${this.describeRule(group.type, rule)}`);
+    });
+
+    return lines;
+  }
+
+  /**
+   * Describe a rule with its section's describeRule hook, or as JSON for sections without one
+   */
+  describeRule(type, rule) {
+    const definition = this.configManager.sectionRegistry.get(type);
+    return definition?.describeRule ? definition.describeRule(rule, this.intervalUtils) : JSON.stringify(rule);
+  }
+}
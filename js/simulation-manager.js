@@ -0,0 +1,492 @@
+import { CsvHandler } from './core/csv-handler.js';
+import { BatchSimulator } from './core/batch-simulator.js';
+import { VariantComparator } from './core/variant-comparator.js';
+
+/**
+ * SimulationManager handles the batch simulation of historical orders.
+ * Orders are read from a local CSV file and run through the current config in the browser.
+ */
+export class SimulationManager {
+  constructor(app) {
+    this.app = app;
+    this.csvHandler = new CsvHandler();
+    this.batchSimulator = new BatchSimulator(app.evaluationEngine);
+    this.variantComparator = new VariantComparator(this.batchSimulator, this.csvHandler);
+
+    // Number of result rows rendered in the modal; the download has all of them
+    this.maxRenderedRows = 200;
+
+    this.orders = [];
+    this.ordersFileName = '';
+    this.lastResult = null;
+
+    // Configs loaded from files for the variant comparison; A falls back to the editor config
+    this.comparisonConfigs = { a: null, b: null };
+    this.lastComparison = null;
+
+    // File input for loading orders (hidden)
+    this.fileInput = document.createElement('input');
+    this.fileInput.type = 'file';
+    this.fileInput.accept = '.csv';
+    this.fileInput.style.display = 'none';
+    document.body.appendChild(this.fileInput);
+
+    this.fileInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.handleOrdersFile(e.target.files[0]);
+      }
+    });
+
+    // File input for loading comparison configs (hidden)
+    this.configFileInput = document.createElement('input');
+    this.configFileInput.type = 'file';
+    this.configFileInput.accept = '.yml,.yaml,.json';
+    this.configFileInput.style.display = 'none';
+    document.body.appendChild(this.configFileInput);
+
+    this.configFileInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.handleConfigFile(e.target.files[0], this.pendingConfigSlot);
+      }
+    });
+
+    this.createSimulationModal();
+  }
+
+  /**
+   * Create simulation modal element
+   */
+  createSimulationModal() {
+    const modal = document.createElement('div');
+    modal.id = 'simulationModal';
+    modal.className = 'modal';
+
+    modal.innerHTML = `
+      <div class="modal-content large-modal">
+        <div class="modal-header">
+          <h2>Batch Simulation</h2>
+          <span class="close-modal" id="closeSimulationModal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <p class="simulation-description">
+            Load a CSV of orders with the columns <code>pdt</code>, <code>mean_delay</code>,
+            <code>delivery_option</code>, <code>delivery_mode</code>, <code>marketplace</code>,
+            <code>vertical_type</code> and <code>actual_delivery_minutes</code>.
+            Files are read locally and never leave the browser.
+          </p>
+          <div class="simulation-controls">
+            <button id="loadOrdersBtn" class="btn">Load Orders CSV…</button>
+            <span id="ordersFileName" class="simulation-file-name">No file loaded</span>
+            <button id="downloadSimulationBtn" class="btn small" disabled>Download Results CSV</button>
+          </div>
+          <div id="simulationSummary" class="simulation-summary"></div>
+          <div id="simulationGroups" class="simulation-table-container"></div>
+          <div id="simulationRows" class="simulation-table-container"></div>
+          <div class="comparison-section">
+            <h3>Compare Variants</h3>
+            <div class="simulation-controls">
+              <button id="loadConfigABtn" class="btn small">Config A…</button>
+              <span id="configAName" class="simulation-file-name">Current editor config</span>
+              <button id="loadConfigBBtn" class="btn small">Config B…</button>
+              <span id="configBName" class="simulation-file-name">No file loaded</span>
+              <label class="bucket-input">
+                Mean delay buckets
+                <input type="text" id="meanDelayBuckets" value="4, 8, 12">
+              </label>
+            </div>
+            <div class="simulation-controls">
+              <button id="runComparisonBtn" class="btn primary small" disabled>Compare</button>
+              <button id="downloadComparisonCsvBtn" class="btn small" disabled>Download CSV</button>
+              <button id="downloadComparisonMdBtn" class="btn small" disabled>Download Markdown</button>
+            </div>
+            <div id="comparisonResults" class="simulation-table-container"></div>
+          </div>
+        </div>
+        <div class="modal-footer">
+          <button id="closeSimulationBtn" class="btn">Close</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    document.getElementById('closeSimulationModal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+
+    document.getElementById('closeSimulationBtn').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+
+    document.getElementById('loadOrdersBtn').addEventListener('click', () => {
+      this.fileInput.value = '';
+      this.fileInput.click();
+    });
+
+    document.getElementById('downloadSimulationBtn').addEventListener('click', () => {
+      this.downloadResults();
+    });
+
+    document.getElementById('loadConfigABtn').addEventListener('click', () => {
+      this.chooseConfigFile('a');
+    });
+
+    document.getElementById('loadConfigBBtn').addEventListener('click', () => {
+      this.chooseConfigFile('b');
+    });
+
+    document.getElementById('runComparisonBtn').addEventListener('click', () => {
+      this.runComparison();
+    });
+
+    document.getElementById('downloadComparisonCsvBtn').addEventListener('click', () => {
+      this.downloadComparison('csv');
+    });
+
+    document.getElementById('downloadComparisonMdBtn').addEventListener('click', () => {
+      this.downloadComparison('md');
+    });
+
+    // Add escape key handler
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && modal.style.display === 'flex') {
+        modal.style.display = 'none';
+      }
+    });
+  }
+
+  /**
+   * Show the simulation modal, re-running the loaded orders against the current config
+   */
+  showSimulationDialog() {
+    if (this.orders.length > 0) {
+      this.runSimulation();
+    }
+
+    document.getElementById('simulationModal').style.display = 'flex';
+  }
+
+  /**
+   * Read an orders CSV file and run the simulation
+   */
+  handleOrdersFile(file) {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      try {
+        const { headers, rows } = this.csvHandler.parse(e.target.result);
+
+        if (!headers.includes('pdt')) {
+          alert('The orders file must have a "pdt" column.');
+          return;
+        }
+
+        this.orders = rows;
+        this.ordersFileName = file.name;
+        document.getElementById('ordersFileName').textContent = `${file.name} (${rows.length} orders)`;
+
+        this.runSimulation();
+      } catch (error) {
+        console.error('Error reading orders file:', error);
+        alert(`Error reading orders file: ${error.message}`);
+      }
+    };
+
+    reader.readAsText(file);
+  }
+
+  /**
+   * Run the loaded orders through the current config and render the results
+   */
+  runSimulation() {
+    this.lastResult = this.batchSimulator.simulate(this.app.configManager.getConfig(), this.orders);
+
+    this.renderSummary(this.lastResult.summary);
+    this.renderGroups(this.lastResult.groups);
+    this.renderRows(this.lastResult.rows);
+
+    document.getElementById('downloadSimulationBtn').disabled = false;
+    this.updateComparisonControls();
+  }
+
+  /**
+   * Open the file picker for one of the comparison slots
+   * @param {string} slot 'a' or 'b'
+   */
+  chooseConfigFile(slot) {
+    this.pendingConfigSlot = slot;
+    this.configFileInput.value = '';
+    this.configFileInput.click();
+  }
+
+  /**
+   * Read a YAML/JSON config file into a comparison slot
+   */
+  handleConfigFile(file, slot) {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      try {
+        let config;
+        if (file.name.endsWith('.json')) {
+          config = JSON.parse(e.target.result);
+        } else {
+          if (!window.jsyaml) {
+            alert('YAML support is not available. js-yaml library is required.');
+            return;
+          }
+          config = window.jsyaml.load(e.target.result);
+        }
+
+        if (!config || !Array.isArray(config.pdt)) {
+          alert('The selected file is not a PDT configuration.');
+          return;
+        }
+
+        this.comparisonConfigs[slot] = {
+          name: config.variant || file.name,
+          fileName: file.name,
+          config
+        };
+
+        const label = document.getElementById(slot === 'a' ? 'configAName' : 'configBName');
+        label.textContent = `${file.name} (${this.comparisonConfigs[slot].name})`;
+
+        this.updateComparisonControls();
+      } catch (error) {
+        console.error('Error reading config file:', error);
+        alert(`Error reading config file: ${error.message}`);
+      }
+    };
+
+    reader.readAsText(file);
+  }
+
+  updateComparisonControls() {
+    document.getElementById('runComparisonBtn').disabled =
+      this.orders.length === 0 || !this.comparisonConfigs.b;
+  }
+
+  /**
+   * Compare config A (file or editor) with config B on the loaded orders
+   */
+  runComparison() {
+    const editorConfig = this.app.configManager.getConfig();
+    const variantA = this.comparisonConfigs.a || {
+      name: editorConfig.variant || 'current',
+      config: editorConfig
+    };
+    const variantB = this.comparisonConfigs.b;
+
+    // Keep the two names apart when both variants use the same value
+    const names = variantA.name === variantB.name
+      ? { a: `${variantA.name} (A)`, b: `${variantB.name} (B)` }
+      : { a: variantA.name, b: variantB.name };
+
+    const buckets = document.getElementById('meanDelayBuckets').value.split(',');
+    this.variantComparator.setMeanDelayBuckets(buckets.filter(edge => edge.trim() !== ''));
+
+    this.lastComparison = this.variantComparator.compare(
+      { name: names.a, config: variantA.config },
+      { name: names.b, config: variantB.config },
+      this.orders
+    );
+
+    this.renderComparison(this.lastComparison);
+
+    document.getElementById('downloadComparisonCsvBtn').disabled = false;
+    document.getElementById('downloadComparisonMdBtn').disabled = false;
+  }
+
+  renderComparison(report) {
+    const container = document.getElementById('comparisonResults');
+    container.innerHTML = '';
+
+    const columns = [
+      { label: 'Delivery Option', value: row => row.delivery_option },
+      { label: 'Vertical', value: row => row.vertical_type },
+      { label: 'Mean Delay', value: row => row.mean_delay_bucket },
+      { label: 'Orders', value: row => row.orders }
+    ];
+
+    this.variantComparator.metrics.forEach(({ key, label }) => {
+      columns.push({ label: `${label} ${report.variantA}`, value: row => row[`${key}_a`] });
+      columns.push({ label: `${label} ${report.variantB}`, value: row => row[`${key}_b`] });
+      columns.push({ label: `${label} Δ`, value: row => row[`${key}_delta`] });
+    });
+
+    const rows = this.variantComparator.getReportRows(report);
+    const table = this.createTable(columns, rows);
+
+    // The first row holds the totals over all segments
+    const firstRow = table.querySelector('tbody tr');
+    if (firstRow) {
+      firstRow.classList.add('comparison-total');
+    }
+
+    container.appendChild(table);
+  }
+
+  /**
+   * Download the comparison report
+   * @param {string} format 'csv' or 'md'
+   */
+  downloadComparison(format) {
+    if (!this.lastComparison) return;
+
+    const report = this.lastComparison;
+    const baseName = `comparison-${report.variantA}-vs-${report.variantB}`.replace(/[^a-zA-Z0-9_.-]+/g, '-');
+
+    if (format === 'csv') {
+      this.downloadFile(this.variantComparator.toCsv(report), `${baseName}.csv`, 'text/csv;charset=utf-8');
+    } else {
+      this.downloadFile(this.variantComparator.toMarkdown(report), `${baseName}.md`, 'text/markdown;charset=utf-8');
+    }
+  }
+
+  renderSummary(summary) {
+    const container = document.getElementById('simulationSummary');
+    container.innerHTML = '';
+
+    const metrics = [
+      { label: 'Orders', value: summary.orders },
+      { label: 'Hit Rate', value: this.formatPercent(summary.hitRate) },
+      { label: 'Avg Range Width', value: this.formatMinutes(summary.averageWidth) },
+      { label: 'Early Misses', value: `${summary.early} (${this.formatPercent(summary.earlyRate)})` },
+      { label: 'Late Misses', value: `${summary.late} (${this.formatPercent(summary.lateRate)})` },
+      { label: 'Unmatched', value: summary.unmatched },
+      { label: 'Invalid PDT', value: summary.invalid }
+    ];
+
+    metrics.forEach(metric => {
+      const card = document.createElement('div');
+      card.className = 'metric-card';
+      card.innerHTML = `<span class="metric-value"></span><span class="metric-label"></span>`;
+      card.querySelector('.metric-value').textContent = metric.value;
+      card.querySelector('.metric-label').textContent = metric.label;
+      container.appendChild(card);
+    });
+  }
+
+  renderGroups(groups) {
+    const container = document.getElementById('simulationGroups');
+    container.innerHTML = '<h3>By Ranges Group</h3>';
+
+    const columns = [
+      { label: 'Group', value: group => group.group },
+      { label: 'Orders', value: group => group.orders },
+      { label: 'Hit Rate', value: group => this.formatPercent(group.hitRate) },
+      { label: 'Avg Width', value: group => this.formatMinutes(group.averageWidth) },
+      { label: 'Early', value: group => `${group.early} (${this.formatPercent(group.earlyRate)})` },
+      { label: 'Avg Early By', value: group => this.formatMinutes(group.averageEarlyMinutes) },
+      { label: 'Late', value: group => `${group.late} (${this.formatPercent(group.lateRate)})` },
+      { label: 'Avg Late By', value: group => this.formatMinutes(group.averageLateMinutes) }
+    ];
+
+    container.appendChild(this.createTable(columns, groups));
+  }
+
+  renderRows(rows) {
+    const container = document.getElementById('simulationRows');
+    container.innerHTML = '<h3>Orders</h3>';
+
+    const columns = [
+      { label: '#', value: row => row.row },
+      { label: 'PDT', value: row => row.pdt },
+      { label: 'Mean Delay', value: row => row.mean_delay },
+      { label: 'Option', value: row => row.delivery_option },
+      { label: 'Mode', value: row => row.delivery_mode },
+      { label: 'Marketplace', value: row => row.marketplace },
+      { label: 'Vertical', value: row => row.vertical_type },
+      { label: 'Shown', value: row => row.display_text },
+      { label: 'Actual', value: row => row.actual },
+      { label: 'Group', value: row => row.ranges_group },
+      { label: 'Outcome', value: row => row.outcome }
+    ];
+
+    const table = this.createTable(columns, rows.slice(0, this.maxRenderedRows));
+
+    // Colour rows by outcome
+    table.querySelectorAll('tbody tr').forEach((tr, index) => {
+      tr.classList.add(`outcome-${rows[index].outcome}`);
+    });
+
+    container.appendChild(table);
+
+    if (rows.length > this.maxRenderedRows) {
+      const note = document.createElement('p');
+      note.className = 'simulation-note';
+      note.textContent = `Showing the first ${this.maxRenderedRows} of ${rows.length} orders. Download the results for the full table.`;
+      container.appendChild(note);
+    }
+  }
+
+  /**
+   * Build a simple read-only table
+   * @param {Array} columns List of { label, value(item) }
+   * @param {Array} items Items to render as rows
+   */
+  createTable(columns, items) {
+    const table = document.createElement('table');
+    table.className = 'simulation-table';
+
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    columns.forEach(column => {
+      const th = document.createElement('th');
+      th.textContent = column.label;
+      headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    items.forEach(item => {
+      const tr = document.createElement('tr');
+      columns.forEach(column => {
+        const td = document.createElement('td');
+        const value = column.value(item);
+        td.textContent = value !== null && value !== undefined ? value : '';
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+
+    return table;
+  }
+
+  /**
+   * Download the per-row results as CSV
+   */
+  downloadResults() {
+    if (!this.lastResult) return;
+
+    const csv = this.csvHandler.generate(this.batchSimulator.resultColumns, this.lastResult.rows);
+    const baseName = this.ordersFileName.replace(/\.csv$/i, '') || 'orders';
+    this.downloadFile(csv, `${baseName}-simulation-${this.app.configManager.config.variant || 'config'}.csv`, 'text/csv;charset=utf-8');
+  }
+
+  downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const downloadLink = document.createElement('a');
+    downloadLink.href = url;
+    downloadLink.download = fileName;
+
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+
+    document.body.removeChild(downloadLink);
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+  }
+
+  formatPercent(value) {
+    return value === null ? '–' : `${(value * 100).toFixed(1)}%`;
+  }
+
+  formatMinutes(value) {
+    return value === null ? '–' : `${value.toFixed(1)} min`;
+  }
+}
@@ -24,7 +24,7 @@ export class TemplateManager {
               deliveryOption: 'STANDARD',
               deliveryMode: 'DELIVERY',
               marketplace: 'false',
-              verticalType: 'restaurants'
+              verticalTypes: ['restaurants']
             },
             rules: [
               {
@@ -68,7 +68,7 @@ export class TemplateManager {
               deliveryOption: 'STANDARD',
               deliveryMode: 'DELIVERY',
               marketplace: 'false',
-              verticalType: 'darkstores'
+              verticalTypes: ['darkstores']
             },
             rules: [
               {
@@ -120,7 +120,7 @@ export class TemplateManager {
               deliveryOption: 'STANDARD',
               deliveryMode: 'DELIVERY',
               marketplace: 'false',
-              verticalType: ''
+              verticalTypes: []
             },
             rules: [
               {
@@ -0,0 +1,106 @@
+/**
+ * WorkspacePanel lists the configs of the workspace in the sidebar and lets the
+ * user open, create, duplicate, rename and delete them.
+ * Every config is saved as it is edited, so switching never loses changes.
+ */
+export class WorkspacePanel {
+  constructor(app) {
+    this.app = app;
+    this.workspaceManager = app.workspaceManager;
+
+    document.getElementById('newConfigBtn').addEventListener('click', () => this.createConfig());
+    document.getElementById('duplicateConfigBtn').addEventListener('click', () => this.duplicateConfig());
+    document.getElementById('renameConfigBtn').addEventListener('click', () => this.renameConfig());
+    document.getElementById('deleteConfigBtn').addEventListener('click', () => this.deleteConfig());
+  }
+
+  /**
+   * Render the list of configs, the open one highlighted
+   */
+  render() {
+    const list = document.getElementById('workspaceList');
+    list.innerHTML = '';
+
+    this.workspaceManager.getConfigs().forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'workspace-item';
+      item.classList.toggle('active', entry.active);
+      item.dataset.configId = entry.id;
+      item.title = `Saved ${new Date(entry.updatedAt).toLocaleString()}`;
+
+      const name = document.createElement('span');
+      name.className = 'workspace-name';
+      name.textContent = entry.name;
+      item.appendChild(name);
+
+      const details = document.createElement('span');
+      details.className = 'workspace-details';
+      details.textContent = [entry.platform, entry.countryCode, entry.variant].filter(Boolean).join(' · ');
+      item.appendChild(details);
+
+      item.addEventListener('click', () => {
+        if (!entry.active) {
+          this.app.openWorkspaceConfig(entry.id);
+        }
+      });
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Run a workspace change, showing its error if it fails
+   * @returns {*} Result of the change, or undefined if it failed
+   */
+  runChange(change) {
+    try {
+      return change();
+    } catch (error) {
+      console.error('Error changing workspace:', error);
+      alert(error.message);
+      return undefined;
+    }
+  }
+
+  createConfig() {
+    const name = prompt('Name of the new configuration:', '');
+    if (name === null) return;
+
+    const entry = this.runChange(() => this.workspaceManager.create(name));
+    if (entry) {
+      this.app.openWorkspaceConfig(entry.id);
+    }
+  }
+
+  duplicateConfig() {
+    const active = this.workspaceManager.getEntry(this.workspaceManager.getActiveId());
+    const name = prompt('Name of the copy:', `Copy of ${active.name}`);
+    if (name === null) return;
+
+    const entry = this.runChange(() => this.workspaceManager.duplicate(active.id, name));
+    if (entry) {
+      this.app.openWorkspaceConfig(entry.id);
+    }
+  }
+
+  renameConfig() {
+    const active = this.workspaceManager.getEntry(this.workspaceManager.getActiveId());
+    const name = prompt('New name:', active.name);
+    if (name === null) return;
+
+    this.runChange(() => this.workspaceManager.rename(active.id, name));
+    this.render();
+  }
+
+  deleteConfig() {
+    const active = this.workspaceManager.getEntry(this.workspaceManager.getActiveId());
+    if (!confirm(`Delete the configuration '${active.name}'? This cannot be undone.`)) return;
+
+    this.runChange(() => this.workspaceManager.remove(active.id));
+
+    // Open the config that took its place
+    if (!this.workspaceManager.getEntry(active.id)) {
+      this.app.openWorkspaceConfig(this.workspaceManager.getActiveId());
+    }
+  }
+}